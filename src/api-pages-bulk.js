@@ -0,0 +1,181 @@
+// api-pages-bulk.js - Multi-page actions for the drawer's selection mode.
+//
+// The backend has no batch endpoints, so a bulk action is N per-page requests.
+// What makes it "bulk" client-side is the cache handling: the single-page
+// methods (deletePage, pinPage, ...) each invalidate the saved-pages/domains/
+// projects caches, and running them in a loop would wipe and re-fetch those
+// caches N times. These methods issue the same requests without the per-call
+// invalidation and invalidate each affected cache once when the batch settles.
+//
+// A failed page doesn't abort the batch. Every method resolves to
+// { succeeded: [ids], failed: [{ id, error }] } so the caller can report a
+// partial result and keep the failed pages selected for a retry.
+
+import {
+  addStandalonePageToProject,
+  deleteStandalonePage,
+  pinStandalonePage,
+  removeStandalonePageFromProject,
+  updateStandalonePage
+} from './api-pages-standalone.js';
+import { assertRealPageId } from './pending-saves.js';
+import { isReadStateOnlyUpdate } from './page-read-state.js';
+
+// Requests kept in flight at once. Enough to make a 50-page cleanup finish in a
+// few seconds without hammering the function with a burst of parallel writes.
+const BULK_CONCURRENCY = 4;
+
+export function applyApiBulkActions(API) {
+  Object.assign(API, {
+    async _runBulkPageAction(ids, {
+      context,
+      request,
+      standaloneRequest,
+      invalidate,
+      onProgress
+    }) {
+      const pageIds = Array.from(new Set((ids || []).filter(Boolean)));
+      const succeeded = [];
+      const failed = [];
+      let nextIndex = 0;
+      let completed = 0;
+
+      const runOne = async (id) => {
+        try {
+          assertRealPageId(id);
+          if (this.isExtension) {
+            await request(id);
+          } else {
+            await standaloneRequest(id);
+          }
+          succeeded.push(id);
+        } catch (error) {
+          failed.push({ id, error });
+        }
+        completed += 1;
+        try { onProgress?.({ completed, total: pageIds.length }); } catch { /* progress UI must not break the batch */ }
+      };
+
+      const worker = async () => {
+        while (nextIndex < pageIds.length) {
+          const id = pageIds[nextIndex];
+          nextIndex += 1;
+          await runOne(id);
+        }
+      };
+      await Promise.all(
+        Array.from({ length: Math.min(BULK_CONCURRENCY, pageIds.length) }, worker)
+      );
+
+      // Keep the caller's order so "the pages that failed" read in the order
+      // the user sees them.
+      const order = new Map(pageIds.map((id, index) => [id, index]));
+      succeeded.sort((a, b) => order.get(a) - order.get(b));
+      failed.sort((a, b) => order.get(a.id) - order.get(b.id));
+
+      if (failed.length) {
+        console.error(`[${context}] ${failed.length} of ${pageIds.length} pages failed:`, failed[0].error);
+        window.SentryHelpers?.captureError(failed[0].error, {
+          context,
+          failed: failed.length,
+          total: pageIds.length
+        });
+      }
+
+      if (this.isExtension && succeeded.length) {
+        await invalidate();
+      }
+
+      return { succeeded, failed };
+    },
+
+    async bulkDeletePages(ids, { onProgress } = {}) {
+      return this._runBulkPageAction(ids, {
+        context: 'bulkDeletePages',
+        onProgress,
+        request: id => this._fetchWithAuth('', { id }, { method: 'DELETE' }),
+        standaloneRequest: id => deleteStandalonePage(id),
+        // Same surfaces as deletePage: saved pages and domain counts.
+        invalidate: () => Promise.all([
+          this.invalidateCache(),
+          this.invalidateDomainsCache()
+        ])
+      });
+    },
+
+    async bulkPinPages(ids, pinned, { onProgress } = {}) {
+      return this._runBulkPageAction(ids, {
+        context: 'bulkPinPages',
+        onProgress,
+        request: id => this._fetchWithAuth('/pin', null, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ id, pinned })
+        }),
+        standaloneRequest: id => pinStandalonePage(id, pinned),
+        invalidate: () => this.invalidateCache()
+      });
+    },
+
+    // The same partial update applied to every page (e.g. { private: true }).
+    async bulkUpdatePages(ids, updates, { onProgress } = {}) {
+      return this._runBulkPageAction(ids, {
+        context: 'bulkUpdatePages',
+        onProgress,
+        request: id => this._fetchWithAuth('/updatePage', null, {
+          method: 'PATCH',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ id, ...updates })
+        }),
+        standaloneRequest: id => updateStandalonePage(id, updates),
+        // As in updatePage, read state doesn't reach the domains list.
+        invalidate: () => Promise.all([
+          this.invalidateCache(),
+          isReadStateOnlyUpdate(updates) ? null : this.invalidateDomainsCache()
+        ])
+      });
+    },
+
+    async bulkAddPagesToProject(projectId, ids, { onProgress } = {}) {
+      return this._runBulkPageAction(ids, {
+        context: 'bulkAddPagesToProject',
+        onProgress,
+        request: pageId => this._fetchWithAuth(`/projects/${encodeURIComponent(projectId)}/pages`, null, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ pageId })
+        }),
+        standaloneRequest: pageId => addStandalonePageToProject(projectId, pageId),
+        invalidate: () => Promise.all([
+          this.invalidateProjectsCache(),
+          this.invalidateCache()
+        ])
+      });
+    },
+
+    async bulkRemovePagesFromProject(projectId, ids, { onProgress } = {}) {
+      return this._runBulkPageAction(ids, {
+        context: 'bulkRemovePagesFromProject',
+        onProgress,
+        request: pageId => this._fetchWithAuth(
+          `/projects/${encodeURIComponent(projectId)}/pages/${encodeURIComponent(pageId)}`,
+          null,
+          { method: 'DELETE' }
+        ),
+        standaloneRequest: pageId => removeStandalonePageFromProject(projectId, pageId),
+        invalidate: () => Promise.all([
+          this.invalidateProjectsCache(),
+          this.invalidateCache()
+        ])
+      });
+    }
+  });
+
+  return API;
+}
@@ -27,6 +27,29 @@ function buildSavedPagesParams(options) {
     params.domain = options.domain;
   }
 
+  // Facet filters from the drawer (page-list-filters.js).
+  if (options.savedAfter) {
+    params.savedAfter = options.savedAfter;
+  }
+
+  if (options.savedBefore) {
+    params.savedBefore = options.savedBefore;
+  }
+
+  ['hasNotes', 'pinned', 'private'].forEach(flag => {
+    if (options[flag] === true) {
+      params[flag] = 'true';
+    }
+  });
+
+  if (options.label) {
+    params.label = options.label;
+  }
+
+  if (options.enrichment) {
+    params.enrichment = options.enrichment;
+  }
+
   if (options.newerThanId) {
     params.newerThanId = options.newerThanId;
   }
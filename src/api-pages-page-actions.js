@@ -4,6 +4,7 @@ import {
   updateStandalonePage
 } from './api-pages-standalone.js';
 import { assertRealPageId } from './pending-saves.js';
+import { isReadStateOnlyUpdate } from './page-read-state.js';
 
 export function applyApiPageActions(API) {
   Object.assign(API, {
@@ -47,9 +48,11 @@ export function applyApiPageActions(API) {
 
             // An update can change classification/title (which feeds the
             // domains list), so invalidate domains alongside saved pages.
+            // Read state only shows on the saved-pages surface, so marking a
+            // page read leaves the domains cache alone.
             await Promise.all([
               this.invalidateCache(),
-              this.invalidateDomainsCache()
+              isReadStateOnlyUpdate(updates) ? null : this.invalidateDomainsCache()
             ]);
             return response;
           },
@@ -37,7 +37,9 @@ function buildProjectsCacheScope(options = {}) {
   };
 }
 
-function buildCreateProjectPayload(project) {
+// The POST /projects body for a new project. Shared with the background's
+// "Save all tabs", which creates projects without the API facade.
+export function buildCreateProjectPayload(project) {
   const payload = {
     name: project.name?.trim()
   };
@@ -58,7 +58,7 @@ export function getStandaloneProjects(options = {}) {
     .filter(project => includeArchived || !project.archived)
     .map(project => ({
       ...project,
-      page_count: pages.filter(page => page.project_ids?.includes(project.id)).length
+      page_count: pages.filter(page => !page.deleted && page.project_ids?.includes(project.id)).length
     }));
 }
 
@@ -100,7 +100,7 @@ export function updateStandaloneProject(projectId, updates) {
   Object.assign(project, updates, { updated_at: new Date().toISOString() });
   return {
     ...project,
-    page_count: (globalThis.MOCK_DATA || []).filter(page => page.project_ids?.includes(projectId)).length
+    page_count: (globalThis.MOCK_DATA || []).filter(page => !page.deleted && page.project_ids?.includes(projectId)).length
   };
 }
 
@@ -134,9 +134,56 @@ export function removeStandalonePageFromProject(projectId, pageId) {
   return page;
 }
 
+// Soft delete, like the backend: the page stays in MOCK_DATA flagged
+// `deleted` so the Trash scope can list and restore it. filterMockData skips
+// deleted pages, so every other list behaves as if it were gone.
 export function deleteStandalonePage(id) {
   debug('Mock delete:', id);
-  const data = globalThis.MOCK_DATA;
+  const page = (globalThis.MOCK_DATA || []).find(entry => entry.id === id);
+  if (page) {
+    page.deleted = true;
+    page.deleted_at = new Date().toISOString();
+  }
+  return { success: true };
+}
+
+// Most recently deleted first, the order the Trash scope lists them in.
+export function getStandaloneDeletedPages(options = {}) {
+  const deletedPages = (globalThis.MOCK_DATA || [])
+    .filter(page => page.deleted === true)
+    .sort((a, b) => String(b.deleted_at || '').localeCompare(String(a.deleted_at || '')));
+  const limit = options.limit || 100;
+  const startIndex = options.cursor
+    ? deletedPages.findIndex(page => page.id === options.cursor) + 1
+    : 0;
+  const pages = deletedPages.slice(startIndex, startIndex + limit);
+  const hasNextPage = startIndex + pages.length < deletedPages.length;
+
+  return {
+    pages,
+    pagination: {
+      total: deletedPages.length,
+      hasNextPage,
+      nextCursor: hasNextPage ? pages[pages.length - 1]?.id || null : null
+    },
+    meta: {}
+  };
+}
+
+export function restoreStandalonePage(id) {
+  debug('Mock restore:', id);
+  const page = (globalThis.MOCK_DATA || []).find(entry => entry.id === id && entry.deleted === true);
+  if (!page) {
+    throw new Error('Page not found in trash');
+  }
+  page.deleted = false;
+  delete page.deleted_at;
+  return page;
+}
+
+export function deleteStandalonePageForever(id) {
+  debug('Mock delete forever:', id);
+  const data = globalThis.MOCK_DATA || [];
   const index = data.findIndex(page => page.id === id);
   if (index !== -1) {
     data.splice(index, 1);
@@ -186,6 +233,7 @@ export function getStandaloneDomains() {
   const allPages = globalThis.MOCK_DATA || [];
   const counts = new Map();
   for (const page of allPages) {
+    if (page.deleted) continue;
     const classifications = page.classifications;
     if (!Array.isArray(classifications)) continue;
     for (const c of classifications) {
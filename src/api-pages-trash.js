@@ -0,0 +1,128 @@
+// api-pages-trash.js - Soft-deleted pages: list, restore, delete forever.
+//
+// deletePage is a soft delete on the backend: the doc stays with
+// `deleted: true` and `deleted_at` set, and every list/search endpoint skips
+// it. These methods are the other half — the Trash scope lists those docs and
+// can bring one back or remove it for good.
+//
+// The trash list is deliberately uncached. It is opened rarely, and caching it
+// would mean invalidating it from every delete path as well as from here.
+
+import {
+  deleteStandalonePageForever,
+  getStandaloneDeletedPages,
+  restoreStandalonePage
+} from './api-pages-standalone.js';
+import { normalizePagesResponse } from './api-pages-lists.js';
+import { assertRealPageId } from './pending-saves.js';
+
+function buildDeletedPagesParams(options) {
+  const params = {
+    deleted: 'true',
+    limit: options.limit || 100
+  };
+
+  if (options.cursor) {
+    params.cursor = options.cursor;
+  }
+
+  return params;
+}
+
+export function applyApiTrash(API) {
+  Object.assign(API, {
+    async getDeletedPages(options = {}) {
+      if (this.isExtension) {
+        return this._executeWithErrorHandling(
+          async () => {
+            const data = await this._fetchWithAuth('', buildDeletedPagesParams(options));
+            return normalizePagesResponse(data, 'getDeletedPages');
+          },
+          'getDeletedPages',
+          { options }
+        );
+      }
+
+      return getStandaloneDeletedPages(options);
+    },
+
+    async restorePage(id) {
+      assertRealPageId(id);
+      if (this.isExtension) {
+        return this._executeWithErrorHandling(
+          async () => {
+            const response = await this._fetchWithAuth('/restore', null, {
+              method: 'POST',
+              headers: {
+                'Content-Type': 'application/json'
+              },
+              body: JSON.stringify({ id })
+            });
+
+            // A restored page is back in the saved-pages list, its domain's
+            // count and its projects' counts.
+            await Promise.all([
+              this.invalidateCache(),
+              this.invalidateDomainsCache(),
+              this.invalidateProjectsCache()
+            ]);
+            return response;
+          },
+          'restorePage',
+          { id }
+        );
+      }
+
+      return restoreStandalonePage(id);
+    },
+
+    // Hard delete. Only meaningful for a page already in the trash, so no list
+    // cache changes — the page wasn't in any of them.
+    async deletePageForever(id) {
+      assertRealPageId(id);
+      if (this.isExtension) {
+        return this._executeWithErrorHandling(
+          async () => this._fetchWithAuth('', { id, permanent: 'true' }, {
+            method: 'DELETE'
+          }),
+          'deletePageForever',
+          { id }
+        );
+      }
+
+      return deleteStandalonePageForever(id);
+    },
+
+    async bulkRestorePages(ids, { onProgress } = {}) {
+      return this._runBulkPageAction(ids, {
+        context: 'bulkRestorePages',
+        onProgress,
+        request: id => this._fetchWithAuth('/restore', null, {
+          method: 'POST',
+          headers: {
+            'Content-Type': 'application/json'
+          },
+          body: JSON.stringify({ id })
+        }),
+        standaloneRequest: id => restoreStandalonePage(id),
+        invalidate: () => Promise.all([
+          this.invalidateCache(),
+          this.invalidateDomainsCache(),
+          this.invalidateProjectsCache()
+        ])
+      });
+    },
+
+    async bulkDeletePagesForever(ids, { onProgress } = {}) {
+      return this._runBulkPageAction(ids, {
+        context: 'bulkDeletePagesForever',
+        onProgress,
+        request: id => this._fetchWithAuth('', { id, permanent: 'true' }, { method: 'DELETE' }),
+        standaloneRequest: id => deleteStandalonePageForever(id),
+        invalidate: async () => {}
+      });
+    }
+  });
+
+  return API;
+}
@@ -1,15 +1,19 @@
 // api-pages.js - Saved-page API facade composed from smaller page/project modules
 
+import { applyApiBulkActions } from './api-pages-bulk.js';
 import { applyApiDomains } from './api-pages-domains.js';
 import { applyApiImport } from './api-pages-import.js';
 import { applyApiPageActions } from './api-pages-page-actions.js';
 import { applyApiPagesLists } from './api-pages-lists.js';
 import { applyApiProjects } from './api-pages-projects.js';
+import { applyApiTrash } from './api-pages-trash.js';
 
 export function applyApiPages(API) {
   applyApiPagesLists(API);
   applyApiProjects(API);
   applyApiPageActions(API);
+  applyApiBulkActions(API);
+  applyApiTrash(API);
   applyApiImport(API);
   applyApiDomains(API);
   return API;
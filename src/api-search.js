@@ -1,4 +1,10 @@
 // api-search.js - Semantic tag, similar-items, and content search helpers
+//
+// Tag and similar-items lookups start from embeddings the client may already
+// hold. A page that has them attaches a local vector search
+// (setLocalVectorSearch), which answers those two first; the backend is asked
+// only when it can't, including while the client holds only part of the
+// library. Free-text content search always needs the backend.
 
 import { debug } from './config.js';
 
@@ -42,7 +48,7 @@ function mockSemanticTagSearch(label) {
     related_matches: []
   };
 
-  globalThis.MOCK_DATA.forEach(page => {
+  globalThis.MOCK_DATA.filter(page => !page.deleted).forEach(page => {
     const pageTags = getPageTags(page);
     const similarity = calculateTagSimilarity(pageTags, label);
 
@@ -64,7 +70,7 @@ function mockSemanticTagSearch(label) {
   return results;
 }
 
-function mockSimilarByThingId(thingId, limit, offset) {
+function mockSimilarByThingId(thingId, limit, offset, classificationLabel = null) {
   debug('Mock similar search for thing:', thingId);
   const sourceThing = globalThis.MOCK_DATA.find(page => page.id === thingId);
   if (!sourceThing) {
@@ -77,7 +83,9 @@ function mockSimilarByThingId(thingId, limit, offset) {
 
   const sourceTags = getPageTags(sourceThing, true);
   const similar = globalThis.MOCK_DATA
-    .filter(page => page.id !== thingId)
+    .filter(page => page.id !== thingId && !page.deleted)
+    .filter(page => !classificationLabel
+      || (page.classifications || []).some(classification => classification?.label === classificationLabel))
     .map(page => {
       const pageTags = getPageTags(page, true);
       const overlap = sourceTags.filter(tag => pageTags.includes(tag)).length;
@@ -164,7 +172,26 @@ function mockSearchContent(query, limit, offset, threshold) {
 }
 
 export function applyApiSearch(API) {
+  API._localVectorSearch = null;
+
   Object.assign(API, {
+    setLocalVectorSearch(localVectorSearch) {
+      this._localVectorSearch = localVectorSearch || null;
+    },
+
+    // The local answer for `method`, or null to fall through to the backend.
+    async _searchLocally(method, ...args) {
+      if (typeof this._localVectorSearch?.[method] !== 'function') {
+        return null;
+      }
+      try {
+        return await this._localVectorSearch[method](...args);
+      } catch (error) {
+        console.warn(`[${method}] Local search failed, asking the server:`, error);
+        return null;
+      }
+    },
+
     _getPageTags(page, lowercase = false) {
       return getPageTags(page, lowercase);
     },
@@ -182,6 +209,11 @@ export function applyApiSearch(API) {
     },
 
     async searchByTag(label) {
+      const local = await this._searchLocally('searchByLabel', label);
+      if (local) {
+        return local;
+      }
+
       if (this.isExtension) {
         return this._executeWithErrorHandling(
           async () => this._fetchTagSearchFromCloudFunction(label),
@@ -207,11 +239,16 @@ export function applyApiSearch(API) {
       return await this._fetchWithAuth('', params);
     },
 
-    _mockGetSimilarByThingId(thingId, limit, offset) {
-      return mockSimilarByThingId(thingId, limit, offset);
+    _mockGetSimilarByThingId(thingId, limit, offset, classificationLabel = null) {
+      return mockSimilarByThingId(thingId, limit, offset, classificationLabel);
     },
 
     async getSimilarByThingId(thingId, limit = 50, offset = 0, classificationLabel = null) {
+      const local = await this._searchLocally('similarToPage', thingId, { limit, offset, classificationLabel });
+      if (local) {
+        return local;
+      }
+
       if (this.isExtension) {
         return this._executeWithErrorHandling(
           async () => this._fetchSimilarFromCloudFunction(thingId, limit, offset, classificationLabel),
@@ -220,7 +257,7 @@ export function applyApiSearch(API) {
         );
       }
 
-      return this._mockGetSimilarByThingId(thingId, limit, offset);
+      return this._mockGetSimilarByThingId(thingId, limit, offset, classificationLabel);
     },
 
     async searchContent(query, options = {}) {
@@ -0,0 +1,229 @@
+// archive-store.js - Local copies of saved pages, kept in this browser.
+//
+// Two kinds of copy, one object store each:
+//   snapshots — archive mode's full-page HTML snapshots (page-archive.js)
+//     { key, page_id, url, title, html, captured_at }
+//   articles  — the Readability article captured with every save, which the
+//     reader view renders (page-capture.js)
+//     { key, page_id, url, title, byline, site_name, published_time, lang,
+//       content_html, captured_at }
+// Both are far too large for storage.local, so they live in IndexedDB, which
+// the background service worker and the extension pages share (same
+// extension origin).
+//
+// Records are keyed by page id, but the id doesn't exist yet when the page is
+// saved — the backend assigns it during enrichment. The background therefore
+// stores a new copy under a provisional "url:<normalized url>" key, and the
+// extension pages claim it for the page id the first time they see the real
+// page. Saving the same URL again replaces the provisional copy, and the next
+// claim replaces the page's copy with it. A copy nothing claims (a save the
+// backend rejected, a page deleted elsewhere before this browser saw it)
+// would stay forever, so only the newest MAX_PROVISIONAL_COPIES per store
+// are kept, and deleting a page forever drops its copies (deleteCopies).
+//
+// Archive mode itself is one opt-in toggle in storage.local, read by the
+// background at save time. Articles are always kept.
+
+import { normalizeUrl } from './bookmark-reader.js';
+
+export const ARCHIVE_MODE_KEY = 'saveit_archiveMode';
+
+const ARCHIVE_DB_NAME = 'saveit-archive';
+// v2 added the articles store, v3 the provisional index.
+const ARCHIVE_DB_VERSION = 3;
+const SNAPSHOTS_STORE = 'snapshots';
+const ARTICLES_STORE = 'articles';
+const PROVISIONAL_KEY_PREFIX = 'url:';
+// Indexes provisional records by when they were stored. Claimed records drop
+// the field, and IndexedDB leaves records without it out of the index.
+const PROVISIONAL_INDEX = 'provisional_at';
+// Unclaimed copies kept per store; older ones are dropped. Snapshots can run
+// to megabytes each.
+const MAX_PROVISIONAL_COPIES = 50;
+
+export async function isArchiveModeEnabled(storage) {
+  if (!storage?.get) {
+    return false;
+  }
+  const result = await storage.get(ARCHIVE_MODE_KEY);
+  return result?.[ARCHIVE_MODE_KEY] === true;
+}
+
+export async function setArchiveModeEnabled(storage, enabled) {
+  if (!storage?.set) {
+    return;
+  }
+  await storage.set({ [ARCHIVE_MODE_KEY]: enabled === true });
+}
+
+function getProvisionalKey(url) {
+  return `${PROVISIONAL_KEY_PREFIX}${normalizeUrl(url)}`;
+}
+
+function requestToPromise(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error || new Error('IndexedDB request failed'));
+  });
+}
+
+function transactionDone(transaction) {
+  return new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error || new Error('IndexedDB transaction failed'));
+    transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+  });
+}
+
+export function createArchiveStore({ indexedDBFactory = globalThis.indexedDB } = {}) {
+  let dbPromise = null;
+
+  function openDb() {
+    if (!indexedDBFactory?.open) {
+      return Promise.reject(new Error('IndexedDB is not available'));
+    }
+    if (!dbPromise) {
+      const request = indexedDBFactory.open(ARCHIVE_DB_NAME, ARCHIVE_DB_VERSION);
+      request.onupgradeneeded = () => {
+        [SNAPSHOTS_STORE, ARTICLES_STORE].forEach((storeName) => {
+          const store = request.result.objectStoreNames.contains(storeName)
+            ? request.transaction.objectStore(storeName)
+            : request.result.createObjectStore(storeName, { keyPath: 'key' });
+          if (!store.indexNames.contains(PROVISIONAL_INDEX)) {
+            store.createIndex(PROVISIONAL_INDEX, 'provisional_at');
+          }
+        });
+      };
+      dbPromise = requestToPromise(request).catch((error) => {
+        // Let the next call try again rather than caching the failure.
+        dbPromise = null;
+        throw error;
+      });
+    }
+    return dbPromise;
+  }
+
+  async function withStore(storeName, mode, run) {
+    const db = await openDb();
+    const transaction = db.transaction(storeName, mode);
+    const done = transactionDone(transaction);
+    const result = await run(transaction.objectStore(storeName));
+    await done;
+    return result;
+  }
+
+  // Store a copy under its provisional key, then drop the oldest unclaimed
+  // copies past the cap.
+  function putProvisional(storeName, record) {
+    const now = Date.now();
+    return withStore(storeName, 'readwrite', async (store) => {
+      await requestToPromise(store.put({
+        ...record,
+        key: getProvisionalKey(record.url),
+        page_id: null,
+        captured_at: record.captured_at || new Date(now).toISOString(),
+        provisional_at: now
+      }));
+      // Index order is oldest first.
+      const keys = await requestToPromise(store.index(PROVISIONAL_INDEX).getAllKeys());
+      const excess = keys.slice(0, Math.max(0, keys.length - MAX_PROVISIONAL_COPIES));
+      await Promise.all(excess.map(key => requestToPromise(store.delete(key))));
+    });
+  }
+
+  // The page's record, claiming a provisional one for its URL on the way: it
+  // moves to the page id in one transaction, so later lookups are by key.
+  // `load: false` answers with just the key, for callers that only need to
+  // know a copy exists.
+  function claim(storeName, page, { load = true } = {}) {
+    if (!page?.id) {
+      return Promise.resolve(null);
+    }
+    return withStore(storeName, 'readwrite', async (store) => {
+      const provisionalKey = page.url ? getProvisionalKey(page.url) : null;
+      const provisional = provisionalKey ? await requestToPromise(store.get(provisionalKey)) : null;
+      if (provisional) {
+        const record = { ...provisional, key: page.id, page_id: page.id };
+        delete record.provisional_at;
+        await requestToPromise(store.put(record));
+        await requestToPromise(store.delete(provisionalKey));
+        return load ? record : page.id;
+      }
+      if (!load) {
+        return (await requestToPromise(store.count(page.id))) > 0 ? page.id : null;
+      }
+      return (await requestToPromise(store.get(page.id))) || null;
+    });
+  }
+
+  // Background, at save time: keep the snapshot until the page has an id.
+  function putProvisionalSnapshot(snapshot) {
+    if (!snapshot?.url || typeof snapshot.html !== 'string') {
+      return Promise.resolve();
+    }
+    return putProvisional(SNAPSHOTS_STORE, {
+      url: snapshot.url,
+      title: snapshot.title || '',
+      html: snapshot.html,
+      captured_at: snapshot.captured_at
+    });
+  }
+
+  // The page id to open this page's archived copy with, or null when there is
+  // none.
+  function resolveSnapshotId(page) {
+    return claim(SNAPSHOTS_STORE, page, { load: false });
+  }
+
+  function getSnapshot(pageId) {
+    if (!pageId) {
+      return Promise.resolve(null);
+    }
+    return withStore(SNAPSHOTS_STORE, 'readonly', async store => (await requestToPromise(store.get(pageId))) || null);
+  }
+
+  // Background, at save time: the article the reader view will show.
+  function putProvisionalArticle(article) {
+    if (!article?.url || typeof article.content_html !== 'string') {
+      return Promise.resolve();
+    }
+    return putProvisional(ARTICLES_STORE, {
+      url: article.url,
+      title: article.title || '',
+      byline: article.byline || null,
+      site_name: article.site_name || null,
+      published_time: article.published_time || null,
+      lang: article.lang || null,
+      content_html: article.content_html,
+      captured_at: article.captured_at
+    });
+  }
+
+  // The reader's article for `page` ({ id, url }), or null when this browser
+  // never captured one.
+  function getArticle(page) {
+    return claim(ARTICLES_STORE, page);
+  }
+
+  // Drop this browser's copies of a page deleted forever. Unclaimed copies
+  // have no page id to find them by; the cap takes care of those.
+  async function deleteCopies(pageId) {
+    if (!pageId) {
+      return;
+    }
+    await Promise.all([SNAPSHOTS_STORE, ARTICLES_STORE].map(storeName => withStore(
+      storeName,
+      'readwrite',
+      store => requestToPromise(store.delete(pageId))
+    )));
+  }
+
+  return {
+    deleteCopies,
+    getArticle,
+    getSnapshot,
+    putProvisionalArticle,
+    putProvisionalSnapshot,
+    resolveSnapshotId
+  };
+}
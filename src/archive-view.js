@@ -0,0 +1,54 @@
+// archive-view.js - Show one archive-mode snapshot (see archive-store.js).
+//
+// Opened from a card's "Open archived copy" action as
+// archive-view.html?id=<page id>. The snapshot HTML goes into a sandboxed
+// iframe via srcdoc; its scripts were stripped at capture time, and the
+// sandbox would refuse to run any that slipped through.
+
+import { createArchiveStore } from './archive-store.js';
+import { formatSavedDate } from './newtab-shared.js';
+
+export async function showArchivedCopy({
+  documentObj = document,
+  archiveStore = createArchiveStore(),
+  locationSearch = globalThis.location?.search || ''
+} = {}) {
+  const status = documentObj.getElementById('archive-view-status');
+  const liveLink = documentObj.getElementById('archive-view-live-link');
+  const frame = documentObj.getElementById('archive-view-frame');
+  const pageId = new URLSearchParams(locationSearch).get('id');
+
+  let snapshot = null;
+  try {
+    snapshot = pageId ? await archiveStore.getSnapshot(pageId) : null;
+  } catch (error) {
+    console.warn('[archive-view] Could not read the archived copy:', error?.message || error);
+  }
+
+  if (!snapshot) {
+    if (status) {
+      status.textContent = 'No archived copy of this page is stored in this browser.';
+    }
+    return false;
+  }
+
+  const capturedDate = formatSavedDate(snapshot.captured_at);
+  documentObj.title = `${snapshot.title || snapshot.url} (archived)`;
+  if (status) {
+    status.textContent = `Archived copy of ${snapshot.url}${capturedDate ? `, captured ${capturedDate}` : ''}`;
+    status.title = snapshot.url;
+  }
+  if (liveLink) {
+    liveLink.href = snapshot.url;
+    liveLink.classList.remove('hidden');
+  }
+  if (frame) {
+    frame.srcdoc = snapshot.html;
+    frame.classList.remove('hidden');
+  }
+  return true;
+}
+
+if (typeof document !== 'undefined' && document.getElementById('archive-view-frame')) {
+  void showArchivedCopy();
+}
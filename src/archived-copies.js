@@ -0,0 +1,96 @@
+// archived-copies.js - "Open archived copy" on cards whose live page is gone.
+//
+// A card only offers its archived copy when two things hold: archive mode
+// stored a snapshot for the page (archive-store.js), and the page's URL no
+// longer answers. Reachability is probed once per page per newtab, and only
+// for pages that have a snapshot, so browsing the list costs a key lookup per
+// card and a request per archived page at most.
+
+import { isOptimisticPage } from './pending-saves.js';
+
+const PROBE_TIMEOUT_MS = 10000;
+
+// Whether `url` answers at all. A no-cors HEAD needs no host permission and
+// resolves with an opaque response for any HTTP status — so a 404 still
+// counts as reachable — and rejects on DNS failure, refused connections,
+// TLS errors and the like. A probe that outlasts the timeout counts as down.
+export async function probeUrlReachable(url, {
+  fetchFn = globalThis.fetch?.bind(globalThis),
+  timeoutMs = PROBE_TIMEOUT_MS
+} = {}) {
+  if (!fetchFn) {
+    return true;
+  }
+  const controller = typeof AbortController === 'function' ? new AbortController() : null;
+  const timer = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+  try {
+    await fetchFn(url, {
+      method: 'HEAD',
+      mode: 'no-cors',
+      cache: 'no-store',
+      credentials: 'omit',
+      redirect: 'follow',
+      signal: controller?.signal
+    });
+    return true;
+  } catch {
+    return false;
+  } finally {
+    if (timer) {
+      clearTimeout(timer);
+    }
+  }
+}
+
+export function createArchivedCopyTracker({
+  archiveStore,
+  probeUrl = probeUrlReachable,
+  onChange = () => {},
+  windowObj = globalThis.window
+}) {
+  const checkedPageIds = new Set();
+  const unreachablePageIds = new Set();
+
+  async function checkPage(page) {
+    try {
+      const snapshotId = await archiveStore.resolveSnapshotId(page);
+      if (!snapshotId || await probeUrl(page.url)) {
+        return;
+      }
+      unreachablePageIds.add(page.id);
+      onChange(page.id);
+    } catch (error) {
+      console.warn('[archived-copies] Could not check archived copy:', error?.message || error);
+    }
+  }
+
+  // Check every page not seen yet. Fire-and-forget: cards gain the action
+  // through onChange as results come in.
+  function track(pages = []) {
+    if (!archiveStore) {
+      return;
+    }
+    (Array.isArray(pages) ? pages : []).forEach((page) => {
+      if (!page?.id || !page.url || isOptimisticPage(page) || checkedPageIds.has(page.id)) {
+        return;
+      }
+      checkedPageIds.add(page.id);
+      void checkPage(page);
+    });
+  }
+
+  function isAvailable(pageId) {
+    return unreachablePageIds.has(pageId);
+  }
+
+  // The viewer page reads the snapshot from IndexedDB itself; the id is all
+  // it needs.
+  function open(pageId) {
+    if (!pageId) {
+      return;
+    }
+    windowObj?.open(`archive-view.html?id=${encodeURIComponent(pageId)}`, '_blank', 'noopener');
+  }
+
+  return { isAvailable, open, track };
+}
@@ -1,17 +1,39 @@
 // background.js - Service worker for the Newtab extension (manifest v3)
 import { CONFIG } from './config.js';
 import { createBackgroundAuth } from './background-auth.js';
-import { getCurrentUserId as getSessionUserId } from './session-store.js';
+import { getCurrentUserId as getSessionUserId, getSessionToken } from './session-store.js';
 import { CacheManager } from './cache-manager.js';
 import { ProjectsStore } from './projects-store.js';
-import { markToolbarSaveCachesStale } from './saved-pages-cache.js';
+import { markSavedPagesCacheStale, markToolbarSaveCachesStale } from './saved-pages-cache.js';
 import { reconcile, mirrorSavedPage, removeMirror } from './bookmark-mirror.js';
 import { getMirrorState, setMirrorEnabled } from './bookmark-mirror-settings.js';
 import { createLogger, getSafePageContext } from './telemetry.js';
-import { capturePageContent } from './page-capture-injector.js';
-import { addPendingSave } from './pending-saves.js';
+import { captureArchiveSnapshot, capturePageContent } from './page-capture-injector.js';
+import { addPendingSave, addPendingSaves, acknowledgePendingSave, assertRealPageId, clearPendingSave } from './pending-saves.js';
+import {
+  enqueueOutboxSave,
+  getDueOutboxSaves,
+  getNextOutboxAttemptAt,
+  isRetryableSaveError,
+  recordOutboxFailure,
+  removeOutboxSave
+} from './save-outbox.js';
+import {
+  SAVE_PAGE_COMMAND,
+  SAVE_TO_LAST_PROJECT_COMMAND,
+  buildSaveContextMenus,
+  getLastUsedProjectId,
+  resolveSaveContextMenuClick,
+  setLastUsedProjectId
+} from './save-shortcuts.js';
+import { parseSaveLinkInput } from './save-link.js';
+import { buildSessionProjectName, collectWindowTabBookmarks } from './save-window-tabs.js';
+import { getStoredHighlights, mergeHighlights, storeHighlights } from './page-highlights.js';
+import { createArchiveStore, isArchiveModeEnabled } from './archive-store.js';
+import { getReadStateUpdates } from './page-read-state.js';
 import { applySessionRotation, parseErrorResponse } from './api-core.js';
 import { requestWithAuth } from './api-transport.js';
+import { buildCreateProjectPayload } from './api-pages-projects.js';
 import { PROJECTS_CACHE_PREFIX, migrateProjectsCacheKeys, migrateDomainsCacheKeys } from './cache-keys.js';
 
 const logger = createLogger('background');
@@ -111,13 +133,16 @@ const backgroundAuth = createBackgroundAuth({
 
 /**
  * Show visual feedback on the extension icon
- * @param {string} type - 'success' or 'error'
+ * @param {string} type - 'success', 'queued' or 'error'
  * @param {number} duration - How long to show the badge (ms)
  */
 async function showBadgeFeedback(type, duration = 2000) {
   if (type === 'success') {
     await browserApi.action.setBadgeText({ text: '✓' });
     await browserApi.action.setBadgeBackgroundColor({ color: '#4CAF50' });
+  } else if (type === 'queued') {
+    await browserApi.action.setBadgeText({ text: '↻' });
+    await browserApi.action.setBadgeBackgroundColor({ color: '#F59E0B' });
   } else if (type === 'error') {
     await browserApi.action.setBadgeText({ text: '✗' });
     await browserApi.action.setBadgeBackgroundColor({ color: '#F44336' });
@@ -170,6 +195,10 @@ const toolbarProjectsCacheManager = new CacheManager(
   }
 );
 
+// Reader articles and archive-mode snapshots (IndexedDB). Opened lazily on the
+// first save that has something to keep.
+const archiveStore = createArchiveStore();
+
 const toolbarProjectsStore = new ProjectsStore({
   isExtension: true,
   async getProjects() {
@@ -205,7 +234,16 @@ async function fetchBackgroundApi(path = '', { method = 'GET', body, params } =
     // The shared transport passes body through verbatim and sets Content-Type,
     // so pre-serialize here (callers pass plain objects, not JSON strings).
     body: body !== undefined ? JSON.stringify(body) : undefined,
-    getIdToken: async () => (await getAuthenticatedSession()).idToken,
+    getIdToken: async () => {
+      try {
+        return (await getAuthenticatedSession()).idToken;
+      } catch (error) {
+        // Sign-in failed, not the request: a save must not be queued as if
+        // the network were down (see shouldRetrySave).
+        error.authFailed = true;
+        throw error;
+      }
+    },
     onRotation: (res) => applySessionRotation(res, { logger }),
     parseError: parseErrorResponse
   });
@@ -258,6 +296,12 @@ const POST_SAVE_RECONCILE_DELAY_MIN = 0.5; // 30s
 
 let postSaveReconcileArmed = false;
 
+// Offline save outbox retry (see save-outbox.js). One alarm, re-armed after
+// every drain for the earliest queued attempt. Chrome won't fire an alarm
+// sooner than 30s out, so clamp to that rather than let it silently round.
+const SAVE_OUTBOX_ALARM = 'saveOutbox-retry';
+const SAVE_OUTBOX_MIN_DELAY_MS = 30 * 1000;
+
 function schedulePostSaveReconcile() {
   if (postSaveReconcileArmed) {
     return; // already armed this burst — collapse into one reconcile
@@ -301,6 +345,8 @@ function registerMirrorAlarms() {
     } else if (alarm?.name === POST_SAVE_RECONCILE_ALARM) {
       postSaveReconcileArmed = false;
       void runMirrorReconcile({ forceFull: false });
+    } else if (alarm?.name === SAVE_OUTBOX_ALARM) {
+      void drainSaveOutbox();
     }
   });
 }
@@ -324,8 +370,13 @@ browserApi.runtime.onInstalled?.addListener(() => {
 });
 
 // Also register on every background startup so the alarm survives SW restarts
-// even without an install event.
-browserApi.runtime.onStartup?.addListener(registerMirrorAlarms);
+// even without an install event. A browser restart is also the likeliest
+// moment for saves queued offline to become deliverable, so drain the outbox
+// straight away rather than waiting for its alarm.
+browserApi.runtime.onStartup?.addListener(() => {
+  registerMirrorAlarms();
+  void drainSaveOutbox();
+});
 registerMirrorAlarms();
 
 function getUserSaveErrorMessage(error) {
@@ -384,44 +435,55 @@ async function getActiveTab() {
   return tab;
 }
 
-async function getToolbarProjects() {
-  const snapshot = await toolbarProjectsStore.hydrate();
-  const projects = snapshot.projects || snapshot.allPages || [];
+function getLiveProjects(snapshot) {
+  const projects = snapshot?.projects || snapshot?.allPages || [];
   return Array.isArray(projects)
     ? projects.filter(project => project?.archived !== true)
     : [];
 }
 
+async function getToolbarProjects() {
+  return getLiveProjects(await toolbarProjectsStore.hydrate());
+}
+
 // Build the POST payload. Extracted so the payload shape is unit-testable
 // without mocking the full save flow. source is always 'client' for single
 // saves — the browser captured the page the user was viewing. The client
 // object is the capturePageContent result (success or failure-shape); the
-// backend uses capture_method to decide basic vs enriched mode.
-export function buildPageData(tab, { projectId = null, client }) {
+// backend uses capture_method to decide basic vs enriched mode. highlights
+// is every highlight made on the page so far (see page-highlights.js), sent
+// only when there are any.
+export function buildPageData(tab, { projectId = null, client, highlights = [] }) {
   return {
     url: tab.url,
     title: tab.title,
     saved_at: new Date().toISOString(),
     ...(projectId ? { projectId } : {}),
+    ...(highlights.length ? { highlights } : {}),
     source: 'client',
     client
   };
 }
 
-async function savePageFromTab(tab, { projectId = null } = {}) {
-  // Capture page content from the active tab before building the payload.
-  // The user is logged in here, so this is the authoritative source for
-  // title/description/content. On failure, capturePageContent returns a
-  // failure-shape object — the save proceeds, enrichment is skipped.
-  const client = await capturePageContent(tab.id);
-
-  const pageData = buildPageData(tab, { projectId, client });
-
-  logger.log('Sending page save request', {
-    ...getSafePageContext(tab.url, tab.title),
-    hasProjectId: Boolean(projectId)
-  });
+// Build the POST payload for a link saved without visiting it (context menu,
+// popup or new-tab paste box). With no tab there is no client capture, so
+// source 'jina' asks the backend to fetch the title and content itself — the
+// same path bulk imports take. A title is only sent when the caller has a real
+// one; otherwise the backend's fetched title wins.
+export function buildLinkData(url, { title = null, projectId = null } = {}) {
+  return {
+    url,
+    ...(title && title !== url ? { title } : {}),
+    saved_at: new Date().toISOString(),
+    ...(projectId ? { projectId } : {}),
+    source: 'jina'
+  };
+}
 
+// POST a save payload. Shared by the inline attempt in deliverPageSave and the
+// outbox drain. Throws on failure; shouldRetrySave decides from the error
+// whether the save stays queued.
+async function postPageSave(pageData) {
   const data = await fetchBackgroundApi('', {
     method: 'POST',
     body: pageData
@@ -432,9 +494,55 @@ async function savePageFromTab(tab, { projectId = null } = {}) {
   // etc.) — treat that as a failure rather than toasting "Page saved!" and
   // writing a pending-save tile for a save the backend may never have accepted.
   if (!data) {
-    throw new Error('Save failed: the server returned an empty or unparseable response.');
+    const error = new Error('Save failed: the server returned an empty or unparseable response.');
+    // Retrying could double-save a page the backend did accept, so this is
+    // surfaced to the user rather than left in the outbox.
+    error.retryable = false;
+    throw error;
   }
 
+  return data;
+}
+
+// Whether a failed delivery should stay in the outbox. See postPageSave for
+// the unparseable-response carve-out; a failed sign-in is reported, never
+// queued.
+function shouldRetrySave(error) {
+  return error?.retryable !== false && !error?.authFailed && isRetryableSaveError(error);
+}
+
+// Whether a failure is the session's rather than the save's: a failed
+// sign-in, or a 401/403 for an expired or revoked token.
+function isSessionFailure(error) {
+  return Boolean(error?.authFailed) || error?.status === 401 || error?.status === 403;
+}
+
+// Arm the outbox retry alarm for the earliest queued attempt, or clear it when
+// the outbox is empty. Alarms (not setTimeout) because MV3 service workers are
+// torn down when idle; only an alarm reliably wakes the worker to retry.
+async function scheduleSaveOutboxDrain() {
+  const storage = getBackgroundStorage();
+  if (!storage || !browserApi.alarms?.create) {
+    return;
+  }
+
+  const nextAttemptAt = await getNextOutboxAttemptAt(storage);
+  if (nextAttemptAt === null) {
+    if (browserApi.alarms.clear) {
+      await browserApi.alarms.clear(SAVE_OUTBOX_ALARM).catch(() => {});
+    }
+    return;
+  }
+
+  browserApi.alarms.create(SAVE_OUTBOX_ALARM, {
+    when: Math.max(nextAttemptAt, Date.now() + SAVE_OUTBOX_MIN_DELAY_MS)
+  });
+}
+
+// Side effects of a save the server has acknowledged, shared by the inline
+// path and the outbox drain. Each step is best-effort — the save already
+// landed, so a cache/pending/mirror failure must never turn it into an error.
+async function handleSaveAcknowledged(pageData, data) {
   logger.log('Page saved successfully');
 
   if (data?.request_id) {
@@ -456,22 +564,13 @@ async function savePageFromTab(tab, { projectId = null } = {}) {
     logger.error('Failed to mark cache stale', cacheError);
   }
 
-  // Write a pending-save record so newtab can render an optimistic tile
-  // immediately (the backend's async enrichment hasn't written the real doc
-  // yet). The realtime SSE stream signals when enrichment completes; the
-  // newtab page clears the tile via the 'realtimePageEnriched' relay. This
-  // is best-effort — a failure here must never break a successful save.
+  // The optimistic tile was written as queued when the save entered the
+  // outbox. Now that the backend has it, start the tile's normal TTL; the
+  // realtime 'realtimePageEnriched' relay clears it once enrichment lands.
   try {
-    await addPendingSave(browserApi.storage.local, {
-      url: tab.url,
-      title: client.title || tab.title,
-      description: client.description || null,
-      image: client.image || null,
-      saved_at: pageData.saved_at,
-      project_ids: projectId ? [projectId] : []
-    });
+    await acknowledgePendingSave(browserApi.storage.local, pageData.url);
   } catch (pendingError) {
-    logger.error('Failed to write pending-save record', pendingError);
+    logger.error('Failed to acknowledge pending-save record', pendingError);
   }
 
   // Best-effort bookmark mirror. On-save creates the bookmark immediately so
@@ -483,9 +582,9 @@ async function savePageFromTab(tab, { projectId = null } = {}) {
       bookmarksApi: browserApi.bookmarks,
       storage: browserApi.storage.local,
       api: mirrorApi,
-      url: tab.url,
-      title: tab.title,
-      projectId
+      url: pageData.url,
+      title: pageData.title,
+      projectId: pageData.projectId || null
     });
     if (result.created) {
       schedulePostSaveReconcile();
@@ -493,6 +592,283 @@ async function savePageFromTab(tab, { projectId = null } = {}) {
   } catch (mirrorError) {
     logger.error('Bookmark mirror create failed', mirrorError);
   }
+}
+
+// A queued save the server rejected outright: drop it from the outbox and the
+// optimistic tile so neither retries nor lingers.
+async function discardQueuedSave(url) {
+  const storage = getBackgroundStorage();
+  await removeOutboxSave(storage, url).catch((error) => {
+    logger.error('Failed to remove outbox record', error);
+  });
+  await clearPendingSave(storage, url).catch((error) => {
+    logger.error('Failed to clear pending-save record', error);
+  });
+}
+
+let saveOutboxDrainPromise = null;
+
+// Deliver every due outbox record. Runs from the retry alarm, on browser
+// startup, and after any save that reaches the server (the connection is
+// evidently back). Concurrent calls share one in-flight drain.
+async function drainSaveOutbox() {
+  if (saveOutboxDrainPromise) {
+    return saveOutboxDrainPromise;
+  }
+
+  saveOutboxDrainPromise = (async () => {
+    const storage = getBackgroundStorage();
+    if (!storage) {
+      return { delivered: 0 };
+    }
+
+    // An alarm must never pop the interactive OAuth window that
+    // getAuthenticatedSession falls back to. Without a session, leave the
+    // records queued; the next sign-in + save drains them.
+    if (!(await getSessionToken())) {
+      await scheduleSaveOutboxDrain();
+      return { delivered: 0 };
+    }
+
+    let delivered = 0;
+    for (const record of await getDueOutboxSaves(storage)) {
+      try {
+        const data = await postPageSave(record.payload);
+        await removeOutboxSave(storage, record.url);
+        await handleSaveAcknowledged(record.payload, data);
+        delivered += 1;
+      } catch (error) {
+        if (isSessionFailure(error)) {
+          // The session lapsed: as with no session above, leave this record
+          // and the rest queued for the next sign-in rather than dropping
+          // them.
+          break;
+        }
+        if (shouldRetrySave(error)) {
+          const updated = await recordOutboxFailure(storage, record.url, error);
+          logger.warn('Queued save still undeliverable', {
+            ...getSafePageContext(record.url, record.payload?.title),
+            attempts: updated?.attempts ?? null,
+            status: error?.status ?? null
+          });
+          continue;
+        }
+
+        logger.error('Queued save rejected', error, getSafePageContext(record.url, record.payload?.title));
+        await captureBackgroundError(error, {
+          context: 'save-page-outbox',
+          surface: 'background',
+          ...getSafePageContext(record.url, record.payload?.title)
+        });
+        await discardQueuedSave(record.url);
+        browserApi.notifications.create({
+          type: 'basic',
+          iconUrl: 'icon.png',
+          title: 'Newtab - Error',
+          message: `A page saved offline could not be saved: ${getUserSaveErrorMessage(error)}`
+        });
+      }
+    }
+
+    await scheduleSaveOutboxDrain();
+
+    if (delivered > 0) {
+      browserApi.notifications.create({
+        type: 'basic',
+        iconUrl: 'icon.png',
+        title: 'Newtab',
+        message: delivered === 1
+          ? 'Saved 1 page that was waiting for a connection.'
+          : `Saved ${delivered} pages that were waiting for a connection.`
+      });
+    }
+
+    return { delivered };
+  })()
+    .catch((error) => {
+      logger.error('Save outbox drain failed', error);
+      return { delivered: 0 };
+    })
+    .finally(() => {
+      saveOutboxDrainPromise = null;
+    });
+
+  return saveOutboxDrainPromise;
+}
+
+async function savePageFromTab(tab, { projectId = null } = {}) {
+  // Capture page content from the active tab before building the payload.
+  // The user is logged in here, so this is the authoritative source for
+  // title/description/content. On failure, capturePageContent returns a
+  // failure-shape object — the save proceeds, enrichment is skipped.
+  // The article HTML is for the local reader view only; the backend works
+  // from the text content, so the HTML stays out of the POST.
+  const { content_html: articleHtml = null, ...client } = await capturePageContent(tab.id);
+  const highlights = await collectPageHighlights(tab.url, client.highlights);
+  await storeReaderArticle(tab, client, articleHtml);
+  // The snapshot inlines every stylesheet and image, which can take a while
+  // on a heavy page; it runs alongside the save rather than holding it up,
+  // and logs its own failures.
+  void archivePageSnapshot(tab);
+
+  return deliverPageSave(buildPageData(tab, { projectId, client, highlights }), {
+    title: client.title || tab.title,
+    description: client.description || null,
+    image: client.image || null
+  });
+}
+
+// Keep the captured article for the reader view. Best-effort: pages
+// Readability can't parse have no article, and the reader falls back to the
+// summary and a link.
+async function storeReaderArticle(tab, client, articleHtml) {
+  if (!articleHtml) {
+    return;
+  }
+  try {
+    await archiveStore.putProvisionalArticle({
+      url: tab.url,
+      title: client.title || tab.title,
+      byline: client.byline,
+      site_name: client.site_name,
+      published_time: client.published_time,
+      lang: client.lang,
+      content_html: articleHtml,
+      captured_at: client.captured_at
+    });
+  } catch (error) {
+    logger.warn('Failed to store reader article', error);
+  }
+}
+
+// Archive mode: keep a self-contained copy of the page locally so it can
+// still be read once the live URL is gone. Off unless the user turned it on
+// in Data & sync. Best-effort: a page that can't be snapshotted (chrome://,
+// CSP, too large) is simply saved without one.
+async function archivePageSnapshot(tab) {
+  try {
+    if (!(await isArchiveModeEnabled(getBackgroundStorage()))) {
+      return;
+    }
+    const snapshot = await captureArchiveSnapshot(tab.id);
+    if (!snapshot) {
+      logger.warn('Archive snapshot unavailable', getSafePageContext(tab.url, tab.title));
+      return;
+    }
+    await archiveStore.putProvisionalSnapshot({ ...snapshot, url: tab.url });
+  } catch (error) {
+    logger.warn('Failed to store archive snapshot', error);
+  }
+}
+
+// Merge this save's selection with the page's earlier highlights, and
+// remember the result for the next "Highlight & save". Best-effort: without
+// storage the save still carries this save's own selection.
+async function collectPageHighlights(url, captured = []) {
+  const storage = getBackgroundStorage();
+  try {
+    const highlights = mergeHighlights(await getStoredHighlights(storage, url), captured);
+    if (captured?.length) {
+      await storeHighlights(storage, url, highlights);
+    }
+    return highlights;
+  } catch (error) {
+    logger.warn('Failed to merge page highlights', error);
+    return mergeHighlights([], captured);
+  }
+}
+
+// Save a URL the user never opened. Nothing to capture, so the optimistic
+// tile starts with whatever title the caller had (often none) and fills in
+// when enrichment lands over realtime.
+async function saveLinkUrl(rawUrl, { title = null, projectId = null } = {}) {
+  const url = parseSaveLinkInput(rawUrl);
+  if (!url) {
+    throw new Error('Invalid URL: only http/https links can be saved.');
+  }
+
+  return deliverPageSave(buildLinkData(url, { title, projectId }), {
+    title: title && title !== url ? title : '',
+    description: null,
+    image: null
+  });
+}
+
+// Queue, announce and send one save. `preview` seeds the optimistic tile.
+async function deliverPageSave(pageData, preview) {
+  const { url, title } = pageData;
+  const projectId = pageData.projectId || null;
+  const storage = getBackgroundStorage();
+
+  // Remember the project for the "save to last-used project" shortcut,
+  // whichever surface picked it. Best-effort, like the pending-save record.
+  if (projectId) {
+    await setLastUsedProjectId(storage, projectId).catch((error) => {
+      logger.warn('Failed to remember last-used project', error);
+    });
+  }
+
+  // Outbox first: the save is durable before any network is attempted, so a
+  // failed POST below leaves it queued for the retry alarm instead of lost.
+  await enqueueOutboxSave(storage, pageData);
+
+  // Write a pending-save record so newtab can render an optimistic tile
+  // immediately (the backend's async enrichment hasn't written the real doc
+  // yet — and while offline, the backend hasn't even seen the save). The
+  // record starts queued; handleSaveAcknowledged flips it once the server
+  // accepts the save. The realtime SSE stream signals when enrichment
+  // completes; the newtab page clears the tile via the 'realtimePageEnriched'
+  // relay. This is best-effort — a failure here must never break a save.
+  try {
+    await addPendingSave(storage, {
+      url,
+      title: preview.title,
+      description: preview.description,
+      image: preview.image,
+      saved_at: pageData.saved_at,
+      project_ids: projectId ? [projectId] : [],
+      queued: true
+    });
+  } catch (pendingError) {
+    logger.error('Failed to write pending-save record', pendingError);
+  }
+
+  logger.log('Sending page save request', {
+    ...getSafePageContext(url, title),
+    source: pageData.source,
+    hasProjectId: Boolean(projectId)
+  });
+
+  let data;
+  try {
+    data = await postPageSave(pageData);
+  } catch (error) {
+    if (!shouldRetrySave(error)) {
+      await discardQueuedSave(url);
+      throw error;
+    }
+
+    const record = await recordOutboxFailure(storage, url, error);
+    await scheduleSaveOutboxDrain();
+    logger.warn('Save queued for retry', {
+      ...getSafePageContext(url, title),
+      attempts: record?.attempts ?? null,
+      status: error?.status ?? null
+    });
+
+    await showBadgeFeedback('queued', 3000);
+    browserApi.notifications.create({
+      type: 'basic',
+      iconUrl: 'icon.png',
+      title: 'Newtab',
+      message: "You're offline — this page will be saved when the connection returns."
+    });
+
+    return { queued: true };
+  }
+
+  await removeOutboxSave(storage, url);
+  await handleSaveAcknowledged(pageData, data);
 
   await showBadgeFeedback('success', 2000);
 
@@ -503,15 +879,127 @@ async function savePageFromTab(tab, { projectId = null } = {}) {
     message: 'Page saved!'
   });
 
+  // The backend is reachable again: flush anything an earlier offline save
+  // left queued instead of waiting out its backoff.
+  void drainSaveOutbox();
+
   return data;
 }
 
+// Save every eligible tab in the current window into one project — an
+// existing one, or a new one created first. One bulk-import POST for the
+// whole window; unlike single saves there is no outbox, so an offline failure
+// is reported rather than queued.
+async function saveWindowTabs({ projectId = null, projectName = null } = {}) {
+  if (!browserApi.tabs?.query) {
+    throw new Error('Tabs API not available');
+  }
+  // "tabs" is optional and the popup asks for it first; without it the query
+  // returns tabs with no address and every one would be skipped.
+  if (browserApi.permissions?.contains && !(await browserApi.permissions.contains({ permissions: ['tabs'] }))) {
+    throw new Error('Saving all tabs needs permission to read your tabs.');
+  }
+
+  const bookmarks = collectWindowTabBookmarks(await browserApi.tabs.query({ currentWindow: true }));
+  if (!bookmarks.length) {
+    throw new Error('No tabs in this window can be saved.');
+  }
+
+  let project = null;
+  if (projectId) {
+    project = getLiveProjects(toolbarProjectsStore.getSnapshot()).find(entry => entry.id === projectId)
+      || { id: projectId, name: null };
+  } else {
+    const name = String(projectName || '').trim() || buildSessionProjectName();
+    project = await fetchBackgroundApi('/projects', {
+      method: 'POST',
+      body: buildCreateProjectPayload({ name })
+    });
+    if (!project?.id) {
+      throw new Error('Failed to create project. Please try again.');
+    }
+    // Refetch so the context menus and the shared projects warm cache pick
+    // up the new project. Not awaited: the save doesn't depend on it.
+    void toolbarProjectsStore.refreshInitial().catch((error) => {
+      logger.warn('Failed to refresh projects after creating one', error);
+    });
+  }
+
+  const result = await fetchBackgroundApi('', {
+    method: 'POST',
+    body: { bulk: true, projectId: project.id, bookmarks }
+  });
+  const storage = getBackgroundStorage();
+
+  // Draft tiles for the new tab, as the Data & sync import does — and only
+  // when nothing was skipped, for the same reason: the counts can't say
+  // which URLs were rejected, and a tile for a rejected one would linger.
+  if (result?.skipped === 0) {
+    const savedAt = new Date().toISOString();
+    await addPendingSaves(storage, bookmarks.map(bookmark => ({
+      url: bookmark.url,
+      title: bookmark.title,
+      saved_at: savedAt,
+      project_ids: [project.id]
+    }))).catch((error) => {
+      logger.error('Failed to write pending-save records', error);
+    });
+  }
+
+  try {
+    await markToolbarSaveCachesStale(browserApi.storage.local);
+  } catch (cacheError) {
+    logger.error('Failed to mark cache stale', cacheError);
+  }
+  await setLastUsedProjectId(storage, project.id).catch((error) => {
+    logger.warn('Failed to remember last-used project', error);
+  });
+
+  const imported = result?.imported ?? bookmarks.length;
+  const skipped = result?.skipped ?? 0;
+  const target = project.name ? `"${project.name}"` : 'the project';
+  browserApi.notifications.create({
+    type: 'basic',
+    iconUrl: 'icon.png',
+    title: 'Newtab',
+    message: skipped > 0
+      ? `Saved ${imported} ${imported === 1 ? 'tab' : 'tabs'} to ${target}; ${skipped} already saved or invalid.`
+      : `Saved ${imported} ${imported === 1 ? 'tab' : 'tabs'} to ${target}.`
+  });
+
+  return { imported, skipped, projectId: project.id };
+}
+
+// Opening a card on the new tab marks its page read. The new tab usually
+// navigates away in the same moment, which would cancel a request it made
+// itself, so it hands the update to the background. The new tab has already
+// applied the change to its own copy; other open new tabs pick it up from the
+// stale mark. Signed out, there is nothing to do: recording read state must
+// never pop the interactive sign-in that getAuthenticatedSession falls back
+// to, so without a session the update is skipped.
+async function markPageRead(pageId) {
+  if (typeof pageId !== 'string' || !pageId) {
+    throw new Error('A saved page id is required');
+  }
+  assertRealPageId(pageId);
+
+  if (!(await getSessionToken())) {
+    return;
+  }
+  await fetchBackgroundApi('/updatePage', {
+    method: 'PATCH',
+    body: { id: pageId, ...getReadStateUpdates('read') }
+  });
+  await markSavedPagesCacheStale(browserApi.storage.local);
+}
+
 // Handle messages from dashboard (e.g., sign-in button)
 browserApi.runtime.onMessage.addListener((message, sender, sendResponse) => {
   if (message.action === 'signIn') {
     backgroundAuth.signIn()
       .then(async ({ user }) => {
         await setSentryUser(user);
+        void loadSaveContextMenus();
         sendResponse({ success: true });
       })
       .catch(async (error) => {
@@ -534,6 +1022,7 @@ browserApi.runtime.onMessage.addListener((message, sender, sendResponse) => {
         } catch (error) {
           logger.warn('Failed to clear Sentry user', error);
         }
+        void refreshSaveContextMenus([]);
         sendResponse({ success: true });
       })
       .catch(async (error) => {
@@ -569,12 +1058,47 @@ browserApi.runtime.onMessage.addListener((message, sender, sendResponse) => {
       await browserApi.action.setBadgeBackgroundColor({ color: '#64748b' });
 
       const tab = await getActiveTab();
-      await savePageFromTab(tab, {
+      return await savePageFromTab(tab, {
         projectId: typeof message.projectId === 'string' ? message.projectId : null
       });
     })()
-      .then(() => {
-        sendResponse({ success: true });
+      .then((result) => {
+        sendResponse({ success: true, ...(result?.queued ? { queued: true } : {}) });
+      })
+      .catch(async (error) => {
+        const userMessage = await handleSaveError(error, null);
+        sendResponse({ success: false, error: userMessage });
+      });
+    return true;
+  }
+
+  if (message.action === 'saveLink') {
+    (async () => {
+      await browserApi.action.setBadgeText({ text: '...' });
+      await browserApi.action.setBadgeBackgroundColor({ color: '#64748b' });
+
+      return await saveLinkUrl(message.url, {
+        title: typeof message.title === 'string' ? message.title : null,
+        projectId: typeof message.projectId === 'string' ? message.projectId : null
+      });
+    })()
+      .then((result) => {
+        sendResponse({ success: true, ...(result?.queued ? { queued: true } : {}) });
+      })
+      .catch(async (error) => {
+        const userMessage = await handleSaveError(error, { url: message.url });
+        sendResponse({ success: false, error: userMessage });
+      });
+    return true;
+  }
+
+  if (message.action === 'saveWindowTabs') {
+    saveWindowTabs({
+      projectId: typeof message.projectId === 'string' ? message.projectId : null,
+      projectName: typeof message.projectName === 'string' ? message.projectName : null
+    })
+      .then((result) => {
+        sendResponse({ success: true, ...result });
       })
       .catch(async (error) => {
         const userMessage = await handleSaveError(error, null);
@@ -627,6 +1151,16 @@ browserApi.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.action === 'markPageRead') {
+    markPageRead(message.pageId)
+      .then(() => sendResponse({ success: true }))
+      .catch((error) => {
+        logger.warn('Failed to mark page read', error);
+        sendResponse({ success: false, error: error.message });
+      });
+    return true;
+  }
+
   if (message.action === 'realtimePageEnriched') {
     // The realtime SSE stream signaled enrichment completion (or a new page).
     // The event carries a pageId, not a URL, so we cannot key clearPendingSave
@@ -653,17 +1187,159 @@ browserApi.runtime.onMessage.addListener((message, sender, sendResponse) => {
   }
 });
 
+// Save with the same badge and error feedback as an icon click. Shared by the
+// icon, the keyboard commands and the context menus, none of which has a popup
+// to report back to.
+async function saveWithFeedback(tab, options = {}) {
+  // Show immediate feedback that the save was registered
+  await browserApi.action.setBadgeText({ text: '...' });
+  await browserApi.action.setBadgeBackgroundColor({ color: '#64748b' });
+
+  try {
+    await savePageFromTab(tab, options);
+  } catch (error) {
+    await handleSaveError(error, tab);
+  }
+}
+
+async function saveLinkWithFeedback(url, options = {}) {
+  await browserApi.action.setBadgeText({ text: '...' });
+  await browserApi.action.setBadgeBackgroundColor({ color: '#64748b' });
+
+  try {
+    await saveLinkUrl(url, options);
+  } catch (error) {
+    await handleSaveError(error, { url, title: options.title });
+  }
+}
+
 // Handle extension icon clicks
 browserApi.action.onClicked.addListener(async (tab) => {
   logger.log('Extension icon clicked');
+  await saveWithFeedback(tab);
+});
 
-  // Show immediate feedback that click was registered
-  await browserApi.action.setBadgeText({ text: '...' });
-  await browserApi.action.setBadgeBackgroundColor({ color: '#64748b' });
+// --- keyboard commands ---------------------------------------------------
+// Declared under "commands" in the manifest; the browser owns the bindings
+// and lets the user change them. Chrome passes the active tab, Firefox may
+// not, so fall back to querying it.
+
+async function saveToLastUsedProject(tab) {
+  const projectId = await getLastUsedProjectId(getBackgroundStorage());
+  const projects = projectId ? await getToolbarProjects() : [];
+  if (!projects.some(project => project.id === projectId)) {
+    browserApi.notifications.create({
+      type: 'basic',
+      iconUrl: 'icon.png',
+      title: 'Newtab',
+      message: 'Save a page to a project from the toolbar first — this shortcut reuses the last one you picked.'
+    });
+    return;
+  }
+  await saveWithFeedback(tab, { projectId });
+}
 
+browserApi.commands?.onCommand?.addListener(async (command, commandTab) => {
+  if (command !== SAVE_PAGE_COMMAND && command !== SAVE_TO_LAST_PROJECT_COMMAND) {
+    return;
+  }
+  logger.log('Save command', { command });
+
+  let tab = commandTab;
   try {
-    await savePageFromTab(tab);
+    if (!tab?.url) {
+      tab = await getActiveTab();
+    }
+    if (command === SAVE_TO_LAST_PROJECT_COMMAND) {
+      await saveToLastUsedProject(tab);
+    } else {
+      await saveWithFeedback(tab);
+    }
   } catch (error) {
     await handleSaveError(error, tab);
   }
 });
+
+// --- context menus -------------------------------------------------------
+// "Save page/link to Newtab" plus a "Save … to project" submenu listing the
+// user's projects. Rebuilt whenever the toolbar projects store changes, so a
+// new or renamed project appears without reloading the extension.
+
+let saveContextMenusSignature = null;
+let saveContextMenusQueue = Promise.resolve();
+
+function refreshSaveContextMenus(projects = []) {
+  const contextMenus = browserApi.contextMenus;
+  if (!contextMenus?.create || !contextMenus?.removeAll) {
+    return Promise.resolve();
+  }
+
+  const menus = buildSaveContextMenus(projects);
+  // The store emits on every state transition, most of which don't touch the
+  // list; skip rebuilds that would produce the same menus.
+  const signature = JSON.stringify(menus);
+  if (signature === saveContextMenusSignature) {
+    return saveContextMenusQueue;
+  }
+  saveContextMenusSignature = signature;
+
+  saveContextMenusQueue = saveContextMenusQueue
+    .then(async () => {
+      await contextMenus.removeAll();
+      menus.forEach((menu) => {
+        // The callback reads lastError so Chrome doesn't log a duplicate-id
+        // error when a rebuild races the startup build.
+        contextMenus.create(menu, () => void browserApi.runtime.lastError);
+      });
+    })
+    .catch((error) => {
+      saveContextMenusSignature = null;
+      logger.error('Failed to build save context menus', error);
+    });
+  return saveContextMenusQueue;
+}
+
+// Signed-out users get the menus without project submenus. Never fetch
+// projects without a session: the fetch would open the sign-in window.
+async function loadSaveContextMenus() {
+  let projects = [];
+  try {
+    if (await getBackgroundCurrentUserId()) {
+      projects = await getToolbarProjects();
+    }
+  } catch (error) {
+    logger.warn('Failed to load projects for context menus', error);
+  }
+  await refreshSaveContextMenus(projects);
+}
+
+toolbarProjectsStore.subscribe(() => {
+  void refreshSaveContextMenus(getLiveProjects(toolbarProjectsStore.getSnapshot()));
+});
+
+browserApi.runtime.onInstalled?.addListener(() => {
+  void loadSaveContextMenus();
+});
+browserApi.runtime.onStartup?.addListener(() => {
+  void loadSaveContextMenus();
+});
+
+browserApi.contextMenus?.onClicked?.addListener(async (info, tab) => {
+  const request = resolveSaveContextMenuClick(info);
+  if (!request) {
+    return;
+  }
+  logger.log('Save context menu', { target: request.target, hasProjectId: Boolean(request.projectId) });
+
+  if (request.target === 'page') {
+    if (!tab?.url) {
+      await handleSaveError(new Error('No active tab available to save'), tab);
+      return;
+    }
+    await saveWithFeedback(tab, { projectId: request.projectId });
+    return;
+  }
+
+  // The linked page was never loaded: the backend fetches it instead.
+  await saveLinkWithFeedback(request.url, { title: request.title, projectId: request.projectId });
+});
@@ -12,6 +12,7 @@
 // serializer stays pure and testable.
 
 import { BACKUP_FORMAT, BACKUP_VERSION } from './backup-format.js';
+import { normalizeSmartCollections } from './smart-collections.js';
 
 // --- CSV helpers (shared with the import-side parser philosophy) -----------
 // Escape a single CSV field per RFC-4180: wrap in quotes if it contains a
@@ -99,9 +100,10 @@ function toUnixSeconds(isoOrMs) {
  *
  * @param {Array} pages
  * @param {Array} [projects]
+ * @param {Array} [smartCollections] - saved searches (smart-collections.js)
  * @returns {string} pretty-printed JSON
  */
-export function toJsonBackup(pages, projects = []) {
+export function toJsonBackup(pages, projects = [], smartCollections = []) {
   const backup = {
     format: BACKUP_FORMAT,
     version: BACKUP_VERSION,
@@ -115,7 +117,17 @@ export function toJsonBackup(pages, projects = []) {
         notes: page.notes || page.description || null,
         tags: Array.isArray(page.manual_tags) ? page.manual_tags : [],
         savedAt: page.saved_at || null,
-        projectId: Array.isArray(page.project_ids) ? page.project_ids[0] || null : null
+        projectId: Array.isArray(page.project_ids) ? page.project_ids[0] || null : null,
+        highlights: Array.isArray(page.highlights)
+          ? page.highlights
+            .filter((highlight) => highlight?.text)
+            .map((highlight) => ({
+              text: highlight.text,
+              prefix: highlight.prefix || '',
+              suffix: highlight.suffix || '',
+              createdAt: highlight.created_at || null
+            }))
+          : []
       })),
     projects: (projects || [])
       .filter((project) => project?.id)
@@ -123,7 +135,9 @@ export function toJsonBackup(pages, projects = []) {
         id: project.id,
         name: project.name || '',
         visibility: project.visibility || null
-      }))
+      })),
+    // Added without a version bump: older readers ignore it.
+    smartCollections: normalizeSmartCollections(smartCollections)
   };
 
   return JSON.stringify(backup, null, 2);
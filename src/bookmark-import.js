@@ -16,6 +16,7 @@
 //   - created accepts a Unix timestamp (seconds) OR ISO 8601
 
 import { ACCEPTED_BACKUP_FORMATS } from './backup-format.js';
+import { normalizeSmartCollections } from './smart-collections.js';
 
 // --- CSV parsing ----------------------------------------------------------
 // RFC-4180-ish: double-quoted fields may contain commas, quotes (escaped as "")
@@ -302,8 +303,9 @@ export function parseNetscapeHtml(htmlText) {
  * Also accepts legacy 'buckleys-backup' backups.
  *
  * @param {string} jsonText
- * @returns {{ bookmarks: Array, errors: string[] }}
- *   Restores url, title, notes, tags, createdAt, and projectId where present.
+ * @returns {{ bookmarks: Array, errors: string[], smartCollections: Array }}
+ *   Restores url, title, notes, tags, createdAt, and projectId where present,
+ *   plus the backup's saved searches (empty for backups without them).
  */
 export function parseBackupJson(jsonText) {
   const errors = [];
@@ -339,11 +341,24 @@ export function parseBackupJson(jsonText) {
       tags: Array.isArray(page.tags) ? page.tags.map(String) : [],
       createdAt: page.savedAt || page.createdAt || null,
       projectId: page.projectId || null,
-      folder: page.folder || null
+      folder: page.folder || null,
+      // Added to the backup without a version bump: older readers ignore it.
+      ...(Array.isArray(page.highlights) && page.highlights.length
+        ? {
+          highlights: page.highlights
+            .filter((highlight) => typeof highlight?.text === 'string' && highlight.text)
+            .map((highlight) => ({
+              text: highlight.text,
+              prefix: highlight.prefix || '',
+              suffix: highlight.suffix || '',
+              created_at: highlight.createdAt || null
+            }))
+        }
+        : {})
     });
   });
 
-  return { bookmarks, errors };
+  return { bookmarks, errors, smartCollections: normalizeSmartCollections(data.smartCollections) };
 }
 
 /**
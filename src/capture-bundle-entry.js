@@ -2,5 +2,9 @@
 // ISOLATED world via chrome.scripting executeScript files:[...], where ESM
 // imports do not work. So the bundle (built by esbuild) inlines Readability
 // and this entry exposes buildClientObject on a global the injector reads back.
+// The archive snapshot builder rides along on a second global; it returns a
+// Promise, which executeScript awaits before handing back the result.
 import { buildClientObject } from './page-capture.js';
+import { buildArchiveSnapshot } from './page-archive.js';
 globalThis.__saveitCapture = (doc) => buildClientObject(doc);
+globalThis.__saveitArchive = (doc) => buildArchiveSnapshot(doc);
@@ -0,0 +1,377 @@
+// command-palette.js - Ctrl/Cmd+K command palette for the new-tab page.
+//
+// One keyboard entry point for jumping anywhere: type a few letters and pick a
+// saved page, a project, a domain, or a command (Data & sync, Sharing centre,
+// theme, new project). Matches against what the drawer already holds in memory
+// — the palette never fetches, so it opens instantly and works offline.
+//
+// A sibling surface to sharing-centre.js: same dialog chrome
+// (.project-editor-backdrop / .project-editor-dialog, .hidden toggle) and
+// open/close lifecycle (backdrop click + Escape) via dialog-lifecycle.js.
+//
+// Keys: ArrowUp/ArrowDown move the highlight, Enter runs it. For pages, Enter
+// opens in this tab and Shift/Ctrl/Cmd+Enter in a new one — the same split as
+// clicking a drawer card (shouldOpenDrawerCardInNewTab).
+
+import { createDialogLifecycle } from './dialog-lifecycle.js';
+import { createEl, createQueryId } from './shared-ui-helpers.js';
+import { shouldOpenDrawerCardInNewTab } from './newtab-drawer-shell.js';
+
+// Rows rendered at once. Past this the list stops being scannable; typing one
+// more letter is faster than scrolling.
+const MAX_RESULTS = 50;
+
+const KIND_LABELS = {
+  command: 'Command',
+  project: 'Project',
+  domain: 'Domain',
+  page: 'Page'
+};
+
+// Fuzzy subsequence score of `query` against `text`, or null when the letters
+// don't all appear in order. Higher is better: consecutive runs, matches at
+// word starts and an early first match all score up, so "ga" ranks "GitHub
+// Actions" above "Gotham".
+export function scoreCommandPaletteMatch(query, text) {
+  const needle = String(query || '').trim().toLowerCase();
+  const haystack = String(text || '').toLowerCase();
+  if (!needle) {
+    return 0;
+  }
+
+  const substringIndex = haystack.indexOf(needle);
+  if (substringIndex !== -1) {
+    // A literal substring always beats a scattered match of the same query.
+    return 1000 - substringIndex + (isWordStart(haystack, substringIndex) ? 100 : 0);
+  }
+
+  let score = 0;
+  let previous = -2;
+  let position = 0;
+  for (const char of needle) {
+    const index = haystack.indexOf(char, position);
+    if (index === -1) {
+      return null;
+    }
+    score += 1;
+    if (index === previous + 1) {
+      score += 5;
+    }
+    if (isWordStart(haystack, index)) {
+      score += 3;
+    }
+    previous = index;
+    position = index + 1;
+  }
+  const firstIndex = haystack.indexOf(needle[0]);
+  return score - Math.min(firstIndex, 20) / 10;
+}
+
+function isWordStart(text, index) {
+  return index === 0 || /[^a-z0-9]/.test(text[index - 1]);
+}
+
+// Flatten commands and the drawer's loaded data into palette items. Commands
+// come first so an empty query offers them before the page list.
+export function buildCommandPaletteItems({ commands = [], projects = [], domains = [], pages = [] } = {}) {
+  const items = commands.map(command => ({
+    kind: 'command',
+    id: `command:${command.id}`,
+    label: command.label,
+    detail: command.detail || '',
+    run: command.run
+  }));
+
+  projects
+    .filter(project => project?.id && !project.archived)
+    .forEach(project => {
+      items.push({
+        kind: 'project',
+        id: `project:${project.id}`,
+        label: project.name || 'Untitled project',
+        detail: typeof project.page_count === 'number'
+          ? `${project.page_count} ${project.page_count === 1 ? 'page' : 'pages'}`
+          : '',
+        scopeId: project.id
+      });
+    });
+
+  domains
+    .filter(entry => entry?.domain)
+    .forEach(({ domain, count }) => {
+      items.push({
+        kind: 'domain',
+        id: `domain:${domain}`,
+        label: domain,
+        detail: typeof count === 'number' ? `${count} ${count === 1 ? 'page' : 'pages'}` : '',
+        scopeId: `domain:${domain}`
+      });
+    });
+
+  pages
+    .filter(page => page?.url)
+    .forEach(page => {
+      items.push({
+        kind: 'page',
+        id: `page:${page.id || page.url}`,
+        label: page.title || page.url,
+        detail: page.domain || page.url,
+        url: page.url
+      });
+    });
+
+  return items;
+}
+
+// Rank items against the query. Labels count double so a page titled "React"
+// outranks one that only mentions react.dev in its URL.
+export function filterCommandPaletteItems(items, query, limit = MAX_RESULTS) {
+  if (!String(query || '').trim()) {
+    return items.slice(0, limit);
+  }
+
+  const ranked = [];
+  items.forEach((item, order) => {
+    const labelScore = scoreCommandPaletteMatch(query, item.label);
+    const detailScore = scoreCommandPaletteMatch(query, item.detail);
+    const best = Math.max(
+      labelScore === null ? -Infinity : labelScore * 2,
+      detailScore === null ? -Infinity : detailScore
+    );
+    if (best !== -Infinity) {
+      ranked.push({ item, score: best, order });
+    }
+  });
+
+  ranked.sort((a, b) => b.score - a.score || a.order - b.order);
+  return ranked.slice(0, limit).map(entry => entry.item);
+}
+
+// Ctrl+K everywhere, Cmd+K on macOS. Alt/Shift variants are left alone.
+export function isCommandPaletteShortcut(event = {}) {
+  return Boolean(
+    (event.ctrlKey || event.metaKey)
+    && !event.altKey
+    && !event.shiftKey
+    && String(event.key || '').toLowerCase() === 'k'
+  );
+}
+
+export function createCommandPalette({
+  documentObj = document,
+  windowObj = window,
+  // () => { pages, projects, domains } — the drawer's live view.
+  getDashboard = () => null,
+  commands = [],
+  // (scopeId) => void — switch the drawer to a project or domain scope.
+  selectScope = () => {}
+} = {}) {
+  const queryId = createQueryId(documentObj);
+  const getBackdrop = () => queryId('command-palette-backdrop');
+  const getDialog = () => queryId('command-palette-dialog');
+  const el = createEl(documentObj);
+
+  let items = [];
+  let results = [];
+  let activeIndex = 0;
+  let isOpen = false;
+
+  const { show, close } = createDialogLifecycle({
+    getBackdrop,
+    getDialog,
+    documentObj,
+    onClose: () => {
+      isOpen = false;
+      items = [];
+      results = [];
+      activeIndex = 0;
+    }
+  });
+
+  function collectItems() {
+    let dashboard = null;
+    try {
+      dashboard = getDashboard();
+    } catch {
+      dashboard = null;
+    }
+    return buildCommandPaletteItems({
+      commands,
+      projects: Array.isArray(dashboard?.projects) ? dashboard.projects : [],
+      domains: Array.isArray(dashboard?.domains) ? dashboard.domains : [],
+      pages: Array.isArray(dashboard?.allPages) ? dashboard.allPages : []
+    });
+  }
+
+  function getList() {
+    return getDialog()?.querySelector('.command-palette-results') || null;
+  }
+
+  function renderResults() {
+    const list = getList();
+    if (!list) {
+      return;
+    }
+
+    if (!results.length) {
+      list.replaceChildren(el('li', { className: 'command-palette-empty', text: 'No matches' }));
+      getDialog()?.querySelector('.command-palette-input')?.removeAttribute('aria-activedescendant');
+      return;
+    }
+
+    list.replaceChildren(...results.map((item, index) => el('li', {
+      className: `command-palette-item${index === activeIndex ? ' is-active' : ''}`,
+      attrs: {
+        id: `command-palette-option-${index}`,
+        role: 'option',
+        'aria-selected': index === activeIndex ? 'true' : 'false',
+        'data-index': String(index)
+      },
+      children: [
+        el('span', { className: 'command-palette-item-kind', text: KIND_LABELS[item.kind] || '' }),
+        el('span', { className: 'command-palette-item-label', text: item.label }),
+        item.detail ? el('span', { className: 'command-palette-item-detail', text: item.detail }) : null
+      ]
+    })));
+
+    getDialog()?.querySelector('.command-palette-input')
+      ?.setAttribute('aria-activedescendant', `command-palette-option-${activeIndex}`);
+    list.querySelector('.is-active')?.scrollIntoView?.({ block: 'nearest' });
+  }
+
+  function updateQuery(query) {
+    results = filterCommandPaletteItems(items, query);
+    activeIndex = 0;
+    renderResults();
+  }
+
+  function moveActive(delta) {
+    if (!results.length) {
+      return;
+    }
+    activeIndex = (activeIndex + delta + results.length) % results.length;
+    renderResults();
+  }
+
+  function runItem(item, { newTab = false } = {}) {
+    if (!item) {
+      return;
+    }
+    close();
+
+    try {
+      if (item.kind === 'page') {
+        if (newTab) {
+          windowObj.open(item.url, '_blank', 'noopener');
+        } else {
+          windowObj.location.assign(item.url);
+        }
+        return;
+      }
+      if (item.kind === 'command') {
+        void item.run?.();
+        return;
+      }
+      void selectScope(item.scopeId);
+    } catch (error) {
+      console.error('[command-palette] Failed to run item:', error);
+    }
+  }
+
+  function handleInputKeydown(event) {
+    if (event.key === 'ArrowDown') {
+      event.preventDefault();
+      moveActive(1);
+    } else if (event.key === 'ArrowUp') {
+      event.preventDefault();
+      moveActive(-1);
+    } else if (event.key === 'Enter') {
+      event.preventDefault();
+      runItem(results[activeIndex], {
+        newTab: event.shiftKey || shouldOpenDrawerCardInNewTab(event)
+      });
+    }
+  }
+
+  function open() {
+    const dialog = getDialog();
+    if (!dialog) {
+      return;
+    }
+
+    items = collectItems();
+    const input = el('input', {
+      className: 'command-palette-input',
+      attrs: {
+        type: 'text',
+        placeholder: 'Search pages, projects, domains and commands',
+        'aria-label': 'Command palette',
+        'aria-controls': 'command-palette-results',
+        'aria-autocomplete': 'list',
+        role: 'combobox',
+        'aria-expanded': 'true',
+        autocomplete: 'off',
+        spellcheck: 'false'
+      }
+    });
+    const list = el('ul', {
+      className: 'command-palette-results',
+      attrs: { id: 'command-palette-results', role: 'listbox' }
+    });
+    const hint = el('div', {
+      className: 'command-palette-hint',
+      text: '↑↓ to move · Enter to open · Shift+Enter for a new tab · Esc to close'
+    });
+
+    input.addEventListener('input', () => updateQuery(input.value));
+    input.addEventListener('keydown', handleInputKeydown);
+    list.addEventListener('mousemove', (event) => {
+      const row = event.target.closest?.('.command-palette-item');
+      const index = Number(row?.dataset.index);
+      if (row && index !== activeIndex) {
+        activeIndex = index;
+        renderResults();
+      }
+    });
+    list.addEventListener('click', (event) => {
+      const row = event.target.closest?.('.command-palette-item');
+      if (row) {
+        runItem(results[Number(row.dataset.index)], {
+          newTab: event.shiftKey || shouldOpenDrawerCardInNewTab(event)
+        });
+      }
+    });
+
+    dialog.replaceChildren(input, list, hint);
+    show();
+    isOpen = true;
+    updateQuery('');
+    input.focus();
+  }
+
+  function toggle() {
+    if (isOpen) {
+      close();
+    } else {
+      open();
+    }
+  }
+
+  // Bound for the document lifetime, like the dialog lifecycle's Escape
+  // listener. preventDefault stops the browser focusing its own search bar.
+  if (typeof documentObj?.addEventListener === 'function') {
+    documentObj.addEventListener('keydown', (event) => {
+      if (isCommandPaletteShortcut(event)) {
+        event.preventDefault();
+        toggle();
+      }
+    });
+  }
+
+  return {
+    close,
+    isOpen: () => isOpen,
+    open,
+    toggle
+  };
+}
@@ -11,13 +11,17 @@
 //   §1 Import   — bring bookmarks in (browser, CSV/HTML/JSON file)
 //   §2 Export   — download your data (CSV/JSON/HTML)
 //   §3 Sync     — see your pages in the browser's bookmarks (the mirror)
+//   §4 Archive  — keep a full copy of each page saved from now on
+//   §5 Duplicates — find pages saved more than once and merge each set
 //
 // Import reuses the readAllBookmarks + api.bulkImportBookmarks helpers for
 // the browser source; file sources route through the pure parsers in
 // bookmark-import.js. Export pages through getSavedPages (the same paginated
 // read the mirror uses) and serialize via bookmark-export.js. Sync reads/writes
 // the existing getBookmarkMirrorState / setBookmarkMirrorEnabled runtime
-// messages.
+// messages. Archive mode is a plain storage.local flag (archive-store.js) that
+// the background reads at save time, so it needs no message. Duplicates groups
+// the same full read with duplicate-pages.js and merges through the page API.
 
 import { readAllBookmarks } from './bookmark-reader.js';
 import { invalidateSavedPagesCacheStorage } from './saved-pages-cache.js';
@@ -26,6 +30,7 @@ import { addPendingSaves } from './pending-saves.js';
 import { createDialogLifecycle } from './dialog-lifecycle.js';
 import { createEl, createQueryId } from './shared-ui-helpers.js';
 import { sendRuntimeMessage } from './send-runtime-message.js';
+import { isArchiveModeEnabled, setArchiveModeEnabled } from './archive-store.js';
 import {
   parseRaindropCsv,
   parseNetscapeHtml,
@@ -33,6 +38,9 @@ import {
   detectImportFormat
 } from './bookmark-import.js';
 import { toRaindropCsv, toJsonBackup, toNetscapeHtml } from './bookmark-export.js';
+import { loadSmartCollections, mergeSmartCollections, saveSmartCollections } from './smart-collections.js';
+import { findDuplicateGroups, mergeDuplicateGroup } from './duplicate-pages.js';
+import { formatSavedDate } from './newtab-shared.js';
 
 export function createDataSyncCentre({
   api,
@@ -40,7 +48,12 @@ export function createDataSyncCentre({
   runtime = globalThis.browser?.runtime || globalThis.chrome?.runtime,
   browserStorage = globalThis.browser?.storage?.local || globalThis.chrome?.storage?.local,
   notify = () => {},
-  onImportComplete = () => {}
+  onImportComplete = () => {},
+  // Called after a JSON backup's smart collections are stored, so the sidebar
+  // can show them.
+  onSmartCollectionsImported = () => {},
+  // Called after duplicates are merged, so the drawer drops the removed pages.
+  onDuplicatesMerged = () => {}
 } = {}) {
   const queryId = createQueryId(documentObj);
   const getBackdrop = () => queryId('data-sync-centre-backdrop');
@@ -50,7 +63,9 @@ export function createDataSyncCentre({
     busy: false,       // disables actions during import/export
     message: null,     // status line ('Importing 42 bookmarks…')
     error: null,
-    syncEnabled: false // mirror toggle state
+    syncEnabled: false, // mirror toggle state
+    archiveEnabled: false, // archive mode toggle state
+    duplicateGroups: null // null until "Find duplicates" runs
   };
 
   const { show, close } = createDialogLifecycle({
@@ -58,7 +73,14 @@ export function createDataSyncCentre({
     getDialog,
     documentObj,
     onClose: () => {
-      state = { busy: false, message: null, error: null, syncEnabled: state.syncEnabled };
+      state = {
+        busy: false,
+        message: null,
+        error: null,
+        syncEnabled: state.syncEnabled,
+        archiveEnabled: state.archiveEnabled,
+        duplicateGroups: null
+      };
     }
   });
 
@@ -115,6 +137,22 @@ export function createDataSyncCentre({
     return { bookmarks: [], errors: ['Could not identify the file format. Use CSV, HTML, or JSON.'] };
   }
 
+  // Store a backup's smart collections next to the ones already here; a
+  // collection already present keeps its local copy. Returns how many were
+  // added.
+  async function importSmartCollections(incoming = []) {
+    if (!incoming.length) {
+      return 0;
+    }
+    const existing = await loadSmartCollections(browserStorage);
+    const merged = mergeSmartCollections(existing, incoming);
+    if (merged.length > existing.length) {
+      await saveSmartCollections(browserStorage, merged);
+      onSmartCollectionsImported();
+    }
+    return merged.length - existing.length;
+  }
+
   // Run the bulk import for a parsed bookmark set, then report the result.
   async function runImport(bookmarks) {
     state.busy = true;
@@ -185,10 +223,15 @@ export function createDataSyncCentre({
       state.busy = true;
       setStatus(`Reading ${file.name}…`);
       try {
-        const { bookmarks, errors } = await parseUploadedFile(file);
+        const { bookmarks, errors, smartCollections = [] } = await parseUploadedFile(file);
+        const collectionCount = await importSmartCollections(smartCollections);
         if (!bookmarks.length) {
           state.busy = false;
-          setStatus(errors[0] || 'No importable bookmarks found in that file.', true);
+          if (collectionCount) {
+            setStatus(`Imported ${collectionCount} ${collectionCount === 1 ? 'smart collection' : 'smart collections'}.`);
+          } else {
+            setStatus(errors[0] || 'No importable bookmarks found in that file.', true);
+          }
           return;
         }
         await runImport(bookmarks);
@@ -245,9 +288,10 @@ export function createDataSyncCentre({
     state.busy = true;
     setStatus('Gathering your saved pages…');
     try {
-      const [pages, projectsResult] = await Promise.all([
+      const [pages, projectsResult, smartCollections] = await Promise.all([
         fetchAllSavedPages(api),
-        typeof api.getProjects === 'function' ? api.getProjects({ skipCache: true }) : []
+        typeof api.getProjects === 'function' ? api.getProjects({ skipCache: true }) : [],
+        format === 'json' ? loadSmartCollections(browserStorage) : []
       ]);
       const projects = Array.isArray(projectsResult) ? projectsResult : [];
       const projectNameById = new Map(projects.map((p) => [p.id, p.name || 'Untitled']));
@@ -256,7 +300,7 @@ export function createDataSyncCentre({
       if (format === 'csv') {
         downloadText(`newtab-${date}.csv`, toRaindropCsv(pages, projectNameById), 'text/csv');
       } else if (format === 'json') {
-        downloadText(`newtab-${date}.json`, toJsonBackup(pages, projects), 'application/json');
+        downloadText(`newtab-${date}.json`, toJsonBackup(pages, projects, smartCollections), 'application/json');
       } else if (format === 'html') {
         downloadText(`newtab-${date}.html`, toNetscapeHtml(pages), 'text/html');
       }
@@ -329,6 +373,140 @@ export function createDataSyncCentre({
     ]);
   }
 
+  // --- Archive ----------------------------------------------------------------
+
+  // Applies to saves from now on; existing archived copies stay either way.
+  async function handleArchiveToggle(next) {
+    if (state.busy) return;
+    state.archiveEnabled = next;
+    render();
+    try {
+      await setArchiveModeEnabled(browserStorage, next);
+      notify(next ? 'Archive mode on \u2014 new saves keep a full copy' : 'Archive mode off');
+    } catch {
+      state.archiveEnabled = !next; // revert
+      notify('Could not change archive mode \u2014 try again', { type: 'error' });
+      render();
+    }
+  }
+
+  function renderArchiveSection() {
+    const toggle = el('button', {
+      className: 'sharing-centre-toggle',
+      text: state.archiveEnabled ? 'Turn off archiving' : 'Turn on archiving',
+      attrs: { type: 'button', 'aria-pressed': state.archiveEnabled ? 'true' : 'false', disabled: state.busy ? 'disabled' : null },
+      onClick: () => void handleArchiveToggle(!state.archiveEnabled)
+    });
+
+    return renderSection('Archive', 'Keep pages readable after they disappear from the web.', [
+      el('div', { className: 'data-sync-row', children: [
+        el('div', { className: 'data-sync-row-main', children: [
+          el('span', { className: 'data-sync-row-name', text: state.archiveEnabled ? 'Archiving is on' : 'Archiving is off' }),
+          el('span', { className: 'sharing-centre-audience', text: 'Each page you save gets a full copy stored in this browser. Cards offer it when the live page stops loading.' })
+        ] }),
+        toggle
+      ] })
+    ]);
+  }
+
+  // --- Duplicates -------------------------------------------------------------
+
+  async function handleFindDuplicates() {
+    if (state.busy) return;
+    state.busy = true;
+    setStatus('Looking for duplicates…');
+    try {
+      state.duplicateGroups = findDuplicateGroups(await fetchAllSavedPages(api));
+      state.busy = false;
+      const groupCount = state.duplicateGroups.length;
+      const pageCount = state.duplicateGroups.reduce((total, group) => total + group.pages.length, 0);
+      setStatus(groupCount
+        ? `Found ${pageCount} pages saved more than once, in ${groupCount} ${groupCount === 1 ? 'set' : 'sets'}.`
+        : 'No duplicates found.');
+    } catch (error) {
+      state.busy = false;
+      setStatus(error.message || 'Could not look for duplicates. Please try again.', true);
+    }
+  }
+
+  // Merge the given groups one after another. A group that fails stays listed
+  // so it can be retried; the ones that merged drop out.
+  async function handleMerge(groups) {
+    if (state.busy || !groups.length) return;
+    state.busy = true;
+    setStatus(`Merging ${groups.length} ${groups.length === 1 ? 'set' : 'sets'} of duplicates…`);
+    const merged = new Set();
+    let removed = 0;
+    let failed = 0;
+    for (const group of groups) {
+      try {
+        const result = await mergeDuplicateGroup(api, group);
+        removed += result.removed.length;
+        failed += result.failed.length;
+        if (!result.failed.length) {
+          merged.add(group);
+        }
+      } catch (error) {
+        console.error('[data-sync] Merging duplicates failed:', error);
+        failed += group.pages.length - 1;
+      }
+    }
+    state.duplicateGroups = state.duplicateGroups.filter(group => !merged.has(group));
+    state.busy = false;
+    if (removed) {
+      onDuplicatesMerged();
+    }
+    if (failed) {
+      setStatus(`Merged ${removed} ${removed === 1 ? 'duplicate' : 'duplicates'}; ${failed} could not be merged. Try again.`, true);
+    } else {
+      setStatus(`Merged ${removed} ${removed === 1 ? 'duplicate' : 'duplicates'}. The extra copies are in the trash.`);
+      notify('Duplicates merged', { type: 'success' });
+    }
+  }
+
+  // One page of a group, side by side with the others: what it would bring to
+  // the merge.
+  function renderDuplicatePage(page, keep) {
+    const savedDate = formatSavedDate(page.saved_at);
+    const details = [
+      savedDate ? `Saved ${savedDate}` : null,
+      page.pinned ? 'Pinned' : null,
+      page.project_ids?.length ? `${page.project_ids.length} ${page.project_ids.length === 1 ? 'project' : 'projects'}` : null,
+      page.manual_tags?.length ? `${page.manual_tags.length} ${page.manual_tags.length === 1 ? 'tag' : 'tags'}` : null,
+      page.user_notes ? 'Notes' : null
+    ].filter(Boolean);
+    return el('div', { className: `data-sync-duplicate-page${keep ? ' is-kept' : ''}`, children: [
+      el('span', { className: 'data-sync-duplicate-badge', text: keep ? 'Keep' : 'Merge in' }),
+      el('span', { className: 'data-sync-row-name', text: page.title || page.url }),
+      el('span', { className: 'data-sync-duplicate-url', text: page.url, attrs: { title: page.url } }),
+      details.length ? el('span', { className: 'sharing-centre-audience', text: details.join(' \u00b7 ') }) : null
+    ] });
+  }
+
+  function renderDuplicatesSection() {
+    const disabled = state.busy ? { disabled: 'disabled' } : null;
+    const groups = state.duplicateGroups || [];
+    const actions = [
+      el('button', {
+        className: 'btn-secondary',
+        text: state.duplicateGroups ? 'Look again' : 'Find duplicates',
+        attrs: { type: 'button', ...disabled },
+        onClick: () => void handleFindDuplicates()
+      }),
+      groups.length > 1
+        ? el('button', { className: 'btn-primary', text: `Merge all ${groups.length}`, attrs: { type: 'button', ...disabled }, onClick: () => void handleMerge(groups) })
+        : null
+    ];
+    return renderSection('Duplicates', 'Find pages saved more than once and merge them into one.', [
+      el('div', { className: 'data-sync-actions', children: actions }),
+      ...groups.map(group => el('div', { className: 'data-sync-duplicate-group', children: [
+        el('div', { className: 'data-sync-duplicate-pages', children: group.pages.map((page, index) => renderDuplicatePage(page, index === 0)) }),
+        el('button', { className: 'btn-primary', text: 'Merge', attrs: { type: 'button', ...disabled }, onClick: () => void handleMerge([group]) })
+      ] })),
+      el('p', { className: 'data-sync-hint', text: 'Addresses that differ only by tracking parameters, a trailing slash, www. or http/https count as the same page. The merged page keeps every project, tag, note and pin; the extra copies go to the trash.' })
+    ]);
+  }
+
   // --- shared section builder (mirrors sharing-centre.renderSection) --------
 
   function renderSection(title, hint, children) {
@@ -361,7 +539,7 @@ export function createDataSyncCentre({
       ? el('p', { className: state.error ? 'sharing-centre-error' : 'sharing-centre-status', text: state.message })
       : null;
 
-    const children = [header, renderImportSection(), renderExportSection(), renderSyncSection()];
+    const children = [header, renderImportSection(), renderExportSection(), renderSyncSection(), renderArchiveSection(), renderDuplicatesSection()];
     if (statusLine) children.push(statusLine);
     dialog.replaceChildren(...children);
   }
@@ -376,6 +554,7 @@ export function createDataSyncCentre({
       // Non-extension contexts (standalone preview) have no runtime — leave off.
       state.syncEnabled = false;
     }
+    state.archiveEnabled = await isArchiveModeEnabled(browserStorage).catch(() => false);
     render();
   }
 
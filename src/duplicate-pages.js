@@ -0,0 +1,180 @@
+// duplicate-pages.js - Finding pages saved more than once, and merging them.
+//
+// Imports (Raindrop CSV, browser HTML, JSON backups) and toolbar saves can
+// each save an address the library already has, in a slightly different
+// spelling: a utm_ tracking parameter, a trailing slash, http rather than
+// https, a www. prefix. Pages are grouped when their addresses match either
+// by normalizeUrl (the loose comparison the bookmark reader dedupes with) or
+// by canonicalizeUrl below, which reads past those differences.
+//
+// A group merges into one page: the best-enriched one keeps its place and
+// takes every other page's projects, manual tags, notes and pinned state, and
+// the others go to the trash.
+
+import { normalizeUrl } from './bookmark-reader.js';
+import { getPageSavedTime } from './page-fields.js';
+
+// Query parameters that only say how a link was reached, never what it
+// points at.
+const TRACKING_PARAM_PATTERN = /^(utm_.+|fbclid|gclid|dclid|gbraid|wbraid|msclkid|yclid|mc_cid|mc_eid|igshid|_hsenc|_hsmi|mkt_tok|ref_src|ref_url|si)$/i;
+
+// Fragments that route a single-page app (#/inbox, #!settings) rather than
+// scroll to an anchor, so they pick out a different page.
+const ROUTE_FRAGMENT_PATTERN = /^#(\/|!)/;
+
+// The address with everything that doesn't change the page taken out: scheme
+// (http and https alike), a leading www., the default port, an anchor
+// fragment, tracking parameters and trailing slashes, with the remaining
+// parameters sorted. Route fragments stay in. Falls back to normalizeUrl for
+// anything that isn't an http(s) URL.
+export function canonicalizeUrl(url) {
+  if (typeof url !== 'string' || !url) {
+    return '';
+  }
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch {
+    return normalizeUrl(url);
+  }
+  if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+    return normalizeUrl(url);
+  }
+  const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+  const port = parsed.port && parsed.port !== '80' && parsed.port !== '443' ? `:${parsed.port}` : '';
+  const path = parsed.pathname.replace(/\/+$/, '');
+  const params = Array.from(parsed.searchParams.entries())
+    .filter(([key]) => !TRACKING_PARAM_PATTERN.test(key))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  const query = params.length ? `?${new URLSearchParams(params).toString()}` : '';
+  const route = ROUTE_FRAGMENT_PATTERN.test(parsed.hash) ? parsed.hash : '';
+  return `${host}${port}${path}${query}${route}`;
+}
+
+function isEnriched(page) {
+  return Boolean(page.ai_summary_brief) || (Array.isArray(page.classifications) && page.classifications.length > 0);
+}
+
+// The page a group keeps: an enriched one over a bare one, then the one saved
+// first, so the merged page keeps its summary and its place in the timeline.
+function compareKeeper(a, b) {
+  return (Number(isEnriched(b)) - Number(isEnriched(a)))
+    || (getPageSavedTime(a, Infinity) - getPageSavedTime(b, Infinity));
+}
+
+// Groups of two or more pages at the same address, the page to keep first.
+// Groups come in the order their first page appears in `pages`.
+export function findDuplicateGroups(pages = []) {
+  const livePages = (Array.isArray(pages) ? pages : []).filter(page => page?.id && page.url && !page.deleted);
+  // Union-find over the pages, joined through either address key.
+  const parent = livePages.map((_page, index) => index);
+  const find = index => {
+    while (parent[index] !== index) {
+      parent[index] = parent[parent[index]];
+      index = parent[index];
+    }
+    return index;
+  };
+  const firstIndexByKey = new Map();
+  livePages.forEach((page, index) => {
+    [`loose:${normalizeUrl(page.url)}`, `canonical:${canonicalizeUrl(page.url)}`].forEach(key => {
+      if (!firstIndexByKey.has(key)) {
+        firstIndexByKey.set(key, index);
+        return;
+      }
+      const root = find(firstIndexByKey.get(key));
+      const own = find(index);
+      if (root !== own) {
+        parent[Math.max(root, own)] = Math.min(root, own);
+      }
+    });
+  });
+
+  const groups = new Map();
+  livePages.forEach((page, index) => {
+    const root = find(index);
+    groups.set(root, [...(groups.get(root) || []), page]);
+  });
+  return Array.from(groups.values())
+    .filter(group => group.length > 1)
+    .map(group => {
+      const sorted = group.slice().sort(compareKeeper);
+      return { key: canonicalizeUrl(sorted[0].url), pages: sorted };
+    });
+}
+
+function uniqueBy(values, getKey) {
+  const seen = new Set();
+  return values.filter(value => {
+    const key = getKey(value);
+    if (seen.has(key)) {
+      return false;
+    }
+    seen.add(key);
+    return true;
+  });
+}
+
+// What merging a group (findDuplicateGroups order, keeper first) changes:
+// { keeper, updates, addProjectIds, pin, removeIds }. `updates` holds only the
+// fields that differ from the keeper's, for API.updatePage.
+export function planDuplicateMerge(group) {
+  const [keeper, ...others] = group?.pages || [];
+  if (!keeper) {
+    return null;
+  }
+  const all = [keeper, ...others];
+  const manualTags = uniqueBy(
+    all.flatMap(page => (Array.isArray(page.manual_tags) ? page.manual_tags : []))
+      .map(tag => String(tag).trim())
+      .filter(Boolean),
+    tag => tag.toLowerCase()
+  );
+  const notes = uniqueBy(
+    all.map(page => String(page.user_notes || '').trim()).filter(Boolean),
+    note => note
+  ).join('\n\n');
+  const keeperProjectIds = new Set(keeper.project_ids || []);
+  // Tags compare case-insensitively, as the union above is taken: the keeper
+  // needs an update only when another page brings a tag it lacks.
+  const keeperTags = new Set((keeper.manual_tags || []).map(tag => String(tag).trim().toLowerCase()));
+
+  const updates = {};
+  if (manualTags.some(tag => !keeperTags.has(tag.toLowerCase()))) {
+    updates.manual_tags = manualTags;
+  }
+  if (notes !== String(keeper.user_notes || '').trim()) {
+    updates.user_notes = notes;
+  }
+  return {
+    keeper,
+    updates,
+    addProjectIds: uniqueBy(others.flatMap(page => page.project_ids || []), id => id)
+      .filter(id => !keeperProjectIds.has(id)),
+    pin: keeper.pinned !== true && others.some(page => page.pinned === true),
+    removeIds: others.map(page => page.id)
+  };
+}
+
+// Merge a group through `api`. The kept page takes everything first, so a
+// failure part-way never leaves data only on a page that was deleted; the
+// rest go to the trash last. Resolves to { keeper, removed, failed } with the
+// ids that couldn't be deleted in `failed`.
+export async function mergeDuplicateGroup(api, group) {
+  const plan = planDuplicateMerge(group);
+  if (!plan) {
+    return { keeper: null, removed: [], failed: [] };
+  }
+  const { keeper, updates, addProjectIds, pin, removeIds } = plan;
+  if (Object.keys(updates).length) {
+    await api.updatePage(keeper.id, updates);
+  }
+  for (const projectId of addProjectIds) {
+    await api.addPageToProject(projectId, keeper.id);
+  }
+  if (pin) {
+    await api.pinPage(keeper.id, true);
+  }
+  const { succeeded = [], failed = [] } = await api.bulkDeletePages(removeIds) || {};
+  return { keeper, removed: succeeded, failed: failed.map(entry => entry.id) };
+}
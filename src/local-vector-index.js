@@ -0,0 +1,195 @@
+// local-vector-index.js - Semantic similarity over the embeddings pages carry.
+//
+// An enriched page's classifications may each carry an `embedding` vector
+// (ClassificationSchema). Those are enough to answer the two semantic
+// questions that start from something already saved — "pages like this one"
+// and "pages about this label" — without the backend: a page is the
+// confidence-weighted mean of its classification vectors, a label is the mean
+// of every vector stored under it, and closeness is cosine similarity. Only
+// free-text queries need the server, which embeds the text itself.
+//
+// Pure functions: local-vector-worker.js runs them off the main thread, and
+// local-vector-search.js runs them in place when there's no worker. Results
+// mirror the shapes of API.getSimilarByThingId and API.searchByTag, ids only;
+// the caller attaches its own page data.
+
+// How close a page's nearest classification must be to a label to count as a
+// similar match, and as a related one. searchByTag's mock scores a partial
+// label match 0.85.
+export const SIMILAR_LABEL_THRESHOLD = 0.85;
+export const RELATED_LABEL_THRESHOLD = 0.7;
+
+function toUnitVector(values) {
+  if (!Array.isArray(values) && !ArrayBuffer.isView(values)) {
+    return null;
+  }
+  let norm = 0;
+  for (let index = 0; index < values.length; index += 1) {
+    const value = values[index];
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return null;
+    }
+    norm += value * value;
+  }
+  if (!values.length || norm === 0) {
+    return null;
+  }
+  norm = Math.sqrt(norm);
+  return Float32Array.from(values, value => value / norm);
+}
+
+// For unit vectors of the same length this is their cosine similarity.
+function dot(a, b) {
+  let sum = 0;
+  for (let index = 0; index < a.length; index += 1) {
+    sum += a[index] * b[index];
+  }
+  return sum;
+}
+
+export function cosineSimilarity(a, b) {
+  const unitA = toUnitVector(a);
+  const unitB = toUnitVector(b);
+  return unitA && unitB && unitA.length === unitB.length ? dot(unitA, unitB) : 0;
+}
+
+// A weighted mean of unit vectors, itself a unit vector.
+function meanVector(vectors, weights = []) {
+  const sum = new Float32Array(vectors[0].length);
+  vectors.forEach((vector, vectorIndex) => {
+    const weight = weights[vectorIndex] > 0 ? weights[vectorIndex] : 1;
+    for (let index = 0; index < sum.length; index += 1) {
+      sum[index] += vector[index] * weight;
+    }
+  });
+  return toUnitVector(sum);
+}
+
+// Only what the index reads from a page: its id and the classifications that
+// carry an embedding. This is what gets posted to the worker.
+export function getPageVectorEntry(page) {
+  if (!page?.id || page.deleted) {
+    return null;
+  }
+  const classifications = (Array.isArray(page.classifications) ? page.classifications : [])
+    .filter(classification => classification?.label && Array.isArray(classification.embedding)
+      && classification.embedding.length > 0)
+    .map(({ type, label, confidence, embedding }) => ({ type, label, confidence, embedding }));
+  return classifications.length ? { id: page.id, classifications } : null;
+}
+
+// The index for `entries` (getPageVectorEntry output). Every vector shares the
+// dimension of the first one found; any other length is a different model's
+// and is left out.
+export function buildLocalVectorIndex(entries = []) {
+  let dimension = 0;
+  const pages = new Map();
+  const labelVectors = new Map();
+
+  entries.forEach(entry => {
+    if (!entry?.id || pages.has(entry.id)) {
+      return;
+    }
+    const classifications = [];
+    (entry.classifications || []).forEach(classification => {
+      const vector = toUnitVector(classification?.embedding);
+      if (!vector || !classification.label) {
+        return;
+      }
+      dimension = dimension || vector.length;
+      if (vector.length !== dimension) {
+        return;
+      }
+      classifications.push({ label: classification.label, confidence: classification.confidence, vector });
+      const key = classification.label.toLowerCase();
+      const stored = labelVectors.get(key) || { label: classification.label, vectors: [] };
+      stored.vectors.push(vector);
+      labelVectors.set(key, stored);
+    });
+    if (!classifications.length) {
+      return;
+    }
+    pages.set(entry.id, {
+      id: entry.id,
+      classifications,
+      vector: meanVector(
+        classifications.map(classification => classification.vector),
+        classifications.map(classification => classification.confidence)
+      )
+    });
+  });
+
+  const labels = new Map();
+  labelVectors.forEach(({ label, vectors }, key) => {
+    labels.set(key, { label, vector: meanVector(vectors) });
+  });
+  return { dimension, pages, labels };
+}
+
+// The pages closest to `pageId`, best first, in getSimilarByThingId's shape
+// with `thing_id` and `similarity` only. Null when the page has no vector, so
+// the caller can ask the server instead.
+export function findSimilarPages(index, pageId, { limit = 50, offset = 0, classificationLabel = null } = {}) {
+  const source = index?.pages.get(pageId);
+  if (!source) {
+    return null;
+  }
+  const ranked = [];
+  index.pages.forEach(page => {
+    if (page.id === pageId) {
+      return;
+    }
+    if (classificationLabel && !page.classifications.some(classification => classification.label === classificationLabel)) {
+      return;
+    }
+    ranked.push({ thing_id: page.id, similarity: dot(source.vector, page.vector) });
+  });
+  ranked.sort((a, b) => b.similarity - a.similarity);
+
+  return {
+    results: ranked.slice(offset, offset + limit),
+    pagination: { limit, offset, total: ranked.length, has_more: offset + limit < ranked.length },
+    source: { thing_id: pageId, label: source.classifications[0]?.label || null }
+  };
+}
+
+// The pages about `label`, in searchByTag's shape: pages carrying the label
+// are exact matches, and the rest sort into similar and related by their
+// nearest classification. Null when no page carries the label, since there's
+// then no vector to compare against.
+export function findPagesByLabel(index, label) {
+  const query = index?.labels.get(String(label || '').trim().toLowerCase());
+  if (!query) {
+    return null;
+  }
+  const results = {
+    query_label: label,
+    exact_matches: [],
+    similar_matches: [],
+    related_matches: []
+  };
+  index.pages.forEach(page => {
+    const exact = page.classifications.find(classification => classification.label.toLowerCase() === query.label.toLowerCase());
+    if (exact) {
+      results.exact_matches.push({ thing_id: page.id, similarity: 1, matched_label: exact.label });
+      return;
+    }
+    let best = null;
+    page.classifications.forEach(classification => {
+      const similarity = dot(query.vector, classification.vector);
+      if (!best || similarity > best.similarity) {
+        best = { similarity, matched_label: classification.label };
+      }
+    });
+    const match = { thing_id: page.id, ...best };
+    if (best.similarity >= SIMILAR_LABEL_THRESHOLD) {
+      results.similar_matches.push(match);
+    } else if (best.similarity >= RELATED_LABEL_THRESHOLD) {
+      results.related_matches.push(match);
+    }
+  });
+  const bySimilarity = (a, b) => b.similarity - a.similarity;
+  results.similar_matches.sort(bySimilarity);
+  results.related_matches.sort(bySimilarity);
+  return results;
+}
@@ -0,0 +1,212 @@
+// local-vector-search.js - On-device semantic lookups for the newtab page.
+//
+// Keeps a local vector index (local-vector-index.js) in step with the pages
+// the drawer holds — the warm cache — and answers "pages like this one" and
+// "pages about this label" from it, in a Web Worker so a large library doesn't
+// stall the page. Without a worker, or once it fails, the same functions run
+// in place. A lookup resolves null when the index can't answer (the pages
+// aren't all loaded, or the page or label has no embedding yet), and the
+// caller asks the server instead.
+
+import {
+  buildLocalVectorIndex,
+  findPagesByLabel,
+  findSimilarPages,
+  getPageVectorEntry
+} from './local-vector-index.js';
+
+// A cheap fingerprint of a vector: enough to tell a re-embedded label from
+// the same one, without keeping or comparing the whole vector.
+function fingerprintVector(vector) {
+  let sum = 0;
+  for (let i = 0; i < vector.length; i += 1) {
+    sum += vector[i] * (i + 1);
+  }
+  return `${vector.length}:${sum}`;
+}
+
+// What the index would hold for `entries`, as one string. Pages come back as
+// new objects on every store change; this only moves when a page gains, loses
+// or changes an embedding. Stamps are kept per classifications array, which a
+// page that didn't change carries over.
+const entryStamps = new WeakMap();
+
+function getEntryStamp(page, entry) {
+  const source = page.classifications;
+  if (!entryStamps.has(source)) {
+    entryStamps.set(source, entry.classifications
+      .map(({ label, confidence, embedding }) => `${label}:${confidence}:${fingerprintVector(embedding)}`)
+      .join('|'));
+  }
+  return `${entry.id}=${entryStamps.get(source)}`;
+}
+
+function createDefaultWorker() {
+  if (typeof Worker !== 'function') {
+    return null;
+  }
+  return new Worker(new URL('./local-vector-worker.js', import.meta.url), { type: 'module' });
+}
+
+export function createLocalVectorSearch({
+  // The pages to index, or null while they can't all be had; re-read before
+  // every lookup, and the index rebuilt when their embeddings changed.
+  getPages,
+  createWorker = createDefaultWorker
+} = {}) {
+  let worker;
+  let nextRequestId = 0;
+  const pending = new Map();
+  let indexedPages = null;
+  let indexedStamp = '';
+  let entries = [];
+  let pagesById = new Map();
+  // The in-place index, once there's no worker to hold it.
+  let localIndex = null;
+
+  function stopWorker(reason) {
+    worker?.terminate?.();
+    worker = null;
+    pending.forEach(({ reject }) => reject(reason));
+    pending.clear();
+  }
+
+  function getWorker() {
+    if (worker !== undefined) {
+      return worker;
+    }
+    try {
+      worker = createWorker() || null;
+    } catch (error) {
+      console.warn('[newtab] Local vector worker unavailable, searching in place:', error);
+      worker = null;
+    }
+    if (worker) {
+      worker.addEventListener('message', event => {
+        const { id, result, error } = event.data || {};
+        const request = pending.get(id);
+        if (!request) {
+          return;
+        }
+        pending.delete(id);
+        if (error) {
+          request.reject(new Error(error));
+        } else {
+          request.resolve(result);
+        }
+      });
+      worker.addEventListener('error', event => {
+        console.warn('[newtab] Local vector worker failed, searching in place:', event?.message || event);
+        event?.preventDefault?.();
+        stopWorker(new Error('Local vector worker failed'));
+      });
+    }
+    return worker;
+  }
+
+  function post(type, payload) {
+    return new Promise((resolve, reject) => {
+      nextRequestId += 1;
+      pending.set(nextRequestId, { resolve, reject });
+      worker.postMessage({ id: nextRequestId, type, payload });
+    });
+  }
+
+  // Run one step on the worker, or in place when there is none. A worker
+  // that fails mid-request is dropped and the step is run in place.
+  async function run(type, payload, runInPlace) {
+    if (getWorker()) {
+      try {
+        return await post(type, payload);
+      } catch (error) {
+        console.warn('[newtab] Local vector request failed, searching in place:', error);
+        stopWorker(error);
+      }
+    }
+    localIndex = localIndex || buildLocalVectorIndex(entries);
+    return runInPlace(localIndex);
+  }
+
+  // Rebuild the index when the pages' embeddings changed. False when the
+  // pages aren't all loaded or none has an embedding, so there's nothing to ask.
+  async function sync() {
+    const pages = typeof getPages === 'function' ? getPages() : [];
+    if (!Array.isArray(pages)) {
+      return false;
+    }
+    if (pages === indexedPages) {
+      return entries.length > 0;
+    }
+    indexedPages = pages;
+    pagesById = new Map(pages.map(page => [page?.id, page]));
+    const nextEntries = [];
+    const stamps = [];
+    pages.forEach(page => {
+      const entry = getPageVectorEntry(page);
+      if (entry) {
+        nextEntries.push(entry);
+        stamps.push(getEntryStamp(page, entry));
+      }
+    });
+    const stamp = stamps.join('\n');
+    if (stamp === indexedStamp) {
+      return entries.length > 0;
+    }
+    indexedStamp = stamp;
+    entries = nextEntries;
+    localIndex = null;
+    if (entries.length && getWorker()) {
+      try {
+        await post('index', { entries });
+      } catch (error) {
+        console.warn('[newtab] Local vector index failed, searching in place:', error);
+        stopWorker(error);
+      }
+    }
+    return entries.length > 0;
+  }
+
+  const withPage = match => ({ ...match, thing_data: pagesById.get(match.thing_id) || null });
+
+  // getSimilarByThingId's response for `pageId`, or null.
+  async function similarToPage(pageId, { limit = 50, offset = 0, classificationLabel = null } = {}) {
+    if (!pageId || !(await sync())) {
+      return null;
+    }
+    const options = { limit, offset, classificationLabel };
+    const response = await run('similar', { pageId, options }, index => findSimilarPages(index, pageId, options));
+    return response ? { ...response, results: response.results.map(withPage) } : null;
+  }
+
+  // searchByTag's response for `label`, or null.
+  async function searchByLabel(label) {
+    if (!label || !(await sync())) {
+      return null;
+    }
+    const response = await run('label', { label }, index => findPagesByLabel(index, label));
+    return response
+      ? {
+        ...response,
+        exact_matches: response.exact_matches.map(withPage),
+        similar_matches: response.similar_matches.map(withPage),
+        related_matches: response.related_matches.map(withPage)
+      }
+      : null;
+  }
+
+  function dispose() {
+    stopWorker(new Error('Local vector search disposed'));
+    worker = undefined;
+    indexedPages = null;
+    indexedStamp = '';
+    entries = [];
+    pagesById = new Map();
+    localIndex = null;
+  }
+
+  return {
+    dispose,
+    searchByLabel,
+    similarToPage
+  };
+}
@@ -0,0 +1,30 @@
+// local-vector-worker.js - Runs the local vector index off the main thread.
+//
+// Messages are { id, type, payload }: 'index' replaces the index with the
+// posted entries, 'similar' and 'label' query it. Every message gets one reply,
+// { id, result } or { id, error }.
+
+import { buildLocalVectorIndex, findPagesByLabel, findSimilarPages } from './local-vector-index.js';
+
+let index = buildLocalVectorIndex([]);
+
+const handlers = {
+  index: ({ entries }) => {
+    index = buildLocalVectorIndex(entries);
+    return { pages: index.pages.size };
+  },
+  similar: ({ pageId, options }) => findSimilarPages(index, pageId, options),
+  label: ({ label }) => findPagesByLabel(index, label)
+};
+
+self.addEventListener('message', event => {
+  const { id, type, payload } = event.data || {};
+  try {
+    if (!handlers[type]) {
+      throw new Error(`Unknown local vector request: ${type}`);
+    }
+    self.postMessage({ id, result: handlers[type](payload || {}) });
+  } catch (error) {
+    self.postMessage({ id, error: error?.message || String(error) });
+  }
+});
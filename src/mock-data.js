@@ -305,7 +305,8 @@ if (typeof window !== 'undefined' && !window.MOCK_DATA_EXTENDED) {
  */
 /* eslint-disable-next-line no-unused-vars */
 function filterMockData(data, options) {
-  let filtered = [...data];
+  // Soft-deleted pages only show up in the Trash (getStandaloneDeletedPages).
+  let filtered = data.filter(item => !item.deleted);
 
   if (options.projectId) {
     filtered = filtered.filter(item => item.project_ids?.includes(options.projectId));
@@ -368,7 +369,7 @@ function filterMockData(data, options) {
 
 function getMockProjectPageCount(projectId) {
   return (globalThis.MOCK_DATA || [])
-    .filter(page => page.project_ids?.includes(projectId))
+    .filter(page => !page.deleted && page.project_ids?.includes(projectId))
     .length;
 }
 
@@ -11,13 +11,16 @@ export function createSavedPagesFooterUpdater({
 }
 
 export function createNewtabAuthLifecycle({
-  drawerController
+  drawerController,
+  saveLinkBox = null
 }) {
   return {
     async onSignedIn() {
+      saveLinkBox?.setVisible(true);
       await drawerController.handleSignedIn();
     },
     async onSignedOut() {
+      saveLinkBox?.setVisible(false);
       drawerController.handleSignedOut();
     }
   };
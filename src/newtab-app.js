@@ -1,7 +1,10 @@
 import { createNewtabAuthController } from './newtab-auth.js';
 import { createSharingCentre } from './sharing-centre.js';
 import { createDataSyncCentre } from './data-sync-centre.js';
+import { createCommandPalette } from './command-palette.js';
 import { createToastRegion } from './toast.js';
+import { createSaveLinkBox } from './save-link.js';
+import { isPseudoScope } from './project-manager-state.js';
 import { clearPendingSave } from './pending-saves.js';
 import { CONFIG } from './config.js';
 import { getSessionToken, getCurrentUserId } from './session-store.js';
@@ -33,6 +36,7 @@ export function getDrawerControllerElements(elements) {
     projectEditorBackdrop: elements.projectEditorBackdrop,
     projectEditorDialog: elements.projectEditorDialog,
     projectSidebar: elements.projectSidebar,
+    savedPagesBulkBar: elements.savedPagesBulkBar,
     savedPagesDrawer: elements.savedPagesDrawer,
     savedPagesDrawerClearBtn: elements.savedPagesDrawerClearBtn,
     savedPagesDrawerResults: elements.savedPagesDrawerResults,
@@ -113,6 +117,26 @@ export function initSidebarOverlay({ sidebar, toggleBtn, backdrop, documentObj =
   });
 }
 
+// Flip between light and dark from whatever is showing now. 'auto' resolves
+// through the OS preference first, so the toggle always visibly changes the
+// page. Stored under the same key the theme buttons use so they stay in sync.
+export function toggleNewtabTheme(ThemeManager, documentObj = document) {
+  const windowObj = documentObj.defaultView || window;
+  const saved = windowObj.localStorage?.getItem('theme-preference') || 'auto';
+  const isDark = saved === 'auto'
+    ? Boolean(windowObj.matchMedia?.('(prefers-color-scheme: dark)').matches)
+    : saved === 'dark';
+  const next = isDark ? 'light' : 'dark';
+
+  windowObj.localStorage?.setItem('theme-preference', next);
+  if (typeof ThemeManager === 'function') {
+    const manager = new ThemeManager();
+    manager.applyTheme(next);
+    manager.updateThemeButtons(next);
+  }
+  return next;
+}
+
 export function createNewtabApp({
   API,
   AuthMenu,
@@ -248,8 +272,22 @@ export function createNewtabApp({
     onConnect: () => { void drawerController.refreshOpenScopes(); }
   });
 
+  const saveLinkBox = createSaveLinkBox({
+    form: elements.saveLinkForm,
+    input: elements.saveLinkInput,
+    runtime: documentObj.defaultView?.browser?.runtime || documentObj.defaultView?.chrome?.runtime,
+    notify: toast.show,
+    // A link pasted while a project is open lands in that project. Pinned,
+    // Trash and the reading queue are views, not projects.
+    getProjectId: () => {
+      const projectId = drawerController.getSavedPagesView?.()?.selectedProjectId || null;
+      return isPseudoScope(projectId) ? null : projectId;
+    }
+  });
+
   const authLifecycle = createNewtabAuthLifecycleFn({
-    drawerController
+    drawerController,
+    saveLinkBox
   });
   const authController = createNewtabAuthControllerFn({
     API,
@@ -300,11 +338,38 @@ export function createNewtabApp({
       } catch {
         /* drawer not initialised yet */
       }
+    },
+    onSmartCollectionsImported: () => {
+      void drawerController.loadSmartCollections?.();
+    },
+    onDuplicatesMerged: () => {
+      // The merged copies are in the trash and the kept pages changed; reload
+      // the current view from the server so the drawer shows both.
+      void drawerController.forceReload?.();
     }
   });
 
+  const commandPalette = createCommandPalette({
+    documentObj,
+    windowObj: documentObj.defaultView || window,
+    getDashboard: () => drawerController.getSavedPagesView?.() || null,
+    selectScope: scopeId => drawerController.selectScope?.(scopeId),
+    commands: [
+      { id: 'data-sync', label: 'Open Data & sync', detail: 'Import, export and bookmark sync', run: () => dataSyncCentre.open() },
+      { id: 'sharing', label: 'Open Sharing centre', detail: 'Who can see your projects', run: () => sharingCentre.open() },
+      { id: 'theme', label: 'Toggle theme', detail: 'Switch between light and dark', run: () => toggleNewtabTheme(ThemeManager, documentObj) },
+      {
+        id: 'create-project',
+        label: 'Create project',
+        detail: 'New project',
+        run: () => projectManager.promptCreateProject(drawerController.getSavedPagesView?.())
+      }
+    ]
+  });
+
   return {
     authController,
+    commandPalette,
     drawerController,
     elements,
     projectManager,
@@ -0,0 +1,432 @@
+// Selection mode and bulk actions for the drawer cards.
+//
+// Selection state lives in the drawer state bag (newtab-drawer-state.js owns
+// the writes); this controller turns card clicks into selection changes and
+// runs a bulk action over the selected pages through the api-pages-bulk.js
+// methods, which invalidate each affected cache once per batch instead of once
+// per page. Local state is updated only for the pages the backend accepted, so
+// a partial failure leaves exactly the failed pages selected for a retry.
+//
+// Delete is the exception: it goes through the drawer's undo window (see
+// newtab-drawer-undo.js) like a single-card delete, so the pages disappear at
+// once and the requests only go out when the grace period lapses.
+//
+// In the Trash scope the same selection drives Restore and Delete forever
+// instead; the data controller owns moving pages out of the trash list.
+//
+// "Mark all read" runs the same batch over every unread page in the scope,
+// without selection mode.
+
+import { updatePageProjectMembership } from './project-manager-actions.js';
+import { isOptimisticPage } from './pending-saves.js';
+import { TRASH_SCOPE_ID } from './project-manager-state.js';
+import { getPageReadState, getReadStateUpdates, isPageUnread } from './page-read-state.js';
+import { getSearchQueryText, parseSearchQuery } from './search-query.js';
+import {
+  getDrawerScopePages,
+  getDrawerSearchResults,
+  setDrawerBulkActionInProgress,
+  setDrawerEditingPage,
+  setDrawerSelectedPages,
+  setDrawerSelectionMode,
+  toggleDrawerPageSelection,
+  updateDrawerPageCollections
+} from './newtab-drawer-state.js';
+
+const pluralPages = count => `${count} page${count === 1 ? '' : 's'}`;
+
+// The read state each read-state action moves pages to.
+const READ_STATE_ACTIONS = {
+  'mark-read': 'read',
+  'mark-unread': 'unread',
+  archive: 'archived'
+};
+
+function getBulkActionCopy(action, projectName) {
+  const project = projectName || 'the project';
+  switch (action) {
+    case 'pin':
+      return { progress: 'Pinning', done: count => `Pinned ${pluralPages(count)}.`, failed: 'pin' };
+    case 'unpin':
+      return { progress: 'Unpinning', done: count => `Unpinned ${pluralPages(count)}.`, failed: 'unpin' };
+    case 'make-private':
+      return { progress: 'Hiding', done: count => `Hid ${pluralPages(count)} from your organisation.`, failed: 'hide' };
+    case 'make-public':
+      return { progress: 'Updating', done: count => `${pluralPages(count)} now visible to your organisation.`, failed: 'show' };
+    case 'add-to-project':
+      return { progress: `Adding to ${project}:`, done: count => `Added ${pluralPages(count)} to ${project}.`, failed: 'add' };
+    case 'remove-from-project':
+      return { progress: `Removing from ${project}:`, done: count => `Removed ${pluralPages(count)} from ${project}.`, failed: 'remove' };
+    case 'mark-read':
+      return { progress: 'Marking read', done: count => `Marked ${pluralPages(count)} as read.`, failed: 'mark' };
+    case 'mark-unread':
+      return { progress: 'Marking unread', done: count => `Marked ${pluralPages(count)} as unread.`, failed: 'mark' };
+    case 'archive':
+      return { progress: 'Archiving', done: count => `Archived ${pluralPages(count)}.`, failed: 'archive' };
+    case 'delete':
+      return { progress: 'Deleting', done: count => `Deleted ${pluralPages(count)}.`, failed: 'delete' };
+    case 'restore':
+      return { progress: 'Restoring', done: count => `Restored ${pluralPages(count)}.`, failed: 'restore' };
+    case 'delete-forever':
+      return { progress: 'Deleting', done: count => `Deleted ${pluralPages(count)} forever.`, failed: 'delete' };
+    default:
+      return null;
+  }
+}
+
+export function createDrawerBulkController({
+  api,
+  state,
+  projectManager,
+  savedPagesView,
+  renderDrawerResults,
+  applyDrawerFilters,
+  updateCachedProjectStores,
+  removeFromCachedProjectStores,
+  // Data-controller helpers behind an undoable delete: hide the pages with a
+  // snapshot, put snapshots back, or drop them once the delete commits.
+  hideDrawerPages,
+  restoreDrawerPages,
+  releaseDrawerPages,
+  // Trash helpers: move restored pages back into the saved-pages lists, or
+  // drop pages deleted forever from the trash list.
+  applyRestoredPages,
+  removeTrashPages,
+  undoController,
+  windowObj = window,
+  // Toast callback (message, { type, persist }). Progress and results are
+  // only reported when it is wired; failures fall back to a blocking alert.
+  notify
+}) {
+  const report = (message, options = {}) => {
+    if (typeof notify === 'function') {
+      try { notify(message, options); } catch { /* toast must never break the action */ }
+    } else if (options.type === 'error' || options.type === 'warning') {
+      windowObj.alert(message);
+    }
+  };
+
+  function findPage(id) {
+    return state.allPages.find(page => page.id === id)
+      || (state.semanticResults || []).find(page => page.id === id)
+      || null;
+  }
+
+  function isTrashScope() {
+    return state.selectedProjectId === TRASH_SCOPE_ID;
+  }
+
+  // Card ids in the order they are on screen — the basis for shift-click
+  // ranges and "Select all". With text to search the fused keyword and
+  // semantic list owns the pane (see createDrawerUiController.renderResults)
+  // except in the trash, which only ever shows its own list; otherwise,
+  // operators alone included, the browse list.
+  function getRenderedPageIds() {
+    const hasQuery = Boolean(getSearchQueryText(parseSearchQuery(state.query || '')));
+    const pages = hasQuery && !isTrashScope()
+      ? getDrawerSearchResults(state).map(result => result.page)
+      : state.pages;
+    return (pages || [])
+      .filter(page => page?.id && !isOptimisticPage(page))
+      .map(page => page.id);
+  }
+
+  function isSelectionMode() {
+    return state.selectionMode === true;
+  }
+
+  function setSelectionMode(enabled) {
+    if (state.bulkActionInProgress) {
+      return;
+    }
+    // The edit form and selection checkboxes compete for the same card
+    // clicks; close any open editor on the way in.
+    if (enabled) {
+      setDrawerEditingPage(state, null);
+    }
+    setDrawerSelectionMode(state, enabled);
+    renderDrawerResults();
+  }
+
+  function toggleSelection(id, { range = false } = {}) {
+    if (!isSelectionMode() || state.bulkActionInProgress || !id || isOptimisticPage({ id })) {
+      return;
+    }
+    toggleDrawerPageSelection(state, id, { range, orderedIds: getRenderedPageIds() });
+    renderDrawerResults();
+  }
+
+  function selectAll() {
+    if (!isSelectionMode() || state.bulkActionInProgress) {
+      return;
+    }
+    setDrawerSelectedPages(state, getRenderedPageIds());
+    renderDrawerResults();
+  }
+
+  async function applyFieldUpdate(ids, updater) {
+    for (const id of ids) {
+      const page = findPage(id);
+      updateDrawerPageCollections(state, id, updater);
+      if (page) {
+        await updateCachedProjectStores(page, updater);
+      }
+    }
+    await savedPagesView.persistAllPages();
+  }
+
+  async function applyProjectMembership(ids, projectId, shouldAssign) {
+    for (const id of ids) {
+      updateDrawerPageCollections(state, id, page => updatePageProjectMembership(page, id, projectId, shouldAssign));
+      if (!shouldAssign) {
+        await removeFromCachedProjectStores(id, [projectId]);
+      }
+    }
+    projectManager.adjustProjectCount(savedPagesView, projectId, shouldAssign ? ids.length : -ids.length);
+    await savedPagesView.persistAllPages();
+  }
+
+  // Pages an action would actually change. Project actions skip pages already
+  // in (or already out of) the project, so a no-op never costs a request or
+  // skews the project's page count; read-state actions skip pages already in
+  // that state.
+  function getActionablePageIds(action, ids, projectId) {
+    if (READ_STATE_ACTIONS[action]) {
+      return ids.filter(id => getPageReadState(findPage(id)) !== READ_STATE_ACTIONS[action]);
+    }
+    if (action === 'add-to-project') {
+      return ids.filter(id => !findPage(id)?.project_ids?.includes(projectId));
+    }
+    if (action === 'remove-from-project') {
+      return ids.filter(id => findPage(id)?.project_ids?.includes(projectId));
+    }
+    return ids;
+  }
+
+  function runRequest(action, ids, { projectId, updates, onProgress }) {
+    switch (action) {
+      case 'pin':
+        return api.bulkPinPages(ids, true, { onProgress });
+      case 'unpin':
+        return api.bulkPinPages(ids, false, { onProgress });
+      case 'make-private':
+        return api.bulkUpdatePages(ids, { private: true }, { onProgress });
+      case 'make-public':
+        return api.bulkUpdatePages(ids, { private: false }, { onProgress });
+      case 'mark-read':
+      case 'mark-unread':
+      case 'archive':
+        return api.bulkUpdatePages(ids, updates, { onProgress });
+      case 'add-to-project':
+        return api.bulkAddPagesToProject(projectId, ids, { onProgress });
+      case 'remove-from-project':
+        return api.bulkRemovePagesFromProject(projectId, ids, { onProgress });
+      case 'restore':
+        return api.bulkRestorePages(ids, { onProgress });
+      case 'delete-forever':
+        return api.bulkDeletePagesForever(ids, { onProgress });
+      default:
+        return Promise.resolve({ succeeded: [], failed: [] });
+    }
+  }
+
+  async function applySucceeded(action, ids, { projectId, updates }) {
+    switch (action) {
+      case 'pin':
+      case 'unpin': {
+        const pinned = action === 'pin';
+        return applyFieldUpdate(ids, page => ({ ...page, pinned }));
+      }
+      case 'make-private':
+      case 'make-public': {
+        const isPrivate = action === 'make-private';
+        return applyFieldUpdate(ids, page => ({ ...page, private: isPrivate }));
+      }
+      case 'mark-read':
+      case 'mark-unread':
+      case 'archive':
+        return applyFieldUpdate(ids, page => ({ ...page, ...updates }));
+      case 'add-to-project':
+        return applyProjectMembership(ids, projectId, true);
+      case 'remove-from-project':
+        return applyProjectMembership(ids, projectId, false);
+      case 'restore':
+        return applyRestoredPages(ids);
+      case 'delete-forever':
+        return removeTrashPages(ids);
+      default:
+        return undefined;
+    }
+  }
+
+  function renderAfterChange() {
+    applyDrawerFilters(state.query);
+    renderDrawerResults();
+  }
+
+  async function runUndoableDelete(ids, copy) {
+    setDrawerBulkActionInProgress(state, true);
+    const snapshots = await hideDrawerPages(ids);
+    const hiddenIds = new Set(ids);
+    setDrawerSelectedPages(state, state.selectedPageIds.filter(id => !hiddenIds.has(id)));
+    setDrawerBulkActionInProgress(state, false);
+    renderAfterChange();
+
+    await undoController.schedule({
+      message: copy.done(ids.length),
+      commit: async () => {
+        let result;
+        try {
+          result = await api.bulkDeletePages(ids);
+        } catch (error) {
+          console.error('[newtab] Bulk delete failed:', error);
+          result = { succeeded: [], failed: ids.map(id => ({ id, error })) };
+        }
+
+        const failedIds = new Set(result.failed.map(entry => entry.id));
+        releaseDrawerPages(snapshots.filter(snapshot => !failedIds.has(snapshot.id)));
+        if (!failedIds.size) {
+          return;
+        }
+
+        // The grace period is long over, so the refused pages just come back
+        // rather than being reselected under a selection the user has moved on from.
+        await restoreDrawerPages(snapshots.filter(snapshot => failedIds.has(snapshot.id)));
+        renderAfterChange();
+        if (result.succeeded.length) {
+          report(
+            `${failedIds.size} of ${pluralPages(ids.length)} couldn't be deleted and ${failedIds.size === 1 ? 'was' : 'were'} put back.`,
+            { type: 'warning' }
+          );
+        } else {
+          report(`Couldn't ${copy.failed} the selected pages. Please try again.`, { type: 'error' });
+        }
+      },
+      undo: async () => {
+        await restoreDrawerPages(snapshots);
+        if (isSelectionMode()) {
+          setDrawerSelectedPages(state, [...state.selectedPageIds, ...ids]);
+        }
+        renderAfterChange();
+      }
+    });
+  }
+
+  async function runBulkAction(action, { projectId = null } = {}) {
+    if (!isSelectionMode() || state.bulkActionInProgress) {
+      return;
+    }
+    const projectName = projectId
+      ? (state.projects.find(project => project.id === projectId)?.name || null)
+      : null;
+    const copy = getBulkActionCopy(action, projectName);
+    const needsProject = action === 'add-to-project' || action === 'remove-from-project';
+    const trashAction = action === 'restore' || action === 'delete-forever';
+    // Trash pages only take the trash actions, and the trash actions only
+    // make sense on trash pages.
+    if (!copy || (needsProject && !projectId) || trashAction !== isTrashScope()) {
+      return;
+    }
+
+    const selectedIds = state.selectedPageIds.filter(id => !isOptimisticPage({ id }));
+    if (!selectedIds.length) {
+      return;
+    }
+    const ids = getActionablePageIds(action, selectedIds, projectId);
+    if (!ids.length) {
+      if (READ_STATE_ACTIONS[action]) {
+        report(`The selected pages are already ${READ_STATE_ACTIONS[action]}.`);
+        return;
+      }
+      report(action === 'add-to-project'
+        ? `The selected pages are already in ${projectName || 'that project'}.`
+        : `None of the selected pages are in ${projectName || 'that project'}.`);
+      return;
+    }
+    if (action === 'delete') {
+      await runUndoableDelete(ids, copy);
+      return;
+    }
+    if (action === 'delete-forever'
+      && !windowObj.confirm(`Delete ${pluralPages(ids.length)} forever? This cannot be undone.`)) {
+      return;
+    }
+
+    await runBatch(action, ids, { projectId, copy });
+  }
+
+  // Send one batch and apply what the backend accepted. Read-state updates
+  // are built once so every page gets the same read_at.
+  async function runBatch(action, ids, { projectId = null, copy }) {
+    const updates = READ_STATE_ACTIONS[action] ? getReadStateUpdates(READ_STATE_ACTIONS[action]) : null;
+    setDrawerBulkActionInProgress(state, true);
+    renderDrawerResults();
+    report(`${copy.progress} 0 of ${ids.length}…`, { persist: true });
+
+    try {
+      const { succeeded, failed } = await runRequest(action, ids, {
+        projectId,
+        updates,
+        onProgress: ({ completed, total }) => {
+          report(`${copy.progress} ${completed} of ${total}…`, { persist: true });
+        }
+      });
+
+      if (succeeded.length) {
+        await applySucceeded(action, succeeded, { projectId, updates });
+      }
+
+      // Keep only the failures selected so "try again" is one click away.
+      const failedIds = new Set(failed.map(entry => entry.id));
+      setDrawerSelectedPages(state, state.selectedPageIds.filter(id => failedIds.has(id)));
+      setDrawerBulkActionInProgress(state, false);
+      applyDrawerFilters(state.query);
+      renderDrawerResults();
+
+      if (!failed.length) {
+        report(copy.done(succeeded.length), { type: 'success' });
+      } else if (succeeded.length) {
+        report(
+          `${copy.done(succeeded.length)} ${failed.length} failed${isSelectionMode() ? ` and ${failed.length === 1 ? 'is' : 'are'} still selected` : ''}.`,
+          { type: 'warning' }
+        );
+      } else {
+        report(`Couldn't ${copy.failed} the ${isSelectionMode() ? 'selected ' : ''}pages. Please try again.`, { type: 'error' });
+      }
+    } catch (error) {
+      setDrawerBulkActionInProgress(state, false);
+      renderDrawerResults();
+      console.error('[newtab] Bulk action failed:', error);
+      report(`Couldn't ${copy.failed} the ${isSelectionMode() ? 'selected ' : ''}pages. Please try again.`, { type: 'error' });
+    }
+  }
+
+  // Every unread page in the current scope, whatever the search query or the
+  // unread filter shows.
+  async function markAllRead() {
+    if (isTrashScope() || state.bulkActionInProgress) {
+      return;
+    }
+    const ids = getDrawerScopePages({ state, projectManager, savedPagesView })
+      .filter(page => page?.id && !isOptimisticPage(page) && isPageUnread(page))
+      .map(page => page.id);
+    if (!ids.length) {
+      report('Everything here is already read.');
+      return;
+    }
+    if (ids.length > 1 && !windowObj.confirm(`Mark ${pluralPages(ids.length)} as read?`)) {
+      return;
+    }
+
+    await runBatch('mark-read', ids, { copy: getBulkActionCopy('mark-read') });
+  }
+
+  return {
+    isSelectionMode,
+    markAllRead,
+    runBulkAction,
+    selectAll,
+    setSelectionMode,
+    toggleSelection
+  };
+}
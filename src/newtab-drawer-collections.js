@@ -0,0 +1,138 @@
+// Smart collections: saved searches in the sidebar.
+//
+// What a collection is and how it's counted live in smart-collections.js;
+// this controller owns what the user does with them. Saving captures the
+// drawer's current query, list filters and semantic threshold under a name;
+// opening one puts those back on the All pages view. Every change re-renders
+// the sidebar at once and then writes the whole list to storage, best effort,
+// like the reading queue order.
+
+import {
+  createSmartCollection,
+  getSmartCollectionIdFromScope,
+  loadSmartCollections,
+  moveSmartCollection,
+  saveSmartCollections,
+  updateSmartCollection
+} from './smart-collections.js';
+import {
+  hasSavableDrawerSearch,
+  setDrawerSemanticThreshold,
+  setDrawerSmartCollections
+} from './newtab-drawer-state.js';
+
+export function createDrawerSmartCollectionsController({
+  state,
+  // browser.storage.local, or null where there is none (collections then last
+  // until the tab closes).
+  storage = null,
+  // Same routing as a sidebar row click; '' is All pages.
+  selectScope,
+  handleDrawerListFiltersChange,
+  loadDrawerResults,
+  renderProjectSidebar,
+  notify,
+  promptFn = (...args) => globalThis.prompt?.(...args),
+  confirmFn = (...args) => globalThis.confirm?.(...args)
+}) {
+  const report = (message, options = {}) => {
+    try { notify?.(message, options); } catch { /* toast must never break the sidebar */ }
+  };
+
+  function find(idOrScopeId) {
+    const id = getSmartCollectionIdFromScope(idOrScopeId) ?? idOrScopeId;
+    return state.smartCollections.find(collection => collection.id === id) || null;
+  }
+
+  async function load() {
+    setDrawerSmartCollections(state, await loadSmartCollections(storage));
+    renderProjectSidebar();
+  }
+
+  async function commit(collections) {
+    setDrawerSmartCollections(state, collections);
+    renderProjectSidebar();
+    try {
+      await saveSmartCollections(storage, collections);
+    } catch (error) {
+      console.warn('[newtab] Failed to save smart collections:', error?.message || error);
+    }
+  }
+
+  async function saveCurrent() {
+    if (!hasSavableDrawerSearch(state)) {
+      report('Search or filter the list first, then save it.', { type: 'warning' });
+      return null;
+    }
+    const name = promptFn('Name this search', state.query)?.trim();
+    if (!name) {
+      return null;
+    }
+    const collection = createSmartCollection({
+      name,
+      query: state.query,
+      filters: state.listFilters,
+      threshold: state.semanticThreshold
+    });
+    await commit([...state.smartCollections, collection]);
+    report(`Saved “${collection.name}” to smart collections`, { type: 'success' });
+    return collection;
+  }
+
+  // Open a collection: All pages, then its filters and threshold, then its
+  // query, which runs the search.
+  async function open(idOrScopeId) {
+    const collection = find(idOrScopeId);
+    if (!collection) {
+      return;
+    }
+    if (state.selectedProjectId || state.selectedDomainId) {
+      await selectScope?.('');
+    }
+    setDrawerSemanticThreshold(state, collection.threshold);
+    void handleDrawerListFiltersChange?.({ ...collection.filters });
+    await loadDrawerResults?.(collection.query);
+  }
+
+  function rename(idOrScopeId) {
+    const collection = find(idOrScopeId);
+    const name = collection ? promptFn('Rename saved search', collection.name)?.trim() : null;
+    if (!name || name === collection.name) {
+      return Promise.resolve();
+    }
+    return commit(updateSmartCollection(state.smartCollections, collection.id, { name }));
+  }
+
+  function togglePin(idOrScopeId) {
+    const collection = find(idOrScopeId);
+    if (!collection) {
+      return Promise.resolve();
+    }
+    return commit(updateSmartCollection(state.smartCollections, collection.id, { pinned: !collection.pinned }));
+  }
+
+  // One place up (-1) or down (+1) in the sidebar.
+  function move(idOrScopeId, delta) {
+    const collection = find(idOrScopeId);
+    const next = collection ? moveSmartCollection(state.smartCollections, collection.id, delta) : null;
+    return next && next !== state.smartCollections ? commit(next) : Promise.resolve();
+  }
+
+  function remove(idOrScopeId) {
+    const collection = find(idOrScopeId);
+    if (!collection || !confirmFn(`Delete the saved search “${collection.name}”? Your pages are not affected.`)) {
+      return Promise.resolve();
+    }
+    return commit(state.smartCollections.filter(item => item.id !== collection.id));
+  }
+
+  return {
+    load,
+    move,
+    open,
+    remove,
+    rename,
+    saveCurrent,
+    togglePin
+  };
+}
@@ -1,9 +1,15 @@
-import { PINNED_PAGES_SCOPE_ID } from './project-manager-state.js';
+import { TRASH_SCOPE_ID, isAllPagesView } from './project-manager-state.js';
 import { canHydrateDrawerWithWarmCache } from './newtab-drawer-coordination.js';
-import { createDomainSavedPagesStore, createProjectSavedPagesStore } from './newtab-drawer-stores.js';
+import {
+  createDomainSavedPagesStore,
+  createProjectSavedPagesStore,
+  createTrashSavedPagesStore
+} from './newtab-drawer-stores.js';
 import {
   beginDrawerWarming,
   growDrawerRenderLimit,
+  normalizeManualTags,
+  nextDrawerListFilterRequestId,
   nextDrawerRequestId,
   nextDrawerSemanticRequestId,
   resetDrawerRenderLimit,
@@ -11,6 +17,8 @@ import {
   setDrawerDomains,
   setDrawerEditingPage,
   setDrawerInitialized,
+  setDrawerListFilters,
+  setDrawerListFiltersOpen,
   setDrawerLoadedScopePages,
   setDrawerLoading,
   setDrawerProjects,
@@ -19,11 +27,26 @@ import {
   setDrawerRenderedPages,
   setDrawerSavingEdit,
   setDrawerSemantic,
+  setDrawerSemanticThreshold,
+  setDrawerShowMatchSignals,
+  setDrawerServerFilteredPages,
+  setDrawerUnreadOnly,
   updateDrawerPageCollections
 } from './newtab-drawer-state.js';
 import { hasRenderableWarmCache, upsertListPages } from './warm-cache-list-store.js';
 import { togglePagePrivacy } from './newtab-privacy.js';
+import { getReadStateUpdates, isPageUnread, setPageReadState } from './page-read-state.js';
+import {
+  createDefaultPageListFilters,
+  getPageListFilterRequestParams,
+  hasActivePageFacets,
+  isDefaultPageListFilters
+} from './page-list-filters.js';
+import { getSearchQueryText, normalizeSemanticThreshold, parseSearchQuery } from './search-query.js';
+import { sendRuntimeMessage } from './send-runtime-message.js';
+import { createDrawerUndoController } from './newtab-drawer-undo.js';
 import { isOptimisticPage } from './pending-saves.js';
+import { updatePageProjectMembership } from './project-manager-actions.js';
 
 export function createDrawerDataController({
   api,
@@ -47,13 +70,24 @@ export function createDrawerDataController({
   // Optional toast callback (message, { type }) for transient failure feedback.
   // Falls back to a blocking windowObj.alert when not provided.
   notify,
+  // Shared with the bulk controller so a single delete and a bulk delete
+  // can't both be waiting out a grace period; see newtab-drawer-undo.js.
+  undoController = createDrawerUndoController({ notify, windowObj }),
+  // This browser's reader articles and archive snapshots (archive-store.js);
+  // null where IndexedDB isn't available.
+  archiveStore = null,
   projectFetchLimit = 100,
+  // How many server matches to fetch for the list filters while the all-pages
+  // store is still partly loaded.
+  serverFilterFetchLimit = 100,
   createProjectSavedPagesStoreFn = createProjectSavedPagesStore,
-  createDomainSavedPagesStoreFn = createDomainSavedPagesStore
+  createDomainSavedPagesStoreFn = createDomainSavedPagesStore,
+  createTrashSavedPagesStoreFn = createTrashSavedPagesStore
 }) {
   let drawerProjectsPromise = null;
   const projectSavedPagesStores = new Map();
   const domainSavedPagesStores = new Map();
+  let trashSavedPagesStore = null;
 
   // Surface a transient failure message via toast when available, else fall
   // back to a blocking alert so older callers / tests still see the message.
@@ -65,6 +99,12 @@ export function createDrawerDataController({
     }
   };
 
+  const reportSuccess = (message) => {
+    if (typeof notify === 'function') {
+      try { notify(message, { type: 'success' }); } catch { /* toast must never break the action */ }
+    }
+  };
+
   function findDrawerPage(id) {
     return state.allPages.find(page => page.id === id) || null;
   }
@@ -86,10 +126,16 @@ export function createDrawerDataController({
   }
 
   function getProjectSavedPagesStore(projectId) {
-    if (!projectId || projectId === PINNED_PAGES_SCOPE_ID) {
+    if (isAllPagesView(projectId)) {
       return null;
     }
 
+    // Callers that reset or refresh "the open scope's store" by project id
+    // (forceReload, refreshOpenScopes) get the trash store for the trash.
+    if (projectId === TRASH_SCOPE_ID) {
+      return getTrashSavedPagesStore();
+    }
+
     if (!projectSavedPagesStores.has(projectId)) {
       const store = createProjectSavedPagesStoreFn(api, projectId, {
         initialFetchLimit: projectFetchLimit,
@@ -146,6 +192,45 @@ export function createDrawerDataController({
     return domainSavedPagesStores.get(domain) || null;
   }
 
+  // --- Trash store ---
+  // Deleted pages stay out of allPages: restoring one is the only way back
+  // into the saved-pages list, so the trash only ever fills loadedProjectPages.
+
+  function syncTrashDrawerStateFromStore(snapshot, { query = state.query, render = state.hasInitialized } = {}) {
+    if (state.selectedProjectId !== TRASH_SCOPE_ID) {
+      return;
+    }
+
+    setDrawerLoadedScopePages(state, snapshot?.allPages || []);
+    applyDrawerFilters(query);
+
+    if (render) {
+      renderDrawerResults();
+    }
+  }
+
+  function getTrashSavedPagesStore() {
+    if (!trashSavedPagesStore) {
+      const store = createTrashSavedPagesStoreFn(api, {
+        initialFetchLimit: projectFetchLimit,
+        prefetchBatchLimit: projectFetchLimit
+      });
+      store.subscribe(() => {
+        syncTrashDrawerStateFromStore(store.getSnapshot(), {
+          query: state.query,
+          render: state.hasInitialized
+        });
+      });
+      trashSavedPagesStore = store;
+    }
+
+    return trashSavedPagesStore;
+  }
+
+  function findTrashPage(id) {
+    return trashSavedPagesStore?.getSnapshot()?.allPages?.find(page => page.id === id) || null;
+  }
+
   async function updateCachedProjectStores(page, updater) {
     const projectIds = Array.isArray(page?.project_ids) ? page.project_ids : [];
 
@@ -275,6 +360,26 @@ export function createDrawerDataController({
     };
   }
 
+  function trashScope() {
+    return {
+      type: 'trash',
+      id: TRASH_SCOPE_ID,
+      getStore: () => getTrashSavedPagesStore(),
+      syncFromStore: (snapshot, opts) => syncTrashDrawerStateFromStore(snapshot, opts),
+      messages: {
+        searching: 'Searching the trash…',
+        gathering: 'Gathering deleted pages…',
+        failed: 'Could not reach the trash.',
+        logTag: '[newtab] Trash drawer load failed:'
+      },
+      armWarming: false,
+      // Deleted pages keep their project_ids, so the pills still need names.
+      loadProjectsAlongside: true,
+      loadDomainsAlongside: false,
+      resetRenderLimitFirst: true
+    };
+  }
+
   async function loadDrawerScope(scope, { query = state.query, syncUrl = true } = {}) {
     if (scope.resetRenderLimitFirst) {
       resetRenderLimit();
@@ -334,6 +439,12 @@ export function createDrawerDataController({
       setDrawerInitialized(state, true);
       renderDrawerResults();
 
+      // Filters restored from the URL (or kept across a scope switch) may
+      // reach past what the store has loaded.
+      if (scope.type === 'all') {
+        void loadServerFilteredPages();
+      }
+
       if (projectsPromise) {
         void projectsPromise.then(() => {
           if (requestId !== state.requestId) {
@@ -374,11 +485,14 @@ export function createDrawerDataController({
   }
 
   async function loadDrawerProjectPages(projectId, options) {
-    // Pinned-pages sentinel and a null/empty id both route to the all-pages
-    // view — that's the "All pages" pseudo-scope.
-    if (!projectId || projectId === PINNED_PAGES_SCOPE_ID) {
+    // The Pinned and reading-queue sentinels and a null/empty id all route to
+    // the all-pages view — they're views over the "All pages" list.
+    if (isAllPagesView(projectId)) {
       return loadDrawerBasePages(options);
     }
+    if (projectId === TRASH_SCOPE_ID) {
+      return loadDrawerScope(trashScope(), options);
+    }
     return loadDrawerScope(projectScope(projectId), options);
   }
 
@@ -387,7 +501,10 @@ export function createDrawerDataController({
   // Returns null when no scope is selected and the drawer hasn't initialized —
   // callers should fall back to loadDrawerBasePages in that case.
   function scopeForCurrentSelection() {
-    if (state.selectedProjectId && state.selectedProjectId !== PINNED_PAGES_SCOPE_ID) {
+    if (state.selectedProjectId === TRASH_SCOPE_ID) {
+      return trashScope();
+    }
+    if (!isAllPagesView(state.selectedProjectId)) {
       return projectScope(state.selectedProjectId);
     }
     if (state.selectedDomainId) {
@@ -406,8 +523,139 @@ export function createDrawerDataController({
     return loadDrawerScope(scopeForCurrentSelection(), options);
   }
 
+  // --- Undoable removals ---------------------------------------------------
+  //
+  // A delete is applied locally at once and committed after the undo grace
+  // period. Hiding snapshots every place the page was shown (the all-pages
+  // store, cached project stores, the loaded scope and the semantic results)
+  // so an undo can put the card back exactly where it was — pinned state and
+  // project memberships included, since the snapshot is the page itself.
+
+  async function hideDrawerPages(ids) {
+    const snapshots = [];
+
+    for (const id of ids) {
+      const page = findDrawerPage(id)
+        || (state.semanticResults || []).find(entry => entry.id === id)
+        || null;
+      const projectIds = Array.isArray(page?.project_ids) ? page.project_ids : [];
+      const storeEntry = await savedPagesStore.hidePage(id);
+      const projectEntries = [];
+      for (const projectId of projectIds) {
+        const store = projectSavedPagesStores.get(projectId);
+        if (store) {
+          projectEntries.push({ projectId, entry: await store.hidePage(id) });
+        }
+        projectManager.adjustProjectCount(savedPagesView, projectId, -1);
+      }
+
+      const loadedIndex = Array.isArray(state.loadedProjectPages)
+        ? state.loadedProjectPages.findIndex(entry => entry.id === id)
+        : -1;
+      if (loadedIndex !== -1) {
+        setDrawerLoadedScopePages(state, state.loadedProjectPages.filter(entry => entry.id !== id));
+      }
+      const semanticIndex = (state.semanticResults || []).findIndex(entry => entry.id === id);
+      const semanticPage = semanticIndex === -1 ? null : state.semanticResults[semanticIndex];
+      if (semanticPage) {
+        setDrawerSemantic(state, { results: state.semanticResults.filter(entry => entry.id !== id) });
+      }
+
+      const serverFilteredPage = (state.serverFilteredPages || []).find(entry => entry.id === id) || null;
+      if (serverFilteredPage) {
+        setDrawerServerFilteredPages(state, state.serverFilteredPages.filter(entry => entry.id !== id));
+      }
+
+      snapshots.push({
+        id,
+        page,
+        projectIds,
+        storeEntry,
+        projectEntries,
+        loadedIndex,
+        semanticIndex,
+        semanticPage,
+        serverFilteredPage
+      });
+    }
+
+    syncDrawerStateFromStore(savedPagesStore.getSnapshot(), {
+      query: state.query,
+      render: false
+    });
+    return snapshots;
+  }
+
+  const insertAt = (list, index, item) => {
+    const next = [...list];
+    next.splice(Math.max(0, Math.min(index, next.length)), 0, item);
+    return next;
+  };
+
+  async function restoreDrawerPages(snapshots) {
+    // Reverse order: each snapshot's index was taken after the earlier ones
+    // were removed, so putting the last one back first keeps them all valid.
+    for (const snapshot of [...snapshots].reverse()) {
+      const {
+        id,
+        page,
+        projectIds,
+        storeEntry,
+        projectEntries,
+        loadedIndex,
+        semanticIndex,
+        semanticPage,
+        serverFilteredPage
+      } = snapshot;
+      if (storeEntry) {
+        await savedPagesStore.restorePage(storeEntry.page, { index: storeEntry.index });
+      } else {
+        savedPagesStore.releaseHiddenPage(id);
+      }
+      for (const { projectId, entry } of projectEntries) {
+        const store = projectSavedPagesStores.get(projectId);
+        if (store && entry) {
+          await store.restorePage(entry.page, { index: entry.index });
+        } else {
+          store?.releaseHiddenPage(id);
+        }
+      }
+      projectIds.forEach(projectId => {
+        projectManager.adjustProjectCount(savedPagesView, projectId, 1);
+      });
+
+      if (page && loadedIndex !== -1 && Array.isArray(state.loadedProjectPages)
+        && !state.loadedProjectPages.some(entry => entry.id === id)) {
+        setDrawerLoadedScopePages(state, insertAt(state.loadedProjectPages, loadedIndex, page));
+      }
+      if (semanticPage && !(state.semanticResults || []).some(entry => entry.id === id)) {
+        setDrawerSemantic(state, { results: insertAt(state.semanticResults || [], semanticIndex, semanticPage) });
+      }
+      // The list is re-sorted on render, so where it goes back doesn't matter.
+      if (serverFilteredPage && Array.isArray(state.serverFilteredPages)
+        && !state.serverFilteredPages.some(entry => entry.id === id)) {
+        setDrawerServerFilteredPages(state, [...state.serverFilteredPages, serverFilteredPage]);
+      }
+    }
+
+    syncDrawerStateFromStore(savedPagesStore.getSnapshot(), {
+      query: state.query,
+      render: false
+    });
+  }
+
+  // The deletes went through; stop filtering ids the backend no longer has.
+  function releaseDrawerPages(snapshots) {
+    for (const { id, projectEntries } of snapshots) {
+      savedPagesStore.releaseHiddenPage(id);
+      projectEntries.forEach(({ projectId }) => {
+        projectSavedPagesStores.get(projectId)?.releaseHiddenPage(id);
+      });
+    }
+  }
+
   async function handleDrawerDelete(id) {
-    if (!id || !windowObj.confirm('Delete this saved page? This cannot be undone.')) {
+    if (!id) {
       return;
     }
 
@@ -416,14 +664,22 @@ export function createDrawerDataController({
     // Optimistic placeholders (pending saves not yet enriched) have synthetic
     // IDs like "optimistic:<url>". There's no backend doc to delete — just clear
     // the pending-save record and drop the tile locally. Calling the API with a
-    // synthetic ID would fail silently and leave the tile behind.
+    // synthetic ID would fail silently and leave the tile behind. A save still
+    // queued in the offline outbox is cancelled too, so the retry alarm doesn't
+    // deliver a page the user just deleted. Clearing those records can't be
+    // undone, so this path still asks first instead of offering Undo.
     if (isOptimisticPage({ id })) {
+      if (!windowObj.confirm('Delete this saved page? This cannot be undone.')) {
+        return;
+      }
       const browserApi = globalThis.browser ?? globalThis.chrome;
       // Clear the pending-save record BEFORE removing the tile. removePage
       // emits a store change that can trigger syncPendingSaves via the storage
       // listener, which would re-prepend the tile if the record still exists.
       if (deletedPage?.url && browserApi?.storage?.local) {
         const { clearPendingSave } = await import('./pending-saves.js');
+        const { removeOutboxSave } = await import('./save-outbox.js');
+        await removeOutboxSave(browserApi.storage.local, deletedPage.url).catch(() => {});
         await clearPendingSave(browserApi.storage.local, deletedPage.url).catch(() => {});
       }
       await savedPagesStore.removePage(id);
@@ -431,25 +687,167 @@ export function createDrawerDataController({
       return;
     }
 
-    try {
-      await api.deletePage(id);
-      await savedPagesStore.removePage(id);
-      await removeFromCachedProjectStores(id, deletedPage?.project_ids || []);
-      if (Array.isArray(state.loadedProjectPages)) {
-        setDrawerLoadedScopePages(state, state.loadedProjectPages.filter(page => page.id !== id));
+    const snapshots = await hideDrawerPages([id]);
+    renderDrawerResults();
+
+    await undoController.schedule({
+      message: 'Page deleted.',
+      commit: async () => {
+        try {
+          await api.deletePage(id);
+          releaseDrawerPages(snapshots);
+        } catch (error) {
+          await restoreDrawerPages(snapshots);
+          renderDrawerResults();
+          console.error('[newtab] Failed to delete page:', error);
+          reportFailure('Failed to delete page. Please try again.');
+        }
+      },
+      undo: async () => {
+        await restoreDrawerPages(snapshots);
+        renderDrawerResults();
+      }
+    });
+  }
+
+  // The project pill's "×". Same grace period as a delete: the membership
+  // change is local until it commits, and Undo puts the pill back.
+  async function handleDrawerRemoveFromProject(id, projectId) {
+    const page = findDrawerPage(id);
+    if (!page || !projectId || isOptimisticPage(page) || !page.project_ids?.includes(projectId)) {
+      return;
+    }
+
+    const projectStore = projectSavedPagesStores.get(projectId) || null;
+    // Undo restores the original list rather than re-adding the id, so the
+    // pill comes back in the same position.
+    const originalProjectIds = [...page.project_ids];
+    const applyMembership = async (updater, delta) => {
+      updateDrawerPageCollections(state, id, updater);
+      projectManager.adjustProjectCount(savedPagesView, projectId, delta);
+      await savedPagesView.persistAllPages();
+      savedPagesView.handleProjectMembershipChange(id, projectId);
+    };
+    const restore = async (storeEntry) => {
+      if (storeEntry && projectStore) {
+        await projectStore.restorePage(storeEntry.page, { index: storeEntry.index });
+      } else {
+        projectStore?.releaseHiddenPage(id);
+      }
+      await applyMembership(entry => ({ ...entry, project_ids: originalProjectIds }), 1);
+    };
+
+    const storeEntry = projectStore ? await projectStore.hidePage(id) : null;
+    await applyMembership(entry => updatePageProjectMembership(entry, id, projectId, false), -1);
+
+    const projectName = state.projects.find(project => project.id === projectId)?.name;
+    await undoController.schedule({
+      message: projectName ? `Removed from ${projectName}.` : 'Removed from project.',
+      commit: async () => {
+        try {
+          await api.removePageFromProject(projectId, id);
+          projectStore?.releaseHiddenPage(id);
+        } catch (error) {
+          await restore(storeEntry);
+          console.error('[newtab] Failed to remove page from project:', error);
+          reportFailure('Failed to remove page from project. Please try again.');
+        }
+      },
+      undo: () => restore(storeEntry)
+    });
+  }
+
+  // --- Trash actions --------------------------------------------------------
+
+  // Where a restored page belongs in a newest-first list — after the pinned
+  // block when the list is pinned-first and the page isn't pinned.
+  function findRestoredPageIndex(pages, page, { pinnedFirst = false } = {}) {
+    const rank = entry => (pinnedFirst && entry.pinned ? 1 : 0);
+    const savedAt = entry => Date.parse(entry.saved_at || '') || 0;
+    const index = pages.findIndex(entry => rank(entry) < rank(page)
+      || (rank(entry) === rank(page) && savedAt(entry) < savedAt(page)));
+    return index === -1 ? pages.length : index;
+  }
+
+  // Move pages the backend has restored out of the trash and back into the
+  // saved-pages list and any cached project lists they belong to.
+  async function applyRestoredPages(ids) {
+    for (const id of ids) {
+      const trashedPage = findTrashPage(id);
+      await trashSavedPagesStore?.removePage(id);
+      if (!trashedPage) {
+        continue;
       }
-      syncDrawerStateFromStore(savedPagesStore.getSnapshot(), {
-        query: state.query,
-        render: false
+
+      const page = { ...trashedPage, deleted: false };
+      delete page.deleted_at;
+      await savedPagesStore.restorePage(page, {
+        index: findRestoredPageIndex(savedPagesStore.getSnapshot().allPages, page, { pinnedFirst: true })
       });
-      (deletedPage?.project_ids || []).forEach(projectId => {
-        projectManager.adjustProjectCount(savedPagesView, projectId, -1);
+      for (const projectId of page.project_ids || []) {
+        const store = projectSavedPagesStores.get(projectId);
+        if (store) {
+          await store.restorePage(page, {
+            index: findRestoredPageIndex(store.getSnapshot().allPages, page)
+          });
+        }
+        projectManager.adjustProjectCount(savedPagesView, projectId, 1);
+      }
+    }
+
+    syncDrawerStateFromStore(savedPagesStore.getSnapshot(), {
+      query: state.query,
+      render: false
+    });
+  }
+
+  // Pages deleted forever leave the trash list, and their local copies go
+  // with them. A copy that fails to delete only costs space, so that is
+  // logged rather than reported.
+  async function removeTrashPages(ids) {
+    for (const id of ids) {
+      await trashSavedPagesStore?.removePage(id);
+      await archiveStore?.deleteCopies(id).catch((error) => {
+        console.warn('[newtab] Failed to delete local copies of page:', error?.message || error);
       });
-      renderDrawerResults();
+    }
+  }
+
+  async function handleDrawerRestore(id) {
+    if (!findTrashPage(id)) {
+      return;
+    }
+
+    try {
+      await api.restorePage(id);
+    } catch (error) {
+      console.error('[newtab] Failed to restore page:', error);
+      reportFailure('Failed to restore page. Please try again.');
+      return;
+    }
+
+    await applyRestoredPages([id]);
+    renderDrawerResults();
+    reportSuccess('Page restored.');
+  }
+
+  // No undo window here: the page is already out of every list, and a hard
+  // delete can't be taken back once it commits.
+  async function handleDrawerDeleteForever(id) {
+    if (!findTrashPage(id) || !windowObj.confirm('Delete this page forever? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      await api.deletePageForever(id);
     } catch (error) {
-      console.error('[newtab] Failed to delete page:', error);
+      console.error('[newtab] Failed to delete page forever:', error);
       reportFailure('Failed to delete page. Please try again.');
+      return;
     }
+
+    await removeTrashPages([id]);
+    renderDrawerResults();
   }
 
   async function handleDrawerPin(id) {
@@ -517,6 +915,149 @@ export function createDrawerDataController({
     }
   }
 
+  // Opening a card usually navigates this tab away, which would cancel a
+  // request made from here, so in the extension the background sends it (see
+  // markPageRead in background.js).
+  async function requestMarkRead(page) {
+    const runtime = windowObj.browser?.runtime || windowObj.chrome?.runtime;
+    if (!api?.isExtension || !runtime) {
+      await setPageReadState(api, page, 'read');
+      return;
+    }
+    const response = await sendRuntimeMessage(runtime, { action: 'markPageRead', pageId: page.id });
+    if (!response?.success) {
+      throw new Error(response?.error || 'Failed to mark page read');
+    }
+  }
+
+  // Mark an unread page read: on open (`quiet`, since the user is on their way
+  // to the page) and from the card's unread dot. Same optimistic update and
+  // rollback as handleDrawerPin.
+  async function handleDrawerMarkRead(id, { quiet = false } = {}) {
+    const page = findDrawerPage(id);
+    if (!page || isOptimisticPage(page) || !isPageUnread(page)) {
+      return;
+    }
+
+    const updates = getReadStateUpdates('read');
+    const rollback = { read_state: page.read_state, read_at: page.read_at };
+    updateDrawerPageCollections(state, id, entry => ({ ...entry, ...updates }));
+    void savedPagesView.persistAllPages();
+    void updateCachedProjectStores(page, entry => ({ ...entry, ...updates }));
+    applyDrawerFilters(state.query);
+    renderDrawerResults();
+
+    try {
+      await requestMarkRead(page);
+    } catch (error) {
+      updateDrawerPageCollections(state, id, entry => ({ ...entry, ...rollback }));
+      void savedPagesView.persistAllPages();
+      void updateCachedProjectStores(page, entry => ({ ...entry, ...rollback }));
+      applyDrawerFilters(state.query);
+      renderDrawerResults();
+      if (quiet) {
+        console.warn('[newtab] Failed to mark opened page read:', error?.message || error);
+      } else {
+        console.error('[newtab] Failed to mark page read:', error);
+        reportFailure('Failed to mark page as read. Please try again.');
+      }
+    }
+  }
+
+  function handleDrawerPageOpened(id) {
+    return handleDrawerMarkRead(id, { quiet: true });
+  }
+
+  function handleDrawerUnreadOnlyToggle() {
+    setDrawerUnreadOnly(state, !state.unreadOnly);
+    resetDrawerRenderLimit(state);
+    applyDrawerFilters(state.query);
+    renderDrawerResults();
+  }
+
+  // Whether the list filters need the server: they narrow or reorder the list
+  // and the lazy all-pages store hasn't loaded every page, so matches could be
+  // missing. Project and domain stores load their whole scope, and the trash
+  // is fetched whole, so only the All pages views ever ask.
+  function needsServerFilteredPages() {
+    return !isDefaultPageListFilters(state.listFilters)
+      && isAllPagesView(state.selectedProjectId)
+      && !state.selectedDomainId
+      && savedPagesStore.getSnapshot?.()?.hasNextPage === true;
+  }
+
+  // Fetch the server's matches for the list filters and fold them into the
+  // list (see getDrawerScopePages). Stale responses are dropped, and when the
+  // store can answer on its own any earlier matches are cleared.
+  async function loadServerFilteredPages() {
+    const requestId = nextDrawerListFilterRequestId(state);
+    if (!needsServerFilteredPages()) {
+      setDrawerServerFilteredPages(state, null);
+      return;
+    }
+
+    try {
+      const response = await api.getSavedPages({
+        ...getPageListFilterRequestParams(state.listFilters),
+        limit: serverFilterFetchLimit,
+        pinnedFirst: false,
+        skipCache: true
+      });
+      if (requestId !== state.listFilterRequestId) {
+        return;
+      }
+      setDrawerServerFilteredPages(state, response?.pages || []);
+      applyDrawerFilters(state.query);
+      renderDrawerResults();
+    } catch (error) {
+      // The in-memory matches are still on screen; they just may be partial.
+      console.warn('[newtab] Filtered page fetch failed:', error?.message || error);
+    }
+  }
+
+  // Merge `changes` into the sort and facets, then re-filter in memory at once
+  // and top the list up from the server when the store is partly loaded.
+  function handleDrawerListFiltersChange(changes = {}) {
+    setDrawerListFilters(state, { ...state.listFilters, ...changes });
+    resetDrawerRenderLimit(state);
+    if (isDrawerOpen()) {
+      updateDrawerUrl(true, state.query);
+    }
+    const serverPagesLoad = loadServerFilteredPages();
+    applyDrawerFilters(state.query);
+    renderDrawerResults();
+    return serverPagesLoad;
+  }
+
+  // Clear every facet, keeping the sort.
+  function handleDrawerListFiltersClear() {
+    const { sort } = state.listFilters;
+    return handleDrawerListFiltersChange({ ...createDefaultPageListFilters(), sort });
+  }
+
+  function handleDrawerListFiltersToggle() {
+    setDrawerListFiltersOpen(state, !state.listFiltersOpen);
+    renderDrawerResults();
+  }
+
+  // A new semantic threshold only changes what the search returns, so the
+  // local list stands and just the semantic search runs again.
+  function handleDrawerSemanticThresholdChange(threshold) {
+    setDrawerSemanticThreshold(state, threshold);
+    const text = getSearchQueryText(parseSearchQuery(state.query));
+    if (!text || state.selectedProjectId === TRASH_SCOPE_ID) {
+      renderDrawerResults();
+      return Promise.resolve();
+    }
+    return loadSemanticResults(text);
+  }
+
+  // Badging results with their signal changes nothing about the search.
+  function handleDrawerMatchSignalsToggle() {
+    setDrawerShowMatchSignals(state, !state.showMatchSignals);
+    renderDrawerResults();
+  }
+
   function handleDrawerEditStart(id) {
     const page = findDrawerPage(id);
     if (!page) {
@@ -559,6 +1100,12 @@ export function createDrawerDataController({
 
     const nextTitle = (updates.title || '').trim();
     const nextAiSummaryBrief = (updates.ai_summary_brief || '').trim();
+    // Tags and notes are only sent when the form supplied them, so a caller
+    // editing just title/summary can't wipe them.
+    const editedFields = {
+      ...(Array.isArray(updates.manual_tags) ? { manual_tags: normalizeManualTags(updates.manual_tags) } : {}),
+      ...(typeof updates.user_notes === 'string' ? { user_notes: updates.user_notes.trim() } : {})
+    };
     if (!nextTitle) {
       reportFailure('Title is required.');
       return;
@@ -570,13 +1117,15 @@ export function createDrawerDataController({
     try {
       const response = await api.updatePage(id, {
         title: nextTitle,
-        ai_summary_brief: nextAiSummaryBrief
+        ai_summary_brief: nextAiSummaryBrief,
+        ...editedFields
       });
       const applyResponseToPage = entry => ({
         ...entry,
         ...(response && typeof response === 'object' ? response : {}),
         title: nextTitle,
-        ai_summary_brief: nextAiSummaryBrief
+        ai_summary_brief: nextAiSummaryBrief,
+        ...editedFields
       });
       updateDrawerPageCollections(state, id, applyResponseToPage);
       setDrawerEditingPage(state, null);
@@ -625,7 +1174,7 @@ export function createDrawerDataController({
     const runSearch = () => api.searchContent(trimmedQuery, {
       limit: 20,
       offset: 0,
-      threshold: 0.58
+      threshold: normalizeSemanticThreshold(state.semanticThreshold)
     });
     const spanOptions = { name: 'search.semantic', op: 'search', attributes: { 'search.query': trimmedQuery } };
 
@@ -679,12 +1228,23 @@ export function createDrawerDataController({
       updateDrawerUrl(true, trimmedQuery);
     }
 
+    // The trash is only filtered locally: semantic search never returns
+    // deleted pages, so its results would be pages from outside the trash.
+    const inTrash = state.selectedProjectId === TRASH_SCOPE_ID;
+    if (inTrash) {
+      setDrawerSemantic(state, { results: [], query: '', loading: false });
+    }
+
     applyDrawerFilters(trimmedQuery);
     renderDrawerResults();
 
     // Semantic search is account-wide and independent of the saved-page
-    // filter, so fire it after rendering the local matches.
-    void loadSemanticResults(trimmedQuery);
+    // filter, so fire it after rendering the local matches. It only gets the
+    // free text: the operators (site:, is:pinned, -word…) were applied to the
+    // local list above and hold back the semantic matches as they render.
+    if (!inTrash) {
+      void loadSemanticResults(getSearchQueryText(parseSearchQuery(trimmedQuery)));
+    }
   }
 
   // Domains: fetch the user's distinct domains for the sidebar section. Cached
@@ -740,11 +1300,15 @@ export function createDrawerDataController({
 
     // If the render window already covers everything we have in memory, but the
     // server still has more, fetch the next batch. The store's change event
-    // re-renders on arrival.
+    // re-renders on arrival. With "Unread only" or a facet on, the matching
+    // pages in memory can all be on screen long before every loaded page would be.
     const snapshot = savedPagesStore.getSnapshot();
+    const inMemoryCount = state.unreadOnly || hasActivePageFacets(state.listFilters)
+      ? state.pages.length
+      : state.allPages.length;
     if (
       !lazyLoadInFlight
-      && state.renderLimit >= state.allPages.length
+      && state.renderLimit >= inMemoryCount
       && snapshot?.hasNextPage
       && !snapshot?.isLoadingMore
     ) {
@@ -760,22 +1324,40 @@ export function createDrawerDataController({
   }
 
   return {
+    applyRestoredPages,
     ensureDrawerDomainsLoaded,
     ensureDrawerProjectsLoaded,
     getProjectSavedPagesStore,
     handleDrawerDelete,
+    handleDrawerDeleteForever,
     handleDrawerEditCancel,
     handleDrawerEditStart,
+    handleDrawerListFiltersChange,
+    handleDrawerListFiltersClear,
+    handleDrawerListFiltersToggle,
+    handleDrawerMarkRead,
+    handleDrawerMatchSignalsToggle,
+    handleDrawerPageOpened,
     handleDrawerPin,
+    handleDrawerRemoveFromProject,
+    handleDrawerRestore,
     handleDrawerScrollNearEnd,
+    handleDrawerSemanticThresholdChange,
     handleDrawerTogglePrivacy,
+    handleDrawerUnreadOnlyToggle,
     handleDrawerUpdate,
+    hideDrawerPages,
     loadDrawerBasePages,
     loadDrawerDomainPages,
     loadDrawerProjectPages,
     loadDrawerResults,
     loadDrawerScopeForCurrentSelection,
     loadSemanticResults,
-    resetRenderLimit
+    releaseDrawerPages,
+    removeFromCachedProjectStores,
+    removeTrashPages,
+    resetRenderLimit,
+    restoreDrawerPages,
+    updateCachedProjectStores
   };
 }
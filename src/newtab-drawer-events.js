@@ -1,18 +1,102 @@
-// Extract the initial drawer search query from the URL search string. The
-// drawer is always open on the newtab page (it owns the saved-pages surface),
-// so there is no `?drawer=` open/close param to parse — only `?search=` matters.
+import { createElementFromHtml } from './dom-render.js';
+import { renderDrawerEditTagChipMarkup } from './newtab-drawer-renderer.js';
+import { isOptimisticPage } from './pending-saves.js';
+import { readPageListFilterParams } from './page-list-filters.js';
+import { SMART_COLLECTION_SCOPE_PREFIX } from './smart-collections.js';
+
+// Cards the j/k shortcuts step through, in DOM order: the pinned shelf on the
+// home view, then the result list.
+const KEYBOARD_CARD_SELECTOR = '.saved-pages-drawer-card[data-page-id], .saved-pages-home-pinned-card[data-page-id]';
+
+// Single-key shortcuts only fire when focus isn't somewhere that takes typing.
+function isTypingTarget(target) {
+  return Boolean(
+    target?.isContentEditable ||
+    target?.closest?.('input, textarea, select, [contenteditable="true"]')
+  );
+}
+
+// Split the card editor's tag input into tags. Commas separate tags so a
+// pasted "react, hooks" becomes two chips.
+function splitTagDraft(value = '') {
+  return String(value).split(',').map(tag => tag.trim()).filter(Boolean);
+}
+
+// Turn whatever is typed in the tag input into chips, skipping tags the form
+// already holds (case-insensitive). Chips are appended in place rather than
+// via a card re-render so unsaved edits in the other fields survive.
+function commitTagDraft(form, documentObj) {
+  const input = form?.querySelector('input[name="tag_draft"]');
+  if (!input) {
+    return;
+  }
+
+  const existing = new Set(
+    Array.from(form.querySelectorAll('input[name="manual_tags"]')).map(field => field.value.toLowerCase())
+  );
+  splitTagDraft(input.value).forEach(tag => {
+    if (existing.has(tag.toLowerCase())) {
+      return;
+    }
+    existing.add(tag.toLowerCase());
+    const chip = createElementFromHtml(renderDrawerEditTagChipMarkup(tag), documentObj);
+    if (chip) {
+      input.before(chip);
+    }
+  });
+  input.value = '';
+}
+
+// The facet panel's fields as list-filter changes. The sort has its own
+// control outside the panel, so it's left as it is.
+function readListFiltersForm(form) {
+  const formData = new FormData(form);
+  return {
+    from: formData.get('from') || null,
+    to: formData.get('to') || null,
+    hasNotes: formData.get('hasNotes') === 'on',
+    pinned: formData.get('pinned') === 'on',
+    private: formData.get('private') === 'on',
+    label: formData.get('label') || '',
+    enrichment: formData.get('enrichment') || null
+  };
+}
+
+// Extract the initial drawer search query and list filters from the URL
+// search string. The drawer is always open on the newtab page (it owns the
+// saved-pages surface), so there is no `?drawer=` open/close param to parse.
 export function getInitialDrawerUrlState(locationSearch = '') {
   const urlParams = new URLSearchParams(locationSearch);
   return {
-    searchQuery: urlParams.get('search') || ''
+    searchQuery: urlParams.get('search') || '',
+    listFilters: readPageListFilterParams(urlParams)
   };
 }
 
+// Switch the drawer to a sidebar scope: a project id, '' for All pages, a
+// pseudo-scope (Pinned, Trash) or a "domain:"-prefixed domain row. Shared by
+// the sidebar click handler and the command palette so both route the same way.
+export function selectDrawerScope({ savedPagesView, projectManager, loadDrawerDomainPages }, scopeId = '') {
+  // Domain rows use a "domain:" prefix; route them to domain scoping rather
+  // than the project selection path.
+  if (scopeId.startsWith('domain:')) {
+    const domain = scopeId.slice('domain:'.length);
+    savedPagesView.selectedDomainId = scopeId;
+    savedPagesView.selectedProjectId = null;
+    return loadDrawerDomainPages?.(domain);
+  }
+
+  // Selecting a project (or All pages / Pinned) clears any domain scope.
+  savedPagesView.selectedDomainId = null;
+  return projectManager.selectProject(savedPagesView, scopeId || null);
+}
+
 export function initSavedPagesDrawerEvents({
   savedPagesDrawerSearchForm,
   savedPagesDrawerSearchInput,
   savedPagesDrawerClearBtn,
   savedPagesDrawerResults,
+  savedPagesBulkBar,
   projectSidebar,
   projectEditorBackdrop,
   projectEditorDialog,
@@ -21,13 +105,46 @@ export function initSavedPagesDrawerEvents({
   loadDrawerResults,
   loadDrawerDomainPages,
   navigateDrawerCard,
+  openDrawerReader,
   handleDrawerEditCancel,
   handleDrawerEditStart,
   handleDrawerPin,
   handleDrawerTogglePrivacy,
   handleDrawerUpdate,
   handleDrawerDelete,
+  handleDrawerRemoveFromProject,
+  handleDrawerRestore,
+  handleDrawerDeleteForever,
+  handleDrawerOpenArchive,
+  handleDrawerMarkRead,
+  handleDrawerUnreadOnlyToggle,
+  handleDrawerMatchSignalsToggle,
+  handleDrawerTopicToggle,
+  handleDrawerRelatedToggle,
+  handleDrawerRelatedLabel,
+  handleDrawerRelatedMore,
+  handleDrawerRelatedFocus,
+  handleDrawerListFiltersChange,
+  handleDrawerListFiltersClear,
+  handleDrawerListFiltersToggle,
+  handleDrawerSemanticThresholdChange,
+  handleDrawerSmartCollectionSave,
+  handleDrawerSmartCollectionOpen,
+  handleDrawerSmartCollectionRename,
+  handleDrawerSmartCollectionPin,
+  handleDrawerSmartCollectionMove,
+  handleDrawerSmartCollectionDelete,
+  handleDrawerMarkAllRead,
+  handleDrawerQueueReorder,
+  handleDrawerQueueMove,
+  handleDrawerQueueFill,
+  handleDrawerQueueClearBudget,
   handleDrawerScrollNearEnd,
+  isDrawerSelectionMode = () => false,
+  setDrawerSelectionMode,
+  handleDrawerSelectionToggle,
+  handleDrawerSelectAll,
+  handleDrawerBulkAction,
   setDrawerSearchValue,
   setDrawerToggleState,
   windowObj = window,
@@ -77,37 +194,22 @@ export function initSavedPagesDrawerEvents({
     return true;
   }
 
-  savedPagesDrawerResults?.addEventListener('click', (event) => {
-    if (handleTagSearchFromEvent(event)) {
-      return;
-    }
-
-    const actionButton = event.target.closest('[data-action]');
-    if (!actionButton) {
-      if (event.target.closest('.saved-pages-drawer-edit-form')) {
-        return;
-      }
-      const card = event.target.closest('.saved-pages-drawer-card[data-url], .saved-pages-home-pinned-card[data-url]');
-      if (!card) {
-        return;
-      }
-
-      navigateDrawerCard(card, event);
+  // Card button actions, shared by clicks and the keyboard shortcuts below so
+  // a key press goes through exactly the handler its button would. Returns the
+  // handler's promise, if any, so the keyboard path can wait out a re-render.
+  function routeDrawerCardAction(actionButton, event = {}) {
+    const { action, id } = actionButton.dataset;
+    if (action === 'select') {
+      handleDrawerSelectionToggle?.(id, { range: event.shiftKey });
       return;
     }
 
-    event.preventDefault();
-    event.stopPropagation();
-
-    const { action, id } = actionButton.dataset;
     if (action === 'pin') {
-      void handleDrawerPin(id);
-      return;
+      return handleDrawerPin(id);
     }
 
     if (action === 'toggle-privacy') {
-      void handleDrawerTogglePrivacy(id);
-      return;
+      return handleDrawerTogglePrivacy(id);
     }
 
     if (action === 'edit') {
@@ -120,19 +222,106 @@ export function initSavedPagesDrawerEvents({
       return;
     }
 
+    if (action === 'remove-edit-tag') {
+      const form = actionButton.closest('.saved-pages-drawer-edit-form');
+      actionButton.closest('.saved-pages-drawer-edit-tag')?.remove();
+      form?.querySelector('input[name="tag_draft"]')?.focus();
+      return;
+    }
+
     if (action === 'projects') {
       projectManager.openEditor(savedPagesView, id);
       return;
     }
 
     if (action === 'remove-project') {
-      void projectManager.togglePageProject(savedPagesView, id, actionButton.dataset.projectId, false);
-      return;
+      return handleDrawerRemoveFromProject(id, actionButton.dataset.projectId);
     }
 
     if (action === 'delete') {
-      void handleDrawerDelete(id);
+      return handleDrawerDelete(id);
+    }
+
+    if (action === 'restore') {
+      return handleDrawerRestore?.(id);
+    }
+
+    if (action === 'delete-forever') {
+      return handleDrawerDeleteForever?.(id);
+    }
+
+    if (action === 'mark-read') {
+      return handleDrawerMarkRead?.(id);
+    }
+
+    // The queue handle is for dragging and the arrow keys; a click on it
+    // mustn't open the page.
+    if (action === 'queue-handle') {
+      return;
+    }
+
+    if (action === 'read') {
+      openDrawerReader?.(actionButton.closest('.saved-pages-drawer-card'), event);
+      return;
+    }
+
+    if (action === 'open-archive') {
+      handleDrawerOpenArchive?.(id);
+      return;
+    }
+
+    if (action === 'related') {
+      return handleDrawerRelatedToggle?.(id);
+    }
+
+    if (action === 'related-label') {
+      return handleDrawerRelatedLabel?.(id, actionButton.dataset.label || null);
+    }
+
+    if (action === 'related-more') {
+      return handleDrawerRelatedMore?.(id);
+    }
+
+    // A related page the drawer isn't showing opens like its card would.
+    if (action === 'focus-related') {
+      if (!handleDrawerRelatedFocus?.(actionButton.dataset.pageId)) {
+        navigateDrawerCard(actionButton, event);
+      }
+      return;
     }
+  }
+
+  savedPagesDrawerResults?.addEventListener('click', (event) => {
+    if (handleTagSearchFromEvent(event)) {
+      return;
+    }
+
+    const actionButton = event.target.closest('[data-action]');
+    if (!actionButton) {
+      if (event.target.closest('.saved-pages-drawer-edit-form, .saved-pages-related')) {
+        return;
+      }
+      // In selection mode a click anywhere on a drawer card toggles it
+      // rather than opening the page.
+      const selectableCard = isDrawerSelectionMode() && event.target.closest('.saved-pages-drawer-card[data-page-id]');
+      if (selectableCard) {
+        event.preventDefault();
+        handleDrawerSelectionToggle?.(selectableCard.dataset.pageId, { range: event.shiftKey });
+        return;
+      }
+
+      const card = event.target.closest('.saved-pages-drawer-card[data-url], .saved-pages-home-pinned-card[data-url]');
+      if (!card) {
+        return;
+      }
+
+      navigateDrawerCard(card, event);
+      return;
+    }
+
+    event.preventDefault();
+    event.stopPropagation();
+    void routeDrawerCardAction(actionButton, event);
   });
 
   savedPagesDrawerResults?.addEventListener('auxclick', (event) => {
@@ -154,6 +343,19 @@ export function initSavedPagesDrawerEvents({
   });
 
   savedPagesDrawerResults?.addEventListener('keydown', (event) => {
+    const queueHandle = event.target.closest?.('[data-action="queue-handle"]');
+    if (queueHandle && (event.key === 'ArrowUp' || event.key === 'ArrowDown')) {
+      event.preventDefault();
+      const pageId = queueHandle.dataset.id;
+      void Promise.resolve(handleDrawerQueueMove?.(pageId, event.key === 'ArrowUp' ? -1 : 1)).then(() => {
+        // The move re-renders the card; keep the handle focused for the next press.
+        Array.from(savedPagesDrawerResults.querySelectorAll('[data-action="queue-handle"]'))
+          .find(handle => handle.dataset.id === pageId)
+          ?.focus();
+      });
+      return;
+    }
+
     if (
       event.target.closest('.saved-pages-drawer-edit-form')
     ) {
@@ -163,6 +365,24 @@ export function initSavedPagesDrawerEvents({
         return;
       }
 
+      // In the tag input, Enter and comma commit the typed tag as a chip
+      // (Cmd/Ctrl+Enter still saves the form), and Backspace on an empty
+      // input removes the last chip.
+      const isTagInput = event.target.matches?.('input[name="tag_draft"]');
+      if (isTagInput && !event.metaKey && !event.ctrlKey) {
+        const form = event.target.closest('.saved-pages-drawer-edit-form');
+        if (event.key === 'Enter' || event.key === ',') {
+          event.preventDefault();
+          commitTagDraft(form, documentObj);
+          return;
+        }
+        if (event.key === 'Backspace' && !event.target.value) {
+          const chips = form?.querySelectorAll('.saved-pages-drawer-edit-tag');
+          chips?.[chips.length - 1]?.remove();
+          return;
+        }
+      }
+
       // Submit on Enter from the title input (single-line), and on
       // Cmd/Ctrl+Enter from anywhere in the form (the textarea needs Enter
       // for newlines). Browsers' implicit form submission on Enter is
@@ -193,6 +413,13 @@ export function initSavedPagesDrawerEvents({
       return;
     }
 
+    const selectableCard = isDrawerSelectionMode() && event.target.closest('.saved-pages-drawer-card[data-page-id]');
+    if (selectableCard) {
+      event.preventDefault();
+      handleDrawerSelectionToggle?.(selectableCard.dataset.pageId, { range: event.shiftKey });
+      return;
+    }
+
     const card = event.target.closest('.saved-pages-drawer-card[data-url], .saved-pages-home-pinned-card[data-url]');
     if (!card) {
       return;
@@ -202,6 +429,71 @@ export function initSavedPagesDrawerEvents({
     navigateDrawerCard(card, event);
   });
 
+  // Reading-queue drag and drop. The dragged card's id is held here because
+  // dragover can't read dataTransfer; the drop lands before or after the card
+  // under the pointer depending on which half it is over.
+  let draggedQueuePageId = null;
+
+  function getQueueDropTarget(event) {
+    const card = event.target.closest?.('.saved-pages-drawer-card.is-reorderable');
+    if (!card || !draggedQueuePageId || card.dataset.pageId === draggedQueuePageId) {
+      return null;
+    }
+    const rect = card.getBoundingClientRect();
+    return { card, after: event.clientY > rect.top + rect.height / 2 };
+  }
+
+  function clearQueueDropMarkers() {
+    savedPagesDrawerResults.querySelectorAll('.is-drop-before, .is-drop-after, .is-dragging').forEach(card => {
+      card.classList.remove('is-drop-before', 'is-drop-after', 'is-dragging');
+    });
+  }
+
+  savedPagesDrawerResults?.addEventListener('dragstart', (event) => {
+    const card = event.target.closest?.('.saved-pages-drawer-card.is-reorderable');
+    if (!card) {
+      return;
+    }
+    draggedQueuePageId = card.dataset.pageId;
+    if (event.dataTransfer) {
+      event.dataTransfer.effectAllowed = 'move';
+      event.dataTransfer.setData('text/plain', card.dataset.url || '');
+    }
+    card.classList.add('is-dragging');
+  });
+
+  savedPagesDrawerResults?.addEventListener('dragover', (event) => {
+    const target = getQueueDropTarget(event);
+    if (!target) {
+      return;
+    }
+    event.preventDefault();
+    if (event.dataTransfer) {
+      event.dataTransfer.dropEffect = 'move';
+    }
+    savedPagesDrawerResults.querySelectorAll('.is-drop-before, .is-drop-after').forEach(card => {
+      card.classList.remove('is-drop-before', 'is-drop-after');
+    });
+    target.card.classList.add(target.after ? 'is-drop-after' : 'is-drop-before');
+  });
+
+  savedPagesDrawerResults?.addEventListener('drop', (event) => {
+    const target = getQueueDropTarget(event);
+    const movedId = draggedQueuePageId;
+    draggedQueuePageId = null;
+    clearQueueDropMarkers();
+    if (!target) {
+      return;
+    }
+    event.preventDefault();
+    void handleDrawerQueueReorder?.(movedId, target.card.dataset.pageId, { after: target.after });
+  });
+
+  savedPagesDrawerResults?.addEventListener('dragend', () => {
+    draggedQueuePageId = null;
+    clearQueueDropMarkers();
+  });
+
   savedPagesDrawerResults?.addEventListener('submit', (event) => {
     const form = event.target.closest('.saved-pages-drawer-edit-form');
     if (!form) {
@@ -210,19 +502,156 @@ export function initSavedPagesDrawerEvents({
 
     event.preventDefault();
     const formData = new FormData(form);
+    // A tag still sitting in the input counts: saving shouldn't silently drop
+    // what the user typed just because they didn't press Enter first.
     void handleDrawerUpdate(form.dataset.pageId, {
       title: formData.get('title') || '',
-      ai_summary_brief: formData.get('ai_summary_brief') || ''
+      ai_summary_brief: formData.get('ai_summary_brief') || '',
+      manual_tags: [
+        ...formData.getAll('manual_tags'),
+        ...splitTagDraft(formData.get('tag_draft') || '')
+      ],
+      user_notes: formData.get('user_notes') || ''
     });
   });
 
+  savedPagesBulkBar?.addEventListener('click', (event) => {
+    const button = event.target.closest('[data-bulk-action]');
+    if (!button || button.disabled) {
+      return;
+    }
+
+    const action = button.dataset.bulkAction;
+    if (action === 'enter' || action === 'exit') {
+      setDrawerSelectionMode?.(action === 'enter');
+      return;
+    }
+
+    if (action === 'select-all') {
+      handleDrawerSelectAll?.();
+      return;
+    }
+
+    if (action === 'toggle-unread-only') {
+      handleDrawerUnreadOnlyToggle?.();
+      return;
+    }
+
+    if (action === 'toggle-match-signals') {
+      handleDrawerMatchSignalsToggle?.();
+      return;
+    }
+
+    if (action === 'mark-all-read') {
+      void handleDrawerMarkAllRead?.();
+      return;
+    }
+
+    if (action === 'clear-queue-budget') {
+      handleDrawerQueueClearBudget?.();
+      return;
+    }
+
+    if (action === 'toggle-list-filters') {
+      handleDrawerListFiltersToggle?.();
+      return;
+    }
+
+    if (action === 'clear-list-filters') {
+      void handleDrawerListFiltersClear?.();
+      return;
+    }
+
+    if (action === 'save-smart-collection') {
+      void handleDrawerSmartCollectionSave?.();
+      return;
+    }
+
+    const projectId = savedPagesBulkBar.querySelector('.saved-pages-bulk-project-select')?.value || null;
+    void handleDrawerBulkAction?.(action, { projectId });
+  });
+
+  savedPagesBulkBar?.addEventListener('submit', (event) => {
+    // The facet panel applies on change; Enter in one of its fields must not
+    // submit it and reload the page.
+    if (event.target.closest('.saved-pages-list-filters')) {
+      event.preventDefault();
+      return;
+    }
+    const form = event.target.closest('.saved-pages-queue-budget');
+    if (!form) {
+      return;
+    }
+    event.preventDefault();
+    handleDrawerQueueFill?.(new FormData(form).get('minutes'));
+  });
+
+  savedPagesBulkBar?.addEventListener('change', (event) => {
+    if (event.target.matches?.('.saved-pages-list-sort-select')) {
+      void handleDrawerListFiltersChange?.({ sort: event.target.value });
+      return;
+    }
+    // The threshold sits in the facet panel but tunes the semantic search,
+    // not the list.
+    if (event.target.matches?.('.saved-pages-semantic-threshold-select')) {
+      void handleDrawerSemanticThresholdChange?.(event.target.value);
+      return;
+    }
+    const form = event.target.closest?.('.saved-pages-list-filters');
+    if (form) {
+      void handleDrawerListFiltersChange?.(readListFiltersForm(form));
+    }
+  });
+
   projectSidebar?.addEventListener('click', (event) => {
+    // Smart collection rows carry `search:<id>`; their actions have their own
+    // classes so they never reach the project handlers.
+    const pinCollectionButton = event.target.closest('.project-action-collection-pin');
+    if (pinCollectionButton) {
+      void handleDrawerSmartCollectionPin?.(pinCollectionButton.dataset.projectId);
+      return;
+    }
+
+    const moveCollectionButton = event.target.closest('.project-action-collection-up, .project-action-collection-down');
+    if (moveCollectionButton) {
+      const delta = moveCollectionButton.classList.contains('project-action-collection-up') ? -1 : 1;
+      void handleDrawerSmartCollectionMove?.(moveCollectionButton.dataset.projectId, delta);
+      return;
+    }
+
+    const renameCollectionButton = event.target.closest('.project-action-collection-rename');
+    if (renameCollectionButton) {
+      void handleDrawerSmartCollectionRename?.(renameCollectionButton.dataset.projectId);
+      return;
+    }
+
+    const deleteCollectionButton = event.target.closest('.project-action-collection-delete');
+    if (deleteCollectionButton) {
+      void handleDrawerSmartCollectionDelete?.(deleteCollectionButton.dataset.projectId);
+      return;
+    }
+
+    // Topic rows open and close in place; picking the row itself scopes the
+    // drawer like any other sidebar row.
+    const topicExpander = event.target.closest('.project-nav-expander');
+    if (topicExpander) {
+      event.preventDefault();
+      handleDrawerTopicToggle?.(topicExpander.dataset.projectId);
+      return;
+    }
+
     const createButton = event.target.closest('.project-sidebar-create');
     if (createButton) {
       void projectManager.promptCreateProject(savedPagesView);
       return;
     }
 
+    const openAllButton = event.target.closest('.project-action-open-all');
+    if (openAllButton) {
+      void projectManager.openAllProjectPages(savedPagesView, openAllButton.dataset.projectId);
+      return;
+    }
+
     const renameButton = event.target.closest('.project-action-rename');
     if (renameButton) {
       void projectManager.renameProject(savedPagesView, renameButton.dataset.projectId);
@@ -242,23 +671,17 @@ export function initSavedPagesDrawerEvents({
     }
 
     const projectRow = event.target.closest('.project-nav-row[data-project-id]');
+    if (projectRow && projectRow.dataset.projectId.startsWith(SMART_COLLECTION_SCOPE_PREFIX)) {
+      event.preventDefault();
+      void handleDrawerSmartCollectionOpen?.(projectRow.dataset.projectId);
+      return;
+    }
     if (projectRow) {
       event.preventDefault();
-      const scopeId = projectRow.dataset.projectId || '';
-
-      // Domain rows use a "domain:" prefix; route them to domain scoping
-      // rather than the project selection path.
-      if (scopeId.startsWith('domain:')) {
-        const domain = scopeId.slice('domain:'.length);
-        savedPagesView.selectedDomainId = scopeId;
-        savedPagesView.selectedProjectId = null;
-        void loadDrawerDomainPages?.(domain);
-        return;
-      }
-
-      // Selecting a project (or All pages / Pinned) clears any domain scope.
-      savedPagesView.selectedDomainId = null;
-      void projectManager.selectProject(savedPagesView, scopeId || null);
+      void selectDrawerScope(
+        { savedPagesView, projectManager, loadDrawerDomainPages },
+        projectRow.dataset.projectId || ''
+      );
     }
   });
 
@@ -307,10 +730,156 @@ export function initSavedPagesDrawerEvents({
   });
 
   documentObj.addEventListener('keydown', (event) => {
-    if (event.key === 'Escape' && !projectEditorDialog?.classList.contains('hidden')) {
+    if (event.key === 'Escape' && projectEditorDialog && !projectEditorDialog.classList.contains('hidden')) {
       projectManager.closeEditor(savedPagesView);
+      return;
+    }
+
+    // Escape leaves selection mode, unless it's closing something inside a
+    // card (the edit form handles its own Escape).
+    if (
+      event.key === 'Escape' &&
+      isDrawerSelectionMode() &&
+      !event.target.closest?.('.saved-pages-drawer-edit-form')
+    ) {
+      setDrawerSelectionMode?.(false);
     }
   });
+  // Vim-style card navigation: j/k move focus between cards, o opens the
+  // focused card (Enter already does, via the results keydown above), p pins,
+  // e edits, x selects, # deletes and / jumps to search. Per-card keys press
+  // the card's own button through routeDrawerCardAction, so a key only does
+  // what the card offers (no pin in the trash, no edit while busy).
+  function getKeyboardCards() {
+    return Array.from(savedPagesDrawerResults?.querySelectorAll(KEYBOARD_CARD_SELECTOR) || []);
+  }
+
+  function getFocusedCard() {
+    const active = documentObj.activeElement;
+    return savedPagesDrawerResults?.contains(active) ? active.closest(KEYBOARD_CARD_SELECTOR) : null;
+  }
+
+  function moveCardFocus(delta) {
+    const cards = getKeyboardCards();
+    if (!cards.length) {
+      return;
+    }
+    const current = cards.indexOf(getFocusedCard());
+    const next = current === -1
+      ? (delta > 0 ? 0 : cards.length - 1)
+      : Math.min(Math.max(current + delta, 0), cards.length - 1);
+    cards[next].focus();
+    cards[next].scrollIntoView?.({ block: 'nearest' });
+  }
+
+  // Actions re-render the list, replacing the focused card element. Put focus
+  // back on the same page, or on whatever now sits in its slot if it's gone.
+  function restoreCardFocus(pageId, index) {
+    if (savedPagesDrawerResults?.contains(documentObj.activeElement) && documentObj.activeElement !== savedPagesDrawerResults) {
+      return;
+    }
+    const cards = getKeyboardCards();
+    const target = cards.find(card => card.dataset.pageId === pageId) || cards[Math.min(index, cards.length - 1)];
+    target?.focus();
+  }
+
+  async function runCardKeyAction(card, action, event) {
+    const button = card.querySelector(`[data-action="${action}"]`);
+    if (!button || button.disabled) {
+      return false;
+    }
+    const pageId = card.dataset.pageId;
+    const index = getKeyboardCards().indexOf(card);
+    const pending = routeDrawerCardAction(button, event);
+    restoreCardFocus(pageId, index);
+    await pending;
+    restoreCardFocus(pageId, index);
+    return true;
+  }
+
+  async function selectCardFromKeyboard(card, event) {
+    if (!isDrawerSelectionMode()) {
+      setDrawerSelectionMode?.(true);
+    }
+    const freshCard = getKeyboardCards().find(candidate => candidate.dataset.pageId === card.dataset.pageId) || card;
+    await runCardKeyAction(freshCard, 'select', event);
+  }
+
+  async function deleteCardFromKeyboard(card, event) {
+    // The trash's delete-forever handler asks for itself.
+    if (await runCardKeyAction(card, 'delete-forever', event)) {
+      return;
+    }
+    const button = card.querySelector('[data-action="delete"]');
+    if (!button || button.disabled) {
+      return;
+    }
+    // Optimistic tiles confirm inside handleDrawerDelete already. Everything
+    // else normally deletes on click behind an Undo toast; a stray keypress is
+    // easier to miss than a click, so the keyboard asks first.
+    if (!isOptimisticPage({ id: card.dataset.pageId }) && !windowObj.confirm('Delete this saved page?')) {
+      return;
+    }
+    await runCardKeyAction(card, 'delete', event);
+  }
+
+  documentObj.addEventListener('keydown', (event) => {
+    if (
+      event.metaKey ||
+      event.ctrlKey ||
+      event.altKey ||
+      isTypingTarget(event.target) ||
+      !savedPagesDrawerResults ||
+      // A modal (project editor, sharing centre, palette) owns the keyboard.
+      documentObj.querySelector('.project-editor-dialog:not(.hidden)')
+    ) {
+      return;
+    }
+
+    if (event.key === '/') {
+      event.preventDefault();
+      savedPagesDrawerSearchInput?.focus();
+      savedPagesDrawerSearchInput?.select?.();
+      return;
+    }
+
+    if (event.key === 'j' || event.key === 'k') {
+      event.preventDefault();
+      moveCardFocus(event.key === 'j' ? 1 : -1);
+      return;
+    }
+
+    const card = getFocusedCard();
+    if (!card) {
+      return;
+    }
+
+    if (event.key === 'o') {
+      if (card.dataset.url) {
+        event.preventDefault();
+        navigateDrawerCard(card, event);
+      }
+      return;
+    }
+
+    if (event.key === 'p' || event.key === 'e') {
+      event.preventDefault();
+      void runCardKeyAction(card, event.key === 'p' ? 'pin' : 'edit', event);
+      return;
+    }
+
+    if (event.key === 'x') {
+      event.preventDefault();
+      void selectCardFromKeyboard(card, event);
+      return;
+    }
+
+    if (event.key === '#') {
+      event.preventDefault();
+      void deleteCardFromKeyboard(card, event);
+    }
+  });
+
   // Lazy-load more saved pages as the user scrolls toward the bottom of the
   // results pane. Throttled per frame to avoid firing on every scroll event.
   // Listens on the results container (the bounded scroll viewport) and on the
@@ -0,0 +1,102 @@
+// The reading queue scope: drag-to-reorder and "fill N minutes" playlists.
+//
+// Which pages are queued and in what order is worked out in reading-queue.js
+// and applied by applyDrawerFilters; this controller owns the two things the
+// user changes. A reorder stores the whole queue order (so pages around the
+// moved one stay put) and re-renders at once; the storage write is best effort
+// and only loses the order if it fails. A budget narrows the queue to the
+// pages that fit until it's cleared.
+
+import {
+  loadReadingQueueOrder,
+  moveInReadingQueue,
+  normalizeQueueBudget,
+  orderReadingQueue,
+  saveReadingQueueOrder
+} from './reading-queue.js';
+import { READING_QUEUE_SCOPE_ID } from './project-manager-state.js';
+import { setDrawerQueueBudget, setDrawerReadingQueueOrder } from './newtab-drawer-state.js';
+
+export function createDrawerQueueController({
+  state,
+  // browser.storage.local, or null where there is none (the order then lasts
+  // until the tab closes).
+  storage = null,
+  applyDrawerFilters,
+  renderDrawerResults,
+  notify
+}) {
+  const report = (message, options = {}) => {
+    try { notify?.(message, options); } catch { /* toast must never break the queue */ }
+  };
+
+  function isQueueScope() {
+    return state.selectedProjectId === READING_QUEUE_SCOPE_ID;
+  }
+
+  function renderIfQueueScope() {
+    if (isQueueScope()) {
+      applyDrawerFilters(state.query);
+      renderDrawerResults();
+    }
+  }
+
+  async function loadOrder() {
+    setDrawerReadingQueueOrder(state, await loadReadingQueueOrder(storage));
+    renderIfQueueScope();
+  }
+
+  function getQueueIds() {
+    return orderReadingQueue(state.allPages, state.readingQueueOrder).map(page => page.id);
+  }
+
+  async function commitOrder(order) {
+    setDrawerReadingQueueOrder(state, order);
+    renderIfQueueScope();
+    try {
+      await saveReadingQueueOrder(storage, order);
+    } catch (error) {
+      console.warn('[newtab] Failed to save reading queue order:', error?.message || error);
+    }
+  }
+
+  // Drop `movedId` before `targetId`, or after it with `after`.
+  function reorder(movedId, targetId, { after = false } = {}) {
+    const current = getQueueIds();
+    const next = moveInReadingQueue(current, movedId, targetId, { after });
+    return next === current ? Promise.resolve() : commitOrder(next);
+  }
+
+  // Keyboard reordering: one place up (-1) or down (+1) in the queue.
+  function move(id, delta) {
+    const ids = getQueueIds();
+    const target = ids[ids.indexOf(id) + delta];
+    if (!ids.includes(id) || !target) {
+      return Promise.resolve();
+    }
+    return reorder(id, target, { after: delta > 0 });
+  }
+
+  function fillBudget(minutes) {
+    const budget = normalizeQueueBudget(minutes);
+    if (!budget) {
+      report('Enter how many minutes you have, e.g. 20.', { type: 'warning' });
+      return;
+    }
+    setDrawerQueueBudget(state, budget);
+    renderIfQueueScope();
+  }
+
+  function clearBudget() {
+    setDrawerQueueBudget(state, null);
+    renderIfQueueScope();
+  }
+
+  return {
+    clearBudget,
+    fillBudget,
+    loadOrder,
+    move,
+    reorder
+  };
+}
@@ -0,0 +1,133 @@
+// "Related" panels on drawer cards.
+//
+// A card's Related action opens an inline list of the saved pages most
+// similar to it (API.getSimilarByThingId, answered on-device when the pages
+// carry embeddings), a few at a time with "Show more" paging through the
+// endpoint's limit/offset. The list can be held to one of the page's own
+// classification labels. Picking a related page focuses its
+// card when the drawer is showing it, so the user stays where they are.
+//
+// One panel is open at a time; its state lives in state.relatedPanel and is
+// drawn into the card markup, so card re-renders keep it.
+
+import { growDrawerRenderLimit, setDrawerRelatedPanel } from './newtab-drawer-state.js';
+
+export const RELATED_PAGE_SIZE = 5;
+
+const LOAD_FAILED_MESSAGE = 'Couldn’t load related pages. Try again in a moment.';
+
+export function createDrawerRelatedController({
+  api,
+  state,
+  renderDrawerResults,
+  // Scrolls to and focuses a rendered card; false when it isn't on screen.
+  focusDrawerCard
+}) {
+  // Bumped on every load so a slow response for a closed panel, another
+  // card or an earlier label is dropped.
+  let requestId = 0;
+
+  function isOpenFor(pageId) {
+    return Boolean(pageId) && state.relatedPanel?.pageId === pageId;
+  }
+
+  async function load(offset = 0) {
+    const panel = state.relatedPanel;
+    if (!panel) {
+      return;
+    }
+    requestId += 1;
+    const currentRequestId = requestId;
+    setDrawerRelatedPanel(state, {
+      ...panel,
+      results: offset ? panel.results : [],
+      nextOffset: offset,
+      loading: true,
+      error: null
+    });
+    renderDrawerResults();
+
+    try {
+      if (typeof api?.getSimilarByThingId !== 'function') {
+        throw new Error('Similar pages are not supported by this backend');
+      }
+      const response = await api.getSimilarByThingId(panel.pageId, RELATED_PAGE_SIZE, offset, panel.label);
+      if (currentRequestId !== requestId) {
+        return;
+      }
+      // The drawer's own copy of a page is the freshest one.
+      const allPagesById = new Map((state.allPages || []).map(page => [page.id, page]));
+      const known = new Set(offset ? panel.results.map(page => page.id) : []);
+      const received = Array.isArray(response?.results) ? response.results : [];
+      const results = received
+        .map(result => {
+          const id = result?.thing_id || result?.thing_data?.id;
+          return id ? { ...(allPagesById.get(id) || result.thing_data), id, similarity: result.similarity } : null;
+        })
+        .filter(page => page && page.id !== panel.pageId && !known.has(page.id));
+      setDrawerRelatedPanel(state, {
+        ...state.relatedPanel,
+        results: offset ? [...panel.results, ...results] : results,
+        nextOffset: offset + received.length,
+        hasMore: response?.pagination?.has_more === true,
+        loading: false
+      });
+    } catch (error) {
+      if (currentRequestId !== requestId) {
+        return;
+      }
+      console.error('[newtab] Related pages failed:', error);
+      setDrawerRelatedPanel(state, { ...state.relatedPanel, loading: false, error: LOAD_FAILED_MESSAGE });
+    }
+    renderDrawerResults();
+  }
+
+  // Open the card's panel (closing any other), or close it if it's open.
+  function toggle(pageId) {
+    if (!pageId) {
+      return Promise.resolve();
+    }
+    if (isOpenFor(pageId)) {
+      requestId += 1;
+      setDrawerRelatedPanel(state, null);
+      renderDrawerResults();
+      return Promise.resolve();
+    }
+    setDrawerRelatedPanel(state, { pageId });
+    return load(0);
+  }
+
+  // Hold the list to one classification label, or null for any.
+  function setLabel(pageId, label) {
+    if (!isOpenFor(pageId) || (state.relatedPanel.label || null) === (label || null)) {
+      return Promise.resolve();
+    }
+    setDrawerRelatedPanel(state, { pageId, label });
+    return load(0);
+  }
+
+  function loadMore(pageId) {
+    if (!isOpenFor(pageId) || state.relatedPanel.loading || !state.relatedPanel.hasMore) {
+      return Promise.resolve();
+    }
+    return load(state.relatedPanel.nextOffset);
+  }
+
+  // Focus a related page's card. A card past the render window is rendered
+  // first. False when the drawer isn't showing the page at all.
+  function focus(relatedId) {
+    const index = (state.pages || []).findIndex(page => page.id === relatedId);
+    if (index !== -1 && Number.isFinite(state.renderLimit) && index >= state.renderLimit) {
+      growDrawerRenderLimit(state, index + 1 - state.renderLimit);
+      renderDrawerResults();
+    }
+    return focusDrawerCard?.(relatedId) === true;
+  }
+
+  return {
+    focus,
+    loadMore,
+    setLabel,
+    toggle
+  };
+}
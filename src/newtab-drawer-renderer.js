@@ -5,21 +5,182 @@ import {
 import { reconcileKeyedChildren } from './keyed-dom-list.js';
 import {
   escapeHtml,
+  formatSavedDate,
   getFaviconUrlForDomain,
   getPageDomain,
   renderPageTags,
   truncateText
 } from './newtab-shared.js';
 import { isOptimisticPage } from './pending-saves.js';
+import { getPageReadState } from './page-read-state.js';
+import {
+  PAGE_SORT_OPTIONS,
+  countActivePageFacets,
+  createDefaultPageListFilters
+} from './page-list-filters.js';
+import { DEFAULT_SEMANTIC_THRESHOLD, SEMANTIC_THRESHOLD_OPTIONS } from './search-query.js';
+import { MATCH_SIGNAL_LABELS } from './search-ranking.js';
+import { getMatchSnippet, getMatchedFields, highlightText } from './search-highlight.js';
 import { LOADING_ILLUSTRATION_SVG } from './loading-illustration.js';
 
+// One removable tag chip in the card editor. The hidden input carries the tag
+// into the form's FormData (read with getAll('manual_tags') on submit), so the
+// chip list itself is the source of truth for the edited tags. Exported for the
+// events module, which appends chips as the user types without re-rendering the
+// card (a re-render would drop unsaved title/summary/notes edits).
+export function renderDrawerEditTagChipMarkup(tag, { disabled = false } = {}) {
+  const escapedTag = escapeHtml(tag);
+  return `
+    <span class="saved-pages-drawer-edit-tag" data-tag="${escapedTag}">
+      <input type="hidden" name="manual_tags" value="${escapedTag}">
+      <span class="saved-pages-drawer-edit-tag-label">${escapedTag}</span>
+      <button
+        class="saved-pages-drawer-edit-tag-remove"
+        type="button"
+        data-action="remove-edit-tag"
+        title="Remove tag ${escapedTag}"
+        aria-label="Remove tag ${escapedTag}"
+        ${disabled ? 'disabled' : ''}
+      >×</button>
+    </span>
+  `;
+}
+
+// Highlights shown on a card before collapsing the rest into a count. Two
+// quotes are enough to recall why the page was saved without burying the
+// next card.
+const MAX_CARD_HIGHLIGHTS = 2;
+
+// Quote blocks for the passages highlighted when the page was saved. Only the
+// highlighted text is shown; its context is kept for search and exports.
+function renderCardHighlightsHtml(page) {
+  const highlights = (Array.isArray(page.highlights) ? page.highlights : [])
+    .filter(highlight => typeof highlight?.text === 'string' && highlight.text.trim());
+  if (!highlights.length) {
+    return '';
+  }
+
+  const hidden = highlights.length - MAX_CARD_HIGHLIGHTS;
+  return `<div class="saved-pages-drawer-card-highlights">${highlights
+    .slice(0, MAX_CARD_HIGHLIGHTS)
+    .map(highlight => `<blockquote class="saved-pages-drawer-card-highlight">${escapeHtml(truncateText(highlight.text.trim()))}</blockquote>`)
+    .join('')}${hidden > 0
+    ? `<span class="saved-pages-drawer-card-highlights-more">+${hidden} more ${hidden === 1 ? 'highlight' : 'highlights'}</span>`
+    : ''}</div>`;
+}
+
+// Labels offered to narrow a card's related pages: its own classifications,
+// broad ones first, as many as fit on a line.
+const MAX_RELATED_LABELS = 5;
+
+function getRelatedLabelOptions(page) {
+  const order = { general: 0, domain: 1, topic: 2 };
+  const labels = (Array.isArray(page.classifications) ? page.classifications : [])
+    .filter(classification => classification?.label)
+    .sort((a, b) => (order[a.type] ?? 3) - (order[b.type] ?? 3))
+    .map(classification => classification.label);
+  return Array.from(new Set(labels)).slice(0, MAX_RELATED_LABELS);
+}
+
+// The inline "Related" panel under a card (newtab-drawer-related.js):
+// label chips, the similar pages found so far and "Show more" while the
+// endpoint has more. `related` is state.relatedPanel for this card.
+function renderRelatedPanelHtml(page, related) {
+  const pageId = escapeHtml(page.id);
+  const labels = getRelatedLabelOptions(page);
+  if (related.label && !labels.includes(related.label)) {
+    labels.push(related.label);
+  }
+  const labelChip = (label, text) => {
+    const active = (related.label || null) === label;
+    return `
+      <button
+        class="saved-pages-related-label ${active ? 'is-active' : ''}"
+        type="button"
+        data-action="related-label"
+        data-id="${pageId}"
+        data-label="${escapeHtml(label || '')}"
+        aria-pressed="${active ? 'true' : 'false'}"
+      >${escapeHtml(text)}</button>
+    `;
+  };
+  const itemsHtml = related.results.map(result => {
+    const domain = getPageDomain(result);
+    const similarity = Number.isFinite(result.similarity) ? Math.round(result.similarity * 100) : null;
+    return `
+      <li>
+        <button
+          class="saved-pages-related-item"
+          type="button"
+          data-action="focus-related"
+          data-id="${pageId}"
+          data-page-id="${escapeHtml(result.id)}"
+          ${result.url ? `data-url="${escapeHtml(result.url)}"` : ''}
+        >
+          ${domain ? `<img class="saved-pages-related-favicon" src="${getFaviconUrlForDomain(domain)}" alt="" width="14" height="14">` : ''}
+          <span class="saved-pages-related-title">${escapeHtml(result.title || domain || 'Untitled')}</span>
+          ${similarity === null ? '' : `<span class="saved-pages-related-score" title="Similarity">${similarity}%</span>`}
+        </button>
+      </li>
+    `;
+  }).join('');
+
+  let statusHtml = '';
+  if (related.loading) {
+    statusHtml = '<p class="saved-pages-related-status" aria-live="polite">Finding related pages…</p>';
+  } else if (related.error) {
+    statusHtml = `<p class="saved-pages-related-status is-error" role="alert">${escapeHtml(related.error)}</p>`;
+  } else if (!related.results.length) {
+    statusHtml = `<p class="saved-pages-related-status">${related.label
+      ? `No related pages about ${escapeHtml(related.label)}.`
+      : 'No related pages yet.'}</p>`;
+  }
+
+  return `
+    <section class="saved-pages-related" aria-label="Pages related to ${escapeHtml(page.title || 'this page')}">
+      ${labels.length ? `
+        <div class="saved-pages-related-labels">
+          ${labelChip(null, 'Any topic')}
+          ${labels.map(label => labelChip(label, label)).join('')}
+        </div>
+      ` : ''}
+      ${itemsHtml ? `<ul class="saved-pages-related-list">${itemsHtml}</ul>` : ''}
+      ${statusHtml}
+      ${related.hasMore && !related.loading ? `
+        <button class="saved-pages-related-more" type="button" data-action="related-more" data-id="${pageId}">Show more</button>
+      ` : ''}
+    </section>
+  `;
+}
+
 export function renderDrawerCardMarkup(page, {
   editingPageId = null,
   savingEditPageId = null,
   getProjectPills,
-  projectsUnavailable = false
+  projectsUnavailable = false,
+  tagSuggestions = [],
+  selectionMode = false,
+  selected = false,
+  // Trash cards are read-only apart from Restore and Delete forever.
+  trash = false,
+  // The live URL is unreachable and archive mode kept a snapshot of the page.
+  archivedCopy = false,
+  // Reading-queue cards can be dragged (or moved with the arrow keys on
+  // their handle) into a new place in the queue.
+  reorderable = false,
+  // 'keyword', 'semantic' or 'both' when search results show which signal
+  // found each page (search-ranking.js).
+  matchSignal = null,
+  // state.relatedPanel when this card's "Related" panel is open.
+  related = null,
+  // The current search's terms (getSearchHighlightTerms), marked in the
+  // title, summary and tags, with a snippet of the long summary around them.
+  highlightTerms = [],
+  // Semantic search found this page, so say which fields the terms are in —
+  // or that it matched by meaning alone.
+  semanticMatch = false
 }) {
-  const isEditing = page.id === editingPageId;
+  const isEditing = !trash && page.id === editingPageId;
   const isSavingEdit = page.id === savingEditPageId;
   // Optimistic (not-yet-enriched) tiles carry a synthetic id that is not a
   // valid Firestore path, so actions that POST it to the backend (pin, edit,
@@ -28,7 +189,11 @@ export function renderDrawerCardMarkup(page, {
   // isOptimisticPage for why the id can't reach the backend.
   const optimistic = isOptimisticPage(page);
   const actionDisabledAttr = optimistic ? 'disabled' : '';
-  const actionBusyTitle = optimistic ? 'Saving…' : null;
+  // A queued tile is a save still waiting in the offline outbox; say so, since
+  // "Saving…" would imply the request is in flight.
+  const actionBusyTitle = optimistic
+    ? (page.queued === true ? 'Waiting to sync…' : 'Saving…')
+    : null;
   const domain = getPageDomain(page);
   // Show the AI summary, falling back to the scraped page description when the
   // user clears the AI summary. Both fields are read-only here; the edit form
@@ -50,7 +215,62 @@ export function renderDrawerCardMarkup(page, {
     meta.push(`<span>${page.reading_time_minutes} min read</span>`);
   }
 
-  const tagsHtml = renderPageTags(page);
+  if (matchSignal && MATCH_SIGNAL_LABELS[matchSignal]) {
+    meta.push(`<span class="saved-pages-match-signal saved-pages-match-signal--${matchSignal}">${MATCH_SIGNAL_LABELS[matchSignal]}</span>`);
+  }
+
+  if (semanticMatch && highlightTerms.length) {
+    const matchedFields = getMatchedFields(page, highlightTerms);
+    meta.push(`<span class="saved-pages-match-hint">Matched on: ${matchedFields.length ? matchedFields.join(', ') : 'meaning'}</span>`);
+  }
+
+  // Unread pages get a dot before the title that doubles as "Mark as read";
+  // archived ones say so in the meta line. Trash and optimistic cards carry
+  // neither, since neither can be marked.
+  const readState = getPageReadState(page);
+  const showUnread = readState === 'unread' && !trash && !optimistic;
+  if (readState === 'archived' && !trash) {
+    meta.push('<span>Archived</span>');
+  }
+
+  const deletedDate = trash ? formatSavedDate(page.deleted_at) : '';
+  if (deletedDate) {
+    meta.push(`<span>Deleted ${escapeHtml(deletedDate)}</span>`);
+  }
+
+  const queueHandleHtml = reorderable
+    ? `
+      <button
+        class="saved-pages-drawer-queue-handle"
+        type="button"
+        data-action="queue-handle"
+        data-id="${escapeHtml(page.id)}"
+        title="Drag to reorder, or press ↑/↓"
+        aria-label="Move ${escapeHtml(page.title || domain || 'page')} in the queue"
+      >
+        <svg viewBox="0 0 24 24" fill="currentColor" aria-hidden="true">
+          <circle cx="9" cy="6" r="1.5"></circle><circle cx="15" cy="6" r="1.5"></circle>
+          <circle cx="9" cy="12" r="1.5"></circle><circle cx="15" cy="12" r="1.5"></circle>
+          <circle cx="9" cy="18" r="1.5"></circle><circle cx="15" cy="18" r="1.5"></circle>
+        </svg>
+      </button>
+    `
+    : '';
+  const unreadDotHtml = showUnread
+    ? `
+      <button
+        class="saved-pages-drawer-card-unread-dot"
+        type="button"
+        data-action="mark-read"
+        data-id="${escapeHtml(page.id)}"
+        title="Mark as read"
+        aria-label="Unread — mark as read"
+      ></button>
+    `
+    : '';
+  const tagsHtml = renderPageTags(page, { renderLabel: label => highlightText(label, highlightTerms) });
+  const snippet = getMatchSnippet(page.ai_summary_extended || '', highlightTerms);
+  const notes = (page.user_notes || '').trim();
   const projectPills = getProjectPills(page);
   const url = page.url || '';
   const navigationAttrs = url
@@ -62,7 +282,7 @@ export function renderDrawerCardMarkup(page, {
         ${projectPills.map(project => `
           <span class="project-pill" title="${escapeHtml(project.name)}">
             <span class="project-pill-label">${escapeHtml(project.name)}</span>
-            <button
+            ${trash ? '' : `<button
               class="project-pill-remove"
               type="button"
               data-action="remove-project"
@@ -71,7 +291,7 @@ export function renderDrawerCardMarkup(page, {
               title="${actionBusyTitle || `Remove from ${escapeHtml(project.name)}`}"
               aria-label="${actionBusyTitle || `Remove from ${escapeHtml(project.name)}`}"
               ${actionDisabledAttr}
-            >×</button>
+            >×</button>`}
           </span>
         `).join('')}
       </div>
@@ -117,6 +337,66 @@ export function renderDrawerCardMarkup(page, {
       </svg>
     </button>
   `;
+  // Optimistic tiles have no page id yet for the reader to look the article
+  // up by, so they get no Read action until the real doc arrives.
+  const readButtonHtml = optimistic
+    ? ''
+    : `
+      <button
+        class="saved-pages-drawer-action-btn saved-pages-drawer-read-btn"
+        type="button"
+        data-action="read"
+        data-id="${escapeHtml(page.id)}"
+        title="Open in reader"
+        aria-label="Open in reader"
+      >
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.8" aria-hidden="true">
+          <path d="M2 4h6a4 4 0 0 1 4 4v13a3 3 0 0 0 -3 -3H2z"></path>
+          <path d="M22 4h-6a4 4 0 0 0 -4 4v13a3 3 0 0 1 3 -3h7z"></path>
+        </svg>
+      </button>
+    `;
+  // Similar pages need the page's real id, so optimistic tiles wait.
+  const relatedOpen = Boolean(related) && !optimistic;
+  const relatedButtonHtml = optimistic
+    ? ''
+    : `
+      <button
+        class="saved-pages-drawer-action-btn saved-pages-drawer-related-btn ${relatedOpen ? 'is-active' : ''}"
+        type="button"
+        data-action="related"
+        data-id="${escapeHtml(page.id)}"
+        title="${relatedOpen ? 'Hide related pages' : 'Show related pages'}"
+        aria-label="${relatedOpen ? 'Hide related pages' : 'Show related pages'}"
+        aria-expanded="${relatedOpen ? 'true' : 'false'}"
+      >
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.8" aria-hidden="true">
+          <circle cx="6" cy="12" r="2.5"></circle>
+          <circle cx="18" cy="6" r="2.5"></circle>
+          <circle cx="18" cy="18" r="2.5"></circle>
+          <path d="M8.2 10.9l7.6-3.8"></path>
+          <path d="M8.2 13.1l7.6 3.8"></path>
+        </svg>
+      </button>
+    `;
+  const archiveButtonHtml = archivedCopy
+    ? `
+      <button
+        class="saved-pages-drawer-action-btn saved-pages-drawer-archive-btn"
+        type="button"
+        data-action="open-archive"
+        data-id="${escapeHtml(page.id)}"
+        title="Open archived copy"
+        aria-label="Open archived copy"
+      >
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.8" aria-hidden="true">
+          <rect x="3" y="4" width="18" height="4" rx="1"></rect>
+          <path d="M5 8v11a1 1 0 0 0 1 1h12a1 1 0 0 0 1 -1V8"></path>
+          <path d="M10 12h4"></path>
+        </svg>
+      </button>
+    `
+    : '';
   const projectsButtonLabel = projectsUnavailable
     ? 'Projects unavailable'
     : (actionBusyTitle || 'Manage projects');
@@ -136,6 +416,91 @@ export function renderDrawerCardMarkup(page, {
       </svg>
     </button>
   `;
+  // Tag editor: chips for the current manual tags plus a free-text input backed
+  // by a datalist of tags already used elsewhere in the store. Only built for
+  // the card being edited, since the suggestion list can be long.
+  function renderEditTagsFieldHtml() {
+    const currentTags = new Set((page.manual_tags || []).map(tag => String(tag).toLowerCase()));
+    const suggestionsId = `saved-pages-drawer-tag-suggestions-${page.id || 'page'}`;
+    const suggestions = tagSuggestions.filter(tag => !currentTags.has(String(tag).toLowerCase()));
+    return `
+      <div class="saved-pages-drawer-edit-field">
+        <span class="saved-pages-drawer-edit-label">Tags</span>
+        <div class="saved-pages-drawer-edit-tags">
+          ${(page.manual_tags || []).map(tag => renderDrawerEditTagChipMarkup(tag, { disabled: isSavingEdit })).join('')}
+          <input
+            class="saved-pages-drawer-edit-tag-input"
+            name="tag_draft"
+            type="text"
+            list="${escapeHtml(suggestionsId)}"
+            placeholder="Add a tag"
+            aria-label="Add a tag"
+            autocomplete="off"
+            ${isSavingEdit ? 'disabled' : ''}
+          >
+        </div>
+        <datalist id="${escapeHtml(suggestionsId)}">
+          ${suggestions.map(tag => `<option value="${escapeHtml(tag)}"></option>`).join('')}
+        </datalist>
+      </div>
+    `;
+  }
+
+  // Selection-mode checkbox. A button with role="checkbox" rather than an
+  // <input> so it routes through the same data-action click delegation as the
+  // other card buttons (which is where shift-click range selection is read).
+  // Optimistic tiles can't be selected: every bulk action but delete would
+  // send their synthetic id to the backend.
+  const selectButtonHtml = selectionMode
+    ? `
+      <button
+        class="saved-pages-drawer-select-btn ${selected ? 'is-active' : ''}"
+        type="button"
+        role="checkbox"
+        data-action="select"
+        data-id="${escapeHtml(page.id)}"
+        aria-checked="${selected ? 'true' : 'false'}"
+        title="${actionBusyTitle || (selected ? 'Deselect page' : 'Select page')}"
+        aria-label="${actionBusyTitle || (selected ? 'Deselect page' : 'Select page')}"
+        ${actionDisabledAttr}
+      >
+        <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2.4" aria-hidden="true">
+          <polyline points="5 12.5 10 17 19 7"></polyline>
+        </svg>
+      </button>
+    `
+    : '';
+  const trashActionsHtml = `
+    <button
+      class="saved-pages-drawer-action-btn saved-pages-drawer-restore-btn"
+      type="button"
+      data-action="restore"
+      data-id="${escapeHtml(page.id)}"
+      title="Restore page"
+      aria-label="Restore page"
+    >
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.8" aria-hidden="true">
+        <path d="M3 12a9 9 0 1 0 3-6.7"></path>
+        <path d="M3 4v5h5"></path>
+      </svg>
+    </button>
+    <button
+      class="saved-pages-drawer-action-btn saved-pages-drawer-delete-btn saved-pages-drawer-delete-forever-btn"
+      type="button"
+      data-action="delete-forever"
+      data-id="${escapeHtml(page.id)}"
+      title="Delete forever"
+      aria-label="Delete forever"
+    >
+      <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="1.8" aria-hidden="true">
+        <path d="M3 6h18"></path>
+        <path d="M8 6V4h8v2"></path>
+        <path d="M19 6l-1 14H6L5 6"></path>
+        <path d="M10 11l4 6"></path>
+        <path d="M14 11l-4 6"></path>
+      </svg>
+    </button>
+  `;
   const editFormHtml = `
     <form class="saved-pages-drawer-edit-form" data-page-id="${escapeHtml(page.id)}">
       <label class="saved-pages-drawer-edit-field">
@@ -160,6 +525,17 @@ export function renderDrawerCardMarkup(page, {
           ${isSavingEdit ? 'disabled' : ''}
         >${escapeHtml(page.ai_summary_brief || '')}</textarea>
       </label>
+      ${isEditing ? renderEditTagsFieldHtml() : ''}
+      <label class="saved-pages-drawer-edit-field">
+        <span class="saved-pages-drawer-edit-label">Notes</span>
+        <textarea
+          class="saved-pages-drawer-edit-textarea saved-pages-drawer-edit-notes"
+          name="user_notes"
+          rows="3"
+          placeholder="Add your own notes"
+          ${isSavingEdit ? 'disabled' : ''}
+        >${escapeHtml(page.user_notes || '')}</textarea>
+      </label>
       <div class="saved-pages-drawer-edit-actions">
         <button
           class="saved-pages-drawer-edit-save"
@@ -178,13 +554,20 @@ export function renderDrawerCardMarkup(page, {
   `;
 
   return `
-    <article class="saved-pages-drawer-card" data-page-id="${escapeHtml(page.id || '')}"${navigationAttrs}>
+    <article class="saved-pages-drawer-card${selectionMode ? ' is-selectable' : ''}${selected ? ' is-selected' : ''}${showUnread ? ' is-unread' : ''}${reorderable ? ' is-reorderable' : ''}" data-page-id="${escapeHtml(page.id || '')}"${navigationAttrs}${reorderable ? ' draggable="true"' : ''}>
       <div class="saved-pages-drawer-card-header">
         <div class="saved-pages-drawer-card-heading">
+          ${selectButtonHtml}
+          ${queueHandleHtml}
+          ${unreadDotHtml}
           ${domain ? `<img class="saved-pages-drawer-card-favicon" src="${getFaviconUrlForDomain(domain)}" alt="" width="18" height="18">` : ''}
-          <h3 class="saved-pages-drawer-card-title">${escapeHtml(page.title || domain || 'Untitled')}</h3>
+          <h3 class="saved-pages-drawer-card-title">${highlightText(page.title || domain || 'Untitled', highlightTerms)}</h3>
         </div>
         <div class="saved-pages-drawer-card-actions">
+          ${trash ? trashActionsHtml : `
+          ${isEditing ? '' : readButtonHtml}
+          ${isEditing ? '' : relatedButtonHtml}
+          ${isEditing ? '' : archiveButtonHtml}
           ${isEditing ? '' : editButtonHtml}
           <button
             class="saved-pages-drawer-action-btn saved-pages-drawer-pin-btn ${page.pinned ? 'is-active' : ''}"
@@ -218,12 +601,13 @@ export function renderDrawerCardMarkup(page, {
               <path d="M10 11v6"></path>
               <path d="M14 11v6"></path>
             </svg>
-          </button>
+          </button>`}
         </div>
       </div>
       ${isEditing
         ? editFormHtml
-        : (summary ? `<p class="saved-pages-drawer-card-summary">${escapeHtml(truncateText(summary))}</p>` : '')}
+        : `${summary ? `<p class="saved-pages-drawer-card-summary">${highlightText(truncateText(summary), highlightTerms)}</p>` : ''}${snippet ? `<p class="saved-pages-drawer-card-snippet">${highlightText(snippet, highlightTerms)}</p>` : ''}${notes ? `<p class="saved-pages-drawer-card-notes">${escapeHtml(truncateText(notes))}</p>` : ''}${renderCardHighlightsHtml(page)}`}
+      ${relatedOpen && !trash && !isEditing ? renderRelatedPanelHtml(page, related) : ''}
       ${projectPillsHtml}
       <div class="saved-pages-drawer-card-footer">
         ${meta.length ? `<div class="saved-pages-drawer-card-meta">${meta.join('<span class="saved-pages-drawer-meta-separator">•</span>')}</div>` : '<span></span>'}
@@ -261,7 +645,264 @@ export function renderHomePinnedCardMarkup(page) {
   `;
 }
 
-export function getDrawerEmptyStateContent({ query = '', scopeLabel, hasSelectedProject = false }) {
+// The bar above the results: a "Select" toggle outside selection mode, and the
+// selection count plus bulk actions inside it. Actions are disabled while
+// nothing is selected or a batch is running (a second batch started mid-way
+// would race the first one's local updates). In the trash the only actions
+// are Restore and Delete forever. Outside selection mode the bar also carries
+// the "Unread only" filter and "Mark all read" for the scope, which have no
+// meaning in the trash, and in the reading queue the "fill N minutes" form.
+// `queue` is null outside the queue, else { totalMinutes, budgetMinutes,
+// playlistMinutes, playlistCount, defaultBudgetMinutes }. `matchSignals` is
+// { shown } while search results are on screen, for the toggle that badges
+// each result with the signal that found it; null otherwise.
+export function renderDrawerBulkBarMarkup({
+  selectionMode = false,
+  selectedCount = 0,
+  projects = [],
+  projectsUnavailable = false,
+  busy = false,
+  trash = false,
+  unreadOnly = false,
+  unreadCount = 0,
+  queue = null,
+  listFilters = null,
+  matchSignals = null
+} = {}) {
+  if (!selectionMode) {
+    const readControlsHtml = trash
+      ? ''
+      : `
+        <button class="saved-pages-bulk-btn saved-pages-bulk-filter ${unreadOnly ? 'is-active' : ''}" type="button" data-bulk-action="toggle-unread-only" aria-pressed="${unreadOnly ? 'true' : 'false'}">
+          Unread only
+        </button>
+        <button class="saved-pages-bulk-btn saved-pages-bulk-link" type="button" data-bulk-action="mark-all-read" ${busy || unreadCount === 0 ? 'disabled' : ''}>
+          Mark all read
+        </button>
+      `;
+    return `
+      <button class="saved-pages-bulk-btn saved-pages-bulk-toggle" type="button" data-bulk-action="enter" title="Select several pages to pin, delete, or file at once">
+        Select
+      </button>
+      ${readControlsHtml}
+      ${matchSignals ? `
+        <button class="saved-pages-bulk-btn saved-pages-bulk-filter ${matchSignals.shown ? 'is-active' : ''}" type="button" data-bulk-action="toggle-match-signals" aria-pressed="${matchSignals.shown ? 'true' : 'false'}" title="Show whether each result matched by keyword, by meaning, or both">
+          Match signals
+        </button>
+      ` : ''}
+      ${queue ? renderQueueBudgetMarkup(queue) : ''}
+      ${listFilters ? renderListFiltersMarkup(listFilters) : ''}
+    `;
+  }
+
+  const disabledAttr = busy || selectedCount === 0 ? 'disabled' : '';
+  const projectOptions = projects
+    .filter(project => project && !project.archived)
+    .slice()
+    .sort((a, b) => String(a.name || '').localeCompare(String(b.name || '')));
+  const actionButton = (action, label, extraClass = '') => `
+    <button class="saved-pages-bulk-btn ${extraClass}" type="button" data-bulk-action="${action}" ${disabledAttr}>${label}</button>
+  `;
+  const countAndSelectAllHtml = `
+    <span class="saved-pages-bulk-count" aria-live="polite">${selectedCount} selected</span>
+    <button class="saved-pages-bulk-btn saved-pages-bulk-link" type="button" data-bulk-action="select-all" ${busy ? 'disabled' : ''}>Select all</button>
+  `;
+  const doneButtonHtml = `
+    <button class="saved-pages-bulk-btn saved-pages-bulk-done" type="button" data-bulk-action="exit" ${busy ? 'disabled' : ''}>Done</button>
+  `;
+
+  if (trash) {
+    return `
+      ${countAndSelectAllHtml}
+      ${actionButton('restore', 'Restore')}
+      ${actionButton('delete-forever', 'Delete forever', 'saved-pages-bulk-delete')}
+      ${doneButtonHtml}
+    `;
+  }
+
+  const projectControlsHtml = projectsUnavailable || !projectOptions.length
+    ? ''
+    : `
+      <span class="saved-pages-bulk-group">
+        <select class="saved-pages-bulk-project-select" aria-label="Project" ${busy ? 'disabled' : ''}>
+          ${projectOptions.map(project => `<option value="${escapeHtml(project.id)}">${escapeHtml(project.name)}</option>`).join('')}
+        </select>
+        ${actionButton('add-to-project', 'Add to project')}
+        ${actionButton('remove-from-project', 'Remove from project')}
+      </span>
+    `;
+
+  return `
+    ${countAndSelectAllHtml}
+    <span class="saved-pages-bulk-group">
+      ${actionButton('pin', 'Pin')}
+      ${actionButton('unpin', 'Unpin')}
+    </span>
+    <span class="saved-pages-bulk-group">
+      ${actionButton('make-private', 'Hide from organisation')}
+      ${actionButton('make-public', 'Show in organisation')}
+    </span>
+    <span class="saved-pages-bulk-group">
+      ${actionButton('mark-read', 'Mark read')}
+      ${actionButton('mark-unread', 'Mark unread')}
+      ${actionButton('archive', 'Archive')}
+    </span>
+    ${projectControlsHtml}
+    ${actionButton('delete', 'Delete', 'saved-pages-bulk-delete')}
+    ${doneButtonHtml}
+  `;
+}
+
+// The sort menu, the Filters toggle (with how many facets are on) and, when
+// open, the facet panel. `sortable` is false where the list keeps its own
+// order (the reading queue).
+function renderListFiltersMarkup({
+  filters = createDefaultPageListFilters(),
+  open = false,
+  sortable = true,
+  labelOptions = [],
+  semanticThreshold = DEFAULT_SEMANTIC_THRESHOLD,
+  savable = false
+}) {
+  const activeCount = countActivePageFacets(filters);
+  const option = (value, label, selectedValue) =>
+    `<option value="${escapeHtml(value)}" ${value === selectedValue ? 'selected' : ''}>${escapeHtml(label)}</option>`;
+  const checkbox = (name, label) => `
+    <label class="saved-pages-list-filters-check">
+      <input type="checkbox" name="${name}" ${filters[name] ? 'checked' : ''}>
+      ${label}
+    </label>
+  `;
+  // Keep a label that's in the URL but not (yet) on any loaded page selectable.
+  const labels = filters.label && !labelOptions.includes(filters.label)
+    ? [filters.label, ...labelOptions]
+    : labelOptions;
+
+  const sortHtml = sortable
+    ? `
+      <label class="saved-pages-list-sort">
+        Sort
+        <select class="saved-pages-list-sort-select" name="sort" aria-label="Sort pages">
+          ${PAGE_SORT_OPTIONS.map(({ value, label }) => option(value, label, filters.sort)).join('')}
+        </select>
+      </label>
+    `
+    : '';
+  const panelHtml = open
+    ? `
+      <form class="saved-pages-list-filters" aria-label="Filter pages">
+        <label class="saved-pages-list-filters-field">
+          Saved from
+          <input class="saved-pages-list-filters-date" type="date" name="from" value="${escapeHtml(filters.from || '')}">
+        </label>
+        <label class="saved-pages-list-filters-field">
+          to
+          <input class="saved-pages-list-filters-date" type="date" name="to" value="${escapeHtml(filters.to || '')}">
+        </label>
+        ${checkbox('hasNotes', 'Has notes')}
+        ${checkbox('pinned', 'Pinned')}
+        ${checkbox('private', 'Private')}
+        <select class="saved-pages-list-filters-select" name="label" aria-label="Label">
+          ${option('', 'Any label', filters.label)}
+          ${labels.map(label => option(label, label, filters.label)).join('')}
+        </select>
+        <select class="saved-pages-list-filters-select" name="enrichment" aria-label="Enrichment">
+          ${option('', 'Enriched or pending', filters.enrichment || '')}
+          ${option('enriched', 'Enriched', filters.enrichment || '')}
+          ${option('pending', 'Pending enrichment', filters.enrichment || '')}
+        </select>
+        <select class="saved-pages-list-filters-select saved-pages-semantic-threshold-select" name="threshold" aria-label="Semantic match" title="How closely semantic results must match the search">
+          ${SEMANTIC_THRESHOLD_OPTIONS.map(({ value, label }) =>
+            option(String(value), `${label} matches`, String(semanticThreshold))).join('')}
+        </select>
+        <button class="saved-pages-bulk-btn saved-pages-bulk-link" type="button" data-bulk-action="clear-list-filters" ${activeCount ? '' : 'disabled'}>
+          Clear filters
+        </button>
+      </form>
+    `
+    : '';
+
+  return `
+    ${sortHtml}
+    <button class="saved-pages-bulk-btn saved-pages-bulk-filter ${activeCount ? 'is-active' : ''}" type="button" data-bulk-action="toggle-list-filters" aria-expanded="${open ? 'true' : 'false'}">
+      Filters${activeCount ? ` (${activeCount})` : ''}
+    </button>
+    ${savable
+      ? '<button class="saved-pages-bulk-btn" type="button" data-bulk-action="save-smart-collection" title="Keep this search in the sidebar">Save search</button>'
+      : ''}
+    ${panelHtml}
+  `;
+}
+
+function renderQueueBudgetMarkup({
+  totalMinutes = 0,
+  budgetMinutes = null,
+  playlistMinutes = 0,
+  playlistCount = 0,
+  defaultBudgetMinutes = 20
+}) {
+  const summary = budgetMinutes
+    ? `${playlistCount} page${playlistCount === 1 ? '' : 's'} · ${playlistMinutes} of ${budgetMinutes} min`
+    : `${totalMinutes} min queued`;
+  return `
+    <form class="saved-pages-queue-budget">
+      <label class="saved-pages-queue-budget-label">
+        Fill
+        <input class="saved-pages-queue-budget-input" name="minutes" type="number" min="1" max="600" step="1" value="${budgetMinutes || defaultBudgetMinutes}" aria-label="Minutes to fill">
+        min
+      </label>
+      <button class="saved-pages-bulk-btn" type="submit">Fill</button>
+      <span class="saved-pages-queue-summary" aria-live="polite">${summary}</span>
+      ${budgetMinutes
+        ? '<button class="saved-pages-bulk-btn saved-pages-bulk-link" type="button" data-bulk-action="clear-queue-budget">Show whole queue</button>'
+        : ''}
+    </form>
+  `;
+}
+
+export function getDrawerEmptyStateContent({
+  query = '',
+  scopeLabel,
+  hasSelectedProject = false,
+  isTrash = false,
+  unreadOnly = false,
+  isQueue = false,
+  queueBudgetMinutes = null,
+  filtered = false
+}) {
+  if (filtered && !query) {
+    return {
+      title: 'No pages match these filters',
+      description: `Change or clear the filters to see more of ${escapeHtml(scopeLabel)}.`
+    };
+  }
+
+  if (isQueue && !query) {
+    return queueBudgetMinutes
+      ? {
+        title: `Nothing fits in ${queueBudgetMinutes} min`,
+        description: 'Only pages with a reading time can fill a budget. Try more minutes or show the whole queue.'
+      }
+      : {
+        title: 'Your reading queue is empty',
+        description: 'Unread pages line up here. Drag them into the order you want to read them.'
+      };
+  }
+
+  if (isTrash && !query) {
+    return {
+      title: 'Trash is empty',
+      description: 'Deleted pages appear here, where you can restore them or delete them forever.'
+    };
+  }
+
+  if (unreadOnly && !isTrash && !query) {
+    return {
+      title: `No unread pages in ${escapeHtml(scopeLabel)}`,
+      description: 'You\'re all caught up. Turn off "Unread only" to see everything.'
+    };
+  }
+
   return {
     title: query ? `No results for "${escapeHtml(query)}"` : `No pages in ${escapeHtml(scopeLabel)}`,
     description: query
@@ -281,14 +922,39 @@ export function createDrawerRenderer({
   renderChrome,
   getProjectPills,
   isProjectsUnavailable,
-  getProjectScopeLabel
+  getProjectScopeLabel,
+  getTagSuggestions,
+  getSelection,
+  isTrashScope = () => false,
+  isUnreadOnly = () => false,
+  getQueueEmptyState = () => null,
+  hasActiveFacets = () => false,
+  isReorderable = () => false,
+  hasArchivedCopy = () => false,
+  getRelatedPanel = () => null,
+  getHighlightTerms = () => []
 }) {
-  function createDrawerCardElement(page) {
+  function createDrawerCardElement(page, { matchSignal = null, semanticMatch = false } = {}) {
+    const editingPageId = getEditingPageId?.() || null;
+    const selection = getSelection?.() || null;
+    const relatedPanel = getRelatedPanel?.() || null;
     return createElementFromHtml(renderDrawerCardMarkup(page, {
-      editingPageId: getEditingPageId?.() || null,
+      selectionMode: selection?.selectionMode === true,
+      selected: selection?.selectedPageIds?.includes(page.id) === true,
+      editingPageId,
       savingEditPageId: getSavingEditPageId?.() || null,
       getProjectPills,
-      projectsUnavailable: isProjectsUnavailable()
+      projectsUnavailable: isProjectsUnavailable(),
+      trash: isTrashScope(),
+      archivedCopy: hasArchivedCopy(page.id),
+      reorderable: page.id !== editingPageId && selection?.selectionMode !== true && isReorderable(page),
+      matchSignal,
+      related: relatedPanel?.pageId === page.id ? relatedPanel : null,
+      highlightTerms: getHighlightTerms?.() || [],
+      semanticMatch,
+      // Suggestions only matter for the card being edited; skip the store
+      // scan for every other card.
+      tagSuggestions: page.id === editingPageId ? (getTagSuggestions?.() || []) : []
     }), documentObj);
   }
 
@@ -368,7 +1034,11 @@ export function createDrawerRenderer({
     const content = getDrawerEmptyStateContent({
       query,
       scopeLabel: getProjectScopeLabel(),
-      hasSelectedProject
+      hasSelectedProject,
+      isTrash: isTrashScope(),
+      unreadOnly: isUnreadOnly(),
+      filtered: hasActiveFacets(),
+      ...getQueueEmptyState()
     });
 
     renderDrawerState(`
@@ -460,7 +1130,16 @@ export function createDrawerRenderer({
     renderChrome();
   }
 
-  function renderSemanticResults(results, { loading = false, query = '' } = {}) {
+  // The search results: keyword and semantic matches as one ranked list
+  // (getDrawerSearchResults). `matchSignals` maps page id to the signal that
+  // found it, when the user has asked to see them; `semanticIds` holds the
+  // ids semantic search found.
+  function renderSemanticResults(results, {
+    loading = false,
+    query = '',
+    matchSignals = null,
+    semanticIds = null
+  } = {}) {
     if (!resultsContainer) {
       return;
     }
@@ -494,7 +1173,7 @@ export function createDrawerRenderer({
       replaceElementHtml(section, `
         <p class="saved-pages-semantic-heading">From across everything</p>
         <div class="saved-pages-drawer-state saved-pages-semantic-state">
-          <p>No matches beyond your saved pages.</p>
+          <p>No pages match this search.</p>
         </div>
       `);
       return;
@@ -509,7 +1188,10 @@ export function createDrawerRenderer({
       getNodeKey: node => node?.dataset?.pageId || null,
       pruneUnkeyed: true,
       renderItem: (page, existingNode) => {
-        const nextCard = createDrawerCardElement(page);
+        const nextCard = createDrawerCardElement(page, {
+          matchSignal: matchSignals?.get(page.id) || null,
+          semanticMatch: semanticIds?.has(page.id) === true
+        });
         return existingNode && existingNode.outerHTML === nextCard?.outerHTML
           ? existingNode
           : nextCard;
@@ -535,6 +1217,25 @@ export function createDrawerRenderer({
     renderChrome();
   }
 
+  // Bring a card into view and focus it, with a brief flash so the eye finds
+  // it (a related page picked from another card's panel). Either results
+  // section will do. False when no card for the page is rendered.
+  function focusCard(pageId) {
+    const card = pageId
+      ? Array.from(resultsContainer?.querySelectorAll('.saved-pages-drawer-card') || [])
+        .find(node => node.dataset.pageId === pageId)
+      : null;
+    if (!card) {
+      return false;
+    }
+    card.scrollIntoView?.({ block: 'center', behavior: 'smooth' });
+    card.focus?.({ preventScroll: true });
+    card.classList.remove('is-flashing');
+    void card.offsetWidth;
+    card.classList.add('is-flashing');
+    return true;
+  }
+
   function refreshCard(pageId, pages, query, { onMissingPage } = {}) {
     if (!pageId || !resultsContainer) {
       return;
@@ -625,6 +1326,7 @@ export function createDrawerRenderer({
   return {
     clearPagesSection,
     clearPinnedShelf,
+    focusCard,
     refreshCard,
     renderEmptyState,
     renderErrorState,
@@ -1,17 +1,36 @@
+import { createArchiveStore } from './archive-store.js';
+import { createArchivedCopyTracker } from './archived-copies.js';
+import { createLocalVectorSearch } from './local-vector-search.js';
+import { createDrawerBulkController } from './newtab-drawer-bulk.js';
+import { createDrawerSmartCollectionsController } from './newtab-drawer-collections.js';
 import { createDrawerDataController } from './newtab-drawer-data.js';
+import { createDrawerQueueController } from './newtab-drawer-queue.js';
+import { createDrawerRelatedController } from './newtab-drawer-related.js';
 import {
   createDrawerFiltersApplier,
   createDrawerStateSyncHelpers,
   createSavedPagesTotalNotifier,
   getDrawerCurrentUser
 } from './newtab-drawer-coordination.js';
-import { initSavedPagesDrawerEvents } from './newtab-drawer-events.js';
+import {
+  getInitialDrawerUrlState,
+  initSavedPagesDrawerEvents,
+  selectDrawerScope
+} from './newtab-drawer-events.js';
 import { createDrawerShellController } from './newtab-drawer-shell.js';
 import { createDrawerSyncCoordinator } from './newtab-drawer-sync.js';
-import { createInitialDrawerState, resetDrawerState, setDrawerInitialized } from './newtab-drawer-state.js';
-import { PINNED_PAGES_SCOPE_ID } from './project-manager-state.js';
+import { createDrawerUndoController } from './newtab-drawer-undo.js';
+import {
+  createInitialDrawerState,
+  resetDrawerState,
+  setDrawerInitialized,
+  setDrawerListFilters,
+  toggleDrawerTopicExpanded
+} from './newtab-drawer-state.js';
+import { isAllPagesView } from './project-manager-state.js';
 import { createDrawerUiController } from './newtab-drawer-ui.js';
 import { createSavedPagesView } from './newtab-drawer-view.js';
+import { hasLoadedEveryPage } from './warm-cache-list-store.js';
 
 export function createSavedPagesDrawerController({
   api,
@@ -28,12 +47,19 @@ export function createSavedPagesDrawerController({
   dependencies = {}
 }) {
   const {
+    createArchivedCopyTrackerFn = createArchivedCopyTracker,
+    createDrawerBulkControllerFn = createDrawerBulkController,
     createDrawerDataControllerFn = createDrawerDataController,
+    createDrawerQueueControllerFn = createDrawerQueueController,
     createDrawerShellControllerFn = createDrawerShellController,
+    createDrawerRelatedControllerFn = createDrawerRelatedController,
+    createDrawerSmartCollectionsControllerFn = createDrawerSmartCollectionsController,
     createDrawerSyncCoordinatorFn = createDrawerSyncCoordinator,
     createDrawerUiControllerFn = createDrawerUiController,
+    createDrawerUndoControllerFn = createDrawerUndoController,
     createInitialDrawerStateFn = createInitialDrawerState,
     createSavedPagesViewFn = createSavedPagesView,
+    createLocalVectorSearchFn = createLocalVectorSearch,
     getDrawerCurrentUserFn = getDrawerCurrentUser,
     initSavedPagesDrawerEventsFn = initSavedPagesDrawerEvents
   } = dependencies;
@@ -45,7 +71,8 @@ export function createSavedPagesDrawerController({
     savedPagesDrawerResults,
     projectSidebar,
     projectEditorBackdrop,
-    projectEditorDialog
+    projectEditorDialog,
+    savedPagesBulkBar
   } = elements;
 
   const state = createInitialDrawerStateFn();
@@ -73,6 +100,14 @@ export function createSavedPagesDrawerController({
     getSavedPagesView: () => savedPagesView
   });
 
+  // Same routing as a sidebar row click, for surfaces outside the sidebar
+  // (the command palette, smart collections).
+  const selectScope = scopeId => selectDrawerScope({
+    savedPagesView,
+    projectManager,
+    loadDrawerDomainPages: dataController.loadDrawerDomainPages
+  }, scopeId);
+
   const shellController = createDrawerShellControllerFn({
     state,
     savedPagesDrawer,
@@ -84,11 +119,22 @@ export function createSavedPagesDrawerController({
     documentObj
   });
 
+  // Archived copies live in IndexedDB; without it (non-extension previews)
+  // cards simply never offer one.
+  const archiveStore = windowObj.indexedDB ? createArchiveStore({ indexedDBFactory: windowObj.indexedDB }) : null;
+  const archivedCopies = createArchivedCopyTrackerFn({
+    archiveStore,
+    onChange: pageId => uiController?.refreshDrawerCard(pageId),
+    windowObj
+  });
+
   uiController = createDrawerUiControllerFn({
     state,
     projectManager,
     resultsContainer: savedPagesDrawerResults,
+    bulkBarContainer: savedPagesBulkBar,
     getSavedPagesView: () => savedPagesView,
+    archivedCopies,
     documentObj
   });
 
@@ -98,13 +144,16 @@ export function createSavedPagesDrawerController({
   // Hide it whenever the sign-in state is shown (cold start with no session,
   // and explicit sign-out) and restore it once real results render. Tied to
   // these two render entry points because they are the authoritative signals
-  // of the auth-state transition for the drawer.
+  // of the auth-state transition for the drawer. The bulk-action bar follows
+  // the same rule.
   const renderDrawerSignInState = (...args) => {
     projectSidebar?.classList?.add('hidden');
+    savedPagesBulkBar?.classList?.add('hidden');
     return uiController.renderSignInState(...args);
   };
   const renderDrawerResults = (...args) => {
     projectSidebar?.classList?.remove('hidden');
+    savedPagesBulkBar?.classList?.remove('hidden');
     return uiController.renderResults(...args);
   };
   const { syncDrawerStateFromStore, syncProjectsStateFromStore } = createDrawerStateSyncHelpers({
@@ -133,6 +182,8 @@ export function createSavedPagesDrawerController({
     refreshDrawerCard: uiController.refreshDrawerCard
   });
 
+  const undoController = createDrawerUndoControllerFn({ notify, windowObj });
+
   dataController = createDrawerDataControllerFn({
     api,
     state,
@@ -153,15 +204,82 @@ export function createSavedPagesDrawerController({
     applyDrawerFilters,
     windowObj,
     notify,
+    undoController,
+    archiveStore,
     projectFetchLimit: 100
   });
 
+  const bulkController = createDrawerBulkControllerFn({
+    api,
+    state,
+    projectManager,
+    savedPagesView,
+    renderDrawerResults,
+    applyDrawerFilters,
+    updateCachedProjectStores: dataController.updateCachedProjectStores,
+    removeFromCachedProjectStores: dataController.removeFromCachedProjectStores,
+    hideDrawerPages: dataController.hideDrawerPages,
+    restoreDrawerPages: dataController.restoreDrawerPages,
+    releaseDrawerPages: dataController.releaseDrawerPages,
+    applyRestoredPages: dataController.applyRestoredPages,
+    removeTrashPages: dataController.removeTrashPages,
+    undoController,
+    windowObj,
+    notify
+  });
+
+  // Opening a page, directly or in the reader, marks it read. The mark goes
+  // out before navigation; a plain click replaces this tab, so the data
+  // controller hands the request to the background to finish.
+  function markOpenedThen(open) {
+    return (card, event) => {
+      void dataController.handleDrawerPageOpened(card?.dataset?.pageId);
+      open(card, event);
+    };
+  }
+
+  const queueController = createDrawerQueueControllerFn({
+    state,
+    storage: (windowObj.browser ?? windowObj.chrome)?.storage?.local || null,
+    applyDrawerFilters,
+    renderDrawerResults,
+    notify
+  });
+
+  const smartCollectionsController = createDrawerSmartCollectionsControllerFn({
+    state,
+    storage: (windowObj.browser ?? windowObj.chrome)?.storage?.local || null,
+    selectScope,
+    handleDrawerListFiltersChange: dataController.handleDrawerListFiltersChange,
+    loadDrawerResults: dataController.loadDrawerResults,
+    renderProjectSidebar: uiController.renderProjectSidebar,
+    notify,
+    promptFn: (...args) => windowObj.prompt?.(...args),
+    confirmFn: (...args) => windowObj.confirm?.(...args)
+  });
+
+  // Related pages and tag lookups are answered from the embeddings in the
+  // loaded pages when they can be, so they work offline; see api-search.js.
+  // Only once the all-pages store holds the whole library: with pages still on
+  // the server, a local answer would leave them out.
+  api?.setLocalVectorSearch?.(createLocalVectorSearchFn({
+    getPages: () => (hasLoadedEveryPage(savedPagesStore.getSnapshot?.()) ? state.allPages : null)
+  }));
+
+  const relatedController = createDrawerRelatedControllerFn({
+    api,
+    state,
+    renderDrawerResults,
+    focusDrawerCard: uiController.focusDrawerCard
+  });
+
   function initDrawerEventHandlers() {
     initSavedPagesDrawerEventsFn({
       savedPagesDrawerSearchForm,
       savedPagesDrawerSearchInput,
       savedPagesDrawerClearBtn,
       savedPagesDrawerResults,
+      savedPagesBulkBar,
       projectSidebar,
       projectEditorBackdrop,
       projectEditorDialog,
@@ -169,14 +287,50 @@ export function createSavedPagesDrawerController({
       savedPagesView,
       loadDrawerResults: dataController.loadDrawerResults,
       loadDrawerDomainPages: dataController.loadDrawerDomainPages,
-      navigateDrawerCard: shellController.navigateDrawerCard,
+      navigateDrawerCard: markOpenedThen(shellController.navigateDrawerCard),
+      openDrawerReader: markOpenedThen(shellController.openDrawerReader),
       handleDrawerEditCancel: dataController.handleDrawerEditCancel,
       handleDrawerEditStart: dataController.handleDrawerEditStart,
       handleDrawerPin: dataController.handleDrawerPin,
       handleDrawerTogglePrivacy: dataController.handleDrawerTogglePrivacy,
       handleDrawerUpdate: dataController.handleDrawerUpdate,
       handleDrawerDelete: dataController.handleDrawerDelete,
+      handleDrawerRemoveFromProject: dataController.handleDrawerRemoveFromProject,
+      handleDrawerRestore: dataController.handleDrawerRestore,
+      handleDrawerDeleteForever: dataController.handleDrawerDeleteForever,
+      handleDrawerOpenArchive: archivedCopies.open,
+      handleDrawerMarkRead: dataController.handleDrawerMarkRead,
+      handleDrawerUnreadOnlyToggle: dataController.handleDrawerUnreadOnlyToggle,
+      handleDrawerMatchSignalsToggle: dataController.handleDrawerMatchSignalsToggle,
+      handleDrawerTopicToggle: topicId => {
+        toggleDrawerTopicExpanded(state, topicId);
+        uiController.renderProjectSidebar();
+      },
+      handleDrawerRelatedToggle: relatedController.toggle,
+      handleDrawerRelatedLabel: relatedController.setLabel,
+      handleDrawerRelatedMore: relatedController.loadMore,
+      handleDrawerRelatedFocus: relatedController.focus,
+      handleDrawerListFiltersChange: dataController.handleDrawerListFiltersChange,
+      handleDrawerListFiltersClear: dataController.handleDrawerListFiltersClear,
+      handleDrawerListFiltersToggle: dataController.handleDrawerListFiltersToggle,
+      handleDrawerSemanticThresholdChange: dataController.handleDrawerSemanticThresholdChange,
+      handleDrawerSmartCollectionSave: smartCollectionsController.saveCurrent,
+      handleDrawerSmartCollectionOpen: smartCollectionsController.open,
+      handleDrawerSmartCollectionRename: smartCollectionsController.rename,
+      handleDrawerSmartCollectionPin: smartCollectionsController.togglePin,
+      handleDrawerSmartCollectionMove: smartCollectionsController.move,
+      handleDrawerSmartCollectionDelete: smartCollectionsController.remove,
+      handleDrawerMarkAllRead: bulkController.markAllRead,
+      handleDrawerQueueReorder: queueController.reorder,
+      handleDrawerQueueMove: queueController.move,
+      handleDrawerQueueFill: queueController.fillBudget,
+      handleDrawerQueueClearBudget: queueController.clearBudget,
       handleDrawerScrollNearEnd: dataController.handleDrawerScrollNearEnd,
+      isDrawerSelectionMode: bulkController.isSelectionMode,
+      setDrawerSelectionMode: bulkController.setSelectionMode,
+      handleDrawerSelectionToggle: bulkController.toggleSelection,
+      handleDrawerSelectAll: bulkController.selectAll,
+      handleDrawerBulkAction: bulkController.runBulkAction,
       setDrawerSearchValue: shellController.setDrawerSearchValue,
       setDrawerToggleState: shellController.setDrawerToggleState,
       windowObj,
@@ -234,6 +388,10 @@ export function createSavedPagesDrawerController({
 
   async function handleSignedIn() {
     await refreshCachedUser();
+    // Signing out resets the drawer state, stored queue order and smart
+    // collections included.
+    void queueController.loadOrder();
+    void smartCollectionsController.load();
     await syncCoordinator.handleSignedIn();
   }
 
@@ -256,7 +414,7 @@ export function createSavedPagesDrawerController({
     // network fetch, not a warm-cache paint of the stale in-memory list. This
     // mirrors the sign-in gate inside loadDrawerScope, but forceReload runs
     // already-authenticated so it must reset up-front.
-    if (state.selectedProjectId && state.selectedProjectId !== PINNED_PAGES_SCOPE_ID) {
+    if (!isAllPagesView(state.selectedProjectId)) {
       const projectStore = dataController.getProjectSavedPagesStore?.(state.selectedProjectId);
       projectStore?.reset({ emit: false });
     }
@@ -278,8 +436,18 @@ export function createSavedPagesDrawerController({
     // Seed before the first render so ownership (isOwnedProject) resolves on the
     // warm-cache paint that init triggers via the sync coordinator.
     await refreshCachedUser();
+    // A sort or facets in the URL apply from the first paint.
+    setDrawerListFilters(state, getInitialDrawerUrlState(windowObj.location?.search).listFilters);
     syncCoordinator.init();
     initDrawerEventHandlers();
+    void queueController.loadOrder();
+    void smartCollectionsController.load();
+    // Closing or navigating the tab mid-grace commits a pending delete rather
+    // than silently dropping it. Best effort: the request may still be cut
+    // off by the unload, in which case the page simply reappears next time.
+    windowObj.addEventListener?.('pagehide', () => {
+      void undoController.flush();
+    });
   }
 
   // Realtime push handler: a project's page set changed on the server. If that
@@ -320,7 +488,7 @@ export function createSavedPagesDrawerController({
       // If a project scope is open, refresh its store too — a missed
       // project_page_changed for the open project would otherwise leave its
       // warm cache stale until the user closes and re-opens the scope.
-      if (state.selectedProjectId && state.selectedProjectId !== PINNED_PAGES_SCOPE_ID) {
+      if (!isAllPagesView(state.selectedProjectId)) {
         const projectStore = dataController.getProjectSavedPagesStore?.(state.selectedProjectId);
         await projectStore?.refreshInitial();
       }
@@ -338,6 +506,7 @@ export function createSavedPagesDrawerController({
     handleSignedIn,
     init,
     load: shellController.openSavedPagesDrawer,
+    loadSmartCollections: smartCollectionsController.load,
     loadSummary: syncCoordinator.loadSummary,
     open: shellController.openSavedPagesDrawer,
     preloadProjects: dataController.ensureDrawerProjectsLoaded,
@@ -345,6 +514,8 @@ export function createSavedPagesDrawerController({
     // Exposed so sibling surfaces (Sharing centre, Refresh) can read the live
     // view state — projects list and current user — without duplicating it.
     getSavedPagesView: () => savedPagesView,
+    // Exposed for the command palette, which lives outside the drawer.
+    selectScope,
     showLoadingState: renderDrawerLoadingState
   };
 }
@@ -1,6 +1,9 @@
+import { writePageListFilterParams } from './page-list-filters.js';
+
 export function getSavedPagesDrawerUrl(locationHref, {
   isOpen,
   searchQuery = '',
+  listFilters = null,
   drawerParam = 'drawer',
   drawerValue = 'saved-pages'
 }) {
@@ -14,6 +17,10 @@ export function getSavedPagesDrawerUrl(locationHref, {
   } else {
     url.searchParams.delete('search');
   }
+  // Sort and facets ride along so a reload or a shared link keeps them.
+  if (listFilters) {
+    writePageListFilterParams(url.searchParams, listFilters);
+  }
 
   return url;
 }
@@ -48,6 +55,7 @@ export function createDrawerShellController({
     const url = getSavedPagesDrawerUrl(windowObj.location.href, {
       isOpen,
       searchQuery,
+      listFilters: state.listFilters,
       drawerParam,
       drawerValue
     });
@@ -78,6 +86,29 @@ export function createDrawerShellController({
     windowObj.location.assign(url);
   }
 
+  // The card's page in reader.html, with the same new-tab modifiers as
+  // opening the card itself. The URL rides along so the reader can link out
+  // when the page isn't in the saved-pages cache.
+  function openDrawerReader(card, event = {}) {
+    const pageId = card?.dataset?.pageId;
+    if (!pageId) {
+      return;
+    }
+
+    const params = new URLSearchParams({ id: pageId });
+    if (card.dataset.url) {
+      params.set('url', card.dataset.url);
+    }
+    const readerUrl = `reader.html?${params}`;
+
+    if (shouldOpenDrawerCardInNewTab(event)) {
+      windowObj.open(readerUrl, '_blank', 'noopener');
+      return;
+    }
+
+    windowObj.location.assign(readerUrl);
+  }
+
   function openSavedPagesDrawer({ syncUrl = true, searchQuery = '' } = {}) {
     if (!savedPagesDrawer) return;
 
@@ -109,6 +140,7 @@ export function createDrawerShellController({
     getSearchQuery,
     isDrawerOpen,
     navigateDrawerCard,
+    openDrawerReader,
     openSavedPagesDrawer,
     setDrawerSearchValue,
     setDrawerToggleState,
@@ -1,4 +1,26 @@
-import { PINNED_PAGES_SCOPE_ID } from './project-manager-state.js';
+import { READING_QUEUE_SCOPE_ID, TRASH_SCOPE_ID, isAllPagesView } from './project-manager-state.js';
+import { isPageUnread } from './page-read-state.js';
+import { fillReadingBudget, orderReadingQueue } from './reading-queue.js';
+import {
+  createDefaultPageListFilters,
+  isDefaultPageListFilters,
+  matchesPageFacets,
+  normalizePageListFilters,
+  sortPages
+} from './page-list-filters.js';
+import {
+  DEFAULT_SEMANTIC_THRESHOLD,
+  matchesSearchQuery,
+  normalizeSemanticThreshold,
+  parseSearchQuery
+} from './search-query.js';
+import { MAX_KEYWORD_CANDIDATES, fuseSearchResults, rankKeywordMatches } from './search-ranking.js';
+import {
+  countSmartCollectionPages,
+  findActiveSmartCollection,
+  orderSmartCollections
+} from './smart-collections.js';
+import { buildTopicTree, flattenTopicTree } from './topic-tree.js';
 
 // Render windowing for the All-pages browse view. Only this many cards render
 // on first paint; scrolling grows the window by RENDER_LIMIT_INCREMENT.
@@ -28,12 +50,48 @@ export function createInitialDrawerState() {
     selectedProjectId: null,
     domains: [],
     selectedDomainId: null,
+    // "Unread only": narrows the browse list to unread pages in any scope but
+    // the trash.
+    unreadOnly: false,
+    // Reading queue: the page ids the user has dragged into order (loaded
+    // from storage by the queue controller) and the active "fill N minutes"
+    // budget, or null to show the whole queue.
+    readingQueueOrder: [],
+    queueBudgetMinutes: null,
+    // Sort and facet filters (page-list-filters.js), mirrored into the URL.
+    // serverFilteredPages holds what the server returned for them while the
+    // all-pages store is still partly loaded, or null when it isn't needed;
+    // listFiltersOpen is whether the facet panel is showing.
+    listFilters: createDefaultPageListFilters(),
+    serverFilteredPages: null,
+    listFilterRequestId: 0,
+    listFiltersOpen: false,
+    // Saved searches for the sidebar (smart-collections.js), loaded from
+    // storage, and the semantic match threshold the search runs at.
+    smartCollections: [],
+    semanticThreshold: DEFAULT_SEMANTIC_THRESHOLD,
+    // Whether search results are badged with the signal that found them
+    // (keyword, semantic or both; see search-ranking.js).
+    showMatchSignals: false,
+    // Topic tree nodes (topic-tree.js) the user has opened in the sidebar.
+    expandedTopicIds: [],
+    // The card whose "Related" panel is open, and what it shows:
+    // { pageId, label, results, nextOffset, hasMore, loading, error }, or
+    // null. One panel
+    // at a time (newtab-drawer-related.js).
+    relatedPanel: null,
     projectEditorState: {
       pageId: null,
       query: ''
     },
     editingPageId: null,
     savingEditPageId: null,
+    // Multi-select mode. selectedPageIds keeps click order; selectionAnchorId
+    // is the last plainly-clicked card, the fixed end of a shift-click range.
+    selectionMode: false,
+    selectedPageIds: [],
+    selectionAnchorId: null,
+    bulkActionInProgress: false,
     total: null,
     allItemsTotal: null,
     requestId: 0,
@@ -118,6 +176,9 @@ export function updateDrawerPageCollections(state, id, updater) {
     state.loadedProjectPages = state.loadedProjectPages.map(apply);
   }
   state.pages = state.pages.map(apply);
+  if (Array.isArray(state.serverFilteredPages)) {
+    state.serverFilteredPages = state.serverFilteredPages.map(apply);
+  }
   return state.allPages.find(page => page.id === id) || null;
 }
 
@@ -146,6 +207,54 @@ export function selectDrawerDomain(state, domainId) {
   state.selectedDomainId = domainId || null;
 }
 
+export function setDrawerUnreadOnly(state, value) {
+  state.unreadOnly = value === true;
+}
+
+export function setDrawerReadingQueueOrder(state, order) {
+  state.readingQueueOrder = Array.isArray(order) ? order : [];
+}
+
+export function setDrawerQueueBudget(state, minutes) {
+  state.queueBudgetMinutes = typeof minutes === 'number' && minutes > 0 ? minutes : null;
+}
+
+export function setDrawerListFilters(state, filters) {
+  state.listFilters = normalizePageListFilters(filters);
+}
+
+export function setDrawerListFiltersOpen(state, value) {
+  state.listFiltersOpen = value === true;
+}
+
+export function nextDrawerListFilterRequestId(state) {
+  state.listFilterRequestId += 1;
+  return state.listFilterRequestId;
+}
+
+export function setDrawerServerFilteredPages(state, pages) {
+  state.serverFilteredPages = Array.isArray(pages) ? pages : null;
+}
+
+export function setDrawerSmartCollections(state, collections) {
+  state.smartCollections = Array.isArray(collections) ? collections : [];
+}
+
+export function setDrawerSemanticThreshold(state, threshold) {
+  state.semanticThreshold = normalizeSemanticThreshold(threshold);
+}
+
+export function setDrawerShowMatchSignals(state, value) {
+  state.showMatchSignals = value === true;
+}
+
+export function toggleDrawerTopicExpanded(state, topicId) {
+  const expanded = state.expandedTopicIds || [];
+  state.expandedTopicIds = expanded.includes(topicId)
+    ? expanded.filter(id => id !== topicId)
+    : [...expanded, topicId];
+}
+
 // --- Edit lifecycle --------------------------------------------------------
 
 export function setDrawerEditingPage(state, id) {
@@ -156,6 +265,70 @@ export function setDrawerSavingEdit(state, id) {
   state.savingEditPageId = id || null;
 }
 
+// --- Selection -------------------------------------------------------------
+
+// Leaving selection mode always drops the selection, so re-entering it starts
+// clean rather than resurrecting a stale set from an earlier cleanup.
+export function setDrawerSelectionMode(state, enabled) {
+  state.selectionMode = enabled === true;
+  if (!state.selectionMode) {
+    state.selectedPageIds = [];
+    state.selectionAnchorId = null;
+  }
+}
+
+export function setDrawerSelectedPages(state, ids) {
+  state.selectedPageIds = Array.from(new Set((Array.isArray(ids) ? ids : []).filter(Boolean)));
+  if (state.selectionAnchorId && !state.selectedPageIds.includes(state.selectionAnchorId)) {
+    state.selectionAnchorId = null;
+  }
+}
+
+// Plain click: flip one card and make it the anchor. Shift-click: select every
+// card between the anchor and this one in `orderedIds` (the order the cards are
+// rendered in), leaving the anchor where it is so the range can be extended or
+// shrunk from the same end — the same model as a file manager. Without an
+// anchor (or when the anchor is no longer rendered) shift-click acts as a
+// plain click.
+export function toggleDrawerPageSelection(state, id, { range = false, orderedIds = [] } = {}) {
+  if (!id) return;
+  const anchorIndex = range && state.selectionAnchorId ? orderedIds.indexOf(state.selectionAnchorId) : -1;
+  const targetIndex = orderedIds.indexOf(id);
+  if (anchorIndex !== -1 && targetIndex !== -1) {
+    const [start, end] = anchorIndex < targetIndex ? [anchorIndex, targetIndex] : [targetIndex, anchorIndex];
+    const rangeIds = orderedIds.slice(start, end + 1);
+    state.selectedPageIds = Array.from(new Set([...state.selectedPageIds, ...rangeIds]));
+    return;
+  }
+
+  state.selectedPageIds = state.selectedPageIds.includes(id)
+    ? state.selectedPageIds.filter(selectedId => selectedId !== id)
+    : [...state.selectedPageIds, id];
+  state.selectionAnchorId = id;
+}
+
+export function setDrawerBulkActionInProgress(state, value) {
+  state.bulkActionInProgress = value === true;
+}
+
+// --- Related pages ---------------------------------------------------------
+
+export function setDrawerRelatedPanel(state, panel) {
+  state.relatedPanel = panel?.pageId
+    ? {
+      pageId: panel.pageId,
+      label: panel.label || null,
+      results: Array.isArray(panel.results) ? panel.results : [],
+      // Where the next page of the endpoint's results starts; the list may
+      // be shorter, since the page itself and repeats are dropped.
+      nextOffset: Number.isInteger(panel.nextOffset) && panel.nextOffset > 0 ? panel.nextOffset : 0,
+      hasMore: panel.hasMore === true,
+      loading: panel.loading === true,
+      error: panel.error || null
+    }
+    : null;
+}
+
 // --- Render window ---------------------------------------------------------
 
 export function resetDrawerRenderLimit(state) {
@@ -179,6 +352,34 @@ export function setDrawerSemantic(state, { results, query, loading } = {}) {
   if (loading !== undefined) state.semanticLoading = loading === true;
 }
 
+// The semantic matches the pane shows: held to the search box's operators
+// (only its free text was searched) and to "Unread only". Results keep
+// everything the search returned, so turning either off needs no new search.
+export function getDrawerVisibleSemanticResults(state) {
+  const results = state.semanticResults || [];
+  const clauses = parseSearchQuery(state.query || '');
+  const matching = clauses.length
+    ? results.filter(page => matchesSearchQuery(page, clauses, {
+      searchableText: getDrawerSearchableText(page),
+      projects: state.projects || [],
+      operatorsOnly: true
+    }))
+    : results;
+  return state.unreadOnly ? matching.filter(isPageUnread) : matching;
+}
+
+// One ranked list for a search: the keyword matches applyDrawerFilters left in
+// `pages` and the visible semantic matches, fused by rank (search-ranking.js).
+export function getDrawerSearchResults(state) {
+  const terms = parseSearchQuery(state.query || '')
+    .filter(clause => clause.field === 'text' && !clause.negated)
+    .map(clause => clause.value);
+  return fuseSearchResults({
+    keyword: rankKeywordMatches(state.pages || [], terms).slice(0, MAX_KEYWORD_CANDIDATES),
+    semantic: getDrawerVisibleSemanticResults(state)
+  });
+}
+
 // --- Domains ---------------------------------------------------------------
 
 export function setDrawerDomains(state, domains) {
@@ -335,6 +536,7 @@ export function getDrawerSearchableText(page = {}) {
     page.description,
     page.ai_summary_brief,
     page.primary_classification_label,
+    page.user_notes,
     ...(page.manual_tags || []),
     ...(page.classifications || []).map(classification => classification.label)
   ];
@@ -345,6 +547,110 @@ export function getDrawerSearchableText(page = {}) {
     .toLowerCase();
 }
 
+// Clean a manual tag list from the card editor: trim, drop empties, and
+// dedupe case-insensitively keeping the first spelling the user typed, so
+// "React" and "react" don't both land on the page.
+export function normalizeManualTags(tags = []) {
+  const seen = new Set();
+  const normalized = [];
+  (Array.isArray(tags) ? tags : []).forEach(tag => {
+    const trimmed = String(tag ?? '').trim();
+    const key = trimmed.toLowerCase();
+    if (!trimmed || seen.has(key)) {
+      return;
+    }
+    seen.add(key);
+    normalized.push(trimmed);
+  });
+  return normalized;
+}
+
+// Autocomplete source for the card editor's tag field: every manual tag
+// already used across the loaded store, most-used first (then alphabetical),
+// with the spelling of its first occurrence.
+export function getDrawerManualTagSuggestions(pages = []) {
+  const counts = new Map();
+  (Array.isArray(pages) ? pages : []).forEach(page => {
+    normalizeManualTags(page?.manual_tags).forEach(tag => {
+      const key = tag.toLowerCase();
+      const entry = counts.get(key);
+      if (entry) {
+        entry.count += 1;
+      } else {
+        counts.set(key, { tag, count: 1 });
+      }
+    });
+  });
+  return Array.from(counts.values())
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag))
+    .map(entry => entry.tag);
+}
+
+// Whether the drawer's search is worth saving as a smart collection: there's
+// a query or a filter, and it isn't the trash's.
+export function hasSavableDrawerSearch(state) {
+  return state.selectedProjectId !== TRASH_SCOPE_ID
+    && (Boolean(state.query) || !isDefaultPageListFilters(state.listFilters));
+}
+
+// The smart collection on screen, if the drawer's search is exactly one of
+// them on the All pages view.
+export function getDrawerActiveSmartCollection(state) {
+  return findActiveSmartCollection(state.smartCollections, {
+    query: state.query,
+    listFilters: state.listFilters,
+    semanticThreshold: state.semanticThreshold,
+    scoped: Boolean(state.selectedProjectId) || Boolean(state.selectedDomainId)
+  });
+}
+
+// Sidebar rows for the smart collections, in sidebar order, each with its live
+// count over the loaded store.
+export function getDrawerSmartCollectionRows(state) {
+  const active = getDrawerActiveSmartCollection(state);
+  return orderSmartCollections(state.smartCollections).map(collection => ({
+    ...collection,
+    count: countSmartCollectionPages(state.allPages, collection, {
+      getSearchableText: getDrawerSearchableText,
+      projects: state.projects || []
+    }),
+    isActive: collection.id === active?.id
+  }));
+}
+
+// Sidebar rows for the topic tree over the loaded store: the top level and
+// whatever the user has expanded, the selected node marked.
+export function getDrawerTopicRows(state) {
+  return flattenTopicTree(buildTopicTree(state.allPages || []), state.expandedTopicIds).map(row => ({
+    ...row,
+    isActive: row.id === state.selectedProjectId
+  }));
+}
+
+// allPages plus whatever the server matched for the list filters that the
+// store hasn't loaded yet. The store's copy wins for pages in both.
+function withServerFilteredPages(state) {
+  if (!state.serverFilteredPages?.length) {
+    return state.allPages;
+  }
+  const loadedIds = new Set(state.allPages.map(page => page.id));
+  return [...state.allPages, ...state.serverFilteredPages.filter(page => !loadedIds.has(page.id))];
+}
+
+// Every page in the selected scope, before the search query and the unread
+// and facet filters narrow it.
+export function getDrawerScopePages({ state, projectManager, savedPagesView }) {
+  // When a project or domain scope is active, use the scoped page set
+  // (loadedProjectPages holds domain pages too). Otherwise use all pages.
+  const hasScopedSource = Array.isArray(state.loadedProjectPages)
+    && (!isAllPagesView(state.selectedProjectId) || state.selectedDomainId);
+  // The trash never falls back to allPages: none of those pages are deleted.
+  const scopeSourcePages = hasScopedSource
+    ? state.loadedProjectPages
+    : (state.selectedProjectId === TRASH_SCOPE_ID ? [] : withServerFilteredPages(state));
+  return projectManager.getScopedPages(savedPagesView, scopeSourcePages);
+}
+
 export function applyDrawerFilters({
   state,
   projectManager,
@@ -355,15 +661,21 @@ export function applyDrawerFilters({
   state.query = trimmedQuery;
   setDrawerCurrentFilter(state, { search: trimmedQuery });
 
-  // When a project or domain scope is active, use the scoped page set
-  // (loadedProjectPages holds domain pages too). Otherwise use all pages.
-  const hasScopedSource = Array.isArray(state.loadedProjectPages)
-    && ((state.selectedProjectId && state.selectedProjectId !== PINNED_PAGES_SCOPE_ID)
-      || state.selectedDomainId);
-  const scopeSourcePages = hasScopedSource
-    ? state.loadedProjectPages
-    : state.allPages;
-  const scopedPages = projectManager.getScopedPages(savedPagesView, scopeSourcePages);
+  let scopedPages = getDrawerScopePages({ state, projectManager, savedPagesView });
+  if (state.unreadOnly && state.selectedProjectId !== TRASH_SCOPE_ID) {
+    scopedPages = scopedPages.filter(isPageUnread);
+  }
+  const listFilters = state.listFilters || createDefaultPageListFilters();
+  scopedPages = scopedPages.filter(page => matchesPageFacets(page, listFilters));
+  // The queue keeps its own order, so the sort doesn't apply there.
+  if (state.selectedProjectId === READING_QUEUE_SCOPE_ID) {
+    scopedPages = orderReadingQueue(scopedPages, state.readingQueueOrder);
+    if (state.queueBudgetMinutes) {
+      scopedPages = fillReadingBudget(scopedPages, state.queueBudgetMinutes).pages;
+    }
+  } else {
+    scopedPages = sortPages(scopedPages, listFilters.sort);
+  }
   state.total = scopedPages.length;
 
   if (!trimmedQuery) {
@@ -371,8 +683,11 @@ export function applyDrawerFilters({
     return;
   }
 
-  const loweredQuery = trimmedQuery.toLowerCase();
-  setDrawerRenderedPages(state, scopedPages.filter(page => getDrawerSearchableText(page).includes(loweredQuery)));
+  const clauses = parseSearchQuery(trimmedQuery);
+  setDrawerRenderedPages(state, scopedPages.filter(page => matchesSearchQuery(page, clauses, {
+    searchableText: getDrawerSearchableText(page),
+    projects: state.projects || []
+  })));
 }
 
 export function syncDrawerStateFromStore({
@@ -386,7 +701,11 @@ export function syncDrawerStateFromStore({
   render = state.hasInitialized
 }) {
   setDrawerAllPages(state, snapshot.allPages || []);
-  setDrawerLoadedScopePages(state, null);
+  // The all-pages store can stand in for a project or domain scope (its pages
+  // carry the same fields the scope filters on), but not for the trash.
+  if (state.selectedProjectId !== TRASH_SCOPE_ID) {
+    setDrawerLoadedScopePages(state, null);
+  }
   state.allItemsTotal = Math.max(
     typeof snapshot.total === 'number' ? snapshot.total : 0,
     state.allPages.length
@@ -1,5 +1,6 @@
 import { ProjectsStore } from './projects-store.js';
 import { SavedPagesStore } from './saved-pages-store.js';
+import { WarmCacheListStore } from './warm-cache-list-store.js';
 
 const DRAWER_INITIAL_FETCH_LIMIT = 50;
 const DRAWER_WARM_CACHE_SCOPE = {
@@ -66,6 +67,16 @@ export function createDomainSavedPagesStore(api, domain, options = {}) {
   });
 }
 
+// The trash is uncached end to end (see api-pages-trash.js): no warm-cache
+// scope and no update check, so every hydrate is a fresh fetch.
+export function createTrashSavedPagesStore(api, options = {}) {
+  return new WarmCacheListStore(api, {
+    initialFetchLimit: options.initialFetchLimit || 100,
+    prefetchBatchLimit: options.prefetchBatchLimit || 100,
+    getList: fetchOptions => api?.getDeletedPages?.(fetchOptions)
+  });
+}
+
 export function createProjectsStore(api) {
   return new ProjectsStore(api);
 }
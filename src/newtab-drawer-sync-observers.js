@@ -1,5 +1,5 @@
 import { isSavedPagesCacheInvalidation } from './saved-pages-cache.js';
-import { PINNED_PAGES_SCOPE_ID } from './project-manager-state.js';
+import { isAllPagesView } from './project-manager-state.js';
 import {
   clearDrawerWarming,
   computeWarmingProgress,
@@ -140,7 +140,7 @@ export function createDrawerCacheInvalidationObserver({
       refreshFavorites?.();
       void projectsStore.hydrate();
       if (isDrawerOpen()) {
-        if (state.selectedProjectId && state.selectedProjectId !== PINNED_PAGES_SCOPE_ID) {
+        if (!isAllPagesView(state.selectedProjectId)) {
           afterReload(loadDrawerProjectPages(state.selectedProjectId, {
             query: getSearchQuery(),
             syncUrl: false
@@ -155,7 +155,7 @@ export function createDrawerCacheInvalidationObserver({
         return;
       }
 
-      if (state.selectedProjectId && state.selectedProjectId !== PINNED_PAGES_SCOPE_ID) {
+      if (!isAllPagesView(state.selectedProjectId)) {
         afterReload(loadDrawerProjectPages(state.selectedProjectId, {
           query: getSearchQuery(),
           syncUrl: false
@@ -226,8 +226,12 @@ export function createDrawerCacheInvalidationObserver({
 
     // If records remain (or were re-added because their docs haven't arrived
     // yet), arm the fallback poll. This is the recovery path for a missed
-    // realtime event — see armPendingPoll for the full rationale.
-    const remaining = Object.keys(await getPendingSaves(browserApi.storage.local));
+    // realtime event — see armPendingPoll for the full rationale. Records
+    // still queued in the offline outbox don't count: the backend hasn't seen
+    // those saves yet, so polling it can't reconcile them (and while offline
+    // every poll would just fail).
+    const remaining = Object.values(await getPendingSaves(browserApi.storage.local))
+      .filter(record => record?.queued !== true);
     if (remaining.length > 0) {
       armPendingPoll();
     }
@@ -1,12 +1,45 @@
-import { createDrawerRenderer } from './newtab-drawer-renderer.js';
+import { createDrawerRenderer, renderDrawerBulkBarMarkup } from './newtab-drawer-renderer.js';
+import { replaceElementHtml } from './dom-render.js';
+import {
+  getDrawerManualTagSuggestions,
+  getDrawerScopePages,
+  getDrawerSearchResults,
+  getDrawerVisibleSemanticResults,
+  hasSavableDrawerSearch
+} from './newtab-drawer-state.js';
 import { getPinnedPages } from './newtab-home.js';
-import { PINNED_PAGES_SCOPE_ID } from './project-manager-state.js';
+import { PINNED_PAGES_SCOPE_ID, READING_QUEUE_SCOPE_ID, TRASH_SCOPE_ID } from './project-manager-state.js';
+import { isOptimisticPage } from './pending-saves.js';
+import { isPageUnread } from './page-read-state.js';
+import { getPageLabelOptions, hasActivePageFacets } from './page-list-filters.js';
+import { getSearchQueryText, parseSearchQuery } from './search-query.js';
+import { getMatchSignal } from './search-ranking.js';
+import { getSearchHighlightTerms } from './search-highlight.js';
+import { getTopicPathFromScope } from './topic-tree.js';
+import { DEFAULT_QUEUE_BUDGET_MINUTES, getPageReadingMinutes, getReadingQueueMinutes } from './reading-queue.js';
+
+// The label facet lists the most used labels; the long tail is rarely what
+// someone is filtering by.
+const MAX_LABEL_OPTIONS = 50;
 
 export function getDrawerProjectScopeLabel(projectManager, savedPagesView) {
   if (savedPagesView.selectedProjectId === PINNED_PAGES_SCOPE_ID) {
     return 'Pinned';
   }
 
+  if (savedPagesView.selectedProjectId === TRASH_SCOPE_ID) {
+    return 'Trash';
+  }
+
+  if (savedPagesView.selectedProjectId === READING_QUEUE_SCOPE_ID) {
+    return 'Reading queue';
+  }
+
+  const topicPath = getTopicPathFromScope(savedPagesView.selectedProjectId);
+  if (topicPath) {
+    return topicPath[topicPath.length - 1];
+  }
+
   const selectedProject = projectManager.getSelectedProject(savedPagesView);
   return selectedProject ? selectedProject.name : 'All pages';
 }
@@ -15,7 +48,11 @@ export function createDrawerUiController({
   state,
   projectManager,
   resultsContainer,
+  bulkBarContainer = null,
   getSavedPagesView,
+  // Optional archived-copy tracker (archived-copies.js); cards gain "Open
+  // archived copy" once it finds their live URL unreachable.
+  archivedCopies = null,
   documentObj = document
 }) {
   function getSavedPagesViewOrThrow() {
@@ -34,9 +71,120 @@ export function createDrawerUiController({
     projectManager.renderEditor(getSavedPagesViewOrThrow());
   }
 
+  // Unread pages in the whole scope, not just those the query or the unread
+  // filter leaves on screen — the count "Mark all read" would act on.
+  function getScopeUnreadCount() {
+    if (state.selectedProjectId === TRASH_SCOPE_ID) {
+      return 0;
+    }
+    return getDrawerScopePages({ state, projectManager, savedPagesView: getSavedPagesViewOrThrow() })
+      .filter(page => !isOptimisticPage(page) && isPageUnread(page))
+      .length;
+  }
+
+  // What the queue form in the bar shows: the whole queue's minutes, and with
+  // a budget set, what the playlist on screen adds up to.
+  function getQueueBarState() {
+    if (state.selectedProjectId !== READING_QUEUE_SCOPE_ID) {
+      return null;
+    }
+    return {
+      totalMinutes: getReadingQueueMinutes(state.allPages),
+      budgetMinutes: state.queueBudgetMinutes,
+      playlistMinutes: state.pages.reduce((total, page) => total + (getPageReadingMinutes(page) || 0), 0),
+      playlistCount: state.pages.length,
+      defaultBudgetMinutes: DEFAULT_QUEUE_BUDGET_MINUTES
+    };
+  }
+
+  // Sort and facet controls, the semantic threshold and "Save search". Label
+  // options come from the whole loaded store so a label stays choosable after
+  // another facet has hidden its pages.
+  function getListFiltersBarState() {
+    return {
+      filters: state.listFilters,
+      open: state.listFiltersOpen,
+      sortable: state.selectedProjectId !== READING_QUEUE_SCOPE_ID,
+      labelOptions: state.listFiltersOpen ? getPageLabelOptions(state.allPages).slice(0, MAX_LABEL_OPTIONS) : [],
+      semanticThreshold: state.semanticThreshold,
+      savable: hasSavableDrawerSearch(state)
+    };
+  }
+
+  // A text query outside the trash shows the fused search results rather
+  // than the browse list.
+  function hasSearchResults() {
+    return state.selectedProjectId !== TRASH_SCOPE_ID
+      && Boolean(getSearchQueryText(parseSearchQuery(state.query || '')));
+  }
+
+  // The bulk-action bar is re-rendered with the rest of the chrome so its
+  // count, disabled states and project list track every results render. The
+  // chosen project and the focused control survive the rebuild; while the
+  // project <select> itself has focus only the count is patched, since
+  // replacing it would close the open dropdown under the user's pointer. A
+  // half-typed queue budget survives the same way as the chosen project, and
+  // a focused sort or facet field is focused again by name.
+  function renderBulkBar() {
+    if (!bulkBarContainer) {
+      return;
+    }
+    const activeElement = documentObj.activeElement;
+    const projectSelect = bulkBarContainer.querySelector('.saved-pages-bulk-project-select');
+    if (projectSelect && activeElement === projectSelect && state.selectionMode) {
+      const count = bulkBarContainer.querySelector('.saved-pages-bulk-count');
+      if (count) {
+        count.textContent = `${state.selectedPageIds.length} selected`;
+      }
+      return;
+    }
+
+    const selectedProjectId = projectSelect?.value || '';
+    const budgetInput = bulkBarContainer.querySelector('.saved-pages-queue-budget-input');
+    const budgetDraft = budgetInput && activeElement === budgetInput ? budgetInput.value : null;
+    const focusedAction = bulkBarContainer.contains(activeElement) ? activeElement.dataset?.bulkAction : null;
+    const focusedFilterField = bulkBarContainer.contains(activeElement)
+      && activeElement.closest?.('.saved-pages-list-filters, .saved-pages-list-sort')
+      ? activeElement.name
+      : null;
+    bulkBarContainer.classList.toggle('is-active', state.selectionMode);
+    replaceElementHtml(bulkBarContainer, renderDrawerBulkBarMarkup({
+      selectionMode: state.selectionMode,
+      selectedCount: state.selectedPageIds.length,
+      projects: state.projects,
+      projectsUnavailable: getSavedPagesViewOrThrow().projectsAvailable === false,
+      busy: state.bulkActionInProgress,
+      trash: state.selectedProjectId === TRASH_SCOPE_ID,
+      unreadOnly: state.unreadOnly,
+      unreadCount: state.selectionMode ? 0 : getScopeUnreadCount(),
+      queue: getQueueBarState(),
+      listFilters: getListFiltersBarState(),
+      matchSignals: hasSearchResults() ? { shown: state.showMatchSignals } : null
+    }));
+
+    const nextProjectSelect = bulkBarContainer.querySelector('.saved-pages-bulk-project-select');
+    if (nextProjectSelect && selectedProjectId) {
+      nextProjectSelect.value = selectedProjectId;
+    }
+    const nextBudgetInput = bulkBarContainer.querySelector('.saved-pages-queue-budget-input');
+    if (nextBudgetInput && budgetDraft !== null) {
+      nextBudgetInput.value = budgetDraft;
+      nextBudgetInput.focus();
+    }
+    if (focusedAction) {
+      bulkBarContainer.querySelector(`[data-bulk-action="${focusedAction}"]:not([disabled])`)?.focus();
+    }
+    if (focusedFilterField) {
+      Array.from(bulkBarContainer.querySelectorAll('.saved-pages-list-filters [name], .saved-pages-list-sort [name]'))
+        .find(field => field.name === focusedFilterField)
+        ?.focus();
+    }
+  }
+
   function renderDrawerChrome() {
     renderProjectSidebar();
     renderProjectEditor();
+    renderBulkBar();
   }
 
   const drawerRenderer = createDrawerRenderer({
@@ -54,7 +202,21 @@ export function createDrawerUiController({
     getProjectPills: (page) => getDrawerProjectPills(page),
     isProjectsUnavailable: () => getSavedPagesViewOrThrow().projectsAvailable === false,
     getProjectScopeLabel: () =>
-      getDrawerProjectScopeLabel(projectManager, getSavedPagesViewOrThrow())
+      getDrawerProjectScopeLabel(projectManager, getSavedPagesViewOrThrow()),
+    // Tag autocomplete in the card editor draws on the whole loaded store, not
+    // just the filtered view, so tags from other scopes are still offered.
+    getTagSuggestions: () => getDrawerManualTagSuggestions(state.allPages),
+    getSelection: () => state,
+    isTrashScope: () => state.selectedProjectId === TRASH_SCOPE_ID,
+    isUnreadOnly: () => state.unreadOnly === true,
+    hasActiveFacets: () => hasActivePageFacets(state.listFilters),
+    isReorderable: () => state.selectedProjectId === READING_QUEUE_SCOPE_ID,
+    getQueueEmptyState: () => (state.selectedProjectId === READING_QUEUE_SCOPE_ID
+      ? { isQueue: true, queueBudgetMinutes: state.queueBudgetMinutes }
+      : null),
+    hasArchivedCopy: pageId => archivedCopies?.isAvailable(pageId) === true,
+    getRelatedPanel: () => state.relatedPanel || null,
+    getHighlightTerms: () => getSearchHighlightTerms(state.query)
   });
 
   function renderLoadingState(message = 'Loading saved pages...') {
@@ -95,8 +257,10 @@ export function createDrawerUiController({
       return;
     }
 
+    // Operators alone ("is:pinned site:github.com") leave no text to search
+    // semantically, so their local matches render as the browse list.
     const trimmedQuery = (state.query || '').trim();
-    const hasQuery = Boolean(trimmedQuery);
+    const hasQuery = Boolean(getSearchQueryText(parseSearchQuery(trimmedQuery)));
 
     // While a semantic search is loading, the dog takes over the full pane:
     // hide all saved-page cards and show only the centered illustration.
@@ -106,25 +270,23 @@ export function createDrawerUiController({
       return;
     }
 
-    // Local saved-page results are a subset of the semantic matches, so once
-    // semantic results return they own the full pane — no separate local card
-    // list. (A query always yields at least the card the tag was clicked from.)
-    if (hasQuery) {
+    // A search owns the full pane: the local keyword matches and the semantic
+    // matches as one list, ranked together and one card per page (see
+    // search-ranking.js). The trash is the exception: it is never searched
+    // semantically, so its local matches render as the browse list below.
+    const inTrash = state.selectedProjectId === TRASH_SCOPE_ID;
+    const semanticResults = getDrawerVisibleSemanticResults(state);
+    if (hasQuery && !inTrash) {
+      const searchResults = getDrawerSearchResults(state);
       drawerRenderer.clearPinnedShelf();
-      if ((state.semanticResults?.length ?? 0) > 0) {
-        drawerRenderer.clearPagesSection();
-        drawerRenderer.renderSemanticResults(state.semanticResults, {
-          loading: false,
-          query: state.semanticQuery
-        });
-        return;
-      }
-
-      // Query resolved with no semantic matches at all.
       drawerRenderer.clearPagesSection();
-      drawerRenderer.renderSemanticResults([], {
+      drawerRenderer.renderSemanticResults(searchResults.map(result => result.page), {
         loading: false,
-        query: state.semanticQuery
+        query: state.semanticQuery || trimmedQuery,
+        matchSignals: state.showMatchSignals
+          ? new Map(searchResults.map(result => [result.page.id, getMatchSignal(result)]))
+          : null,
+        semanticIds: new Set(searchResults.filter(result => result.semanticRank).map(result => result.page.id))
       });
       return;
     }
@@ -134,7 +296,7 @@ export function createDrawerUiController({
     // header row above the list. Any query or scope hides the shelf.
     const hasScope = Boolean(state.selectedProjectId) || Boolean(state.selectedDomainId);
     const allPages = Array.isArray(state.allPages) ? state.allPages : [];
-    const pinnedPages = (!hasScope && allPages.length)
+    const pinnedPages = (!hasScope && !trimmedQuery && allPages.length)
       ? getPinnedPages(allPages)
       : [];
     if (pinnedPages.length) {
@@ -156,7 +318,10 @@ export function createDrawerUiController({
     }
 
     drawerRenderer.renderResults(state.pages);
-    drawerRenderer.renderSemanticResults(state.semanticResults, {
+    if (!inTrash) {
+      archivedCopies?.track(state.pages);
+    }
+    drawerRenderer.renderSemanticResults(inTrash ? [] : semanticResults, {
       loading: state.semanticLoading,
       query: state.semanticQuery
     });
@@ -173,7 +338,9 @@ export function createDrawerUiController({
   }
 
   return {
+    focusDrawerCard: pageId => drawerRenderer.focusCard(pageId),
     refreshDrawerCard,
+    renderBulkBar,
     renderDrawerChrome,
     renderEmptyState,
     renderErrorState,
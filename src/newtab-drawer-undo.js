@@ -0,0 +1,110 @@
+// Undo window for destructive drawer actions.
+//
+// Deleting a page or pulling it out of a project used to hit the backend the
+// moment the button was clicked, with no way back. Now the drawer applies the
+// change locally, shows a toast with an Undo button, and only commits the
+// request once the grace period lapses. Undoing before then is purely local —
+// nothing reached the server, so there is nothing to reverse there.
+//
+// One pending action at a time: scheduling a new one commits the previous one
+// straight away, because its toast (and with it the Undo button) has just been
+// replaced. flush() commits whatever is pending; the runtime calls it on
+// pagehide so closing the tab mid-grace still deletes what the user deleted.
+
+export const DRAWER_UNDO_GRACE_MS = 6000;
+
+export function createDrawerUndoController({
+  // Toast callback (message, { action, durationMs }). Without it there is no
+  // way to offer Undo, so actions commit immediately.
+  notify,
+  windowObj = window,
+  graceMs = DRAWER_UNDO_GRACE_MS
+} = {}) {
+  let pending = null;
+
+  // Each entry settles exactly once — by timer, by undo, by being superseded
+  // or by flush(), whichever comes first.
+  function settle(entry) {
+    if (entry.settled) {
+      return false;
+    }
+    entry.settled = true;
+    if (entry.timer !== null) {
+      windowObj.clearTimeout(entry.timer);
+    }
+    if (pending === entry) {
+      pending = null;
+    }
+    return true;
+  }
+
+  // commit/undo callbacks own their error handling (rolling back and telling
+  // the user); this only guarantees a throw can't escape into a timer.
+  async function run(callback, label) {
+    try {
+      await callback();
+    } catch (error) {
+      console.error(`[newtab] Undoable action ${label} failed:`, error);
+    }
+  }
+
+  async function commitEntry(entry) {
+    if (settle(entry)) {
+      await run(entry.commit, 'commit');
+    }
+  }
+
+  async function undoEntry(entry) {
+    if (settle(entry)) {
+      await run(entry.undo, 'undo');
+    }
+  }
+
+  // Resolves once the action is scheduled — or, when no toast is wired, once
+  // it has been committed.
+  async function schedule({ message, commit, undo }) {
+    const entry = { commit, undo, settled: false, timer: null };
+    const previous = pending;
+    pending = entry;
+    if (previous) {
+      void commitEntry(previous);
+    }
+
+    if (typeof notify !== 'function') {
+      await commitEntry(entry);
+      return;
+    }
+
+    entry.timer = windowObj.setTimeout(() => {
+      void commitEntry(entry);
+    }, graceMs);
+
+    try {
+      notify(message, {
+        durationMs: graceMs,
+        action: {
+          label: 'Undo',
+          onAction: () => {
+            void undoEntry(entry);
+          }
+        }
+      });
+    } catch { /* toast must never break the action */ }
+  }
+
+  function hasPending() {
+    return pending !== null;
+  }
+
+  async function flush() {
+    if (pending) {
+      await commitEntry(pending);
+    }
+  }
+
+  return {
+    flush,
+    hasPending,
+    schedule
+  };
+}
@@ -1,5 +1,7 @@
-import { PINNED_PAGES_SCOPE_ID } from './project-manager-state.js';
+import { PINNED_PAGES_SCOPE_ID, isAllPagesView } from './project-manager-state.js';
 import {
+  getDrawerSmartCollectionRows,
+  getDrawerTopicRows,
   selectDrawerDomain,
   selectDrawerProject,
   setDrawerAllItemsTotal,
@@ -15,7 +17,7 @@ import {
 } from './newtab-drawer-state.js';
 
 function hasSelectedProjectScope(state) {
-  return Boolean(state.selectedProjectId && state.selectedProjectId !== PINNED_PAGES_SCOPE_ID);
+  return !isAllPagesView(state.selectedProjectId);
 }
 
 export function createSavedPagesView({
@@ -57,6 +59,15 @@ export function createSavedPagesView({
     set domains(value) {
       setDrawerDomains(state, value);
     },
+    // Read-only: the sidebar's smart collection rows, counted live. The
+    // collections themselves change through the smart collections controller.
+    get smartCollections() {
+      return getDrawerSmartCollectionRows(state);
+    },
+    // Read-only: the visible rows of the topic tree, counted live.
+    get topics() {
+      return getDrawerTopicRows(state);
+    },
     get selectedDomainId() {
       return state.selectedDomainId;
     },
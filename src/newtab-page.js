@@ -19,6 +19,9 @@ export function getNewtabElements(documentObj = document) {
     projectSidebar: documentObj.getElementById('project-sidebar'),
     sidebarToggleBtn: documentObj.getElementById('saved-pages-sidebar-toggle-btn'),
     sidebarBackdrop: documentObj.getElementById('saved-pages-sidebar-backdrop'),
+    savedPagesBulkBar: documentObj.getElementById('saved-pages-bulk-bar'),
+    saveLinkForm: documentObj.getElementById('save-link-form'),
+    saveLinkInput: documentObj.getElementById('save-link-input'),
     savedPagesDrawer: documentObj.getElementById('saved-pages-page'),
     savedPagesDrawerBackdrop: documentObj.getElementById('saved-pages-drawer-backdrop'),
     savedPagesDrawerClearBtn: documentObj.getElementById('saved-pages-search-clear-btn'),
@@ -56,13 +56,15 @@ export function truncateText(text = '', maxLength = 290) {
   return `${text.slice(0, maxLength).trim()}...`;
 }
 
-export function renderPageTags(page = {}) {
+// `renderLabel` turns a tag's label into the pill's HTML; the drawer passes one
+// that marks search terms (search-highlight.js).
+export function renderPageTags(page = {}, { renderLabel = escapeHtml } = {}) {
   const tags = [];
   const renderSearchTag = (label, className = 'tag') => {
     const escapedLabel = escapeHtml(label);
     // Tag clicks trigger an inline semantic search instead of navigating to
     // a separate page, so this is a button rather than a link.
-    return `<button type="button" class="${className} tag-search-link" data-semantic-search-tag="${escapedLabel}">${escapedLabel}</button>`;
+    return `<button type="button" class="${className} tag-search-link" data-semantic-search-tag="${escapedLabel}">${renderLabel(label)}</button>`;
   };
 
   if (page.classifications?.length) {
@@ -87,8 +89,10 @@ export function renderPageTags(page = {}) {
     tags.push(renderSearchTag(page.primary_classification_label, 'tag ai-tag'));
   }
 
+  // Manual tags are the user's own curation, so show up to three of them
+  // alongside the AI tags.
   if (page.manual_tags?.length) {
-    page.manual_tags.slice(0, 1).forEach(tag => {
+    page.manual_tags.slice(0, 3).forEach(tag => {
       tags.push(renderSearchTag(tag));
     });
   }
@@ -0,0 +1,235 @@
+// page-archive.js — self-contained HTML snapshot of a page, for archive mode.
+// Runs inside the capture bundle (see capture-bundle-entry.js), so like
+// page-capture.js it only takes a `document` and never touches extension
+// APIs. The snapshot is the rendered DOM with scripts and other active
+// content removed, stylesheets inlined as <style> and images inlined as data:
+// URIs, so the archived copy still renders once the live URL is gone.
+//
+// Inlining is best-effort per resource: a stylesheet or image that cannot be
+// read (cross-origin without CORS, 404, too large) keeps an absolute URL
+// instead, which still works while the site is up.
+
+// Elements that run code or pull in live content. The snapshot is opened in a
+// sandboxed frame anyway; stripping them keeps it small and inert.
+const ACTIVE_CONTENT_SELECTOR = [
+  'script',
+  'iframe',
+  'frame',
+  'frameset',
+  'object',
+  'embed',
+  'applet',
+  'base',
+  'meta[http-equiv="refresh" i]',
+  'meta[http-equiv="content-security-policy" i]',
+  'link[rel~="preload" i]',
+  'link[rel~="modulepreload" i]',
+  'link[rel~="prefetch" i]',
+  'link[rel~="manifest" i]'
+].join(', ');
+
+// One image past this is left as a link; a hero photo fits, a video poster
+// sprite does not.
+const MAX_INLINE_IMAGE_BYTES = 2 * 1024 * 1024;
+// Stop inlining images once the snapshot has taken this much. The rest keep
+// their URLs.
+const MAX_INLINE_IMAGES_TOTAL_BYTES = 12 * 1024 * 1024;
+const MAX_INLINE_IMAGES = 150;
+// A snapshot larger than this is not stored at all.
+export const MAX_ARCHIVE_CHARS = 20 * 1024 * 1024;
+
+function toAbsoluteUrl(value, baseUrl) {
+  try {
+    return new URL(value, baseUrl).href;
+  } catch {
+    return null;
+  }
+}
+
+function isFetchableUrl(url) {
+  return typeof url === 'string' && /^https?:/i.test(url);
+}
+
+// url(...) references in a stylesheet resolve against the stylesheet, not the
+// page. Once the sheet is inlined that base is lost, so make them absolute.
+export function absolutizeCssUrls(cssText, baseUrl) {
+  return String(cssText || '').replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/gi, (match, quote, value) => {
+    if (/^(data|blob|about):/i.test(value) || value.startsWith('#')) {
+      return match;
+    }
+    const absolute = toAbsoluteUrl(value, baseUrl);
+    return absolute ? `url("${absolute}")` : match;
+  });
+}
+
+function arrayBufferToBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  // Chunked so a large image doesn't blow the argument limit of fromCharCode.
+  for (let offset = 0; offset < bytes.length; offset += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(offset, offset + 0x8000));
+  }
+  return btoa(binary);
+}
+
+// CSS the page has already loaded, keyed by absolute href. Same-origin sheets
+// are readable through CSSOM without another request; cross-origin ones throw
+// on .cssRules and are fetched instead.
+function readLoadedStylesheets(document) {
+  const sheets = new Map();
+  Array.from(document.styleSheets || []).forEach((sheet) => {
+    if (!sheet?.href) {
+      return;
+    }
+    try {
+      sheets.set(sheet.href, Array.from(sheet.cssRules).map(rule => rule.cssText).join('\n'));
+    } catch {
+      // Cross-origin sheet; fetched below.
+    }
+  });
+  return sheets;
+}
+
+async function fetchText(url, fetchFn) {
+  const response = await fetchFn(url, { credentials: 'include' });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  return response.text();
+}
+
+async function fetchDataUrl(url, fetchFn) {
+  const response = await fetchFn(url, { credentials: 'include' });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const buffer = await response.arrayBuffer();
+  if (buffer.byteLength > MAX_INLINE_IMAGE_BYTES) {
+    return null;
+  }
+  const type = (response.headers?.get?.('content-type') || 'application/octet-stream').split(';')[0].trim();
+  return { dataUrl: `data:${type};base64,${arrayBufferToBase64(buffer)}`, bytes: buffer.byteLength };
+}
+
+function stripActiveContent(root) {
+  root.querySelectorAll(ACTIVE_CONTENT_SELECTOR).forEach(el => el.remove());
+  root.querySelectorAll('*').forEach((el) => {
+    Array.from(el.attributes).forEach(({ name, value }) => {
+      const lowerName = name.toLowerCase();
+      if (lowerName.startsWith('on')
+        || (['href', 'src', 'action', 'formaction', 'xlink:href'].includes(lowerName)
+          && /^\s*javascript:/i.test(value))) {
+        el.removeAttribute(name);
+      }
+    });
+  });
+}
+
+async function inlineStylesheets(root, document, baseUrl, fetchFn) {
+  const loaded = readLoadedStylesheets(document);
+  const links = Array.from(root.querySelectorAll('link[rel~="stylesheet" i][href]'));
+
+  await Promise.all(links.map(async (link) => {
+    const href = toAbsoluteUrl(link.getAttribute('href'), baseUrl);
+    if (!href) {
+      link.remove();
+      return;
+    }
+    let cssText = loaded.get(href);
+    if (cssText === undefined && isFetchableUrl(href)) {
+      cssText = await fetchText(href, fetchFn).catch(() => undefined);
+    }
+    if (cssText === undefined) {
+      link.setAttribute('href', href);
+      return;
+    }
+    const style = root.ownerDocument.createElement('style');
+    const media = link.getAttribute('media');
+    if (media) {
+      style.setAttribute('media', media);
+    }
+    style.textContent = absolutizeCssUrls(cssText, href);
+    link.replaceWith(style);
+  }));
+
+  root.querySelectorAll('style').forEach((style) => {
+    style.textContent = absolutizeCssUrls(style.textContent, baseUrl);
+  });
+}
+
+async function inlineImages(root, baseUrl, fetchFn) {
+  const images = Array.from(root.querySelectorAll('img[src]'));
+  let inlinedBytes = 0;
+  let inlinedCount = 0;
+
+  for (const img of images) {
+    // Lazy loaders keep the real source in data-src; the snapshot has no
+    // script to swap it in.
+    const source = img.getAttribute('data-src') || img.getAttribute('src');
+    const src = toAbsoluteUrl(source, baseUrl);
+    img.removeAttribute('srcset');
+    img.removeAttribute('loading');
+    if (!src) {
+      continue;
+    }
+    img.setAttribute('src', src);
+    if (!isFetchableUrl(src)
+      || inlinedCount >= MAX_INLINE_IMAGES
+      || inlinedBytes >= MAX_INLINE_IMAGES_TOTAL_BYTES) {
+      continue;
+    }
+    const inlined = await fetchDataUrl(src, fetchFn).catch(() => null);
+    if (inlined) {
+      img.setAttribute('src', inlined.dataUrl);
+      inlinedBytes += inlined.bytes;
+      inlinedCount += 1;
+    }
+  }
+}
+
+// Build the snapshot for `document`. Returns { url, title, html, captured_at }
+// or null when the page has no document element or the result is too large
+// to keep.
+export async function buildArchiveSnapshot(document, { fetchFn = globalThis.fetch?.bind(globalThis) } = {}) {
+  const sourceRoot = document?.documentElement;
+  if (!sourceRoot) {
+    return null;
+  }
+  const baseUrl = document.baseURI || document.URL;
+  const root = sourceRoot.cloneNode(true);
+
+  stripActiveContent(root);
+  if (fetchFn) {
+    await inlineStylesheets(root, document, baseUrl, fetchFn);
+    await inlineImages(root, baseUrl, fetchFn);
+  }
+
+  // Anything not inlined (links, video posters, fonts) still resolves against
+  // the original page, and links open outside the viewer's frame.
+  let head = root.querySelector('head');
+  if (!head) {
+    head = root.ownerDocument.createElement('head');
+    root.prepend(head);
+  }
+  const base = root.ownerDocument.createElement('base');
+  base.setAttribute('href', baseUrl);
+  base.setAttribute('target', '_blank');
+  head.prepend(base);
+  if (!head.querySelector('meta[charset]')) {
+    const charset = root.ownerDocument.createElement('meta');
+    charset.setAttribute('charset', 'utf-8');
+    head.prepend(charset);
+  }
+
+  const html = `<!DOCTYPE html>\n${root.outerHTML}`;
+  if (html.length > MAX_ARCHIVE_CHARS) {
+    return null;
+  }
+
+  return {
+    url: document.URL,
+    title: document.title || '',
+    html,
+    captured_at: new Date().toISOString()
+  };
+}
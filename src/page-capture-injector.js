@@ -41,12 +41,14 @@ function failureShape(reason) {
     title: '',
     description: '',
     content: null,
+    content_html: null,
     excerpt: null,
     byline: null,
     site_name: null,
     image: null,
     published_time: null,
     lang: null,
+    highlights: [],
     captured_at: new Date().toISOString(),
     capture_method: 'none',
     capture_error: reason
@@ -57,6 +59,12 @@ function failureShape(reason) {
 // client object (built by real Readability via buildClientObject) on success,
 // or a failure-shape object on any error. Never throws.
 export async function capturePageContent(tabId) {
+  // A link saved from a context menu has no tab: the page was never loaded,
+  // so there is no document to read.
+  if (tabId === null || tabId === undefined) {
+    return failureShape('no tab to capture');
+  }
+
   const browserApi = getBrowserApi();
   if (!browserApi || !browserApi.scripting || !browserApi.scripting.executeScript) {
     return failureShape('scripting API unavailable');
@@ -101,3 +109,36 @@ export async function capturePageContent(tabId) {
     return failureShape((error && error.message) || 'capture invocation failed');
   }
 }
+
+// Capture a self-contained HTML snapshot of the tab for archive mode (see
+// page-archive.js). Same two-call injection as capturePageContent; the bundle
+// is re-evaluated harmlessly if it is already loaded. Returns the snapshot
+// ({ url, title, html, captured_at }) or null on any failure — an archive is
+// an extra, so it never fails the save it rides along with. Never throws.
+export async function captureArchiveSnapshot(tabId) {
+  if (tabId === null || tabId === undefined) {
+    return null;
+  }
+
+  const scripting = getBrowserApi()?.scripting;
+  if (!scripting?.executeScript) {
+    return null;
+  }
+
+  try {
+    await scripting.executeScript({
+      target: { tabId },
+      world: 'ISOLATED',
+      files: ['src/bundles/capture-bundle.js']
+    });
+    const results = await scripting.executeScript({
+      target: { tabId },
+      world: 'ISOLATED',
+      func: () => globalThis.__saveitArchive(document)
+    });
+    const snapshot = results && results[0] && results[0].result;
+    return snapshot && typeof snapshot.html === 'string' ? snapshot : null;
+  } catch {
+    return null;
+  }
+}
@@ -4,8 +4,12 @@
 // is responsible for running this inside chrome.scripting.executeScript.
 
 import { Readability } from '@mozilla/readability';
+import { MAX_HIGHLIGHT_CONTEXT_CHARS, normalizeHighlight } from './page-highlights.js';
 
 const MAX_CONTENT_CHARS = 12000;
+// The article's HTML is only kept locally for the reader view (it is never
+// posted), so the cap just keeps a pathological page out of IndexedDB.
+const MAX_ARTICLE_HTML_CHARS = 500000;
 
 // Read a meta tag by name or property, returning its content attribute.
 function readMeta(document, selector) {
@@ -27,6 +31,15 @@ export function truncateContent(content) {
   return trimmed.slice(0, MAX_CONTENT_CHARS);
 }
 
+// Readability's cleaned article markup, for the reader view. Dropped rather
+// than cut when over the cap: half an HTML document renders worse than none.
+export function limitArticleHtml(html) {
+  if (!html || html.length > MAX_ARTICLE_HTML_CHARS) {
+    return null;
+  }
+  return html;
+}
+
 // Readability found no article (app shells, dashboards, Drive). Fall back to
 // the rendered text the user actually sees, after stripping nav/footer chrome
 // so UI strings don't dominate the signal. Returns null if the page has no
@@ -40,6 +53,36 @@ export function extractFallbackText(document) {
   return text || null;
 }
 
+// Elements whose text is the natural "surrounding context" of a selection.
+const CONTEXT_BLOCK_SELECTOR = 'p, li, blockquote, pre, td, th, h1, h2, h3, h4, h5, h6, dd, dt, figcaption';
+
+// The user's current text selection as a highlight ({ text, prefix, suffix,
+// created_at }), or null when nothing is selected. Context comes from the
+// block the selection sits in, so a quote from a paragraph carries the words
+// around it rather than the whole page.
+export function captureSelectionHighlight(document) {
+  const selection = document.getSelection?.();
+  if (!selection || selection.isCollapsed || !selection.rangeCount) {
+    return null;
+  }
+  const text = selection.toString().replace(/\s+/g, ' ').trim();
+  if (!text) {
+    return null;
+  }
+
+  const container = selection.getRangeAt(0).commonAncestorContainer;
+  const element = container?.nodeType === 1 ? container : container?.parentElement;
+  const block = element?.closest?.(CONTEXT_BLOCK_SELECTOR) || element || document.body;
+  const blockText = (block?.textContent || '').replace(/\s+/g, ' ');
+  const index = blockText.indexOf(text);
+
+  return normalizeHighlight({
+    text,
+    prefix: index === -1 ? '' : blockText.slice(Math.max(0, index - MAX_HIGHLIGHT_CONTEXT_CHARS), index),
+    suffix: index === -1 ? '' : blockText.slice(index + text.length, index + text.length + MAX_HIGHLIGHT_CONTEXT_CHARS)
+  });
+}
+
 // Build the client object from a document. Returns capture_method 'readability'
 // when Readability finds an article, 'fallback' when no article is found but
 // the page has meaningful rendered text (app shells, dashboards), or 'none'
@@ -61,6 +104,10 @@ export function buildClientObject(document) {
     || readMeta(document, 'meta[name="date"]');
   const lang = readMeta(document, 'meta[http-equiv="content-language"]')
     || document.documentElement?.getAttribute('lang');
+  // Read before Readability runs: it works on a clone, but the live selection
+  // is what the user is looking at.
+  const selectionHighlight = captureSelectionHighlight(document);
+  const highlights = selectionHighlight ? [selectionHighlight] : [];
 
   // Readability mutates the document it's passed — always operate on a clone.
   const clone = document.cloneNode(true);
@@ -81,12 +128,14 @@ export function buildClientObject(document) {
         title: metaTitle || document.title || '',
         description: metaDescription || '',
         content: truncateContent(fallbackText),
+        content_html: null,
         excerpt: null,
         byline,
         site_name: siteName,
         image,
         published_time: publishedTime,
         lang,
+        highlights,
         captured_at: new Date().toISOString(),
         capture_method: 'fallback'
       };
@@ -97,12 +146,14 @@ export function buildClientObject(document) {
       title: metaTitle || document.title || '',
       description: metaDescription || '',
       content: null,
+      content_html: null,
       excerpt: null,
       byline,
       site_name: siteName,
       image,
       published_time: publishedTime,
       lang,
+      highlights,
       captured_at: new Date().toISOString(),
       capture_method: 'none'
     };
@@ -112,12 +163,14 @@ export function buildClientObject(document) {
     title: metaTitle || article.title || document.title || '',
     description: metaDescription || article.excerpt || '',
     content: truncateContent(article.textContent),
+    content_html: limitArticleHtml(article.content),
     excerpt: article.excerpt || null,
     byline: byline || article.byline || null,
     site_name: siteName || article.siteName || null,
     image,
     published_time: publishedTime,
     lang: lang || article.lang || null,
+    highlights,
     captured_at: new Date().toISOString(),
     capture_method: 'readability'
   };
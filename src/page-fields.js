@@ -0,0 +1,53 @@
+// page-fields.js - Reading a saved page's fields the same way everywhere.
+//
+// Search, ranking, the list filters, the reading queue and duplicate merging
+// each need a page's saved time, a YYYY-MM-DD date check, or the fields a
+// search term can be found in. They read them from here so the rules can't
+// drift apart.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Whether `value` is a real YYYY-MM-DD date, as the before:/after: operators
+// and the list's saved-date range take them.
+export function isDateString(value) {
+  return typeof value === 'string' && DATE_PATTERN.test(value) && !Number.isNaN(Date.parse(value));
+}
+
+// When `page` was saved, in ms, or `fallback` when it has no usable date.
+// Sorting callers pass Infinity so undated pages go last.
+export function getPageSavedTime(page, fallback = Number.NaN) {
+  const time = Date.parse(page?.saved_at || page?.created_at || '');
+  return Number.isNaN(time) ? fallback : time;
+}
+
+// Where a search term can be found on a page, in the order the fields are
+// named to the user. The weight is how much a match there says about the
+// page (search-ranking.js): a word in the title says more than the same word
+// in its URL. Together the fields cover everything the drawer's keyword
+// filter searches (getDrawerSearchableText), so every keyword match scores
+// above zero.
+export const PAGE_SEARCH_FIELDS = [
+  { label: 'title', weight: 3, getText: page => [page.title] },
+  {
+    label: 'summary',
+    weight: 1.5,
+    getText: page => [page.ai_summary_brief, page.description, page.ai_summary_extended]
+  },
+  {
+    label: 'tags',
+    weight: 2,
+    getText: page => [
+      ...(page.manual_tags || []),
+      page.primary_classification_label,
+      ...(page.classifications || []).map(classification => classification?.label)
+    ]
+  },
+  { label: 'notes', weight: 1, getText: page => [page.user_notes] },
+  { label: 'site', weight: 1, getText: page => [page.domain, page.url] }
+];
+
+// `text` with every regular-expression metacharacter escaped, for building a
+// pattern from search terms.
+export function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,87 @@
+// page-highlights.js - Passages the user highlighted on a page they saved.
+//
+// A highlight is the selected text plus a little of the text on either side,
+// so a quote can be recognised (and found again) out of context:
+//   { text, prefix, suffix, created_at }
+// page-capture.js reads the live selection at save time. "Highlight & save"
+// can be used several times on one page, so the background keeps every
+// highlight made so far per URL in storage.local and sends the whole set with
+// each save; the backend stores the latest set on the page.
+
+import { normalizeUrl } from './bookmark-reader.js';
+
+export const PAGE_HIGHLIGHTS_KEY = 'saveit_pageHighlights';
+
+export const MAX_HIGHLIGHT_CHARS = 2000;
+export const MAX_HIGHLIGHT_CONTEXT_CHARS = 80;
+const MAX_HIGHLIGHTS_PER_PAGE = 20;
+// Pages whose highlights are remembered locally. Older entries are dropped;
+// their highlights already live on the saved page.
+const MAX_TRACKED_PAGES = 200;
+
+function collapseWhitespace(text) {
+  return String(text || '').replace(/\s+/g, ' ').trim();
+}
+
+// Coerce anything highlight-shaped into the stored shape, or null when there
+// is no text worth keeping.
+export function normalizeHighlight(highlight) {
+  const text = collapseWhitespace(highlight?.text).slice(0, MAX_HIGHLIGHT_CHARS);
+  if (!text) {
+    return null;
+  }
+  return {
+    text,
+    prefix: collapseWhitespace(highlight.prefix).slice(-MAX_HIGHLIGHT_CONTEXT_CHARS),
+    suffix: collapseWhitespace(highlight.suffix).slice(0, MAX_HIGHLIGHT_CONTEXT_CHARS),
+    created_at: highlight.created_at || new Date().toISOString()
+  };
+}
+
+// Existing highlights first, then new ones, each passage once. Selecting the
+// same passage again keeps the original. Past the cap the oldest go.
+export function mergeHighlights(existing = [], incoming = []) {
+  const byText = new Map();
+  [...(Array.isArray(existing) ? existing : []), ...(Array.isArray(incoming) ? incoming : [])]
+    .map(normalizeHighlight)
+    .filter(Boolean)
+    .forEach((highlight) => {
+      const key = highlight.text.toLowerCase();
+      if (!byText.has(key)) {
+        byText.set(key, highlight);
+      }
+    });
+  return [...byText.values()].slice(-MAX_HIGHLIGHTS_PER_PAGE);
+}
+
+async function readAll(storage) {
+  const result = await storage.get(PAGE_HIGHLIGHTS_KEY);
+  const records = result?.[PAGE_HIGHLIGHTS_KEY];
+  return records && typeof records === 'object' ? records : {};
+}
+
+export async function getStoredHighlights(storage, url) {
+  if (!storage?.get || !url) {
+    return [];
+  }
+  const record = (await readAll(storage))[normalizeUrl(url)];
+  return Array.isArray(record?.highlights) ? record.highlights : [];
+}
+
+export async function storeHighlights(storage, url, highlights, { now = Date.now() } = {}) {
+  if (!storage?.get || !storage?.set || !url) {
+    return;
+  }
+  const records = await readAll(storage);
+  records[normalizeUrl(url)] = { highlights, updated_at: now };
+
+  const keys = Object.keys(records);
+  if (keys.length > MAX_TRACKED_PAGES) {
+    keys
+      .sort((a, b) => (records[a].updated_at || 0) - (records[b].updated_at || 0))
+      .slice(0, keys.length - MAX_TRACKED_PAGES)
+      .forEach((key) => { delete records[key]; });
+  }
+
+  await storage.set({ [PAGE_HIGHLIGHTS_KEY]: records });
+}
@@ -0,0 +1,239 @@
+// page-list-filters.js - Sort order and facet filters for the saved-pages list.
+//
+// One plain object describes the list's shape: a sort and the facets that
+// narrow it. The drawer applies it to the pages it holds (matchesPageFacets,
+// sortPages), mirrors it into the newtab URL so a reload or a shared link
+// keeps it (read/writePageListFilterParams), and forwards it to the server
+// when the lazy all-pages store hasn't loaded everything yet
+// (getPageListFilterRequestParams). Every facet is off by default, and
+// 'newest' keeps the order the store already holds.
+
+import { getPageSavedTime, isDateString } from './page-fields.js';
+
+export const DEFAULT_PAGE_SORT = 'newest';
+
+export const PAGE_SORT_OPTIONS = [
+  { value: 'newest', label: 'Newest' },
+  { value: 'oldest', label: 'Oldest' },
+  { value: 'title', label: 'Title' },
+  { value: 'domain', label: 'Domain' },
+  { value: 'reading-time', label: 'Reading time' },
+  { value: 'updated', label: 'Recently updated' }
+];
+
+export const PAGE_ENRICHMENT_FILTERS = ['enriched', 'pending'];
+
+const SORT_VALUES = new Set(PAGE_SORT_OPTIONS.map(option => option.value));
+
+export function createDefaultPageListFilters() {
+  return {
+    sort: DEFAULT_PAGE_SORT,
+    // Saved-date range, inclusive, as YYYY-MM-DD in the user's time zone.
+    from: null,
+    to: null,
+    hasNotes: false,
+    pinned: false,
+    private: false,
+    // A classification label; matches the primary label or any other.
+    label: '',
+    // 'enriched' (has an AI summary and labels) or 'pending' (not yet).
+    enrichment: null
+  };
+}
+
+function normalizeDate(value) {
+  return isDateString(value) ? value : null;
+}
+
+export function normalizePageListFilters(filters = {}) {
+  const source = filters && typeof filters === 'object' ? filters : {};
+  let from = normalizeDate(source.from);
+  let to = normalizeDate(source.to);
+  if (from && to && from > to) {
+    [from, to] = [to, from];
+  }
+  return {
+    sort: SORT_VALUES.has(source.sort) ? source.sort : DEFAULT_PAGE_SORT,
+    from,
+    to,
+    hasNotes: source.hasNotes === true,
+    pinned: source.pinned === true,
+    private: source.private === true,
+    label: typeof source.label === 'string' ? source.label.trim() : '',
+    enrichment: PAGE_ENRICHMENT_FILTERS.includes(source.enrichment) ? source.enrichment : null
+  };
+}
+
+// How many facets narrow the list; the sort doesn't count.
+export function countActivePageFacets(filters = {}) {
+  return [
+    filters.from || filters.to,
+    filters.hasNotes,
+    filters.pinned,
+    filters.private,
+    filters.label,
+    filters.enrichment
+  ].filter(Boolean).length;
+}
+
+export function hasActivePageFacets(filters = {}) {
+  return countActivePageFacets(filters) > 0;
+}
+
+export function isDefaultPageListFilters(filters = {}) {
+  return (filters.sort || DEFAULT_PAGE_SORT) === DEFAULT_PAGE_SORT && !hasActivePageFacets(filters);
+}
+
+export function isEnrichedPage(page) {
+  return Boolean(page?.ai_enriched_at);
+}
+
+export function getPageClassificationLabels(page) {
+  return [
+    page?.primary_classification_label,
+    ...(page?.classifications || []).map(classification => classification?.label)
+  ].filter(Boolean);
+}
+
+export function matchesPageFacets(page, filters = {}) {
+  if (filters.from || filters.to) {
+    const savedTime = getPageSavedTime(page);
+    if (Number.isNaN(savedTime)) {
+      return false;
+    }
+    // Local midnight at the start of `from` through the end of `to`.
+    if (filters.from && savedTime < new Date(`${filters.from}T00:00:00`).getTime()) {
+      return false;
+    }
+    if (filters.to && savedTime > new Date(`${filters.to}T23:59:59.999`).getTime()) {
+      return false;
+    }
+  }
+  if (filters.hasNotes && !String(page?.user_notes || '').trim()) {
+    return false;
+  }
+  if (filters.pinned && page?.pinned !== true) {
+    return false;
+  }
+  if (filters.private && page?.private !== true) {
+    return false;
+  }
+  if (filters.label) {
+    const wanted = filters.label.toLowerCase();
+    if (!getPageClassificationLabels(page).some(label => label.toLowerCase() === wanted)) {
+      return false;
+    }
+  }
+  if (filters.enrichment === 'enriched' && !isEnrichedPage(page)) {
+    return false;
+  }
+  if (filters.enrichment === 'pending' && isEnrichedPage(page)) {
+    return false;
+  }
+  return true;
+}
+
+function compareText(a, b) {
+  const aText = String(a || '').trim();
+  const bText = String(b || '').trim();
+  // Pages missing the field sort after those that have it.
+  if (!aText || !bText) {
+    return (aText ? 0 : 1) - (bText ? 0 : 1);
+  }
+  return aText.localeCompare(bText, undefined, { sensitivity: 'base', numeric: true });
+}
+
+function compareTimeDesc(aTime, bTime) {
+  const a = Number.isNaN(aTime) ? Number.NEGATIVE_INFINITY : aTime;
+  const b = Number.isNaN(bTime) ? Number.NEGATIVE_INFINITY : bTime;
+  return a === b ? 0 : (b > a ? 1 : -1);
+}
+
+const PAGE_COMPARATORS = {
+  oldest: (a, b) => -compareTimeDesc(getPageSavedTime(a), getPageSavedTime(b)),
+  title: (a, b) => compareText(a.title || a.url, b.title || b.url),
+  domain: (a, b) => compareText(a.domain, b.domain),
+  // Shortest read first; pages without an estimate go last.
+  'reading-time': (a, b) => {
+    const aMinutes = Number(a.reading_time_minutes) || Number.POSITIVE_INFINITY;
+    const bMinutes = Number(b.reading_time_minutes) || Number.POSITIVE_INFINITY;
+    return aMinutes === bMinutes ? 0 : (aMinutes < bMinutes ? -1 : 1);
+  },
+  updated: (a, b) => compareTimeDesc(
+    Date.parse(a.updated_at || a.saved_at || a.created_at || ''),
+    Date.parse(b.updated_at || b.saved_at || b.created_at || '')
+  )
+};
+
+// A sorted copy of `pages`. Ties keep their incoming order, which for every
+// sort but 'oldest' falls back to newest first.
+export function sortPages(pages = [], sort = DEFAULT_PAGE_SORT) {
+  const comparator = PAGE_COMPARATORS[sort];
+  if (!comparator) {
+    return [...pages];
+  }
+  return pages
+    .map((page, index) => ({ page, index }))
+    .sort((a, b) => comparator(a.page, b.page) || (a.index - b.index))
+    .map(({ page }) => page);
+}
+
+// Every classification label across `pages`, most used first, for the label
+// facet's options.
+export function getPageLabelOptions(pages = []) {
+  const counts = new Map();
+  pages.forEach(page => {
+    new Set(getPageClassificationLabels(page)).forEach(label => {
+      counts.set(label, (counts.get(label) || 0) + 1);
+    });
+  });
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .map(([label]) => label);
+}
+
+// URL params, written only when they differ from the default so an
+// unfiltered newtab keeps a clean URL.
+const URL_PARAMS = ['sort', 'from', 'to', 'notes', 'pinned', 'private', 'label', 'enrichment'];
+
+export function readPageListFilterParams(searchParams) {
+  return normalizePageListFilters({
+    sort: searchParams.get('sort'),
+    from: searchParams.get('from'),
+    to: searchParams.get('to'),
+    hasNotes: searchParams.get('notes') === '1',
+    pinned: searchParams.get('pinned') === '1',
+    private: searchParams.get('private') === '1',
+    label: searchParams.get('label') || '',
+    enrichment: searchParams.get('enrichment')
+  });
+}
+
+export function writePageListFilterParams(searchParams, filters = {}) {
+  const normalized = normalizePageListFilters(filters);
+  URL_PARAMS.forEach(name => searchParams.delete(name));
+  if (normalized.sort !== DEFAULT_PAGE_SORT) searchParams.set('sort', normalized.sort);
+  if (normalized.from) searchParams.set('from', normalized.from);
+  if (normalized.to) searchParams.set('to', normalized.to);
+  if (normalized.hasNotes) searchParams.set('notes', '1');
+  if (normalized.pinned) searchParams.set('pinned', '1');
+  if (normalized.private) searchParams.set('private', '1');
+  if (normalized.label) searchParams.set('label', normalized.label);
+  if (normalized.enrichment) searchParams.set('enrichment', normalized.enrichment);
+  return searchParams;
+}
+
+// The list endpoint's query params for these filters. Only what's set is
+// sent; the drawer still applies the same filters to what comes back.
+export function getPageListFilterRequestParams(filters = {}) {
+  const normalized = normalizePageListFilters(filters);
+  const params = { sort: normalized.sort };
+  if (normalized.from) params.savedAfter = normalized.from;
+  if (normalized.to) params.savedBefore = normalized.to;
+  if (normalized.hasNotes) params.hasNotes = true;
+  if (normalized.pinned) params.pinned = true;
+  if (normalized.private) params.private = true;
+  if (normalized.label) params.label = normalized.label;
+  if (normalized.enrichment) params.enrichment = normalized.enrichment;
+  return params;
+}
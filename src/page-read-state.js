@@ -0,0 +1,53 @@
+// page-read-state.js - Read / unread / archived state on saved pages.
+//
+// `read_state` is a page field like `pinned` or `private`, written through
+// updatePage. Pages saved before the field existed carry none and count as
+// unread, so "Unread only" starts out as the whole backlog. `read_at` records
+// when the page was last marked read; archiving leaves it alone, and marking a
+// page unread again clears it.
+
+export const PAGE_READ_STATES = ['unread', 'read', 'archived'];
+
+// The page fields a read-state change writes. updatePage uses this to tell a
+// read-state-only update (which no other cache shows) from a real edit.
+export const READ_STATE_FIELDS = ['read_state', 'read_at'];
+
+export function getPageReadState(page) {
+  return PAGE_READ_STATES.includes(page?.read_state) ? page.read_state : 'unread';
+}
+
+export function isPageUnread(page) {
+  return getPageReadState(page) === 'unread';
+}
+
+// True when `updates` touches nothing but the read-state fields.
+export function isReadStateOnlyUpdate(updates = {}) {
+  const keys = Object.keys(updates || {});
+  return keys.length > 0 && keys.every(key => READ_STATE_FIELDS.includes(key));
+}
+
+// The updatePage payload that moves a page to `readState`.
+export function getReadStateUpdates(readState, { now = new Date() } = {}) {
+  switch (readState) {
+    case 'unread':
+      return { read_state: 'unread', read_at: null };
+    case 'read':
+      return { read_state: 'read', read_at: now.toISOString() };
+    case 'archived':
+      return { read_state: 'archived' };
+    default:
+      throw new Error(`Unknown read state: ${readState}`);
+  }
+}
+
+/**
+ * Move a saved page to a read state.
+ *
+ * @param {{ updatePage: (id: string, updates: object) => Promise<object> }} api
+ * @param {{ id: string }} page
+ * @param {'unread'|'read'|'archived'} readState
+ * @returns {Promise<object>} the API's updated page
+ */
+export async function setPageReadState(api, page, readState) {
+  return api.updatePage(page.id, getReadStateUpdates(readState));
+}
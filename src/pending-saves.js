@@ -52,6 +52,12 @@ export async function getPendingSaves(storage) {
 // optimistic tile would render on every newtab open forever. Called by the
 // sync observer before it renders tiles, so eviction runs on newtab load and
 // on every pending-saves storage change. No-op when there's nothing to evict.
+//
+// Queued records (the save is still waiting in the offline outbox, see
+// save-outbox.js) are never evicted — enrichment can't have started, and the
+// tile is the user's only sign the save wasn't lost. Once the server
+// acknowledges the save the TTL runs from acknowledged_at, not saved_at, so a
+// save queued for hours doesn't expire the moment it finally lands.
 export async function evictExpiredPendingSaves(storage, { now = Date.now(), ttlMs = PENDING_SAVE_TTL_MS } = {}) {
   if (!storage?.get) {
     return 0;
@@ -60,7 +66,11 @@ export async function evictExpiredPendingSaves(storage, { now = Date.now(), ttlM
   const liveRecords = {};
   let evicted = 0;
   for (const [key, record] of Object.entries(records)) {
-    const savedAt = Date.parse(record?.saved_at || '');
+    if (record?.queued === true) {
+      liveRecords[key] = record;
+      continue;
+    }
+    const savedAt = Date.parse(record?.acknowledged_at || record?.saved_at || '');
     // An unparseable saved_at is treated as expired — a corrupt timestamp
     // shouldn't pin a tile forever.
     if (Number.isNaN(savedAt) || (now - savedAt) > ttlMs) {
@@ -82,7 +92,8 @@ export async function evictExpiredPendingSaves(storage, { now = Date.now(), ttlM
 
 // Write (or overwrite) a pending save record. The record should carry the
 // fields needed to render an optimistic tile: url, title, description, image,
-// saved_at, and optionally project_ids / projectId.
+// saved_at, and optionally project_ids / projectId. `queued: true` marks a
+// save still sitting in the offline outbox (exempt from TTL eviction).
 export async function addPendingSave(storage, record) {
   if (!storage?.get || !storage?.set) {
     return;
@@ -101,11 +112,35 @@ export async function addPendingSave(storage, record) {
     description: record.description || null,
     image: record.image || null,
     saved_at: record.saved_at || new Date().toISOString(),
-    project_ids: Array.isArray(record.project_ids) ? record.project_ids : []
+    project_ids: Array.isArray(record.project_ids) ? record.project_ids : [],
+    ...(record.queued === true ? { queued: true } : {})
   };
   await storage.set({ [PENDING_SAVES_KEY]: records });
 }
 
+// Flip a queued record to acknowledged once the server accepts the save. The
+// tile stays (enrichment is only now starting) but becomes subject to the
+// normal TTL, measured from acknowledged_at. No-op when there's no record —
+// the user may have cancelled the tile while the save was queued.
+export async function acknowledgePendingSave(storage, url, { now = Date.now() } = {}) {
+  if (!storage?.get || !storage?.set) {
+    return;
+  }
+  const key = normalizeUrl(url);
+  if (!key) {
+    return;
+  }
+  const records = await getPendingSaves(storage);
+  const record = records[key];
+  if (!record) {
+    return;
+  }
+  const acknowledged = { ...record, acknowledged_at: new Date(now).toISOString() };
+  delete acknowledged.queued;
+  records[key] = acknowledged;
+  await storage.set({ [PENDING_SAVES_KEY]: records });
+}
+
 // Write many pending-save records in a single read-modify-write. Used by bulk
 // import so a large batch (up to 1000) doesn't trigger a read-modify-write per
 // row. Records map by normalized url, so a batch with duplicate urls (or urls
@@ -181,7 +216,10 @@ export function buildOptimisticPage(record, { projectId = null } = {}) {
     ai_summary_brief: null,
     ai_summary_extended: null,
     reading_time_minutes: null,
-    optimistic: true
+    optimistic: true,
+    // Still waiting in the offline outbox — the renderer labels the tile
+    // "Waiting to sync" rather than "Saving…".
+    queued: record?.queued === true
   };
 }
 
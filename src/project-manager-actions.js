@@ -1,3 +1,5 @@
+import { openProjectPages } from './project-open-all.js';
+
 export function updatePageProjectMembership(page, pageId, projectId, shouldAssign) {
   if (page.id !== pageId) {
     return page;
@@ -22,7 +24,7 @@ export function createProjectManagerActions({
   promptFn = (...args) => globalThis.prompt?.(...args),
   confirmFn = (...args) => globalThis.confirm?.(...args),
   // Optional toast callback for transient failure feedback. When absent the
-  // create-failure path falls back to the blocking alertFn.
+  // create and open-all failure paths fall back to the blocking alertFn.
   notify,
   refreshProjectCounts,
   adjustProjectCount,
@@ -32,7 +34,7 @@ export function createProjectManagerActions({
   isProjectsUnavailable,
   getProjectsUnavailableMessage
 }) {
-  const reportCreateFailure = (message) => {
+  const reportFailure = (message) => {
     if (typeof notify === 'function') {
       try { notify(message, { type: 'error' }); } catch { /* toast must not break the action */ }
     } else {
@@ -135,7 +137,7 @@ export function createProjectManagerActions({
         return newProject;
       } catch (error) {
         console.error('Failed to create project:', error);
-        reportCreateFailure(error.message || 'Failed to create project. Please try again.');
+        reportFailure(error.message || 'Failed to create project. Please try again.');
         return null;
       }
     },
@@ -213,6 +215,22 @@ export function createProjectManagerActions({
       return project;
     },
 
+    // Reopen the project as a browser window (see project-open-all.js).
+    async openAllProjectPages(dashboard, projectId) {
+      const project = dashboard.projects.find(entry => entry.id === projectId);
+      if (!project) {
+        return null;
+      }
+
+      try {
+        return await openProjectPages({ api, project, confirmFn, notify });
+      } catch (error) {
+        console.error('Failed to open project pages:', error);
+        reportFailure(error.message || 'Failed to open project pages. Please try again.');
+        return null;
+      }
+    },
+
     async selectProject(dashboard, projectId) {
       dashboard.selectedProjectId = projectId || null;
       // Guard currentFilter: some dashboard call sites construct the object
@@ -115,6 +115,9 @@ export function createProjectManagerController({
     async archiveProject(dashboard, projectId) {
       return actions.archiveProject(dashboard, projectId);
     },
+    async openAllProjectPages(dashboard, projectId) {
+      return actions.openAllProjectPages(dashboard, projectId);
+    },
     async selectProject(dashboard, projectId) {
       return actions.selectProject(dashboard, projectId);
     },
@@ -1,4 +1,7 @@
-import { PINNED_PAGES_SCOPE_ID, isOwnedProject } from './project-manager-state.js';
+import { PINNED_PAGES_SCOPE_ID, READING_QUEUE_SCOPE_ID, TRASH_SCOPE_ID, isOwnedProject } from './project-manager-state.js';
+import { getReadingQueueMinutes } from './reading-queue.js';
+import { getSmartCollectionScopeId } from './smart-collections.js';
+import { isTopicScope } from './topic-tree.js';
 
 // Collection row action icons. We use Streamline "Ultimate Light" icons
 // (stored as black-on-transparent PNGs in src/img) and render them with a CSS
@@ -8,7 +11,13 @@ import { PINNED_PAGES_SCOPE_ID, isOwnedProject } from './project-manager-state.j
 const ACTION_ICON_FILES = {
   rename: 'img/Pencil-Edit-Desktop--Streamline-Ultimate.png',
   visibility: 'img/Share-1--Streamline-Ultimate.png',
-  archive: 'img/Archive--Streamline-Ultimate.png'
+  archive: 'img/Archive--Streamline-Ultimate.png',
+  'open-all': 'img/Open-All.svg',
+  'collection-pin': 'img/Pin.svg',
+  'collection-up': 'img/Move-Up.svg',
+  'collection-down': 'img/Move-Down.svg',
+  'collection-rename': 'img/Pencil-Edit-Desktop--Streamline-Ultimate.png',
+  'collection-delete': 'img/Remove.svg'
 };
 
 export function getProjectActionIcon(action) {
@@ -85,13 +94,23 @@ function createSidebarRow(documentObj, {
   name,
   subtitle = null,
   count,
+  // Badge text in place of a plain count (e.g. "42 min"), with a fuller
+  // title for the tooltip and screen readers.
+  countLabel = null,
+  countTitle = null,
   isActive = false,
-  actions = []
+  actions = [],
+  // Nesting level in a tree (the topic tree); each level indents the row.
+  depth = 0,
+  // true or false puts an expand/collapse toggle where the "#" sits; null
+  // (a leaf, or not a tree row) keeps the "#".
+  expanded = null
 }) {
   const row = createElement(documentObj, 'div', {
     className: `project-nav-row${actions.length ? ' has-actions' : ''}${isActive ? ' is-active' : ''}`,
     attributes: {
-      'data-project-id': projectId
+      'data-project-id': projectId,
+      style: depth > 0 ? `padding-left: ${depth * 14}px;` : null
     }
   });
   const button = createElement(documentObj, 'button', {
@@ -100,11 +119,24 @@ function createSidebarRow(documentObj, {
       'data-project-id': projectId
     }
   });
-  button.append(createElement(documentObj, 'span', {
-    className: 'project-nav-hash',
-    text: '#',
-    attributes: { 'aria-hidden': 'true' }
-  }));
+  if (typeof expanded === 'boolean') {
+    row.append(createElement(documentObj, 'button', {
+      className: 'project-nav-expander',
+      text: '▸',
+      attributes: {
+        'data-project-id': projectId,
+        type: 'button',
+        'aria-expanded': String(expanded),
+        'aria-label': `${expanded ? 'Collapse' : 'Expand'} ${name}`
+      }
+    }));
+  } else {
+    button.append(createElement(documentObj, 'span', {
+      className: 'project-nav-hash',
+      text: '#',
+      attributes: { 'aria-hidden': 'true' }
+    }));
+  }
   // Name and (optional) subtitle wrap together so the row reads as a title
   // with muted owner attribution beneath it — e.g. "Monarc / by nick@…".
   const nameGroup = createElement(documentObj, 'span', { className: 'project-nav-name-group' });
@@ -121,12 +153,13 @@ function createSidebarRow(documentObj, {
   button.append(nameGroup);
   row.append(button);
 
-  if (typeof count === 'number' || actions.length) {
+  if (typeof count === 'number' || countLabel || actions.length) {
     const meta = createElement(documentObj, 'div', { className: 'project-nav-meta' });
-    if (typeof count === 'number') {
+    if (typeof count === 'number' || countLabel) {
       meta.append(createElement(documentObj, 'span', {
         className: 'project-nav-count',
-        text: String(count)
+        text: countLabel || String(count),
+        attributes: countTitle ? { title: countTitle } : undefined
       }));
     }
 
@@ -159,6 +192,49 @@ function createSidebarRow(documentObj, {
   return row;
 }
 
+// Smart collection rows: a saved search with its live count. Actions are
+// named apart from the project ones so a click can't reach the project
+// handlers with a `search:` id.
+function createSmartCollectionRow(documentObj, collection, { isFirst, isLast }) {
+  const actions = [
+    {
+      action: 'collection-pin',
+      title: collection.pinned ? 'Unpin' : 'Pin to top',
+      label: collection.pinned ? `Unpin ${collection.name}` : `Pin ${collection.name} to the top`
+    },
+    !isFirst && {
+      action: 'collection-up',
+      title: 'Move up',
+      label: `Move ${collection.name} up`
+    },
+    !isLast && {
+      action: 'collection-down',
+      title: 'Move down',
+      label: `Move ${collection.name} down`
+    },
+    {
+      action: 'collection-rename',
+      title: 'Rename saved search',
+      label: `Rename ${collection.name}`
+    },
+    {
+      action: 'collection-delete',
+      title: 'Delete saved search',
+      label: `Delete ${collection.name}`
+    }
+  ].filter(Boolean);
+
+  return createSidebarRow(documentObj, {
+    projectId: getSmartCollectionScopeId(collection.id),
+    name: collection.name,
+    // The search itself, when the name doesn't already say it.
+    subtitle: collection.query && collection.query !== collection.name ? collection.query : null,
+    count: collection.count,
+    isActive: collection.isActive === true,
+    actions
+  });
+}
+
 function createEditorHeader(documentObj, title) {
   const header = createElement(documentObj, 'div', { className: 'project-editor-header' });
   const titleWrap = createElement(documentObj, 'div');
@@ -225,6 +301,14 @@ export function renderProjectSidebar(container, {
   const pinnedCount = (dashboard.allPages || []).filter(page => page.pinned).length;
   const selectedProject = getSelectedProject(dashboard);
   const isPinnedSelected = dashboard.selectedProjectId === PINNED_PAGES_SCOPE_ID;
+  const isTrashSelected = dashboard.selectedProjectId === TRASH_SCOPE_ID;
+  const isQueueSelected = dashboard.selectedProjectId === READING_QUEUE_SCOPE_ID;
+  const isTopicSelected = isTopicScope(dashboard.selectedProjectId);
+  const queueMinutes = getReadingQueueMinutes(dashboard.allPages || []);
+  // Rows for the saved searches, with live counts and the active one marked
+  // (see getDrawerSmartCollectionRows).
+  const smartCollections = Array.isArray(dashboard.smartCollections) ? dashboard.smartCollections : [];
+  const isSmartCollectionSelected = smartCollections.some(collection => collection.isActive);
   const visibleProjects = (dashboard.projects || [])
     .filter(project => !project.archived)
     .sort((a, b) => a.name.localeCompare(b.name));
@@ -244,6 +328,11 @@ export function renderProjectSidebar(container, {
         count: project.page_count || 0,
         isActive: Boolean(activeClass),
         actions: [
+          {
+            action: 'open-all',
+            title: 'Open all pages in a new window',
+            label: `Open all pages in ${project.name}`
+          },
           {
             action: 'rename',
             title: 'Rename project',
@@ -281,16 +370,38 @@ export function renderProjectSidebar(container, {
       projectId: '',
       name: 'All pages',
       count: typeof allPagesCount === 'number' ? allPagesCount : null,
-      isActive: !selectedProject && !isPinnedSelected
+      isActive: !selectedProject && !isPinnedSelected && !isTrashSelected && !isQueueSelected
+        && !isSmartCollectionSelected && !isTopicSelected
     }),
     createSidebarRow(documentObj, {
       projectId: PINNED_PAGES_SCOPE_ID,
       name: 'Pinned',
       count: pinnedCount,
       isActive: isPinnedSelected
+    }),
+    createSidebarRow(documentObj, {
+      projectId: READING_QUEUE_SCOPE_ID,
+      name: 'Reading queue',
+      countLabel: `${queueMinutes} min`,
+      countTitle: `${queueMinutes} minutes of reading queued`,
+      isActive: isQueueSelected
+    }),
+    // No count: deleted pages aren't loaded until the trash is opened.
+    createSidebarRow(documentObj, {
+      projectId: TRASH_SCOPE_ID,
+      name: 'Trash',
+      isActive: isTrashSelected
     })
   );
 
+  if (smartCollections.length) {
+    nav.append(createSectionLabel(documentObj, 'Smart collections', 'var(--color-primary)'));
+    smartCollections.forEach((collection, index) => nav.append(createSmartCollectionRow(documentObj, collection, {
+      isFirst: index === 0,
+      isLast: index === smartCollections.length - 1
+    })));
+  }
+
   // The create-project button sits on the right of the first section label that
   // belongs to the viewer. If they own nothing, it rides on "Shared with me".
   const createButton = createCreateButton(documentObj);
@@ -325,6 +436,21 @@ export function renderProjectSidebar(container, {
     }));
   }
 
+  // Topics section: the general → domain → topic tree of the AI
+  // classifications over the loaded pages (see getDrawerTopicRows).
+  const topics = Array.isArray(dashboard.topics) ? dashboard.topics : [];
+  if (topics.length) {
+    nav.append(createSectionLabel(documentObj, 'Topics', 'var(--color-primary)'));
+    topics.forEach(topic => nav.append(createSidebarRow(documentObj, {
+      projectId: topic.id,
+      name: topic.label,
+      count: topic.count,
+      isActive: topic.isActive === true,
+      depth: topic.depth,
+      expanded: topic.expandable ? topic.expanded === true : null
+    })));
+  }
+
   // Domains section: distinct domains with counts, scoped client-side on click.
   const domains = Array.isArray(dashboard.domains) ? dashboard.domains : [];
   if (domains.length) {
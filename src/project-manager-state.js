@@ -1,4 +1,33 @@
+import { isQueuedPage } from './reading-queue.js';
+import { getTopicPathFromScope, isTopicScope, pageMatchesTopicPath } from './topic-tree.js';
+
 export const PINNED_PAGES_SCOPE_ID = '__pinned__';
+// Soft-deleted pages. Like Pinned it's a pseudo-scope selected through
+// selectedProjectId, but its pages come from their own list (getDeletedPages)
+// and never appear in allPages.
+export const TRASH_SCOPE_ID = '__trash__';
+// Unread pages in reading order (reading-queue.js). Like Pinned, a view over
+// allPages rather than a scope with its own page store.
+export const READING_QUEUE_SCOPE_ID = '__queue__';
+
+// True for the scopes whose pages come from allPages: All pages (no id),
+// Pinned, the reading queue and the topic tree's `topic:` nodes. Every other
+// scope loads its own page list.
+export function isAllPagesView(projectId) {
+  return !projectId
+    || projectId === PINNED_PAGES_SCOPE_ID
+    || projectId === READING_QUEUE_SCOPE_ID
+    || isTopicScope(projectId);
+}
+
+// Sidebar views that aren't projects: a page can't be added to them and they
+// have no project record.
+export function isPseudoScope(projectId) {
+  return projectId === PINNED_PAGES_SCOPE_ID
+    || projectId === TRASH_SCOPE_ID
+    || projectId === READING_QUEUE_SCOPE_ID
+    || isTopicScope(projectId);
+}
 
 const PROJECTS_UNAVAILABLE_MESSAGE =
   'Project collections are not supported by the connected backend yet.';
@@ -12,7 +41,7 @@ export function getProjectsUnavailableMessage(dashboard) {
 }
 
 export function getSelectedProject(dashboard) {
-  if (dashboard.selectedProjectId === PINNED_PAGES_SCOPE_ID) {
+  if (isPseudoScope(dashboard.selectedProjectId)) {
     return null;
   }
 
@@ -24,6 +53,21 @@ export function getScopedPages(dashboard, pages) {
     return pages.filter(page => page.pinned);
   }
 
+  if (dashboard.selectedProjectId === TRASH_SCOPE_ID) {
+    return [...pages];
+  }
+
+  // Queue order is applied by the drawer, which holds the stored order.
+  if (dashboard.selectedProjectId === READING_QUEUE_SCOPE_ID) {
+    return pages.filter(isQueuedPage);
+  }
+
+  // Pinned pages stay in a topic; only All pages leaves them to the shelf.
+  if (isTopicScope(dashboard.selectedProjectId)) {
+    const path = getTopicPathFromScope(dashboard.selectedProjectId) || [];
+    return pages.filter(page => pageMatchesTopicPath(page, path));
+  }
+
   if (!dashboard.selectedProjectId) {
     return pages.filter(page => page.pinned !== true);
   }
@@ -0,0 +1,128 @@
+// project-open-all.js - Reopen a project as a browser session.
+//
+// The "Open all" action on a sidebar project row: fetch every page in the
+// project (not just the slice the drawer has loaded), drop the ones already
+// open in some tab, and open the rest in a new window. Where the browser has
+// tab groups (Chrome, recent Firefox) the new tabs are grouped under the
+// project's name, so the session reads as the project it came from.
+
+import { normalizeUrl } from './bookmark-reader.js';
+import { fetchAllSavedPages } from './fetch-all-saved-pages.js';
+
+// Above this many tabs, ask first. A project of a few dozen pages opened by a
+// stray click is a lot of tabs to close again.
+export const OPEN_ALL_CONFIRM_THRESHOLD = 20;
+
+function pluralPages(count) {
+  return `${count} ${count === 1 ? 'page' : 'pages'}`;
+}
+
+// Which of the project's pages to open: one tab per distinct URL, in the
+// project's order, skipping any URL already open in a tab.
+export function planProjectOpenAll(pages = [], openTabs = []) {
+  const open = new Set(
+    (Array.isArray(openTabs) ? openTabs : [])
+      .filter(tab => typeof tab?.url === 'string' && tab.url)
+      .map(tab => normalizeUrl(tab.url))
+  );
+  const planned = new Set();
+  const urls = [];
+  let alreadyOpen = 0;
+
+  for (const page of Array.isArray(pages) ? pages : []) {
+    if (typeof page?.url !== 'string' || !page.url) {
+      continue;
+    }
+    const key = normalizeUrl(page.url);
+    if (planned.has(key)) {
+      continue;
+    }
+    planned.add(key);
+    if (open.has(key)) {
+      alreadyOpen += 1;
+      continue;
+    }
+    urls.push(page.url);
+  }
+
+  return { urls, alreadyOpen };
+}
+
+// "tabGroups" is an optional permission, asked for on the first "Open all".
+// The browser only shows the prompt from a click, so this runs before the
+// action's first await. Declining (or a browser without tab groups) leaves a
+// plain window.
+function requestTabGroupsPermission(browserApi) {
+  if (typeof browserApi.permissions?.request !== 'function') {
+    return Promise.resolve(true);
+  }
+  return browserApi.permissions.request({ permissions: ['tabGroups'] }).catch(() => false);
+}
+
+// Open `urls` in a new window and, when supported, put them in a tab group
+// named `title`. Grouping is best-effort: a failure leaves the plain window.
+export async function openUrlsInNewWindow(urls, { title, browserApi, group = true }) {
+  const createdWindow = await browserApi.windows.create({ url: urls, focused: true });
+
+  if (!group || typeof browserApi.tabs?.group !== 'function' || typeof browserApi.tabGroups?.update !== 'function') {
+    return { windowId: createdWindow?.id ?? null, grouped: false };
+  }
+
+  try {
+    const tabs = createdWindow?.tabs?.length
+      ? createdWindow.tabs
+      : await browserApi.tabs.query({ windowId: createdWindow.id });
+    const groupId = await browserApi.tabs.group({
+      tabIds: tabs.map(tab => tab.id),
+      createProperties: { windowId: createdWindow.id }
+    });
+    await browserApi.tabGroups.update(groupId, { title });
+    return { windowId: createdWindow.id, grouped: true };
+  } catch (error) {
+    console.warn('[project-open-all] Could not group the new tabs:', error?.message || error);
+    return { windowId: createdWindow?.id ?? null, grouped: false };
+  }
+}
+
+// The whole action. Returns the number of tabs opened, or null when the user
+// declined or there was nothing to open.
+export async function openProjectPages({
+  api,
+  project,
+  browserApi = globalThis.browser ?? globalThis.chrome,
+  confirmFn = (...args) => globalThis.confirm?.(...args),
+  notify = () => {}
+}) {
+  if (!browserApi?.windows?.create || !browserApi?.tabs?.query) {
+    notify('Opening a project needs the browser tabs API.', { type: 'error' });
+    return null;
+  }
+
+  const groupPermission = requestTabGroupsPermission(browserApi);
+  // Tab addresses are only visible with the optional "tabs" permission (see
+  // "Save all tabs"); without it nothing counts as already open.
+  const [pages, openTabs] = await Promise.all([
+    fetchAllSavedPages(api, { projectId: project.id }),
+    browserApi.tabs.query({})
+  ]);
+  const { urls, alreadyOpen } = planProjectOpenAll(pages, openTabs);
+
+  if (!urls.length) {
+    notify(alreadyOpen
+      ? `Every page in "${project.name}" is already open.`
+      : `"${project.name}" has no pages to open.`);
+    return null;
+  }
+
+  if (urls.length > OPEN_ALL_CONFIRM_THRESHOLD
+    && !confirmFn(`Open ${pluralPages(urls.length)} from "${project.name}" in a new window?`)) {
+    return null;
+  }
+
+  await openUrlsInNewWindow(urls, { title: project.name, browserApi, group: await groupPermission });
+
+  if (alreadyOpen) {
+    notify(`Opened ${pluralPages(urls.length)}; ${alreadyOpen} already open.`, { type: 'success' });
+  }
+  return urls.length;
+}
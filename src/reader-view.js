@@ -0,0 +1,294 @@
+// reader-view.js - Built-in reader for saved pages (reader.html).
+//
+// Opened from a card's "Read" action as reader.html?id=<page id>&url=<url>.
+// Renders the Readability article captured when the page was saved (kept in
+// IndexedDB by archive-store.js), under the page's AI summary from the warm
+// saved-pages cache. Theme comes from ThemeManager like every other surface;
+// the font size and each page's reading progress persist in storage.local so
+// a long article resumes where it was left.
+//
+// Pages this browser never captured an article for (saved elsewhere, saved as
+// a link, or not an article) still get the summary and a link out.
+
+/* global ThemeManager */
+
+import { createArchiveStore } from './archive-store.js';
+import { findCachedSavedPage } from './saved-pages-cache.js';
+import { formatSavedDate, getPageDomain } from './newtab-shared.js';
+
+export const READING_PROGRESS_KEY = 'saveit_readingProgress';
+export const READER_FONT_SIZE_KEY = 'saveit_readerFontSize';
+
+// Font sizes (px) the A−/A+ buttons step through.
+export const READER_FONT_SIZES = [15, 17, 19, 21, 24];
+const DEFAULT_FONT_SIZE = 19;
+// Pages whose progress is remembered. The oldest are dropped past this.
+const MAX_TRACKED_PAGES = 500;
+// Progress is written at most this often while scrolling.
+const PROGRESS_SAVE_DELAY_MS = 500;
+
+// The captured article is third-party markup shown on an extension page, so
+// it is rebuilt from an allowlist rather than trusted: only these elements
+// and attributes are copied, and URLs only with these schemes. Any other
+// element is unwrapped to its text, except the ones below, which go with
+// everything in them.
+const ARTICLE_ELEMENTS = new Set([
+  'a', 'abbr', 'article', 'b', 'blockquote', 'br', 'caption', 'cite', 'code', 'dd', 'del', 'details',
+  'dfn', 'div', 'dl', 'dt', 'em', 'figcaption', 'figure', 'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'header', 'hr', 'i', 'img', 'ins', 'kbd', 'li', 'mark', 'ol', 'p', 'pre', 'q', 's', 'samp', 'section',
+  'small', 'span', 'strong', 'sub', 'summary', 'sup', 'table', 'tbody', 'td', 'tfoot', 'th', 'thead',
+  'time', 'tr', 'u', 'ul', 'var'
+]);
+const DROPPED_ARTICLE_ELEMENTS = new Set([
+  'base', 'button', 'embed', 'form', 'frame', 'frameset', 'head', 'iframe', 'input', 'link', 'math',
+  'meta', 'noscript', 'object', 'script', 'select', 'style', 'svg', 'template', 'textarea', 'title'
+]);
+const ARTICLE_ATTRIBUTES = {
+  '*': ['title', 'lang', 'dir'],
+  a: ['href'],
+  img: ['src', 'alt', 'width', 'height'],
+  ol: ['start', 'reversed'],
+  td: ['colspan', 'rowspan'],
+  th: ['colspan', 'rowspan', 'scope'],
+  time: ['datetime']
+};
+const ARTICLE_URL_ATTRIBUTES = new Set(['href', 'src']);
+const ARTICLE_URL_PROTOCOLS = {
+  href: ['http:', 'https:', 'mailto:'],
+  src: ['http:', 'https:']
+};
+const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+
+function clampProgress(progress) {
+  const value = Number(progress);
+  return Number.isFinite(value) ? Math.min(1, Math.max(0, value)) : 0;
+}
+
+async function readProgressRecords(storage) {
+  const result = await storage.get(READING_PROGRESS_KEY);
+  const records = result?.[READING_PROGRESS_KEY];
+  return records && typeof records === 'object' ? records : {};
+}
+
+// How far through the page the reader got last time, 0–1.
+export async function getReadingProgress(storage, pageId) {
+  if (!storage?.get || !pageId) {
+    return 0;
+  }
+  return clampProgress((await readProgressRecords(storage))[pageId]?.progress);
+}
+
+export async function storeReadingProgress(storage, pageId, progress, { now = Date.now() } = {}) {
+  if (!storage?.get || !storage?.set || !pageId) {
+    return;
+  }
+  const records = await readProgressRecords(storage);
+  records[pageId] = { progress: clampProgress(progress), updated_at: now };
+
+  const keys = Object.keys(records);
+  if (keys.length > MAX_TRACKED_PAGES) {
+    keys
+      .sort((a, b) => (records[a].updated_at || 0) - (records[b].updated_at || 0))
+      .slice(0, keys.length - MAX_TRACKED_PAGES)
+      .forEach((key) => { delete records[key]; });
+  }
+
+  await storage.set({ [READING_PROGRESS_KEY]: records });
+}
+
+export async function getReaderFontSize(storage) {
+  if (!storage?.get) {
+    return DEFAULT_FONT_SIZE;
+  }
+  const result = await storage.get(READER_FONT_SIZE_KEY);
+  const size = result?.[READER_FONT_SIZE_KEY];
+  return READER_FONT_SIZES.includes(size) ? size : DEFAULT_FONT_SIZE;
+}
+
+// The next size in `direction` (+1 larger, -1 smaller), staying on the scale.
+export function stepReaderFontSize(size, direction) {
+  const index = READER_FONT_SIZES.indexOf(size);
+  const current = index === -1 ? READER_FONT_SIZES.indexOf(DEFAULT_FONT_SIZE) : index;
+  const next = Math.min(READER_FONT_SIZES.length - 1, Math.max(0, current + Math.sign(direction)));
+  return READER_FONT_SIZES[next];
+}
+
+// `value` resolved against the original page, or null when it isn't a URL
+// with an allowed scheme for `name`.
+function getSafeArticleUrl(name, value, baseUrl) {
+  try {
+    const url = baseUrl ? new URL(value, baseUrl) : new URL(value);
+    return ARTICLE_URL_PROTOCOLS[name].includes(url.protocol) ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+function copyArticleNode(node, parent, { baseUrl, documentObj }) {
+  if (node.nodeType === 3) {
+    parent.append(documentObj.createTextNode(node.nodeValue));
+    return;
+  }
+  if (node.nodeType !== 1) {
+    return;
+  }
+  const tag = node.localName;
+  if (node.namespaceURI !== HTML_NAMESPACE || DROPPED_ARTICLE_ELEMENTS.has(tag)) {
+    return;
+  }
+  let target = parent;
+  if (ARTICLE_ELEMENTS.has(tag)) {
+    target = documentObj.createElement(tag);
+    [...ARTICLE_ATTRIBUTES['*'], ...(ARTICLE_ATTRIBUTES[tag] || [])].forEach((name) => {
+      const value = node.getAttribute(name);
+      if (value === null) {
+        return;
+      }
+      const safeValue = ARTICLE_URL_ATTRIBUTES.has(name) ? getSafeArticleUrl(name, value, baseUrl) : value;
+      if (safeValue !== null) {
+        target.setAttribute(name, safeValue);
+      }
+    });
+    if (tag === 'a' && target.hasAttribute('href')) {
+      target.setAttribute('target', '_blank');
+      target.setAttribute('rel', 'noopener noreferrer');
+    }
+    parent.append(target);
+  }
+  node.childNodes.forEach(child => copyArticleNode(child, target, { baseUrl, documentObj }));
+}
+
+// Rebuild the captured article as a fragment safe to attach: parsed inert,
+// then copied through the allowlist above, with links and images resolved
+// against the original page and links opened in a new tab.
+export function buildArticleFragment(html, { baseUrl, documentObj = document } = {}) {
+  const fragment = documentObj.createDocumentFragment();
+  const DOMParserCtor = documentObj.defaultView?.DOMParser || globalThis.DOMParser;
+  const parsed = new DOMParserCtor().parseFromString(String(html || ''), 'text/html');
+  parsed.body.childNodes.forEach(child => copyArticleNode(child, fragment, { baseUrl, documentObj }));
+  return fragment;
+}
+
+// Scroll position as 0–1 of the scrollable distance.
+function getScrollProgress(windowObj, documentObj) {
+  const scrollable = documentObj.documentElement.scrollHeight - windowObj.innerHeight;
+  return scrollable > 0 ? clampProgress(windowObj.scrollY / scrollable) : 1;
+}
+
+export async function initReaderView({
+  documentObj = document,
+  windowObj = window,
+  storage = (globalThis.browser ?? globalThis.chrome)?.storage?.local,
+  archiveStore = createArchiveStore(),
+  findPage = pageId => findCachedSavedPage(storage, pageId),
+  themeManager = null,
+  locationSearch = windowObj.location?.search || ''
+} = {}) {
+  const params = new URLSearchParams(locationSearch);
+  const pageId = params.get('id');
+  const byId = id => documentObj.getElementById(id);
+  const elements = {
+    title: byId('reader-title'),
+    meta: byId('reader-meta'),
+    summary: byId('reader-summary'),
+    summaryText: byId('reader-summary-text'),
+    article: byId('reader-article'),
+    empty: byId('reader-empty'),
+    original: byId('reader-original-link'),
+    progressBar: byId('reader-progress-bar'),
+    fontDown: byId('reader-font-down'),
+    fontUp: byId('reader-font-up')
+  };
+
+  themeManager?.init('reader-theme-toggle-container');
+
+  // Font size: applied before the article renders so restoring the scroll
+  // position measures the final layout.
+  let fontSize = await getReaderFontSize(storage).catch(() => DEFAULT_FONT_SIZE);
+  const applyFontSize = () => {
+    documentObj.documentElement.style.setProperty('--reader-font-size', `${fontSize}px`);
+    if (elements.fontDown) elements.fontDown.disabled = fontSize === READER_FONT_SIZES[0];
+    if (elements.fontUp) elements.fontUp.disabled = fontSize === READER_FONT_SIZES[READER_FONT_SIZES.length - 1];
+  };
+  const changeFontSize = (direction) => {
+    fontSize = stepReaderFontSize(fontSize, direction);
+    applyFontSize();
+    void storage?.set?.({ [READER_FONT_SIZE_KEY]: fontSize });
+  };
+  applyFontSize();
+  elements.fontDown?.addEventListener('click', () => changeFontSize(-1));
+  elements.fontUp?.addEventListener('click', () => changeFontSize(1));
+
+  const page = pageId ? await findPage(pageId).catch(() => null) : null;
+  const url = page?.url || params.get('url') || '';
+  let article = null;
+  try {
+    article = pageId ? await archiveStore.getArticle({ id: pageId, url }) : null;
+  } catch (error) {
+    console.warn('[reader] Could not read the saved article:', error?.message || error);
+  }
+
+  const title = page?.title || article?.title || getPageDomain({ url }) || 'Untitled';
+  documentObj.title = title;
+  if (elements.title) elements.title.textContent = title;
+  if (elements.meta) {
+    elements.meta.textContent = [
+      article?.site_name || getPageDomain({ url }),
+      article?.byline,
+      formatSavedDate(article?.published_time),
+      page?.reading_time_minutes ? `${page.reading_time_minutes} min read` : ''
+    ].filter(Boolean).join(' · ');
+  }
+  if (elements.original && url) {
+    elements.original.href = url;
+    elements.original.classList.remove('hidden');
+  }
+
+  const summary = (page?.ai_summary_extended || page?.ai_summary_brief || '').trim();
+  if (summary && elements.summary) {
+    elements.summaryText.textContent = summary;
+    elements.summary.classList.remove('hidden');
+  }
+
+  if (!article?.content_html) {
+    elements.empty?.classList.remove('hidden');
+    return { page, article: null };
+  }
+
+  if (article.lang) {
+    elements.article?.setAttribute('lang', article.lang);
+  }
+  elements.article?.replaceChildren(buildArticleFragment(article.content_html, {
+    baseUrl: article.url || url,
+    documentObj
+  }));
+
+  // Resume, then keep the saved position and the bar in step with scrolling.
+  const savedProgress = await getReadingProgress(storage, pageId).catch(() => 0);
+  if (savedProgress > 0 && savedProgress < 1) {
+    const scrollable = documentObj.documentElement.scrollHeight - windowObj.innerHeight;
+    windowObj.scrollTo(0, Math.round(savedProgress * scrollable));
+  }
+
+  let saveTimer = null;
+  const updateProgress = () => {
+    const progress = getScrollProgress(windowObj, documentObj);
+    if (elements.progressBar) {
+      elements.progressBar.style.width = `${Math.round(progress * 100)}%`;
+    }
+    windowObj.clearTimeout(saveTimer);
+    saveTimer = windowObj.setTimeout(() => {
+      void storeReadingProgress(storage, pageId, progress).catch(() => {});
+    }, PROGRESS_SAVE_DELAY_MS);
+  };
+  windowObj.addEventListener('scroll', updateProgress, { passive: true });
+  if (elements.progressBar) {
+    elements.progressBar.style.width = `${Math.round(getScrollProgress(windowObj, documentObj) * 100)}%`;
+  }
+
+  return { page, article };
+}
+
+if (typeof document !== 'undefined' && document.getElementById('reader-article')) {
+  void initReaderView({ themeManager: typeof ThemeManager !== 'undefined' ? ThemeManager : null });
+}
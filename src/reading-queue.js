@@ -0,0 +1,117 @@
+// reading-queue.js - The reading queue: unread pages in reading order, and
+// "fill N minutes" playlists drawn from it.
+//
+// The queue is every unread page (see page-read-state.js), so marking a page
+// read takes it off the queue and nothing else needs syncing. Only the order
+// is the queue's own: pages the user has dragged into place come first, in
+// that order, and the rest follow oldest-saved first. The order is a list of
+// page ids kept in browser.storage.local; ids of pages that have left the
+// queue are pruned on the next save.
+
+import { getPageSavedTime } from './page-fields.js';
+import { isPageUnread } from './page-read-state.js';
+import { isOptimisticPage } from './pending-saves.js';
+
+export const READING_QUEUE_ORDER_KEY = 'saveit_reading_queue_order';
+
+// Budget offered before the user has picked one, and the largest accepted.
+export const DEFAULT_QUEUE_BUDGET_MINUTES = 20;
+export const MAX_QUEUE_BUDGET_MINUTES = 600;
+
+export function isQueuedPage(page) {
+  return Boolean(page?.id) && !isOptimisticPage(page) && isPageUnread(page);
+}
+
+// A page's estimated reading time, or null when the capture didn't record one.
+export function getPageReadingMinutes(page) {
+  const minutes = Number(page?.reading_time_minutes);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : null;
+}
+
+export function getReadingQueueMinutes(pages = []) {
+  return pages
+    .filter(isQueuedPage)
+    .reduce((total, page) => total + (getPageReadingMinutes(page) || 0), 0);
+}
+
+// The queued pages among `pages`, in queue order.
+export function orderReadingQueue(pages = [], order = []) {
+  const positions = new Map(order.map((id, index) => [id, index]));
+  return pages
+    .filter(isQueuedPage)
+    .map((page, index) => ({ page, index }))
+    .sort((a, b) => {
+      const aPosition = positions.has(a.page.id) ? positions.get(a.page.id) : Number.POSITIVE_INFINITY;
+      const bPosition = positions.has(b.page.id) ? positions.get(b.page.id) : Number.POSITIVE_INFINITY;
+      if (aPosition !== bPosition) {
+        return aPosition - bPosition;
+      }
+      const aSaved = getPageSavedTime(a.page, Number.POSITIVE_INFINITY);
+      const bSaved = getPageSavedTime(b.page, Number.POSITIVE_INFINITY);
+      return (aSaved - bSaved) || (a.index - b.index);
+    })
+    .map(({ page }) => page);
+}
+
+// Walk the queue in order and take each page that still fits the budget, so a
+// long read near the top doesn't stop shorter ones further down from filling
+// the time. Pages without a reading time can't be budgeted and are left out.
+export function fillReadingBudget(queue = [], budgetMinutes) {
+  const budget = Number(budgetMinutes);
+  const pages = [];
+  let minutes = 0;
+  if (!Number.isFinite(budget) || budget <= 0) {
+    return { pages, minutes };
+  }
+
+  for (const page of queue) {
+    const pageMinutes = getPageReadingMinutes(page);
+    if (pageMinutes !== null && minutes + pageMinutes <= budget) {
+      pages.push(page);
+      minutes += pageMinutes;
+    }
+  }
+  return { pages, minutes };
+}
+
+// The queue order after dropping `movedId` just before (or, with `after`,
+// just after) `targetId`. `queueIds` is the full current order, so pages that
+// were never dragged get pinned in place around the move.
+export function moveInReadingQueue(queueIds, movedId, targetId, { after = false } = {}) {
+  if (!movedId || movedId === targetId || !queueIds.includes(movedId) || !queueIds.includes(targetId)) {
+    return queueIds;
+  }
+  const remaining = queueIds.filter(id => id !== movedId);
+  const targetIndex = remaining.indexOf(targetId);
+  remaining.splice(after ? targetIndex + 1 : targetIndex, 0, movedId);
+  return remaining;
+}
+
+export function normalizeQueueBudget(value) {
+  const minutes = Math.round(Number(value));
+  if (!Number.isFinite(minutes) || minutes <= 0) {
+    return null;
+  }
+  return Math.min(minutes, MAX_QUEUE_BUDGET_MINUTES);
+}
+
+export async function loadReadingQueueOrder(storage) {
+  if (!storage?.get) {
+    return [];
+  }
+  try {
+    const stored = await storage.get(READING_QUEUE_ORDER_KEY);
+    const order = stored?.[READING_QUEUE_ORDER_KEY];
+    return Array.isArray(order) ? order.filter(id => typeof id === 'string' && id) : [];
+  } catch (error) {
+    console.warn('[reading-queue] Failed to load queue order:', error?.message || error);
+    return [];
+  }
+}
+
+export async function saveReadingQueueOrder(storage, order) {
+  if (!storage?.set) {
+    return;
+  }
+  await storage.set({ [READING_QUEUE_ORDER_KEY]: order });
+}
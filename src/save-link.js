@@ -0,0 +1,90 @@
+// save-link.js - Turn pasted text into a URL the save-link path accepts.
+//
+// Links pasted from chat or a search result arrive in every shape: with or
+// without a scheme, wrapped in <angle brackets>, with stray whitespace. The
+// background normalises every saveLink request here, whichever surface sent
+// it; the new-tab paste box also checks first so a typo never leaves the page.
+
+import { isImportableUrl } from './bookmark-reader.js';
+import { sendRuntimeMessage } from './send-runtime-message.js';
+
+// Returns the normalised http(s) URL, or null when the text isn't one.
+// A bare host ("example.org/post") is read as https.
+export function parseSaveLinkInput(text) {
+  let candidate = String(text || '').trim().replace(/^<(.*)>$/, '$1').trim();
+  if (!candidate || /\s/.test(candidate)) {
+    return null;
+  }
+  if (!/^[a-z][a-z0-9+.-]*:/i.test(candidate)) {
+    candidate = `https://${candidate.replace(/^\/\//, '')}`;
+  }
+  if (!isImportableUrl(candidate)) {
+    return null;
+  }
+  // A stray word like "notes" would parse as https://notes/; require a dotted
+  // host so it isn't saved as a link.
+  const { hostname } = new URL(candidate);
+  return hostname.includes('.') ? candidate : null;
+}
+
+// The new-tab paste box: a one-line form above the drawer results. Hands the
+// URL to the background's saveLink action, which writes the pending-save
+// record the drawer already renders as an optimistic tile — so this only
+// reports success or failure. Saves into the selected project, if any.
+export function createSaveLinkBox({
+  form,
+  input,
+  runtime = globalThis.browser?.runtime || globalThis.chrome?.runtime,
+  notify = () => {},
+  // () => projectId | null
+  getProjectId = () => null
+} = {}) {
+  let busy = false;
+
+  function setVisible(visible) {
+    form?.classList.toggle('hidden', !visible);
+  }
+
+  async function submit() {
+    if (busy || !input) {
+      return;
+    }
+
+    const url = parseSaveLinkInput(input.value);
+    if (!url) {
+      if (input.value.trim()) {
+        notify('That doesn\'t look like a web link.', { type: 'error' });
+      }
+      input.focus();
+      return;
+    }
+
+    busy = true;
+    input.disabled = true;
+    try {
+      const projectId = getProjectId();
+      const response = await sendRuntimeMessage(runtime, {
+        action: 'saveLink',
+        url,
+        ...(projectId ? { projectId } : {})
+      });
+      if (!response?.success) {
+        throw new Error(response?.error || 'Failed to save link.');
+      }
+      input.value = '';
+      notify(response.queued ? 'Link queued — it will save when you\'re back online.' : 'Link saved.', { type: 'success' });
+    } catch (error) {
+      notify(error.message || 'Failed to save link.', { type: 'error' });
+    } finally {
+      busy = false;
+      input.disabled = false;
+    }
+  }
+
+  form?.addEventListener('submit', (event) => {
+    event.preventDefault();
+    void submit();
+  });
+
+  return { setVisible, submit };
+}
@@ -0,0 +1,149 @@
+// save-outbox.js — durable outbox of page saves in storage.local.
+//
+// A toolbar save used to POST straight to the backend; when the network was
+// down (plane, captive portal, flaky Wi-Fi) the request failed, the badge
+// flashed ✗ and the save was gone. The background now writes every save here
+// FIRST, then attempts delivery. A record only leaves the outbox once the
+// server acknowledges the save (or rejects it outright with a non-retryable
+// error); transient failures bump the record's backoff and an alarm-driven
+// drain in background.js retries it later, surviving service-worker teardown.
+//
+// Records are keyed by normalized URL, same as pending-saves.js, so re-saving
+// a page that is still queued replaces the queued payload instead of stacking
+// two POSTs — and so the newtab can cancel a queued save from its optimistic
+// tile, which only knows the URL.
+
+import { normalizeUrl } from './bookmark-reader.js';
+
+export const SAVE_OUTBOX_KEY = 'saveit_saveOutbox';
+
+// Backoff between delivery attempts: 1 min, 2 min, 4 min, … capped at 1 hour.
+// Chrome clamps alarms to a 30s minimum anyway, so sub-minute retries would
+// not fire sooner. Once the cap is reached the record keeps retrying hourly —
+// a save is only ever dropped on a non-retryable server rejection.
+export const OUTBOX_INITIAL_RETRY_MS = 60 * 1000;
+export const OUTBOX_MAX_RETRY_MS = 60 * 60 * 1000;
+
+// Delay before the next attempt after `attempts` failed deliveries.
+export function getOutboxRetryDelayMs(attempts) {
+  const exponent = Math.max(0, (Number(attempts) || 0) - 1);
+  return Math.min(OUTBOX_INITIAL_RETRY_MS * (2 ** exponent), OUTBOX_MAX_RETRY_MS);
+}
+
+// Whether a failed save is worth retrying: only when the server was never
+// reached, or answered with a transient status. fetch() rejects with a
+// TypeError when the network is unreachable; 408/425/429 and 5xx are
+// transient server-side conditions. Anything else — another 4xx, a cancelled
+// or failed sign-in, a rejected session exchange — fails identically on
+// every retry, so it's surfaced instead of queued.
+export function isRetryableSaveError(error) {
+  const status = error?.status;
+  if (typeof status === 'number') {
+    return status === 408 || status === 425 || status === 429 || status >= 500;
+  }
+  return error instanceof TypeError;
+}
+
+// Read all queued saves as an object keyed by normalized url.
+// Returns {} when none exist or storage is unavailable.
+export async function getOutboxSaves(storage) {
+  if (!storage?.get) {
+    return {};
+  }
+  const result = await storage.get(SAVE_OUTBOX_KEY);
+  const records = result?.[SAVE_OUTBOX_KEY];
+  if (!records || typeof records !== 'object') {
+    return {};
+  }
+  return records;
+}
+
+// Queue a save payload (the buildPageData POST body). The first attempt is
+// made inline by the caller, so the record is scheduled one backoff step out —
+// that keeps an alarm-driven drain from racing the inline attempt with a
+// duplicate POST. Returns the stored record, or null when nothing was queued.
+export async function enqueueOutboxSave(storage, payload, { now = Date.now() } = {}) {
+  if (!storage?.get || !storage?.set || !payload?.url) {
+    return null;
+  }
+  const key = normalizeUrl(payload.url);
+  if (!key) {
+    return null;
+  }
+  const records = await getOutboxSaves(storage);
+  const record = {
+    url: payload.url,
+    payload,
+    enqueued_at: new Date(now).toISOString(),
+    attempts: 0,
+    next_attempt_at: now + OUTBOX_INITIAL_RETRY_MS,
+    last_error: null
+  };
+  records[key] = record;
+  await storage.set({ [SAVE_OUTBOX_KEY]: records });
+  return record;
+}
+
+// Record a failed delivery and push the record's next attempt out by the
+// backoff for its new attempt count. No-op if the record was removed in the
+// meantime (acknowledged by a concurrent drain, or cancelled from the newtab).
+export async function recordOutboxFailure(storage, url, error, { now = Date.now() } = {}) {
+  if (!storage?.get || !storage?.set) {
+    return null;
+  }
+  const key = normalizeUrl(url);
+  const records = await getOutboxSaves(storage);
+  const record = key ? records[key] : null;
+  if (!record) {
+    return null;
+  }
+  const attempts = (Number(record.attempts) || 0) + 1;
+  records[key] = {
+    ...record,
+    attempts,
+    next_attempt_at: now + getOutboxRetryDelayMs(attempts),
+    last_error: error?.message || String(error || '') || null
+  };
+  await storage.set({ [SAVE_OUTBOX_KEY]: records });
+  return records[key];
+}
+
+// Remove a queued save by url (normalized). Safe if it doesn't exist.
+export async function removeOutboxSave(storage, url) {
+  if (!storage?.get || !storage?.remove) {
+    return;
+  }
+  const key = normalizeUrl(url);
+  if (!key) {
+    return;
+  }
+  const records = await getOutboxSaves(storage);
+  if (!(key in records)) {
+    return;
+  }
+  delete records[key];
+  if (Object.keys(records).length === 0) {
+    await storage.remove(SAVE_OUTBOX_KEY);
+  } else {
+    await storage.set({ [SAVE_OUTBOX_KEY]: records });
+  }
+}
+
+// Records whose next attempt is due, oldest first so a drain delivers saves in
+// the order the user made them.
+export async function getDueOutboxSaves(storage, { now = Date.now() } = {}) {
+  const records = await getOutboxSaves(storage);
+  return Object.values(records)
+    .filter(record => record?.payload && (Number(record.next_attempt_at) || 0) <= now)
+    .sort((a, b) => String(a.enqueued_at || '').localeCompare(String(b.enqueued_at || '')));
+}
+
+// Earliest next_attempt_at across all records, or null when the outbox is
+// empty. The background arms its retry alarm for this time.
+export async function getNextOutboxAttemptAt(storage) {
+  const records = Object.values(await getOutboxSaves(storage));
+  if (records.length === 0) {
+    return null;
+  }
+  return Math.min(...records.map(record => Number(record?.next_attempt_at) || 0));
+}
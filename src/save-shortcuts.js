@@ -0,0 +1,111 @@
+// save-shortcuts.js - Keyboard commands and right-click menus for saving.
+//
+// Saving used to mean opening the toolbar popup. The manifest now declares two
+// commands (users rebind them on the browser's extension-shortcuts page) and
+// the background registers context menus on pages and links. This module holds
+// the pure parts — menu layout, click decoding and the last-used project
+// record — so background.js only wires them to savePageFromTab.
+
+export const SAVE_PAGE_COMMAND = 'save-current-page';
+export const SAVE_TO_LAST_PROJECT_COMMAND = 'save-to-last-project';
+
+// The project the user last saved into, from any surface. Read by the
+// "save to last-used project" command.
+export const LAST_USED_PROJECT_KEY = 'saveit_lastUsedProjectId';
+
+const SAVE_PAGE_MENU_ID = 'save-page';
+const SAVE_LINK_MENU_ID = 'save-link';
+const HIGHLIGHT_SAVE_MENU_ID = 'highlight-save';
+const SAVE_PAGE_TO_PROJECT_MENU_ID = 'save-page-to-project';
+const SAVE_LINK_TO_PROJECT_MENU_ID = 'save-link-to-project';
+
+// Child ids are "<parent>:<projectId>". Parent ids have no ':', so splitting
+// on the first one recovers both halves whatever the project id contains.
+const PROJECT_MENU_SEPARATOR = ':';
+
+// createProperties for every menu item, in creation order (parents before
+// their children). 'page' items only show when the click isn't on a link or
+// a selection, so a right-click offers the page, link or highlight variant,
+// never two. The project submenus are left out entirely when there are no
+// projects.
+export function buildSaveContextMenus(projects = []) {
+  const liveProjects = (Array.isArray(projects) ? projects : [])
+    .filter(project => project?.id && project.archived !== true);
+
+  const menus = [
+    { id: SAVE_PAGE_MENU_ID, title: 'Save page to Newtab', contexts: ['page'] },
+    { id: SAVE_LINK_MENU_ID, title: 'Save link to Newtab', contexts: ['link'] },
+    { id: HIGHLIGHT_SAVE_MENU_ID, title: 'Highlight && save', contexts: ['selection'] }
+  ];
+
+  if (!liveProjects.length) {
+    return menus;
+  }
+
+  [
+    { parentId: SAVE_PAGE_TO_PROJECT_MENU_ID, title: 'Save page to project', contexts: ['page'] },
+    { parentId: SAVE_LINK_TO_PROJECT_MENU_ID, title: 'Save link to project', contexts: ['link'] }
+  ].forEach(({ parentId, title, contexts }) => {
+    menus.push({ id: parentId, title, contexts });
+    liveProjects.forEach(project => {
+      menus.push({
+        id: `${parentId}${PROJECT_MENU_SEPARATOR}${project.id}`,
+        parentId,
+        title: project.name || 'Untitled project',
+        contexts
+      });
+    });
+  });
+
+  return menus;
+}
+
+// Decode a contextMenus.onClicked event into what to save. Returns null for
+// clicks on items this module didn't create (or on a submenu parent).
+//   { target: 'page', projectId } — save the tab the menu was opened on.
+//     "Highlight & save" is a page save too: the capture picks up the
+//     selection it was opened on as a highlight.
+//   { target: 'link', url, title, projectId } — save the link's URL; the page
+//     behind it was never loaded, so there is nothing to capture.
+export function resolveSaveContextMenuClick(info = {}) {
+  const menuItemId = String(info.menuItemId || '');
+  const separatorIndex = menuItemId.indexOf(PROJECT_MENU_SEPARATOR);
+  const baseId = separatorIndex === -1 ? menuItemId : menuItemId.slice(0, separatorIndex);
+  const projectId = separatorIndex === -1 ? null : menuItemId.slice(separatorIndex + 1) || null;
+
+  if (baseId === SAVE_PAGE_MENU_ID || baseId === HIGHLIGHT_SAVE_MENU_ID
+    || (baseId === SAVE_PAGE_TO_PROJECT_MENU_ID && projectId)) {
+    return { target: 'page', projectId };
+  }
+
+  if (baseId === SAVE_LINK_MENU_ID || (baseId === SAVE_LINK_TO_PROJECT_MENU_ID && projectId)) {
+    if (!info.linkUrl) {
+      return null;
+    }
+    return {
+      target: 'link',
+      url: info.linkUrl,
+      // Firefox reports the anchor text; Chrome only has a selection, if any.
+      title: (info.linkText || info.selectionText || '').trim() || info.linkUrl,
+      projectId
+    };
+  }
+
+  return null;
+}
+
+export async function getLastUsedProjectId(storage) {
+  if (!storage?.get) {
+    return null;
+  }
+  const result = await storage.get(LAST_USED_PROJECT_KEY);
+  const projectId = result?.[LAST_USED_PROJECT_KEY];
+  return typeof projectId === 'string' && projectId ? projectId : null;
+}
+
+export async function setLastUsedProjectId(storage, projectId) {
+  if (!storage?.set || !projectId) {
+    return;
+  }
+  await storage.set({ [LAST_USED_PROJECT_KEY]: projectId });
+}
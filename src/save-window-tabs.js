@@ -0,0 +1,41 @@
+// save-window-tabs.js - Capture a research session: every tab in a window.
+//
+// The popup's "Save all tabs" action sends one saveWindowTabs message; the
+// background queries the window, filters it here and posts the lot through
+// the bulk-import endpoint in a single round-trip. Filtering uses the same
+// rules as a browser-bookmark import (bookmark-reader.js), so internal pages
+// (chrome://, about:, the new tab itself) never reach the backend.
+
+import { isImportableUrl, normalizeUrl } from './bookmark-reader.js';
+
+// Turn tabs.query results into the bulk-import bookmark shape. Pinned tabs
+// count — they're often the reference pages the session is built around.
+// Duplicates (the same page open twice) are sent once, in tab order.
+export function collectWindowTabBookmarks(tabs = []) {
+  const seen = new Set();
+  const bookmarks = [];
+
+  for (const tab of Array.isArray(tabs) ? tabs : []) {
+    const url = tab?.url;
+    if (!isImportableUrl(url)) {
+      continue;
+    }
+    const key = normalizeUrl(url);
+    if (seen.has(key)) {
+      continue;
+    }
+    seen.add(key);
+    bookmarks.push({ url, title: tab.title || url });
+  }
+
+  return bookmarks;
+}
+
+// Name for the project a session is saved into when the user doesn't pick
+// one: "Session Oct 19, 14:05". The time keeps two sessions on the same day
+// apart in the sidebar.
+export function buildSessionProjectName(date = new Date()) {
+  const day = date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  const time = date.toLocaleTimeString('en-GB', { hour: '2-digit', minute: '2-digit' });
+  return `Session ${day}, ${time}`;
+}
@@ -85,6 +85,26 @@ export const markSavedPagesCacheStale = storage =>
 export const markDomainsCacheStale = storage =>
   markCacheStaleForPrefix(storage, DOMAINS_CACHE_PREFIX);
 
+// Look a page up by id across every cached saved-pages list (any scope,
+// fresh or stale). For pages outside the newtab — the reader view — that want
+// the page's enrichment (summary, title) without a network round-trip.
+// Returns null when no cached list holds the page.
+export async function findCachedSavedPage(storage, pageId) {
+  if (!storage?.get || !pageId) {
+    return null;
+  }
+
+  const storageEntries = await storage.get(null);
+  for (const key of getSavedPagesCacheKeys(storageEntries)) {
+    const pages = storageEntries[key]?.response?.pages;
+    const page = Array.isArray(pages) ? pages.find(entry => entry?.id === pageId) : null;
+    if (page) {
+      return page;
+    }
+  }
+  return null;
+}
+
 // Mark every surface cache the toolbar save path can affect stale, without
 // deleting the cached data. Use this on the common save + realtime-enrichment
 // relay paths so a save between newtab sessions doesn't destroy the warm cache
@@ -0,0 +1,81 @@
+// search-highlight.js - Showing why a card matched a search.
+//
+// The drawer's text search looks through a page's title, summaries, tags,
+// notes and address (getDrawerSearchableText), so a card alone doesn't say
+// which of them matched. These helpers mark the search terms where the card
+// shows them, cut a short passage around the match out of the long AI
+// summary, and name the fields that matched, for semantic results that were
+// found by meaning and may not show the words at all.
+
+import { escapeHtml } from './newtab-shared.js';
+import { escapeRegExp, PAGE_SEARCH_FIELDS } from './page-fields.js';
+import { parseSearchQuery } from './search-query.js';
+
+// Characters either side of the match in a summary snippet.
+export const SNIPPET_RADIUS = 80;
+
+// The words and phrases a query searches the text for, lower-cased, longest
+// first so a phrase is marked whole rather than word by word. Operators and
+// negated terms aren't looked for in the text, so they aren't marked.
+export function getSearchHighlightTerms(query = '') {
+  const terms = new Set(parseSearchQuery(query)
+    .filter(clause => clause.field === 'text' && !clause.negated)
+    .map(clause => clause.value.toLowerCase())
+    .filter(Boolean));
+  return Array.from(terms).sort((a, b) => b.length - a.length);
+}
+
+function getTermsPattern(terms) {
+  return terms.length ? new RegExp(`(${terms.map(escapeRegExp).join('|')})`, 'gi') : null;
+}
+
+// `text` as HTML with every term wrapped in <mark>. Plain escaped text when
+// there are no terms.
+export function highlightText(text = '', terms = []) {
+  const pattern = getTermsPattern(terms);
+  if (!pattern || !text) {
+    return escapeHtml(text);
+  }
+  // split() with a capturing group puts the matches at the odd indexes.
+  return String(text)
+    .split(pattern)
+    .map((part, index) => (index % 2 === 1
+      ? `<mark class="search-highlight">${escapeHtml(part)}</mark>`
+      : escapeHtml(part)))
+    .join('');
+}
+
+// A short passage of `text` around the first term it contains, cut at word
+// breaks, with an ellipsis where it was cut. Empty when no term is in it.
+export function getMatchSnippet(text = '', terms = [], { radius = SNIPPET_RADIUS } = {}) {
+  const pattern = getTermsPattern(terms);
+  const match = pattern && text ? pattern.exec(text) : null;
+  if (!match) {
+    return '';
+  }
+  let start = Math.max(0, match.index - radius);
+  let end = Math.min(text.length, match.index + match[0].length + radius);
+  if (start > 0) {
+    const space = text.indexOf(' ', start);
+    start = space !== -1 && space < match.index ? space + 1 : start;
+  }
+  if (end < text.length) {
+    const space = text.lastIndexOf(' ', end);
+    end = space > match.index + match[0].length ? space : end;
+  }
+  return `${start > 0 ? '…' : ''}${text.slice(start, end).trim()}${end < text.length ? '…' : ''}`;
+}
+
+// The fields of `page` any term appears in: 'title', 'summary', 'tags',
+// 'notes' and 'site', in that order.
+export function getMatchedFields(page, terms = []) {
+  if (!page || !terms.length) {
+    return [];
+  }
+  return PAGE_SEARCH_FIELDS
+    .filter(({ getText }) => {
+      const text = getText(page).filter(Boolean).join(' ').toLowerCase();
+      return terms.some(term => text.includes(term));
+    })
+    .map(({ label }) => label);
+}
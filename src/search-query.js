@@ -0,0 +1,151 @@
+// search-query.js - Operators in the drawer search box.
+//
+// The box takes free text plus a few operators:
+//
+//   site:github.com   tag:"machine learning"   project:Research
+//   is:pinned  is:private  is:unread  is:read  is:archived
+//   before:2026-01-01  after:2025-06-30
+//
+// Any term can be negated with a leading "-", and "quoted phrases" match as a
+// whole. parseSearchQuery turns the box into clauses; matchesSearchQuery tests
+// a page against them. Only the free text left over (getSearchQueryText) goes
+// to semantic search, which has no notion of the operators — the drawer holds
+// its results to the operator clauses instead (matchesSearchQuery with
+// `operatorsOnly`). Something that looks like an operator but isn't one
+// (`foo:bar`, `before:someday`) is searched for as plain text.
+
+import { getPageSavedTime, isDateString } from './page-fields.js';
+import { getPageReadState } from './page-read-state.js';
+
+// How close a semantic match has to be (the search endpoint's similarity
+// threshold). The drawer searches at the default unless the user, or the
+// smart collection they opened, picked another.
+export const DEFAULT_SEMANTIC_THRESHOLD = 0.58;
+
+export const SEMANTIC_THRESHOLD_OPTIONS = [
+  { value: 0.5, label: 'Broad' },
+  { value: DEFAULT_SEMANTIC_THRESHOLD, label: 'Balanced' },
+  { value: 0.7, label: 'Close' }
+];
+
+export function normalizeSemanticThreshold(value) {
+  const threshold = Number(value);
+  return threshold > 0 && threshold < 1 ? threshold : DEFAULT_SEMANTIC_THRESHOLD;
+}
+
+const IS_VALUES = new Set(['pinned', 'private', 'unread', 'read', 'archived']);
+// An optional "-", an optional `key:`, then a quoted phrase (the closing quote
+// may be missing while the user is still typing) or a bare word.
+const TOKEN_PATTERN = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+
+function isValidOperator(field, value) {
+  switch (field) {
+    case 'site':
+    case 'tag':
+    case 'project':
+      return Boolean(value);
+    case 'is':
+      return IS_VALUES.has(value.toLowerCase());
+    case 'before':
+    case 'after':
+      return isDateString(value);
+    default:
+      return false;
+  }
+}
+
+// [{ field, value, negated }], where field is 'text' for free text and the
+// operator name otherwise.
+export function parseSearchQuery(query = '') {
+  const clauses = [];
+  for (const match of String(query).matchAll(TOKEN_PATTERN)) {
+    const [token, minus, rawField, phrase, word] = match;
+    const negated = minus === '-';
+    const value = (phrase ?? word ?? '').trim();
+    const field = rawField?.toLowerCase();
+
+    if (field && isValidOperator(field, value)) {
+      clauses.push({ field, value: field === 'is' ? value.toLowerCase() : value, negated });
+      continue;
+    }
+    // Not an operator: the whole token (less its "-") is text.
+    const text = field ? token.slice(minus.length).replace(/"/g, '').trim() : value;
+    if (text) {
+      clauses.push({ field: 'text', value: text, negated });
+    }
+  }
+  return clauses;
+}
+
+// The free text semantic search should look for: the positive text terms and
+// phrases, without operators or negations.
+export function getSearchQueryText(clauses = []) {
+  return clauses
+    .filter(clause => clause.field === 'text' && !clause.negated)
+    .map(clause => clause.value)
+    .join(' ');
+}
+
+export function hasSearchOperators(clauses = []) {
+  return clauses.some(clause => clause.field !== 'text' || clause.negated);
+}
+
+function getPageHost(page) {
+  if (page?.domain) {
+    return String(page.domain).toLowerCase().replace(/^www\./, '');
+  }
+  try {
+    return new URL(page?.url).hostname.toLowerCase().replace(/^www\./, '');
+  } catch {
+    return '';
+  }
+}
+
+function matchesClause(page, clause, { searchableText, projects }) {
+  const value = clause.value.toLowerCase();
+  switch (clause.field) {
+    case 'site': {
+      const host = getPageHost(page);
+      const site = value.replace(/^www\./, '');
+      return host === site || host.endsWith(`.${site}`);
+    }
+    case 'tag':
+      return [
+        ...(page?.manual_tags || []),
+        page?.primary_classification_label,
+        ...(page?.classifications || []).map(classification => classification?.label)
+      ].some(tag => tag && String(tag).toLowerCase() === value);
+    case 'project': {
+      const projectIds = new Set(page?.project_ids || []);
+      return projects.some(project => projectIds.has(project.id)
+        && (String(project.name || '').toLowerCase() === value || project.id === clause.value));
+    }
+    case 'is':
+      if (value === 'pinned') return page?.pinned === true;
+      if (value === 'private') return page?.private === true;
+      return getPageReadState(page) === value;
+    case 'before':
+      return getPageSavedTime(page) < new Date(`${clause.value}T00:00:00`).getTime();
+    case 'after':
+      return getPageSavedTime(page) > new Date(`${clause.value}T23:59:59.999`).getTime();
+    default:
+      return searchableText.includes(value);
+  }
+}
+
+// Whether `page` satisfies every clause. `searchableText` is the page's
+// lower-cased haystack for text clauses; `projects` resolves project: names.
+// With `operatorsOnly`, positive text is skipped (for semantic matches, which
+// were found by meaning rather than by the words).
+export function matchesSearchQuery(page, clauses = [], {
+  searchableText = '',
+  projects = [],
+  operatorsOnly = false
+} = {}) {
+  return clauses.every(clause => {
+    if (operatorsOnly && clause.field === 'text' && !clause.negated) {
+      return true;
+    }
+    return matchesClause(page, clause, { searchableText, projects }) !== clause.negated;
+  });
+}
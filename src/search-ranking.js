@@ -0,0 +1,101 @@
+// search-ranking.js - One ranked result list for a drawer search.
+//
+// A search has two sources: the saved pages whose text matches the query
+// (keyword matches, found in memory by applyDrawerFilters) and the pages
+// semantic search found by meaning (searchContent). Each is ranked on its
+// own terms — keyword matches by a field-weighted score, semantic matches in
+// the order the endpoint returned them — and the two rankings are merged with
+// reciprocal rank fusion: a page scores 1 / (k + rank) in every list it
+// appears in, and the sums decide the order. A page both sources found rises
+// above one only either found, and neither source's raw scores need to be
+// comparable. Each result remembers which signal found it, for the drawer's
+// "Show match signals" toggle.
+
+import { escapeRegExp, PAGE_SEARCH_FIELDS } from './page-fields.js';
+
+// The usual RRF constant. Larger values flatten the difference between the
+// top ranks and the rest.
+export const RRF_K = 60;
+
+// Keyword matches past this rank add almost nothing to a fused score, and a
+// broad word can match most of the library.
+export const MAX_KEYWORD_CANDIDATES = 50;
+
+export const MATCH_SIGNAL_LABELS = {
+  keyword: 'Keyword',
+  semantic: 'Semantic',
+  both: 'Keyword + semantic'
+};
+
+// How well `page` matches the (lower-cased) search terms. A term found in a
+// field scores the field's weight, and half as much again when it starts a
+// word there rather than sitting inside one.
+export function scoreKeywordMatch(page, terms = []) {
+  if (!page || !terms.length) {
+    return 0;
+  }
+  const fields = PAGE_SEARCH_FIELDS.map(({ weight, getText }) => ({
+    weight,
+    text: getText(page).filter(Boolean).join(' ').toLowerCase()
+  }));
+  return terms.reduce((total, term) => {
+    const wordStart = new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(term)}`, 'u');
+    return total + fields.reduce((sum, { weight, text }) => {
+      if (!text.includes(term)) {
+        return sum;
+      }
+      return sum + (wordStart.test(text) ? weight * 1.5 : weight);
+    }, 0);
+  }, 0);
+}
+
+// The pages that match any term, best first. Ties keep their incoming order.
+export function rankKeywordMatches(pages = [], terms = []) {
+  const normalizedTerms = terms.map(term => String(term).toLowerCase()).filter(Boolean);
+  return pages
+    .map((page, index) => ({ page, index, score: scoreKeywordMatch(page, normalizedTerms) }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => (b.score - a.score) || (a.index - b.index))
+    .map(({ page }) => page);
+}
+
+// Reciprocal rank fusion of the keyword and semantic rankings, one entry per
+// page id: [{ page, score, keywordRank, semanticRank }], best first, ranks
+// 1-based or null. The keyword copy of a page wins, since it's the drawer's
+// own (and so freshest) copy.
+export function fuseSearchResults({ keyword = [], semantic = [] } = {}, { k = RRF_K } = {}) {
+  const entries = new Map();
+  const add = (pages, rankField) => {
+    pages.forEach((page, index) => {
+      if (!page?.id) {
+        return;
+      }
+      const entry = entries.get(page.id) || {
+        page,
+        score: 0,
+        keywordRank: null,
+        semanticRank: null,
+        order: entries.size
+      };
+      if (entry[rankField] === null) {
+        entry[rankField] = index + 1;
+        entry.score += 1 / (k + index + 1);
+      }
+      entries.set(page.id, entry);
+    });
+  };
+  add(keyword, 'keywordRank');
+  add(semantic, 'semanticRank');
+
+  return Array.from(entries.values())
+    .sort((a, b) => (b.score - a.score) || (a.order - b.order))
+    .map(({ page, score, keywordRank, semanticRank }) => ({ page, score, keywordRank, semanticRank }));
+}
+
+// 'keyword', 'semantic' or 'both': which signal found a fused result.
+export function getMatchSignal(result) {
+  if (result?.keywordRank && result?.semanticRank) {
+    return 'both';
+  }
+  return result?.keywordRank ? 'keyword' : 'semantic';
+}
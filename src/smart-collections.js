@@ -0,0 +1,181 @@
+// smart-collections.js - Saved searches listed in the sidebar.
+//
+// A smart collection is a search the user wants to come back to: the query
+// box (text and operators, see search-query.js), the list filters
+// (page-list-filters.js) and the semantic threshold, under a name. Opening one
+// puts all three back on the All pages view. Nothing is stored per page, so a
+// collection's count is worked out live from the pages the drawer holds, and
+// it stays current as pages are saved, read or retagged.
+//
+// Collections are kept in browser.storage.local in the order the user gave
+// them; pinned ones are listed first. The JSON backup carries them alongside
+// projects (bookmark-export.toJsonBackup / bookmark-import.parseBackupJson).
+
+import {
+  createDefaultPageListFilters,
+  isDefaultPageListFilters,
+  matchesPageFacets,
+  normalizePageListFilters
+} from './page-list-filters.js';
+import { matchesSearchQuery, normalizeSemanticThreshold, parseSearchQuery } from './search-query.js';
+
+export const SMART_COLLECTIONS_KEY = 'smartCollections';
+
+// Sidebar rows carry `search:<id>`, next to the projects' ids and the
+// `domain:` rows.
+export const SMART_COLLECTION_SCOPE_PREFIX = 'search:';
+
+export function getSmartCollectionScopeId(id) {
+  return `${SMART_COLLECTION_SCOPE_PREFIX}${id}`;
+}
+
+export function getSmartCollectionIdFromScope(scopeId = '') {
+  return scopeId.startsWith(SMART_COLLECTION_SCOPE_PREFIX)
+    ? scopeId.slice(SMART_COLLECTION_SCOPE_PREFIX.length)
+    : null;
+}
+
+function createCollectionId() {
+  return globalThis.crypto?.randomUUID?.()
+    || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// A collection, or null when there's nothing to save (no id, or neither a
+// query nor a filter).
+export function normalizeSmartCollection(collection = {}) {
+  const id = typeof collection?.id === 'string' ? collection.id.trim() : '';
+  const query = typeof collection?.query === 'string' ? collection.query.trim() : '';
+  const filters = normalizePageListFilters(collection?.filters);
+  if (!id || (!query && isDefaultPageListFilters(filters))) {
+    return null;
+  }
+  const name = typeof collection.name === 'string' ? collection.name.trim() : '';
+  return {
+    id,
+    name: name || query || 'Saved search',
+    query,
+    filters,
+    threshold: normalizeSemanticThreshold(collection.threshold),
+    pinned: collection.pinned === true
+  };
+}
+
+// Valid collections in their stored order, the first of any repeated id kept.
+export function normalizeSmartCollections(collections = []) {
+  const seen = new Set();
+  return (Array.isArray(collections) ? collections : [])
+    .map(normalizeSmartCollection)
+    .filter(collection => {
+      if (!collection || seen.has(collection.id)) {
+        return false;
+      }
+      seen.add(collection.id);
+      return true;
+    });
+}
+
+export function createSmartCollection({
+  name = '',
+  query = '',
+  filters = createDefaultPageListFilters(),
+  threshold
+} = {}, { createId = createCollectionId } = {}) {
+  return normalizeSmartCollection({ id: createId(), name, query, filters, threshold });
+}
+
+// Sidebar order: pinned first, each group in stored order.
+export function orderSmartCollections(collections = []) {
+  return [
+    ...collections.filter(collection => collection.pinned),
+    ...collections.filter(collection => !collection.pinned)
+  ];
+}
+
+// The list after moving `id` one place up (-1) or down (+1) in the sidebar
+// order. The sidebar order is stored as it now stands, so what the user sees
+// is what they moved.
+export function moveSmartCollection(collections = [], id, delta) {
+  const ordered = orderSmartCollections(collections);
+  const index = ordered.findIndex(collection => collection.id === id);
+  const target = index + delta;
+  if (index === -1 || target < 0 || target >= ordered.length) {
+    return collections;
+  }
+  const next = [...ordered];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+}
+
+export function updateSmartCollection(collections = [], id, changes = {}) {
+  return collections.map(collection => (
+    collection.id === id ? normalizeSmartCollection({ ...collection, ...changes, id }) || collection : collection
+  ));
+}
+
+// Fold imported collections into `existing`: ids already present keep the
+// local copy, and new ones are added at the end.
+export function mergeSmartCollections(existing = [], incoming = []) {
+  const ids = new Set(existing.map(collection => collection.id));
+  return [
+    ...existing,
+    ...normalizeSmartCollections(incoming).filter(collection => !ids.has(collection.id))
+  ];
+}
+
+function filtersEqual(a, b) {
+  const left = normalizePageListFilters(a);
+  const right = normalizePageListFilters(b);
+  return Object.keys(left).every(key => left[key] === right[key]);
+}
+
+// The collection the drawer is showing, if its search, filters and threshold
+// are exactly one collection's on the All pages view.
+export function findActiveSmartCollection(collections = [], {
+  query = '',
+  listFilters,
+  semanticThreshold,
+  scoped = false
+} = {}) {
+  if (scoped) {
+    return null;
+  }
+  const trimmedQuery = String(query || '').trim();
+  const threshold = normalizeSemanticThreshold(semanticThreshold);
+  return collections.find(collection => collection.query === trimmedQuery
+    && collection.threshold === threshold
+    && filtersEqual(collection.filters, listFilters)) || null;
+}
+
+// How many of `pages` the collection's query and filters match. Only the
+// pages on hand are counted; semantic matches need the server and aren't.
+export function countSmartCollectionPages(pages = [], collection, {
+  getSearchableText = () => '',
+  projects = []
+} = {}) {
+  if (!collection) {
+    return 0;
+  }
+  const clauses = parseSearchQuery(collection.query);
+  return pages.filter(page => matchesPageFacets(page, collection.filters)
+    && matchesSearchQuery(page, clauses, { searchableText: getSearchableText(page), projects })).length;
+}
+
+export async function loadSmartCollections(storage) {
+  if (!storage?.get) {
+    return [];
+  }
+  try {
+    const stored = await storage.get(SMART_COLLECTIONS_KEY);
+    return normalizeSmartCollections(stored?.[SMART_COLLECTIONS_KEY]);
+  } catch (error) {
+    console.warn('[smart-collections] Failed to load smart collections:', error?.message || error);
+    return [];
+  }
+}
+
+export async function saveSmartCollections(storage, collections) {
+  if (!storage?.set) {
+    return;
+  }
+  await storage.set({ [SMART_COLLECTIONS_KEY]: collections });
+}
@@ -40,8 +40,18 @@ export function createToastRegion({ container, documentObj = document, durationM
     }
   }
 
-  function show(message, { type } = {}) {
+  // `persist` keeps the toast up until the next show()/dismiss() — used for
+  // progress messages that are replaced as work advances. A toast that replaces
+  // one already on screen skips the slide-in, so a stream of progress updates
+  // reads as text changing in place rather than a flickering re-entry.
+  //
+  // `action` ({ label, onAction }) appends a button (e.g. "Undo") that
+  // dismisses the toast and calls onAction. `durationMs` overrides the region
+  // default for one toast, so an undo offer can stay up exactly as long as
+  // its grace period.
+  function show(message, { type, persist = false, action = null, durationMs: toastDurationMs = durationMs } = {}) {
     if (!message) return;
+    const replacingVisible = activeToast?.classList.contains('toast--visible') === true;
     dismiss();
 
     const toast = documentObj.createElement('div');
@@ -54,8 +64,9 @@ export function createToastRegion({ container, documentObj = document, durationM
     // Success and warning toasts lead with an icon; the message follows in a
     // text span so the two lay out side by side.
     const icon = type ? ICONS[type] : null;
-    if (icon) {
-      toast.innerHTML = icon;
+    const hasAction = Boolean(action?.label) && typeof action.onAction === 'function';
+    if (icon || hasAction) {
+      toast.innerHTML = icon || '';
       const text = documentObj.createElement('span');
       text.textContent = String(message);
       toast.append(text);
@@ -63,15 +74,36 @@ export function createToastRegion({ container, documentObj = document, durationM
       toast.textContent = String(message);
     }
 
+    if (hasAction) {
+      toast.classList.add('toast--actionable');
+      const button = documentObj.createElement('button');
+      button.type = 'button';
+      button.className = 'toast-action';
+      button.textContent = String(action.label);
+      button.addEventListener('click', () => {
+        if (activeToast === toast) {
+          dismiss();
+        }
+        action.onAction();
+      });
+      toast.append(button);
+    }
+
     container.replaceChildren(toast);
     activeToast = toast;
 
     // Add the visible class on the next macrotask so the slide-in transition
     // runs (the element needs to be in the layout first). Using setTimeout
     // rather than rAF keeps this controllable under fake timers in tests.
-    windowObj.setTimeout(() => toast.classList.add('toast--visible'), 0);
+    if (replacingVisible) {
+      toast.classList.add('toast--visible');
+    } else {
+      windowObj.setTimeout(() => toast.classList.add('toast--visible'), 0);
+    }
 
-    dismissTimer = windowObj.setTimeout(dismiss, durationMs);
+    if (!persist) {
+      dismissTimer = windowObj.setTimeout(dismiss, toastDurationMs);
+    }
   }
 
   return { show, dismiss };
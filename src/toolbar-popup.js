@@ -5,6 +5,11 @@ const browserApi = globalThis.browser?.runtime ? globalThis.browser : globalThis
 const saveDefaultBtn = document.getElementById('save-default-btn');
 const projectList = document.getElementById('toolbar-project-list');
 const statusEl = document.getElementById('toolbar-popup-status');
+const linkForm = document.getElementById('toolbar-link-form');
+const linkInput = document.getElementById('toolbar-link-input');
+const windowForm = document.getElementById('toolbar-window-form');
+const windowProjectSelect = document.getElementById('toolbar-window-project');
+const windowNameInput = document.getElementById('toolbar-window-name');
 
 function setStatus(message = '', state = 'info') {
   if (!statusEl) {
@@ -26,7 +31,27 @@ function send(message) {
   return sendRuntimeMessage(browserApi.runtime, message);
 }
 
+// The "Save all tabs" picker offers the same projects, after "New project".
+function renderWindowProjectOptions(projects) {
+  if (!windowProjectSelect) {
+    return;
+  }
+
+  const newProjectOption = document.createElement('option');
+  newProjectOption.value = '';
+  newProjectOption.textContent = 'New project';
+  const options = (Array.isArray(projects) ? projects : []).map((project) => {
+    const option = document.createElement('option');
+    option.value = project.id;
+    option.textContent = project.name;
+    return option;
+  });
+  windowProjectSelect.replaceChildren(newProjectOption, ...options);
+}
+
 function renderProjects(projects) {
+  renderWindowProjectOptions(projects);
+
   if (!projectList) {
     return;
   }
@@ -86,10 +111,84 @@ async function handleSave(projectId = null, loadingMessage = 'Saving...') {
   setStatus(response?.error || 'Failed to save page.', 'error');
 }
 
+// Save a pasted URL without opening it; the background validates it and has
+// the backend fetch the page.
+async function handleSaveLink() {
+  const url = linkInput?.value.trim() || '';
+  if (!url) {
+    linkInput?.focus();
+    return;
+  }
+
+  setBusy(true, 'Saving link...');
+
+  const response = await send({ action: 'saveLink', url });
+
+  if (response?.success) {
+    window.close();
+    return;
+  }
+
+  setBusy(false);
+  setStatus(response?.error || 'Failed to save link.', 'error');
+}
+
+// "Save all tabs" reads every tab's address, which needs the optional "tabs"
+// permission. The browser only shows the prompt from a click, so this must
+// run before the handler's first await.
+function requestTabsPermission() {
+  if (typeof browserApi.permissions?.request !== 'function') {
+    return Promise.resolve(true);
+  }
+  return browserApi.permissions.request({ permissions: ['tabs'] }).catch(() => false);
+}
+
+async function handleSaveWindow() {
+  const permissionGranted = requestTabsPermission();
+  const projectId = windowProjectSelect?.value || '';
+  const projectName = windowNameInput?.value.trim() || '';
+  setBusy(true, 'Saving all tabs...');
+
+  if (!(await permissionGranted)) {
+    setBusy(false);
+    setStatus('Saving all tabs needs permission to read your tabs.', 'error');
+    return;
+  }
+
+  const response = await send({
+    action: 'saveWindowTabs',
+    ...(projectId ? { projectId } : {}),
+    ...(!projectId && projectName ? { projectName } : {})
+  });
+
+  if (response?.success) {
+    window.close();
+    return;
+  }
+
+  setBusy(false);
+  setStatus(response?.error || 'Failed to save tabs.', 'error');
+}
+
 saveDefaultBtn?.addEventListener('click', () => {
   void handleSave();
 });
 
+linkForm?.addEventListener('submit', (event) => {
+  event.preventDefault();
+  void handleSaveLink();
+});
+
+windowProjectSelect?.addEventListener('change', () => {
+  // A name only applies to a project this action creates.
+  windowNameInput?.classList.toggle('hidden', Boolean(windowProjectSelect.value));
+});
+
+windowForm?.addEventListener('submit', (event) => {
+  event.preventDefault();
+  void handleSaveWindow();
+});
+
 void loadProjects().catch((error) => {
   renderProjects([]);
   setStatus(error.message || 'Failed to load projects.', 'error');
@@ -0,0 +1,132 @@
+// topic-tree.js - The AI classification hierarchy as a browsable tree.
+//
+// Every enriched page carries `classifications` at three levels: 'general'
+// (broad area, e.g. "Computer Science"), 'domain' (specialised sub-area, e.g.
+// "Web Development") and 'topic' (a specific concept). A page may carry
+// several of each, and nothing links a domain to its general, so the tree
+// nests every domain of a page under each of its generals and every topic
+// under each of its domains — the same reading bookmark-mirror.js uses for its
+// folders. Counts are distinct pages, worked out from the pages on hand.
+//
+// A node is selected through selectedProjectId as `topic:<path>`, one
+// URI-encoded label per level; like Pinned it's a view over allPages.
+
+export const TOPIC_SCOPE_PREFIX = 'topic:';
+
+const TOPIC_LEVELS = ['general', 'domain', 'topic'];
+
+export function getTopicScopeId(path = []) {
+  return `${TOPIC_SCOPE_PREFIX}${path.map(label => encodeURIComponent(label)).join('/')}`;
+}
+
+export function isTopicScope(scopeId) {
+  return typeof scopeId === 'string' && scopeId.startsWith(TOPIC_SCOPE_PREFIX);
+}
+
+// The labels a topic scope id names, general first, or null for any other id.
+export function getTopicPathFromScope(scopeId) {
+  if (!isTopicScope(scopeId)) {
+    return null;
+  }
+  const encoded = scopeId.slice(TOPIC_SCOPE_PREFIX.length);
+  if (!encoded) {
+    return null;
+  }
+  try {
+    return encoded.split('/').map(label => decodeURIComponent(label));
+  } catch {
+    return null;
+  }
+}
+
+// A page's distinct labels at one level, in the order it carries them. The
+// primary label counts as a general one, as in bookmark-mirror.js.
+function getLevelLabels(page, type) {
+  const labels = new Set();
+  (Array.isArray(page?.classifications) ? page.classifications : []).forEach(classification => {
+    if (classification?.type === type && classification.label) {
+      labels.add(classification.label);
+    }
+  });
+  if (type === 'general' && page?.primary_classification_label) {
+    labels.add(page.primary_classification_label);
+  }
+  return Array.from(labels);
+}
+
+// Whether `page` sits under the node `path` names.
+export function pageMatchesTopicPath(page, path = []) {
+  return path.length > 0
+    && path.length <= TOPIC_LEVELS.length
+    && path.every((label, index) => getLevelLabels(page, TOPIC_LEVELS[index]).includes(label));
+}
+
+// The tree for `pages`: [{ id, label, path, count, children }], biggest first
+// at every level. Pages with no general classification aren't in it.
+export function buildTopicTree(pages = []) {
+  const root = { children: [], byLabel: new Map() };
+  const pageIdsByNode = new Map();
+
+  const addPath = (page, path) => {
+    let parent = root;
+    path.forEach((label, index) => {
+      let node = parent.byLabel.get(label);
+      if (!node) {
+        const nodePath = path.slice(0, index + 1);
+        node = { id: getTopicScopeId(nodePath), label, path: nodePath, count: 0, children: [], byLabel: new Map() };
+        parent.byLabel.set(label, node);
+        parent.children.push(node);
+        pageIdsByNode.set(node, new Set());
+      }
+      const pageIds = pageIdsByNode.get(node);
+      if (!pageIds.has(page.id)) {
+        pageIds.add(page.id);
+        node.count += 1;
+      }
+      parent = node;
+    });
+  };
+
+  pages.forEach(page => {
+    if (!page?.id) {
+      return;
+    }
+    const domains = getLevelLabels(page, 'domain');
+    const topics = getLevelLabels(page, 'topic');
+    getLevelLabels(page, 'general').forEach(general => {
+      addPath(page, [general]);
+      domains.forEach(domain => {
+        addPath(page, [general, domain]);
+        topics.forEach(topic => addPath(page, [general, domain, topic]));
+      });
+    });
+  });
+
+  const toTree = nodes => nodes
+    .map(({ id, label, path, count, children }) => ({ id, label, path, count, children: toTree(children) }))
+    .sort((a, b) => (b.count - a.count) || a.label.localeCompare(b.label));
+  return toTree(root.children);
+}
+
+// The rows the sidebar shows: every top-level node and the children of each
+// expanded one, depth first. [{ id, label, count, depth, expandable, expanded }]
+export function flattenTopicTree(nodes = [], expandedIds = []) {
+  const expanded = new Set(expandedIds);
+  const rows = [];
+  const visit = (list, depth) => list.forEach(node => {
+    const isExpanded = node.children.length > 0 && expanded.has(node.id);
+    rows.push({
+      id: node.id,
+      label: node.label,
+      count: node.count,
+      depth,
+      expandable: node.children.length > 0,
+      expanded: isExpanded
+    });
+    if (isExpanded) {
+      visit(node.children, depth + 1);
+    }
+  });
+  visit(nodes, 0);
+  return rows;
+}
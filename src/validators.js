@@ -11,6 +11,17 @@ const ClassificationSchema = z.object({
   embedding: z.array(z.number()).optional()
 });
 
+/**
+ * Highlight schema - a passage the user highlighted when saving the page
+ * (page-highlights.js), with a little surrounding text for context
+ */
+const HighlightSchema = z.object({
+  text: z.string().min(1),
+  prefix: z.string().optional().default(''),
+  suffix: z.string().optional().default(''),
+  created_at: z.iso.datetime().optional()
+});
+
 /**
  * Project schema - dashboard-defined collections for saved pages
  */
@@ -58,6 +69,10 @@ export const PageSchema = z.strictObject({
   // This is safer than undefined - all usage sites handle empty arrays correctly
   manual_tags: z.array(z.string()).optional().default([]),
   project_ids: z.array(z.string()).optional().default([]),
+  highlights: z.array(HighlightSchema).optional().default([]),
+  // Missing on pages saved before read state existed; those read as unread.
+  read_state: z.enum(['unread', 'read', 'archived']).optional().default('unread'),
+  read_at: z.iso.datetime().nullable().optional(),
 
   // Internal fields
   deleted: z.boolean().optional().default(false),
@@ -121,6 +121,14 @@ export function hasRenderableWarmCache(snapshot = {}) {
   return hasWarmCachePayload(snapshot?.warmCacheState);
 }
 
+// Whether the snapshot holds every page in its scope: nothing left to page in,
+// and not cut short by maxItems (the total still counts those).
+export function hasLoadedEveryPage(snapshot = {}) {
+  const loaded = Array.isArray(snapshot?.allPages) ? snapshot.allPages.length : 0;
+  return snapshot?.hasNextPage !== true
+    && (typeof snapshot?.total !== 'number' || loaded >= snapshot.total);
+}
+
 function createInitialState() {
   return {
     allPages: [],
@@ -182,6 +190,12 @@ export class WarmCacheListStore {
     // drop stale entries when it reaches authoritative coverage. Bookkeeping
     // only — state.allPages is always the display + pagination source.
     this.refreshSession = null;
+    // Ids hidden while a delete waits out its undo grace period. The backend
+    // still returns these pages until the delete is committed, so every write
+    // to state.allPages filters them — otherwise a refresh or update check
+    // landing mid-grace would put the "deleted" card back. Survives reset()
+    // on purpose: a force reload during the grace period must not undo it.
+    this.hiddenPageIds = new Set();
   }
 
   subscribe(listener) {
@@ -618,9 +632,15 @@ export class WarmCacheListStore {
       return;
     }
 
-    this.state.allPages = Array.isArray(pages) ? pages.slice(0, this.options.maxItems) : [];
+    const visiblePages = Array.isArray(pages)
+      ? pages.filter(page => !this.hiddenPageIds.has(page?.id))
+      : [];
+    const hiddenCount = Array.isArray(pages) ? pages.length - visiblePages.length : 0;
+    this.state.allPages = visiblePages.slice(0, this.options.maxItems);
     const hasReachedCap = this.state.allPages.length >= this.options.maxItems;
-    this.state.total = typeof pagination?.total === 'number' ? pagination.total : this.state.allPages.length;
+    this.state.total = typeof pagination?.total === 'number'
+      ? Math.max(0, pagination.total - hiddenCount)
+      : this.state.allPages.length;
     this.state.hasNextPage = !hasReachedCap && pagination?.hasNextPage === true;
     this.state.nextCursor = this.state.hasNextPage ? pagination?.nextCursor || null : null;
     this.state.dataState = dataState || createDataState(
@@ -844,6 +864,52 @@ export class WarmCacheListStore {
     return this.getSnapshot();
   }
 
+  // Hide a page pending a delayed delete. Returns the snapshot restorePage
+  // needs to put it back where it was ({ page, index }), or null when the
+  // page isn't in this list.
+  async hidePage(id, { requestId = this.state.requestId } = {}) {
+    const index = id ? this.state.allPages.findIndex(page => page.id === id) : -1;
+    if (index === -1) {
+      if (id) {
+        this.hiddenPageIds.add(id);
+      }
+      return null;
+    }
+
+    const page = this.state.allPages[index];
+    this.hiddenPageIds.add(id);
+    await this.removePage(id, { requestId });
+    return { page, index };
+  }
+
+  // Undo hidePage: stop filtering the id and re-insert the snapshot at its
+  // old position (clamped, since the list may have shrunk meanwhile).
+  async restorePage(page, { index = 0, requestId = this.state.requestId } = {}) {
+    if (!page?.id) {
+      return this.getSnapshot();
+    }
+
+    this.hiddenPageIds.delete(page.id);
+    if (this.state.allPages.some(entry => entry.id === page.id)) {
+      return this.getSnapshot();
+    }
+
+    const nextPages = [...this.state.allPages];
+    nextPages.splice(Math.max(0, Math.min(index, nextPages.length)), 0, page);
+    await this.setPages(nextPages, {
+      total: typeof this.state.total === 'number' ? this.state.total + 1 : nextPages.length,
+      hasNextPage: this.state.hasNextPage,
+      nextCursor: this.state.nextCursor
+    }, { requestId });
+    return this.getSnapshot();
+  }
+
+  // The delete behind a hidePage was committed; the backend no longer returns
+  // the page, so there is nothing left to filter.
+  releaseHiddenPage(id) {
+    this.hiddenPageIds.delete(id);
+  }
+
   // Prepend an optimistic tile (a page captured at save time, before the
   // backend's async enrichment has written the real doc). The tile must carry
   // an `optimistic: true` flag so getUpdateAnchorItemId excludes it from
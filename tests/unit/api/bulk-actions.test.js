@@ -0,0 +1,117 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createApiTestHarness } from './test-api-harness.js';
+
+describe('API - bulk page actions', () => {
+  let API;
+  let harness;
+  let originalWindow;
+
+  beforeEach(() => {
+    originalWindow = { ...global.window };
+    global.window = {
+      firebaseAuth: { currentUser: { uid: 'user123' } },
+      firebaseGetIdToken: vi.fn(async () => 'token'),
+      SentryHelpers: null
+    };
+    global.debug = vi.fn();
+
+    harness = createApiTestHarness({ cloudFunctionUrl: 'https://test.run.app' });
+    API = harness.API;
+  });
+
+  afterEach(() => {
+    global.window = originalWindow;
+    vi.clearAllMocks();
+  });
+
+  function useExtensionMode() {
+    harness.setExtensionMode({ local: {} }, { id: 'test' });
+    API._cacheManager = { invalidateCache: vi.fn() };
+    API._domainsCacheManager = { invalidateCache: vi.fn() };
+    API._projectsCacheManager = { invalidateCache: vi.fn() };
+  }
+
+  it('pins every page and invalidates the saved-pages cache once for the batch', async () => {
+    useExtensionMode();
+    global.fetch = vi.fn(async () => ({ ok: true, json: async () => ({ success: true }) }));
+    const onProgress = vi.fn();
+
+    const result = await API.bulkPinPages(['p1', 'p2', 'p3'], true, { onProgress });
+
+    expect(result).toEqual({ succeeded: ['p1', 'p2', 'p3'], failed: [] });
+    expect(global.fetch).toHaveBeenCalledTimes(3);
+    expect(global.fetch).toHaveBeenCalledWith(
+      'https://test.run.app/pin',
+      expect.objectContaining({ method: 'POST', body: JSON.stringify({ id: 'p2', pinned: true }) })
+    );
+    expect(API._cacheManager.invalidateCache).toHaveBeenCalledTimes(1);
+    expect(onProgress).toHaveBeenLastCalledWith({ completed: 3, total: 3 });
+  });
+
+  it('reports per-page failures without aborting the batch', async () => {
+    useExtensionMode();
+    global.fetch = vi.fn(async (url, options) => {
+      const { id } = JSON.parse(options.body);
+      return id === 'p2'
+        ? { ok: false, status: 500, json: async () => ({ error: 'Boom' }) }
+        : { ok: true, json: async () => ({ success: true }) };
+    });
+
+    const result = await API.bulkUpdatePages(['p1', 'p2', 'p3'], { private: true });
+
+    expect(result.succeeded).toEqual(['p1', 'p3']);
+    expect(result.failed.map(entry => entry.id)).toEqual(['p2']);
+    expect(API._cacheManager.invalidateCache).toHaveBeenCalledTimes(1);
+    expect(API._domainsCacheManager.invalidateCache).toHaveBeenCalledTimes(1);
+  });
+
+  it('leaves the domains cache alone for a read-state-only update', async () => {
+    useExtensionMode();
+    global.fetch = vi.fn(async () => ({ ok: true, json: async () => ({ success: true }) }));
+
+    await API.bulkUpdatePages(['p1', 'p2'], { read_state: 'read', read_at: '2026-10-19T00:00:00.000Z' });
+
+    expect(API._cacheManager.invalidateCache).toHaveBeenCalledTimes(1);
+    expect(API._domainsCacheManager.invalidateCache).not.toHaveBeenCalled();
+  });
+
+  it('rejects optimistic ids as failures without sending them and skips invalidation when nothing succeeded', async () => {
+    useExtensionMode();
+    global.fetch = vi.fn();
+
+    const result = await API.bulkDeletePages(['optimistic:https://x.example']);
+
+    expect(result.succeeded).toEqual([]);
+    expect(result.failed).toHaveLength(1);
+    expect(global.fetch).not.toHaveBeenCalled();
+    expect(API._cacheManager.invalidateCache).not.toHaveBeenCalled();
+  });
+
+  it('adds pages to a project and invalidates the projects and saved-pages caches once', async () => {
+    useExtensionMode();
+    global.fetch = vi.fn(async () => ({ ok: true, json: async () => ({ success: true }) }));
+
+    await API.bulkAddPagesToProject('proj-1', ['p1', 'p2']);
+
+    expect(global.fetch).toHaveBeenCalledWith(
+      'https://test.run.app/projects/proj-1/pages',
+      expect.objectContaining({ method: 'POST', body: JSON.stringify({ pageId: 'p1' }) })
+    );
+    expect(API._projectsCacheManager.invalidateCache).toHaveBeenCalledTimes(1);
+    expect(API._cacheManager.invalidateCache).toHaveBeenCalledTimes(1);
+  });
+
+  it('falls back to the mock data in standalone mode', async () => {
+    harness.setStandaloneMode();
+    global.MOCK_DATA = [
+      { id: '1', title: 'Page 1' },
+      { id: '2', title: 'Page 2' },
+      { id: '3', title: 'Page 3' }
+    ];
+
+    const result = await API.bulkDeletePages(['1', '3']);
+
+    expect(result.succeeded).toEqual(['1', '3']);
+    expect(global.MOCK_DATA.filter(page => !page.deleted).map(page => page.id)).toEqual(['2']);
+  });
+});
@@ -109,7 +109,7 @@ describe('API - CRUD Operations', () => {
   });
 
   describe('deletePage', () => {
-    it('should delete from mock data in standalone mode', async () => {
+    it('should soft-delete in mock data in standalone mode', async () => {
       harness.setStandaloneMode();
       global.MOCK_DATA = [
         { id: '1', title: 'Page 1' },
@@ -120,8 +120,10 @@ describe('API - CRUD Operations', () => {
       const result = await API.deletePage('1');
 
       expect(result.success).toBe(true);
-      expect(global.MOCK_DATA).toHaveLength(1);
-      expect(global.MOCK_DATA[0].id).toBe('2');
+      expect(global.MOCK_DATA).toHaveLength(2);
+      expect(global.MOCK_DATA[0]).toMatchObject({ id: '1', deleted: true });
+      expect(global.MOCK_DATA[0].deleted_at).toEqual(expect.any(String));
+      expect(global.MOCK_DATA[1].deleted).toBeUndefined();
     });
 
     it('should call DELETE endpoint in extension mode', async () => {
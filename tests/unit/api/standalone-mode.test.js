@@ -241,6 +241,14 @@ describe('API - Standalone Mode Methods', () => {
       const sourceInResults = results.results.find(r => r.thing_id === '1');
       expect(sourceInResults).toBeUndefined();
     });
+
+    it('should hold results to a classification label when given one', () => {
+      const label = 'Nothing is classified like this';
+      const results = API._mockGetSimilarByThingId('1', 50, 0, label);
+
+      expect(results.results).toEqual([]);
+      expect(results.pagination.total).toBe(0);
+    });
   });
 
   describe('_mockSearchContent', () => {
@@ -338,6 +346,24 @@ describe('API - Standalone Mode Methods', () => {
     });
   });
 
+  describe('local vector search', () => {
+    it('answers similar and tag lookups locally and asks the server when it cannot', async () => {
+      const local = { source: { thing_id: '1' }, results: [], pagination: {} };
+      const localVectorSearch = {
+        similarToPage: vi.fn(async pageId => (pageId === '1' ? local : null)),
+        searchByLabel: vi.fn(async () => { throw new Error('worker gone'); })
+      };
+      const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+      API.setLocalVectorSearch(localVectorSearch);
+
+      expect(await API.getSimilarByThingId('1', 5, 10, 'React')).toBe(local);
+      expect(localVectorSearch.similarToPage).toHaveBeenCalledWith('1', { limit: 5, offset: 10, classificationLabel: 'React' });
+      expect((await API.getSimilarByThingId('2', 5, 0)).source.thing_id).toBe('2');
+      expect((await API.searchByTag('JavaScript')).query_label).toBe('JavaScript');
+      warn.mockRestore();
+    });
+  });
+
   describe('searchContent (standalone)', () => {
     it('should use mock content search in standalone mode', async () => {
       const results = await API.searchContent('test', { limit: 10, offset: 0, threshold: 0.1 });
@@ -0,0 +1,133 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { createApiTestHarness } from './test-api-harness.js';
+
+describe('API - trash', () => {
+  let API;
+  let harness;
+  let originalWindow;
+
+  beforeEach(() => {
+    originalWindow = { ...global.window };
+    global.window = {
+      firebaseAuth: { currentUser: { uid: 'user123' } },
+      firebaseGetIdToken: vi.fn(async () => 'token'),
+      SentryHelpers: null
+    };
+    global.debug = vi.fn();
+
+    harness = createApiTestHarness({ cloudFunctionUrl: 'https://test.run.app' });
+    API = harness.API;
+  });
+
+  afterEach(() => {
+    global.window = originalWindow;
+    delete global.MOCK_DATA;
+    vi.clearAllMocks();
+  });
+
+  function useExtensionMode() {
+    harness.setExtensionMode({ local: {} }, { id: 'test' });
+    API._cacheManager = { invalidateCache: vi.fn() };
+    API._domainsCacheManager = { invalidateCache: vi.fn() };
+    API._projectsCacheManager = { invalidateCache: vi.fn() };
+  }
+
+  describe('extension mode', () => {
+    it('lists deleted pages with the deleted filter', async () => {
+      useExtensionMode();
+      global.fetch = vi.fn(async () => ({
+        ok: true,
+        json: async () => ({ pages: [{ id: 'p1', deleted: true }], pagination: { total: 1 } })
+      }));
+
+      const result = await API.getDeletedPages({ limit: 25 });
+
+      expect(result.pages).toEqual([{ id: 'p1', deleted: true }]);
+      expect(result.pagination.total).toBe(1);
+      const url = new URL(global.fetch.mock.calls[0][0]);
+      expect(url.searchParams.get('deleted')).toBe('true');
+      expect(url.searchParams.get('limit')).toBe('25');
+    });
+
+    it('restores a page and invalidates every list it comes back into', async () => {
+      useExtensionMode();
+      global.fetch = vi.fn(async () => ({ ok: true, json: async () => ({ success: true }) }));
+
+      await API.restorePage('p1');
+
+      expect(global.fetch).toHaveBeenCalledWith(
+        'https://test.run.app/restore',
+        expect.objectContaining({ method: 'POST', body: JSON.stringify({ id: 'p1' }) })
+      );
+      expect(API._cacheManager.invalidateCache).toHaveBeenCalledTimes(1);
+      expect(API._domainsCacheManager.invalidateCache).toHaveBeenCalledTimes(1);
+      expect(API._projectsCacheManager.invalidateCache).toHaveBeenCalledTimes(1);
+    });
+
+    it('deletes a page forever with the permanent flag', async () => {
+      useExtensionMode();
+      global.fetch = vi.fn(async () => ({ ok: true, json: async () => ({ success: true }) }));
+
+      await API.deletePageForever('p1');
+
+      const [requestUrl, options] = global.fetch.mock.calls[0];
+      const url = new URL(requestUrl);
+      expect(options.method).toBe('DELETE');
+      expect(url.searchParams.get('id')).toBe('p1');
+      expect(url.searchParams.get('permanent')).toBe('true');
+      expect(API._cacheManager.invalidateCache).not.toHaveBeenCalled();
+    });
+
+    it('bulk-restores pages and invalidates the caches once for the batch', async () => {
+      useExtensionMode();
+      global.fetch = vi.fn(async () => ({ ok: true, json: async () => ({ success: true }) }));
+
+      const result = await API.bulkRestorePages(['p1', 'p2']);
+
+      expect(result).toEqual({ succeeded: ['p1', 'p2'], failed: [] });
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(API._cacheManager.invalidateCache).toHaveBeenCalledTimes(1);
+      expect(API._projectsCacheManager.invalidateCache).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('standalone mode', () => {
+    beforeEach(() => {
+      harness.setStandaloneMode();
+      global.MOCK_DATA = [
+        { id: '1', title: 'Kept' },
+        { id: '2', title: 'Deleted first', deleted: true, deleted_at: '2026-01-01T00:00:00.000Z' },
+        { id: '3', title: 'Deleted last', deleted: true, deleted_at: '2026-02-01T00:00:00.000Z' }
+      ];
+    });
+
+    it('lists only deleted pages, most recently deleted first', async () => {
+      const result = await API.getDeletedPages();
+
+      expect(result.pages.map(page => page.id)).toEqual(['3', '2']);
+      expect(result.pagination).toEqual({ total: 2, hasNextPage: false, nextCursor: null });
+    });
+
+    it('round-trips a page through delete and restore', async () => {
+      await API.deletePage('1');
+      expect((await API.getDeletedPages()).pages.map(page => page.id)).toContain('1');
+
+      const restored = await API.restorePage('1');
+
+      expect(restored).toMatchObject({ id: '1', deleted: false });
+      expect(restored.deleted_at).toBeUndefined();
+      expect((await API.getDeletedPages()).pages.map(page => page.id)).not.toContain('1');
+    });
+
+    it('refuses to restore a page that is not in the trash', async () => {
+      await expect(API.restorePage('1')).rejects.toThrow('Page not found in trash');
+    });
+
+    it('removes pages deleted forever from mock data', async () => {
+      const result = await API.bulkDeletePagesForever(['2', '3']);
+
+      expect(result.succeeded).toEqual(['2', '3']);
+      expect(global.MOCK_DATA.map(page => page.id)).toEqual(['1']);
+    });
+  });
+});
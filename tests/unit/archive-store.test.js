@@ -0,0 +1,208 @@
+import { describe, expect, it, vi } from 'vitest';
+import {
+  ARCHIVE_MODE_KEY,
+  createArchiveStore,
+  isArchiveModeEnabled,
+  setArchiveModeEnabled
+} from '../../src/archive-store.js';
+
+// Just enough of IndexedDB for archive-store.js: one database of keyPath
+// object stores with single-field indexes, get/put/delete/count requests, and
+// transactions that complete once no request is outstanding.
+function createFakeIndexedDB() {
+  const stores = new Map();
+
+  // The schema side of a store, as an upgrade sees it.
+  function getSchemaStore(name) {
+    const { indexes } = stores.get(name);
+    return {
+      indexNames: { contains: indexName => indexes.has(indexName) },
+      createIndex: (indexName, field) => { indexes.set(indexName, field); }
+    };
+  }
+
+  function createRequest(run) {
+    const request = {};
+    queueMicrotask(() => {
+      request.result = run();
+      request.onsuccess?.();
+    });
+    return request;
+  }
+
+  const db = {
+    objectStoreNames: { contains: name => stores.has(name) },
+    createObjectStore(name, { keyPath }) {
+      stores.set(name, { keyPath, records: new Map(), indexes: new Map() });
+      return getSchemaStore(name);
+    },
+    transaction(name) {
+      const { keyPath, records, indexes } = stores.get(name);
+      const transaction = {};
+      let pending = 0;
+      const track = (run) => {
+        pending += 1;
+        return createRequest(() => {
+          const result = run();
+          pending -= 1;
+          setTimeout(() => {
+            if (pending === 0 && !transaction.completed) {
+              transaction.completed = true;
+              transaction.oncomplete?.();
+            }
+          });
+          return result;
+        });
+      };
+      transaction.objectStore = () => ({
+        get: key => track(() => (records.has(key) ? structuredClone(records.get(key)) : undefined)),
+        put: value => track(() => { records.set(value[keyPath], structuredClone(value)); return value[keyPath]; }),
+        delete: key => track(() => { records.delete(key); }),
+        count: key => track(() => (records.has(key) ? 1 : 0)),
+        // Records without the field are left out, ties in key order.
+        index: indexName => ({
+          getAllKeys: () => track(() => {
+            const field = indexes.get(indexName);
+            return [...records.values()]
+              .filter(record => record[field] !== undefined)
+              .sort((a, b) => (a[field] - b[field]) || (a[keyPath] < b[keyPath] ? -1 : 1))
+              .map(record => record[keyPath]);
+          })
+        })
+      });
+      return transaction;
+    }
+  };
+
+  return {
+    stores,
+    open: vi.fn(() => {
+      const request = { transaction: { objectStore: getSchemaStore } };
+      queueMicrotask(() => {
+        request.result = db;
+        request.onupgradeneeded?.();
+        request.onsuccess?.();
+      });
+      return request;
+    })
+  };
+}
+
+const snapshot = {
+  url: 'https://example.com/Article/',
+  title: 'Article',
+  html: '<!DOCTYPE html><html><body>Archived</body></html>',
+  captured_at: '2026-10-19T10:00:00.000Z'
+};
+
+describe('archive mode setting', () => {
+  it('is off unless turned on', async () => {
+    const values = {};
+    const storage = {
+      get: vi.fn(async key => ({ [key]: values[key] })),
+      set: vi.fn(async (patch) => { Object.assign(values, patch); })
+    };
+
+    expect(await isArchiveModeEnabled(storage)).toBe(false);
+    await setArchiveModeEnabled(storage, true);
+    expect(values[ARCHIVE_MODE_KEY]).toBe(true);
+    expect(await isArchiveModeEnabled(storage)).toBe(true);
+    expect(await isArchiveModeEnabled(null)).toBe(false);
+  });
+});
+
+describe('createArchiveStore', () => {
+  it('claims a provisional snapshot for the page id the first time the page is seen', async () => {
+    const indexedDBFactory = createFakeIndexedDB();
+    const store = createArchiveStore({ indexedDBFactory });
+
+    await store.putProvisionalSnapshot(snapshot);
+    // The saved page's URL differs only by case and a trailing slash.
+    const page = { id: 'page-1', url: 'https://example.com/article' };
+
+    expect(await store.resolveSnapshotId(page)).toBe('page-1');
+    expect(await store.getSnapshot('page-1')).toEqual(expect.objectContaining({
+      key: 'page-1',
+      page_id: 'page-1',
+      url: snapshot.url,
+      html: snapshot.html
+    }));
+    // The provisional record is gone; the next lookup is by id alone.
+    expect([...indexedDBFactory.stores.get('snapshots').records.keys()]).toEqual(['page-1']);
+    expect(await store.resolveSnapshotId(page)).toBe('page-1');
+    expect(indexedDBFactory.open).toHaveBeenCalledTimes(1);
+  });
+
+  it('resolves no id for a page without a snapshot', async () => {
+    const store = createArchiveStore({ indexedDBFactory: createFakeIndexedDB() });
+
+    expect(await store.resolveSnapshotId({ id: 'page-2', url: 'https://example.com/other' })).toBeNull();
+    expect(await store.getSnapshot('page-2')).toBeNull();
+  });
+
+  it('keeps the captured article for the reader under the page id', async () => {
+    const indexedDBFactory = createFakeIndexedDB();
+    const store = createArchiveStore({ indexedDBFactory });
+
+    await store.putProvisionalArticle({
+      url: 'https://example.com/Article',
+      title: 'Article',
+      byline: 'Jane Doe',
+      content_html: '<p>Body</p>'
+    });
+    const page = { id: 'page-1', url: 'https://example.com/article/' };
+
+    expect(await store.getArticle(page)).toEqual(expect.objectContaining({
+      key: 'page-1',
+      title: 'Article',
+      byline: 'Jane Doe',
+      content_html: '<p>Body</p>'
+    }));
+    expect([...indexedDBFactory.stores.get('articles').records.keys()]).toEqual(['page-1']);
+    // Snapshots are a separate store; the article doesn't make one.
+    expect(await store.resolveSnapshotId(page)).toBeNull();
+    expect(await store.getArticle({ id: 'page-2', url: 'https://example.com/other' })).toBeNull();
+  });
+
+  it('keeps only the newest unclaimed copies', async () => {
+    const indexedDBFactory = createFakeIndexedDB();
+    const store = createArchiveStore({ indexedDBFactory });
+    let now = Date.parse('2026-10-19T10:00:00.000Z');
+    const dateNow = vi.spyOn(Date, 'now').mockImplementation(() => (now += 1000));
+
+    await store.putProvisionalSnapshot(snapshot);
+    expect(await store.resolveSnapshotId({ id: 'page-1', url: snapshot.url })).toBe('page-1');
+    for (let index = 0; index < 51; index += 1) {
+      await store.putProvisionalSnapshot({ ...snapshot, url: `https://example.com/${index}` });
+    }
+    dateNow.mockRestore();
+
+    const keys = [...indexedDBFactory.stores.get('snapshots').records.keys()];
+    // The oldest unclaimed copy went; the claimed one isn't counted.
+    expect(keys).toHaveLength(51);
+    expect(keys).toContain('page-1');
+    expect(keys).not.toContain('url:https://example.com/0');
+    expect(keys).toContain('url:https://example.com/50');
+  });
+
+  it('deletes both copies of a page', async () => {
+    const indexedDBFactory = createFakeIndexedDB();
+    const store = createArchiveStore({ indexedDBFactory });
+    const page = { id: 'page-1', url: snapshot.url };
+    await store.putProvisionalSnapshot(snapshot);
+    await store.putProvisionalArticle({ url: snapshot.url, content_html: '<p>Body</p>' });
+    await store.resolveSnapshotId(page);
+    await store.getArticle(page);
+
+    await store.deleteCopies('page-1');
+
+    expect(indexedDBFactory.stores.get('snapshots').records.size).toBe(0);
+    expect(indexedDBFactory.stores.get('articles').records.size).toBe(0);
+  });
+
+  it('rejects when IndexedDB is unavailable', async () => {
+    const store = createArchiveStore({ indexedDBFactory: null });
+
+    await expect(store.getSnapshot('page-1')).rejects.toThrow('IndexedDB is not available');
+  });
+});
@@ -0,0 +1,79 @@
+import { describe, expect, it, vi } from 'vitest';
+import { createArchivedCopyTracker, probeUrlReachable } from '../../src/archived-copies.js';
+
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('probeUrlReachable', () => {
+  it('counts any response as reachable and a network failure as not', async () => {
+    const fetchFn = vi.fn(async () => ({ type: 'opaque' }));
+
+    expect(await probeUrlReachable('https://example.com/a', { fetchFn })).toBe(true);
+    expect(fetchFn).toHaveBeenCalledWith('https://example.com/a', expect.objectContaining({
+      method: 'HEAD',
+      mode: 'no-cors'
+    }));
+
+    expect(await probeUrlReachable('https://gone.example/a', {
+      fetchFn: vi.fn(async () => { throw new TypeError('Failed to fetch'); })
+    })).toBe(false);
+  });
+});
+
+describe('createArchivedCopyTracker', () => {
+  const pages = [
+    { id: 'archived-down', url: 'https://gone.example/post' },
+    { id: 'archived-up', url: 'https://example.com/post' },
+    { id: 'not-archived', url: 'https://gone.example/other' }
+  ];
+
+  function createTracker() {
+    const archiveStore = {
+      resolveSnapshotId: vi.fn(async page => (page.id.startsWith('archived') ? page.id : null))
+    };
+    const probeUrl = vi.fn(async url => !url.startsWith('https://gone.example'));
+    const onChange = vi.fn();
+    const windowObj = { open: vi.fn() };
+    const tracker = createArchivedCopyTracker({ archiveStore, probeUrl, onChange, windowObj });
+    return { tracker, archiveStore, probeUrl, onChange, windowObj };
+  }
+
+  it('offers the archived copy only for archived pages whose URL is down', async () => {
+    const { tracker, probeUrl, onChange } = createTracker();
+
+    tracker.track(pages);
+    await flush();
+
+    expect(tracker.isAvailable('archived-down')).toBe(true);
+    expect(tracker.isAvailable('archived-up')).toBe(false);
+    expect(tracker.isAvailable('not-archived')).toBe(false);
+    expect(onChange).toHaveBeenCalledTimes(1);
+    expect(onChange).toHaveBeenCalledWith('archived-down');
+    // Pages without a snapshot are never probed.
+    expect(probeUrl).toHaveBeenCalledTimes(2);
+  });
+
+  it('checks each page once and skips optimistic tiles', async () => {
+    const { tracker, archiveStore } = createTracker();
+
+    tracker.track(pages);
+    tracker.track([...pages, { id: 'optimistic:https://example.com/new', url: 'https://example.com/new' }]);
+    await flush();
+
+    expect(archiveStore.resolveSnapshotId).toHaveBeenCalledTimes(3);
+  });
+
+  it('opens the viewer for a page', () => {
+    const { tracker, windowObj } = createTracker();
+
+    tracker.open('page/1');
+
+    expect(windowObj.open).toHaveBeenCalledWith('archive-view.html?id=page%2F1', '_blank', 'noopener');
+  });
+
+  it('does nothing without an archive store', () => {
+    const tracker = createArchivedCopyTracker({ archiveStore: null });
+
+    expect(() => tracker.track(pages)).not.toThrow();
+    expect(tracker.isAvailable('archived-down')).toBe(false);
+  });
+});
@@ -38,6 +38,14 @@ describe('buildPageData', () => {
     expect(data.projectId).toBe('p1');
   });
 
+  it('sends highlights at the page level only when there are any', () => {
+    const tab = { url: 'https://example.com', title: 'Tab' };
+    const client = { content: null, capture_method: 'none', highlights: [] };
+    const highlights = [{ text: 'quote', prefix: '', suffix: '', created_at: 't' }];
+    expect(buildPageData(tab, { client, highlights }).highlights).toEqual(highlights);
+    expect(buildPageData(tab, { client })).not.toHaveProperty('highlights');
+  });
+
   it('omits projectId when none is provided', () => {
     const tab = { url: 'https://example.com', title: 'Tab' };
     const client = { content: null, capture_method: 'none' };
@@ -471,6 +471,81 @@ describe('background startup', () => {
     });
   });
 
+  it('answers a save without waiting for the archive snapshot', async () => {
+    const onMessageAddListener = vi.fn();
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: vi.fn(async () => ({ success: true, request_id: 'request-123' }))
+    });
+    // The snapshot of a heavy page never finishes here; the save must not
+    // hang on it.
+    const executeScript = vi.fn(async ({ func }) => {
+      if (String(func).includes('__saveitArchive')) {
+        return new Promise(() => {});
+      }
+      return func ? [{ result: { title: 'Example article' } }] : [];
+    });
+
+    vi.resetModules();
+    vi.doMock('../../src/background-auth.js', () => ({
+      createBackgroundAuth: () => ({
+        signIn: vi.fn(async () => ({ user: { uid: 'user-123' }, idToken: 'token-123' })),
+        signOut: vi.fn()
+      })
+    }));
+    vi.doMock('../../src/sentry.js', () => ({
+      initSentry: vi.fn(),
+      setUser: vi.fn(),
+      setRequestId: vi.fn(),
+      captureError: vi.fn(),
+      captureMessage: vi.fn(),
+      flush: vi.fn(async () => true),
+      clearUser: vi.fn()
+    }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    globalThis.browser = {
+      runtime: {
+        id: 'test-extension',
+        getManifest: vi.fn(() => ({ version: '1.10.12', name: 'Newtab Bookmarks' })),
+        onMessage: { addListener: onMessageAddListener }
+      },
+      action: {
+        onClicked: { addListener: vi.fn() },
+        setBadgeText: vi.fn(),
+        setBadgeBackgroundColor: vi.fn()
+      },
+      identity: {
+        getRedirectURL: vi.fn(() => 'https://extension-id.extensions.allizom.org/'),
+        launchWebAuthFlow: vi.fn()
+      },
+      notifications: { create: vi.fn() },
+      scripting: { executeScript },
+      storage: {
+        local: {
+          get: vi.fn(async key => (key === 'saveit_archiveMode' ? { saveit_archiveMode: true } : {})),
+          remove: vi.fn()
+        }
+      },
+      tabs: { query: vi.fn(async () => [{ id: 7, url: 'https://example.edu/article', title: 'Example article' }]) }
+    };
+
+    await import('../../src/background.js?save-without-waiting-for-archive');
+
+    const listener = onMessageAddListener.mock.calls[0][0];
+    const sendResponse = vi.fn();
+    expect(listener({ action: 'saveCurrentPage' }, {}, sendResponse)).toBe(true);
+
+    await vi.waitFor(() => {
+      expect(sendResponse).toHaveBeenCalledWith({ success: true });
+    });
+    expect(executeScript).toHaveBeenCalledWith(expect.objectContaining({
+      func: expect.any(Function),
+      target: { tabId: 7 }
+    }));
+  });
+
   // Regression: fetchBackgroundApi returns null when the response body fails
   // to parse as JSON (truncated, gateway HTML, empty 200). savePageFromTab
   // previously treated null as success and toasted "Page saved!", leaving the
@@ -553,4 +628,563 @@ describe('background startup', () => {
       );
     });
   });
+
+  it('queues a save in the outbox and arms the retry alarm when the network is down', async () => {
+    const onMessageAddListener = vi.fn();
+    const notificationsCreate = vi.fn();
+    const alarmsCreate = vi.fn();
+    const tabsQuery = vi.fn(async () => [{
+      url: 'https://example.edu/article',
+      title: 'Example article'
+    }]);
+    // fetch rejects without a response: the browser is offline.
+    const fetchMock = vi.fn().mockRejectedValue(new TypeError('Failed to fetch'));
+    let store = {};
+    const storageLocal = {
+      get: vi.fn(async (key) => (typeof key === 'string' && key in store ? { [key]: store[key] } : {})),
+      set: vi.fn(async (entries) => { store = { ...store, ...entries }; }),
+      remove: vi.fn(async (key) => { delete store[key]; })
+    };
+
+    vi.resetModules();
+    vi.doMock('../../src/background-auth.js', () => ({
+      createBackgroundAuth: () => ({
+        signIn: vi.fn(async () => ({
+          user: { uid: 'user-123' },
+          idToken: 'token-123'
+        })),
+        signOut: vi.fn()
+      })
+    }));
+    vi.doMock('../../src/sentry.js', () => ({
+      initSentry: vi.fn(),
+      setUser: vi.fn(),
+      setRequestId: vi.fn(),
+      captureError: vi.fn(),
+      captureMessage: vi.fn(),
+      flush: vi.fn(async () => true),
+      clearUser: vi.fn()
+    }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    globalThis.browser = {
+      runtime: {
+        id: 'test-extension',
+        getManifest: vi.fn(() => ({ version: '1.10.12', name: 'Newtab Bookmarks' })),
+        onMessage: { addListener: onMessageAddListener }
+      },
+      action: {
+        onClicked: { addListener: vi.fn() },
+        setBadgeText: vi.fn(),
+        setBadgeBackgroundColor: vi.fn()
+      },
+      alarms: {
+        create: alarmsCreate,
+        clear: vi.fn(async () => true),
+        onAlarm: { addListener: vi.fn() }
+      },
+      identity: {
+        getRedirectURL: vi.fn(() => 'https://extension-id.extensions.allizom.org/'),
+        launchWebAuthFlow: vi.fn()
+      },
+      notifications: { create: notificationsCreate },
+      storage: { local: storageLocal },
+      tabs: { query: tabsQuery }
+    };
+
+    await import('../../src/background.js?save-offline-queued');
+
+    const listener = onMessageAddListener.mock.calls[0][0];
+    const sendResponse = vi.fn();
+    expect(listener({ action: 'saveCurrentPage' }, {}, sendResponse)).toBe(true);
+
+    await vi.waitFor(() => {
+      expect(sendResponse).toHaveBeenCalledWith({ success: true, queued: true });
+    });
+
+    // The save is durable in the outbox with one failed attempt recorded…
+    const outbox = Object.values(store.saveit_saveOutbox || {});
+    expect(outbox).toHaveLength(1);
+    expect(outbox[0].url).toBe('https://example.edu/article');
+    expect(outbox[0].attempts).toBe(1);
+    // …the optimistic tile is marked queued so TTL eviction leaves it alone…
+    const pending = Object.values(store.saveit_pendingSaves || {});
+    expect(pending).toHaveLength(1);
+    expect(pending[0].queued).toBe(true);
+    // …and the retry alarm is armed.
+    expect(alarmsCreate).toHaveBeenCalledWith('saveOutbox-retry', expect.objectContaining({
+      when: expect.any(Number)
+    }));
+    const titles = notificationsCreate.mock.calls.map(c => c[0]?.title);
+    expect(titles).not.toContain('Newtab - Error');
+  });
+
+  it('reports a failed sign-in during a save instead of queueing it as offline', async () => {
+    const onMessageAddListener = vi.fn();
+    const notificationsCreate = vi.fn();
+    const tabsQuery = vi.fn(async () => [{
+      url: 'https://example.edu/article',
+      title: 'Example article'
+    }]);
+    const fetchMock = vi.fn();
+    let store = {};
+    const storageLocal = {
+      get: vi.fn(async (key) => (typeof key === 'string' && key in store ? { [key]: store[key] } : {})),
+      set: vi.fn(async (entries) => { store = { ...store, ...entries }; }),
+      remove: vi.fn(async (key) => { delete store[key]; })
+    };
+
+    vi.resetModules();
+    vi.doMock('../../src/background-auth.js', () => ({
+      createBackgroundAuth: () => ({
+        // A garbled OAuth redirect fails to parse with a TypeError — the same
+        // type fetch() rejects with offline — but it is a sign-in failure.
+        signIn: vi.fn().mockRejectedValue(new TypeError('Invalid URL')),
+        signOut: vi.fn()
+      })
+    }));
+    vi.doMock('../../src/sentry.js', () => ({
+      initSentry: vi.fn(),
+      setUser: vi.fn(),
+      setRequestId: vi.fn(),
+      captureError: vi.fn(),
+      captureMessage: vi.fn(),
+      flush: vi.fn(async () => true),
+      clearUser: vi.fn()
+    }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    globalThis.browser = {
+      runtime: {
+        id: 'test-extension',
+        getManifest: vi.fn(() => ({ version: '1.10.12', name: 'Newtab Bookmarks' })),
+        onMessage: { addListener: onMessageAddListener }
+      },
+      action: {
+        onClicked: { addListener: vi.fn() },
+        setBadgeText: vi.fn(),
+        setBadgeBackgroundColor: vi.fn()
+      },
+      alarms: {
+        create: vi.fn(),
+        clear: vi.fn(async () => true),
+        onAlarm: { addListener: vi.fn() }
+      },
+      identity: {
+        getRedirectURL: vi.fn(() => 'https://extension-id.extensions.allizom.org/'),
+        launchWebAuthFlow: vi.fn()
+      },
+      notifications: { create: notificationsCreate },
+      storage: { local: storageLocal },
+      tabs: { query: tabsQuery }
+    };
+
+    await import('../../src/background.js?save-sign-in-failed');
+
+    const listener = onMessageAddListener.mock.calls[0][0];
+    const sendResponse = vi.fn();
+    expect(listener({ action: 'saveCurrentPage' }, {}, sendResponse)).toBe(true);
+
+    await vi.waitFor(() => {
+      expect(sendResponse).toHaveBeenCalledWith(expect.objectContaining({ success: false }));
+    });
+    expect(fetchMock).not.toHaveBeenCalled();
+    expect(Object.values(store.saveit_saveOutbox || {})).toHaveLength(0);
+    const messages = notificationsCreate.mock.calls.map(c => c[0]?.message);
+    expect(messages).not.toContain("You're offline — this page will be saved when the connection returns.");
+    expect(notificationsCreate.mock.calls.map(c => c[0]?.title)).toContain('Newtab - Error');
+  });
+
+  it('keeps queued saves when the session has lapsed while draining the outbox', async () => {
+    const notificationsCreate = vi.fn();
+    const alarmListeners = [];
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: false,
+      status: 401,
+      json: vi.fn(async () => ({ error: 'Session expired' }))
+    });
+    const record = {
+      url: 'https://example.edu/article',
+      payload: { url: 'https://example.edu/article', title: 'Example article', source: 'jina' },
+      enqueued_at: '2026-10-19T10:00:00.000Z',
+      attempts: 1,
+      next_attempt_at: 0,
+      last_error: null
+    };
+    let store = {
+      saveit_saveOutbox: { 'https://example.edu/article': record }
+    };
+    const storageLocal = {
+      get: vi.fn(async (key) => (typeof key === 'string' && key in store ? { [key]: store[key] } : {})),
+      set: vi.fn(async (entries) => { store = { ...store, ...entries }; }),
+      remove: vi.fn(async (key) => { delete store[key]; })
+    };
+
+    vi.resetModules();
+    vi.doMock('../../src/background-auth.js', () => ({
+      createBackgroundAuth: () => ({
+        signIn: vi.fn(async () => ({ user: { uid: 'user-123' }, idToken: 'token-123' })),
+        signOut: vi.fn()
+      })
+    }));
+    vi.doMock('../../src/sentry.js', () => ({
+      initSentry: vi.fn(),
+      setUser: vi.fn(),
+      setRequestId: vi.fn(),
+      captureError: vi.fn(),
+      captureMessage: vi.fn(),
+      flush: vi.fn(async () => true),
+      clearUser: vi.fn()
+    }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    globalThis.browser = {
+      runtime: {
+        id: 'test-extension',
+        getManifest: vi.fn(() => ({ version: '1.10.12', name: 'Newtab Bookmarks' })),
+        onMessage: { addListener: vi.fn() }
+      },
+      action: {
+        onClicked: { addListener: vi.fn() },
+        setBadgeText: vi.fn(),
+        setBadgeBackgroundColor: vi.fn()
+      },
+      alarms: {
+        create: vi.fn(),
+        clear: vi.fn(async () => true),
+        onAlarm: { addListener: listener => alarmListeners.push(listener) }
+      },
+      identity: {
+        getRedirectURL: vi.fn(() => 'https://extension-id.extensions.allizom.org/'),
+        launchWebAuthFlow: vi.fn()
+      },
+      notifications: { create: notificationsCreate },
+      storage: { local: storageLocal }
+    };
+
+    await import('../../src/background.js?drain-session-lapsed');
+
+    alarmListeners.forEach(listener => listener({ name: 'saveOutbox-retry' }));
+
+    await vi.waitFor(() => {
+      expect(fetchMock).toHaveBeenCalled();
+      expect(browser.alarms.create).toHaveBeenCalledWith('saveOutbox-retry', expect.any(Object));
+    });
+    expect(Object.values(store.saveit_saveOutbox)).toEqual([record]);
+    expect(notificationsCreate.mock.calls.map(c => c[0]?.title)).not.toContain('Newtab - Error');
+  });
+
+  it('saves a right-clicked link into a project without capturing a tab, and remembers the project', async () => {
+    const onContextMenuClicked = vi.fn();
+    const executeScript = vi.fn();
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: vi.fn(async () => ({ success: true, request_id: 'request-456' }))
+    });
+    let store = {};
+    const storageLocal = {
+      get: vi.fn(async (key) => (typeof key === 'string' && key in store ? { [key]: store[key] } : {})),
+      set: vi.fn(async (entries) => { store = { ...store, ...entries }; }),
+      remove: vi.fn(async (key) => { delete store[key]; })
+    };
+
+    vi.resetModules();
+    vi.doMock('../../src/background-auth.js', () => ({
+      createBackgroundAuth: () => ({
+        signIn: vi.fn(async () => ({
+          user: { uid: 'user-123' },
+          idToken: 'token-123'
+        })),
+        signOut: vi.fn()
+      })
+    }));
+    vi.doMock('../../src/sentry.js', () => ({
+      initSentry: vi.fn(),
+      setUser: vi.fn(),
+      setRequestId: vi.fn(),
+      captureError: vi.fn(),
+      captureMessage: vi.fn(),
+      flush: vi.fn(async () => true),
+      clearUser: vi.fn()
+    }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    globalThis.browser = {
+      runtime: {
+        id: 'test-extension',
+        getManifest: vi.fn(() => ({ version: '1.10.12', name: 'Newtab Bookmarks' })),
+        onMessage: { addListener: vi.fn() }
+      },
+      action: {
+        onClicked: { addListener: vi.fn() },
+        setBadgeText: vi.fn(),
+        setBadgeBackgroundColor: vi.fn()
+      },
+      contextMenus: {
+        create: vi.fn(),
+        removeAll: vi.fn(async () => {}),
+        onClicked: { addListener: onContextMenuClicked }
+      },
+      identity: {
+        getRedirectURL: vi.fn(() => 'https://extension-id.extensions.allizom.org/'),
+        launchWebAuthFlow: vi.fn()
+      },
+      notifications: { create: vi.fn() },
+      scripting: { executeScript },
+      storage: { local: storageLocal }
+    };
+
+    await import('../../src/background.js?save-link-context-menu');
+
+    const listener = onContextMenuClicked.mock.calls[0][0];
+    await listener(
+      { menuItemId: 'save-link-to-project:project-9', linkUrl: 'https://example.org/report' },
+      { id: 7, url: 'https://chat.example.com/thread' }
+    );
+
+    expect(executeScript).not.toHaveBeenCalled();
+    const [, request] = fetchMock.mock.calls.find(([url]) => url === 'https://saveit-5pu7ljvnuq-uc.a.run.app');
+    const body = JSON.parse(request.body);
+    expect(body).toMatchObject({
+      url: 'https://example.org/report',
+      projectId: 'project-9',
+      source: 'jina'
+    });
+    expect(body).not.toHaveProperty('title');
+    expect(body).not.toHaveProperty('client');
+    expect(store.saveit_lastUsedProjectId).toBe('project-9');
+  });
+
+  it('saves a pasted link by message, rejects non-web input, and leaves an optimistic tile', async () => {
+    const onMessage = vi.fn();
+    const fetchMock = vi.fn().mockResolvedValue({
+      ok: true,
+      status: 200,
+      json: vi.fn(async () => ({ success: true }))
+    });
+    let store = {};
+    const storageLocal = {
+      get: vi.fn(async (key) => (typeof key === 'string' && key in store ? { [key]: store[key] } : {})),
+      set: vi.fn(async (entries) => { store = { ...store, ...entries }; }),
+      remove: vi.fn(async (key) => { delete store[key]; })
+    };
+
+    vi.resetModules();
+    vi.doMock('../../src/background-auth.js', () => ({
+      createBackgroundAuth: () => ({
+        signIn: vi.fn(async () => ({
+          user: { uid: 'user-123' },
+          idToken: 'token-123'
+        })),
+        signOut: vi.fn()
+      })
+    }));
+    vi.doMock('../../src/sentry.js', () => ({
+      initSentry: vi.fn(),
+      setUser: vi.fn(),
+      setRequestId: vi.fn(),
+      captureError: vi.fn(),
+      captureMessage: vi.fn(),
+      flush: vi.fn(async () => true),
+      clearUser: vi.fn()
+    }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    globalThis.browser = {
+      runtime: {
+        id: 'test-extension',
+        getManifest: vi.fn(() => ({ version: '1.10.12', name: 'Newtab Bookmarks' })),
+        onMessage: { addListener: onMessage }
+      },
+      action: {
+        onClicked: { addListener: vi.fn() },
+        setBadgeText: vi.fn(),
+        setBadgeBackgroundColor: vi.fn()
+      },
+      identity: {
+        getRedirectURL: vi.fn(() => 'https://extension-id.extensions.allizom.org/'),
+        launchWebAuthFlow: vi.fn()
+      },
+      notifications: { create: vi.fn() },
+      storage: { local: storageLocal }
+    };
+
+    await import('../../src/background.js?save-link-message');
+
+    const listener = onMessage.mock.calls[0][0];
+    const send = message => new Promise((resolve) => {
+      expect(listener(message, {}, resolve)).toBe(true);
+    });
+
+    await expect(send({ action: 'saveLink', url: 'notes' })).resolves.toMatchObject({ success: false });
+    expect(fetchMock).not.toHaveBeenCalledWith('https://saveit-5pu7ljvnuq-uc.a.run.app', expect.anything());
+
+    await expect(send({ action: 'saveLink', url: 'example.org/long-read' })).resolves.toEqual({ success: true });
+    const [, request] = fetchMock.mock.calls.find(([url]) => url === 'https://saveit-5pu7ljvnuq-uc.a.run.app');
+    expect(JSON.parse(request.body)).toMatchObject({ url: 'https://example.org/long-read', source: 'jina' });
+
+    expect(JSON.stringify(store.saveit_pendingSaves)).toContain('https://example.org/long-read');
+  });
+
+  it('saves every web tab in the window into a new project with one bulk request', async () => {
+    const onMessage = vi.fn();
+    const fetchMock = vi.fn(async (url, request = {}) => {
+      const body = request.body ? JSON.parse(request.body) : null;
+      const json = url.endsWith('/projects') && request.method === 'POST'
+        ? { id: 'project-new', name: body.name }
+        : url.includes('/projects')
+          ? []
+          : { imported: 2, skipped: 0 };
+      return { ok: true, status: 200, json: vi.fn(async () => json) };
+    });
+    let store = {};
+    const storageLocal = {
+      get: vi.fn(async (key) => (typeof key === 'string' && key in store ? { [key]: store[key] } : {})),
+      set: vi.fn(async (entries) => { store = { ...store, ...entries }; }),
+      remove: vi.fn(async (key) => { delete store[key]; })
+    };
+
+    vi.resetModules();
+    vi.doMock('../../src/background-auth.js', () => ({
+      createBackgroundAuth: () => ({
+        signIn: vi.fn(async () => ({
+          user: { uid: 'user-123' },
+          idToken: 'token-123'
+        })),
+        signOut: vi.fn()
+      })
+    }));
+    vi.doMock('../../src/sentry.js', () => ({
+      initSentry: vi.fn(),
+      setUser: vi.fn(),
+      setRequestId: vi.fn(),
+      captureError: vi.fn(),
+      captureMessage: vi.fn(),
+      flush: vi.fn(async () => true),
+      clearUser: vi.fn()
+    }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    const notificationsCreate = vi.fn();
+    globalThis.browser = {
+      runtime: {
+        id: 'test-extension',
+        getManifest: vi.fn(() => ({ version: '1.10.12', name: 'Newtab Bookmarks' })),
+        onMessage: { addListener: onMessage }
+      },
+      action: {
+        onClicked: { addListener: vi.fn() },
+        setBadgeText: vi.fn(),
+        setBadgeBackgroundColor: vi.fn()
+      },
+      identity: {
+        getRedirectURL: vi.fn(() => 'https://extension-id.extensions.allizom.org/'),
+        launchWebAuthFlow: vi.fn()
+      },
+      notifications: { create: notificationsCreate },
+      storage: { local: storageLocal },
+      permissions: { contains: vi.fn(async () => true) },
+      tabs: {
+        query: vi.fn(async () => [
+          { url: 'chrome://extensions/', title: 'Extensions' },
+          { url: 'https://example.org/paper', title: 'Paper' },
+          { url: 'https://example.com/notes', title: 'Notes' }
+        ])
+      }
+    };
+
+    await import('../../src/background.js?save-window-tabs');
+
+    const listener = onMessage.mock.calls[0][0];
+    const response = await new Promise((resolve) => {
+      expect(listener({ action: 'saveWindowTabs', projectName: 'Reading group' }, {}, resolve)).toBe(true);
+    });
+
+    expect(response).toEqual({ success: true, imported: 2, skipped: 0, projectId: 'project-new' });
+    expect(globalThis.browser.permissions.contains).toHaveBeenCalledWith({ permissions: ['tabs'] });
+    expect(globalThis.browser.tabs.query).toHaveBeenCalledWith({ currentWindow: true });
+
+    const [, createRequest] = fetchMock.mock.calls.find(([url, request]) => url.endsWith('/projects') && request?.method === 'POST');
+    expect(JSON.parse(createRequest.body)).toEqual({ name: 'Reading group' });
+
+    const bulkRequests = fetchMock.mock.calls.filter(([url]) => url === 'https://saveit-5pu7ljvnuq-uc.a.run.app');
+    expect(bulkRequests).toHaveLength(1);
+    expect(JSON.parse(bulkRequests[0][1].body)).toEqual({
+      bulk: true,
+      projectId: 'project-new',
+      bookmarks: [
+        { url: 'https://example.org/paper', title: 'Paper' },
+        { url: 'https://example.com/notes', title: 'Notes' }
+      ]
+    });
+
+    expect(Object.values(store.saveit_pendingSaves).map(record => record.project_ids)).toEqual([
+      ['project-new'],
+      ['project-new']
+    ]);
+    expect(store.saveit_lastUsedProjectId).toBe('project-new');
+    expect(notificationsCreate).toHaveBeenCalledWith(expect.objectContaining({
+      message: 'Saved 2 tabs to "Reading group".'
+    }));
+  });
+
+  it('skips marking a page read without a session instead of prompting sign-in', async () => {
+    const onMessageAddListener = vi.fn();
+    const signIn = vi.fn(async () => ({ user: { uid: 'user-123' }, idToken: 'token-123' }));
+    const fetchMock = vi.fn();
+
+    vi.resetModules();
+    vi.doMock('../../src/session-store.js', () => ({
+      getSessionToken: vi.fn(async () => null),
+      getCurrentUserId: vi.fn(async () => null),
+      getCurrentUser: vi.fn(async () => null),
+      setSession: vi.fn(async () => {}),
+      clearSession: vi.fn(async () => {})
+    }));
+    vi.doMock('../../src/background-auth.js', () => ({
+      createBackgroundAuth: () => ({ signIn, signOut: vi.fn() })
+    }));
+    vi.doMock('../../src/sentry.js', () => ({
+      initSentry: vi.fn(),
+      setUser: vi.fn(),
+      setRequestId: vi.fn(),
+      captureError: vi.fn(),
+      captureMessage: vi.fn(),
+      flush: vi.fn(async () => true),
+      clearUser: vi.fn()
+    }));
+    vi.stubGlobal('fetch', fetchMock);
+
+    globalThis.browser = {
+      runtime: {
+        id: 'test-extension',
+        getManifest: vi.fn(() => ({ version: '1.10.12', name: 'Newtab Bookmarks' })),
+        onMessage: { addListener: onMessageAddListener }
+      },
+      action: {
+        onClicked: { addListener: vi.fn() },
+        setBadgeText: vi.fn(),
+        setBadgeBackgroundColor: vi.fn()
+      },
+      identity: {
+        getRedirectURL: vi.fn(() => 'https://extension-id.extensions.allizom.org/'),
+        launchWebAuthFlow: vi.fn()
+      },
+      notifications: { create: vi.fn() },
+      storage: { local: { get: vi.fn(async () => ({})), set: vi.fn(), remove: vi.fn() } }
+    };
+
+    await import('../../src/background.js?mark-read-signed-out');
+
+    const listener = onMessageAddListener.mock.calls[0][0];
+    const sendResponse = vi.fn();
+    expect(listener({ action: 'markPageRead', pageId: 'page-1' }, {}, sendResponse)).toBe(true);
+
+    await vi.waitFor(() => {
+      expect(sendResponse).toHaveBeenCalledWith({ success: true });
+    });
+    expect(signIn).not.toHaveBeenCalled();
+    expect(fetchMock).not.toHaveBeenCalled();
+  });
 });
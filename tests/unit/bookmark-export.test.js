@@ -113,6 +113,47 @@ describe('toJsonBackup', () => {
       projectId: 'proj-1'
     });
   });
+
+  it('carries smart collections and re-imports them', () => {
+    const smartCollections = [
+      { id: 'c1', name: 'Unread Rust', query: 'rust is:unread', filters: { hasNotes: true }, threshold: 0.7, pinned: true },
+      { id: 'c2', name: 'Empty', query: '' }
+    ];
+    const json = toJsonBackup(PAGES, [], smartCollections);
+
+    const backup = JSON.parse(json);
+    expect(backup.smartCollections).toHaveLength(1);
+    expect(backup.smartCollections[0]).toMatchObject({
+      id: 'c1',
+      name: 'Unread Rust',
+      query: 'rust is:unread',
+      filters: { hasNotes: true, sort: 'newest' },
+      threshold: 0.7,
+      pinned: true
+    });
+    expect(parseBackupJson(json).smartCollections).toEqual(backup.smartCollections);
+    expect(JSON.parse(toJsonBackup(PAGES)).smartCollections).toEqual([]);
+  });
+
+  it('exports highlights with their context and re-imports them', () => {
+    const highlight = {
+      text: 'the quoted part',
+      prefix: 'before ',
+      suffix: ' after',
+      created_at: '2021-08-27T09:00:00.000Z'
+    };
+    const json = toJsonBackup([{ ...PAGES[0], highlights: [highlight, { text: '' }] }, PAGES[1]]);
+
+    const backup = JSON.parse(json);
+    expect(backup.pages[0].highlights).toEqual([
+      { text: 'the quoted part', prefix: 'before ', suffix: ' after', createdAt: '2021-08-27T09:00:00.000Z' }
+    ]);
+    expect(backup.pages[1].highlights).toEqual([]);
+
+    const { bookmarks } = parseBackupJson(json);
+    expect(bookmarks[0].highlights).toEqual([highlight]);
+    expect(bookmarks[1]).not.toHaveProperty('highlights');
+  });
 });
 
 describe('toNetscapeHtml', () => {
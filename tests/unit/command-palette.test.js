@@ -0,0 +1,184 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import {
+  buildCommandPaletteItems,
+  createCommandPalette,
+  filterCommandPaletteItems,
+  isCommandPaletteShortcut,
+  scoreCommandPaletteMatch
+} from '../../src/command-palette.js';
+
+// The palette renders into a pre-declared dialog shell
+// (#command-palette-backdrop / -dialog), like the sharing centre. These tests
+// cover the fuzzy ranking, item building from the drawer's loaded data, and
+// the keyboard contract: Ctrl/Cmd+K, arrows, Enter and Shift+Enter.
+
+function setupDocument() {
+  document.body.innerHTML = `
+    <div id="command-palette-backdrop" class="hidden" aria-hidden="true"></div>
+    <div id="command-palette-dialog" class="hidden" role="dialog"></div>
+  `;
+}
+
+function makeDashboard() {
+  return {
+    allPages: [
+      { id: 'a', title: 'GitHub Actions docs', url: 'https://docs.github.com/actions', domain: 'docs.github.com' },
+      { id: 'b', title: 'Getting things done, high level', url: 'https://example.com/gtd', domain: 'example.com' }
+    ],
+    projects: [
+      { id: 'p1', name: 'Monarc', page_count: 3 },
+      { id: 'p2', name: 'Old stuff', archived: true }
+    ],
+    domains: [{ domain: 'example.com', count: 1 }]
+  };
+}
+
+function keydown(target, key, options = {}) {
+  target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...options }));
+}
+
+function renderedLabels() {
+  return Array.from(document.querySelectorAll('.command-palette-item-label')).map(node => node.textContent);
+}
+
+function createPalette(overrides = {}) {
+  const windowObj = { open: vi.fn(), location: { assign: vi.fn() } };
+  const selectScope = vi.fn();
+  const palette = createCommandPalette({
+    documentObj: document,
+    windowObj,
+    getDashboard: () => makeDashboard(),
+    selectScope,
+    ...overrides
+  });
+  return { palette, windowObj, selectScope };
+}
+
+describe('command palette matching', () => {
+  it('scores in-order letters, prefers substrings and word starts, and rejects out-of-order letters', () => {
+    expect(scoreCommandPaletteMatch('hub', 'GitHub')).toBeGreaterThan(scoreCommandPaletteMatch('gthb', 'GitHub'));
+    expect(scoreCommandPaletteMatch('gh', 'GitHub')).not.toBeNull();
+    expect(scoreCommandPaletteMatch('hg', 'GitHub')).toBeNull();
+    expect(scoreCommandPaletteMatch('ga', 'GitHub Actions')).toBeGreaterThan(
+      scoreCommandPaletteMatch('ga', 'Gotham')
+    );
+  });
+
+  it('builds commands, live projects, domains and pages in that order', () => {
+    const { allPages, projects, domains } = makeDashboard();
+    const items = buildCommandPaletteItems({
+      commands: [{ id: 'theme', label: 'Toggle theme', run: vi.fn() }],
+      projects,
+      domains,
+      pages: allPages
+    });
+
+    expect(items.map(item => item.id)).toEqual([
+      'command:theme',
+      'project:p1',
+      'domain:example.com',
+      'page:a',
+      'page:b'
+    ]);
+    expect(items[1].detail).toBe('3 pages');
+  });
+
+  it('ranks label matches above detail-only matches and drops non-matches', () => {
+    const items = [
+      { kind: 'page', label: 'Unrelated', detail: 'react.dev' },
+      { kind: 'page', label: 'React hooks', detail: 'example.com' },
+      { kind: 'page', label: 'Vue', detail: 'vuejs.org' }
+    ];
+
+    expect(filterCommandPaletteItems(items, 'react').map(item => item.label)).toEqual(['React hooks', 'Unrelated']);
+    expect(filterCommandPaletteItems(items, '')).toHaveLength(3);
+  });
+
+  it('recognises Ctrl+K and Cmd+K only', () => {
+    expect(isCommandPaletteShortcut({ key: 'k', ctrlKey: true })).toBe(true);
+    expect(isCommandPaletteShortcut({ key: 'K', metaKey: true })).toBe(true);
+    expect(isCommandPaletteShortcut({ key: 'k' })).toBe(false);
+    expect(isCommandPaletteShortcut({ key: 'k', ctrlKey: true, shiftKey: true })).toBe(false);
+  });
+});
+
+describe('command palette dialog', () => {
+  it('opens on Ctrl+K, filters as you type and closes on Escape', () => {
+    setupDocument();
+    const { palette } = createPalette();
+
+    keydown(document, 'k', { ctrlKey: true });
+
+    const dialog = document.getElementById('command-palette-dialog');
+    expect(dialog.classList.contains('hidden')).toBe(false);
+    expect(palette.isOpen()).toBe(true);
+    expect(document.activeElement).toBe(dialog.querySelector('.command-palette-input'));
+    expect(renderedLabels()).toEqual(['Monarc', 'example.com', 'GitHub Actions docs', 'Getting things done, high level']);
+
+    const input = dialog.querySelector('.command-palette-input');
+    input.value = 'monarc';
+    input.dispatchEvent(new Event('input'));
+    expect(renderedLabels()).toEqual(['Monarc']);
+
+    input.value = 'zzz';
+    input.dispatchEvent(new Event('input'));
+    expect(dialog.textContent).toContain('No matches');
+
+    keydown(document, 'Escape');
+    expect(dialog.classList.contains('hidden')).toBe(true);
+    expect(palette.isOpen()).toBe(false);
+  });
+
+  it('opens the highlighted page in this tab on Enter and in a new tab on Shift+Enter', () => {
+    setupDocument();
+    const { palette, windowObj } = createPalette();
+
+    palette.open();
+    let input = document.querySelector('.command-palette-input');
+    input.value = 'getting';
+    input.dispatchEvent(new Event('input'));
+    keydown(input, 'Enter');
+    expect(windowObj.location.assign).toHaveBeenCalledWith('https://example.com/gtd');
+    expect(palette.isOpen()).toBe(false);
+
+    palette.open();
+    input = document.querySelector('.command-palette-input');
+    keydown(input, 'ArrowDown');
+    keydown(input, 'ArrowDown');
+    expect(document.querySelector('.command-palette-item.is-active').textContent).toContain('GitHub Actions docs');
+    keydown(input, 'Enter', { shiftKey: true });
+    expect(windowObj.open).toHaveBeenCalledWith('https://docs.github.com/actions', '_blank', 'noopener');
+  });
+
+  it('selects projects and domains through selectScope and runs commands', () => {
+    setupDocument();
+    const run = vi.fn();
+    const { palette, selectScope } = createPalette({
+      commands: [{ id: 'sharing', label: 'Open Sharing centre', run }]
+    });
+
+    palette.open();
+    let input = document.querySelector('.command-palette-input');
+    keydown(input, 'ArrowUp');
+    expect(document.querySelector('.command-palette-item.is-active').textContent).toContain('Getting things done');
+    keydown(input, 'ArrowDown');
+    keydown(input, 'ArrowDown');
+    keydown(input, 'Enter');
+    expect(selectScope).toHaveBeenCalledWith('p1');
+
+    palette.open();
+    input = document.querySelector('.command-palette-input');
+    input.value = 'example.com';
+    input.dispatchEvent(new Event('input'));
+    keydown(input, 'Enter');
+    expect(selectScope).toHaveBeenCalledWith('domain:example.com');
+
+    palette.open();
+    input = document.querySelector('.command-palette-input');
+    input.value = 'sharing';
+    input.dispatchEvent(new Event('input'));
+    keydown(input, 'Enter');
+    expect(run).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import { createDataSyncCentre } from '../../src/data-sync-centre.js';
+
+// The Data & sync centre renders into two pre-declared dialog shells
+// (#data-sync-centre-backdrop / -dialog), like the sharing centre. These tests
+// cover its Duplicates section: finding sets of pages saved more than once,
+// merging them through the page API, and keeping a set that only partly
+// merged listed so it can be retried.
+
+function setupDocument() {
+  document.body.innerHTML = `
+    <div id="data-sync-centre-backdrop" class="hidden" aria-hidden="true"></div>
+    <div id="data-sync-centre-dialog" class="hidden" role="dialog"></div>
+  `;
+}
+
+const getDialog = () => document.getElementById('data-sync-centre-dialog');
+
+function getButton(text) {
+  return Array.from(getDialog().querySelectorAll('button')).find(button => button.textContent === text) || null;
+}
+
+const getGroups = () => Array.from(getDialog().querySelectorAll('.data-sync-duplicate-group'));
+
+const pages = [
+  { id: 'a', title: 'Post', url: 'https://example.com/post', saved_at: '2026-03-01T00:00:00Z' },
+  { id: 'b', title: 'Post', url: 'http://www.example.com/post/?utm_source=mail', saved_at: '2026-04-01T00:00:00Z', manual_tags: ['rust'] },
+  { id: 'c', title: 'Docs', url: 'https://docs.example.org/', saved_at: '2026-01-01T00:00:00Z' },
+  { id: 'd', title: 'Docs', url: 'https://docs.example.org', saved_at: '2026-02-01T00:00:00Z', pinned: true },
+  { id: 'e', title: 'Unique', url: 'https://unique.example/' }
+];
+
+function createApi(overrides = {}) {
+  return {
+    getSavedPages: vi.fn().mockResolvedValue({ pages, pagination: { hasNextPage: false } }),
+    updatePage: vi.fn().mockResolvedValue({}),
+    addPageToProject: vi.fn().mockResolvedValue({}),
+    pinPage: vi.fn().mockResolvedValue({}),
+    bulkDeletePages: vi.fn(async ids => ({ succeeded: ids, failed: [] })),
+    ...overrides
+  };
+}
+
+async function openWithDuplicates(options) {
+  setupDocument();
+  const notify = vi.fn();
+  const onDuplicatesMerged = vi.fn();
+  const centre = createDataSyncCentre({
+    runtime: null,
+    browserStorage: null,
+    documentObj: document,
+    notify,
+    onDuplicatesMerged,
+    ...options
+  });
+  await centre.open();
+  getButton('Find duplicates').click();
+  await vi.waitFor(() => {
+    expect(getGroups()).not.toHaveLength(0);
+  });
+  return { centre, notify, onDuplicatesMerged };
+}
+
+describe('data & sync centre duplicates', () => {
+  it('lists each set of pages saved more than once with the page to keep first', async () => {
+    const api = createApi();
+    await openWithDuplicates({ api });
+
+    expect(api.getSavedPages).toHaveBeenCalledWith(expect.objectContaining({ skipCache: true }));
+    // Four pages in two sets: the status counts pages, not sets.
+    expect(getDialog().textContent).toContain('Found 4 pages saved more than once, in 2 sets.');
+    const groups = getGroups();
+    expect(groups).toHaveLength(2);
+    const firstGroupPages = Array.from(groups[0].querySelectorAll('.data-sync-duplicate-page'));
+    expect(firstGroupPages.map(page => page.querySelector('.data-sync-duplicate-url').textContent))
+      .toEqual(['https://example.com/post', 'http://www.example.com/post/?utm_source=mail']);
+    expect(firstGroupPages[0].classList.contains('is-kept')).toBe(true);
+    expect(firstGroupPages.map(page => page.querySelector('.data-sync-duplicate-badge').textContent))
+      .toEqual(['Keep', 'Merge in']);
+    expect(getButton('Look again')).not.toBeNull();
+    expect(getButton('Merge all 2')).not.toBeNull();
+  });
+
+  it('says so when nothing is saved twice', async () => {
+    setupDocument();
+    const api = createApi({
+      getSavedPages: vi.fn().mockResolvedValue({ pages: [pages[0], pages[4]], pagination: { hasNextPage: false } })
+    });
+    const centre = createDataSyncCentre({ api, runtime: null, browserStorage: null, documentObj: document });
+    await centre.open();
+
+    getButton('Find duplicates').click();
+
+    await vi.waitFor(() => {
+      expect(getDialog().textContent).toContain('No duplicates found.');
+    });
+    expect(getGroups()).toHaveLength(0);
+  });
+
+  it('merges one set into its kept page and drops it from the list', async () => {
+    const api = createApi();
+    const { notify, onDuplicatesMerged } = await openWithDuplicates({ api });
+
+    getGroups()[0].querySelector('button').click();
+
+    await vi.waitFor(() => {
+      expect(getDialog().textContent).toContain('Merged 1 duplicate. The extra copies are in the trash.');
+    });
+    expect(api.updatePage).toHaveBeenCalledWith('a', { manual_tags: ['rust'] });
+    expect(api.bulkDeletePages).toHaveBeenCalledWith(['b']);
+    expect(getGroups()).toHaveLength(1);
+    expect(getButton('Merge all 1')).toBeNull();
+    expect(notify).toHaveBeenCalledWith('Duplicates merged', { type: 'success' });
+    expect(onDuplicatesMerged).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps a set that only partly merged listed, and merges it on retry', async () => {
+    const bulkDeletePages = vi.fn()
+      .mockResolvedValueOnce({ succeeded: ['b'], failed: [] })
+      .mockResolvedValueOnce({ succeeded: [], failed: [{ id: 'd', error: new Error('offline') }] })
+      .mockResolvedValueOnce({ succeeded: ['d'], failed: [] });
+    const api = createApi({ bulkDeletePages });
+    const { notify, onDuplicatesMerged } = await openWithDuplicates({ api });
+
+    getButton('Merge all 2').click();
+
+    await vi.waitFor(() => {
+      expect(getDialog().querySelector('.sharing-centre-error')?.textContent)
+        .toBe('Merged 1 duplicate; 1 could not be merged. Try again.');
+    });
+    // The set that failed is still there to retry; the merged one is gone.
+    expect(getGroups()).toHaveLength(1);
+    expect(getGroups()[0].textContent).toContain('https://docs.example.org');
+    expect(notify).not.toHaveBeenCalled();
+    expect(onDuplicatesMerged).toHaveBeenCalledTimes(1);
+
+    getGroups()[0].querySelector('button').click();
+
+    await vi.waitFor(() => {
+      expect(getDialog().textContent).toContain('Merged 1 duplicate. The extra copies are in the trash.');
+    });
+    expect(getGroups()).toHaveLength(0);
+    expect(bulkDeletePages).toHaveBeenLastCalledWith(['d']);
+    expect(api.pinPage).toHaveBeenCalledWith('c', true);
+    expect(getDialog().querySelector('.sharing-centre-error')).toBeNull();
+    expect(onDuplicatesMerged).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,97 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import {
+  canonicalizeUrl,
+  findDuplicateGroups,
+  mergeDuplicateGroup,
+  planDuplicateMerge
+} from '../../src/duplicate-pages.js';
+
+const ids = groups => groups.map(group => group.pages.map(page => page.id));
+
+describe('duplicate pages', () => {
+  it('canonicalizes away scheme, www., tracking parameters, fragments and trailing slashes', () => {
+    expect(canonicalizeUrl('http://www.Example.com/Docs/?utm_source=x&b=2&a=1#top'))
+      .toBe('example.com/Docs?a=1&b=2');
+    expect(canonicalizeUrl('https://example.com:443/docs/')).toBe('example.com/docs');
+    expect(canonicalizeUrl('https://example.com/search?q=rust&fbclid=abc')).toBe('example.com/search?q=rust');
+    expect(canonicalizeUrl('https://example.com:8080/')).toBe('example.com:8080');
+    expect(canonicalizeUrl('not a url/')).toBe('not a url');
+  });
+
+  it('keeps route fragments so hash-routed app pages stay apart', () => {
+    expect(canonicalizeUrl('https://app.example/#/inbox')).toBe('app.example#/inbox');
+    expect(canonicalizeUrl('https://app.example/#!settings')).toBe('app.example#!settings');
+    expect(ids(findDuplicateGroups([
+      { id: 'a', url: 'https://app.example/#/inbox' },
+      { id: 'b', url: 'https://www.app.example/#/settings' },
+      { id: 'c', url: 'http://app.example/?utm_source=mail#/inbox' },
+      { id: 'd', url: 'https://app.example/#top' },
+      { id: 'e', url: 'https://app.example/' }
+    ]))).toEqual([['a', 'c'], ['d', 'e']]);
+  });
+
+  it('groups pages at the same address and keeps the enriched, earliest one first', () => {
+    const pages = [
+      { id: 'a', url: 'https://example.com/post', saved_at: '2026-03-01T00:00:00Z' },
+      { id: 'b', url: 'https://other.example/' },
+      { id: 'c', url: 'http://www.example.com/post/?utm_campaign=mail', saved_at: '2026-02-01T00:00:00Z' },
+      { id: 'd', url: 'https://example.com/post', saved_at: '2026-04-01T00:00:00Z', ai_summary_brief: 'A post.' },
+      { id: 'e', url: 'https://other.example' },
+      { id: 'f', url: 'https://example.com/post', deleted: true },
+      { id: 'g', url: 'https://example.com/post?page=2' }
+    ];
+
+    expect(ids(findDuplicateGroups(pages))).toEqual([['d', 'c', 'a'], ['b', 'e']]);
+    expect(findDuplicateGroups(pages)[0].key).toBe('example.com/post');
+  });
+
+  it('plans a merge that keeps the union of projects, tags, notes and pinned state', () => {
+    const plan = planDuplicateMerge({
+      pages: [
+        { id: 'keep', manual_tags: ['React'], user_notes: 'Mine', project_ids: ['p1'] },
+        { id: 'dup1', manual_tags: ['react', 'hooks'], user_notes: 'Mine', project_ids: ['p1', 'p2'], pinned: true },
+        { id: 'dup2', user_notes: 'From the import', project_ids: ['p2', 'p3'] }
+      ]
+    });
+
+    expect(plan).toMatchObject({
+      updates: { manual_tags: ['React', 'hooks'], user_notes: 'Mine\n\nFrom the import' },
+      addProjectIds: ['p2', 'p3'],
+      pin: true,
+      removeIds: ['dup1', 'dup2']
+    });
+    expect(planDuplicateMerge({ pages: [{ id: 'keep', manual_tags: ['a'] }, { id: 'dup', manual_tags: ['A'] }] }).updates)
+      .toEqual({});
+    // The keeper's own case variants don't hide a tag it lacks.
+    expect(planDuplicateMerge({ pages: [{ id: 'keep', manual_tags: ['X', 'x'] }, { id: 'dup', manual_tags: ['y'] }] }).updates)
+      .toEqual({ manual_tags: ['X', 'y'] });
+  });
+
+  it('updates the kept page before deleting the rest', async () => {
+    const calls = [];
+    const api = {
+      updatePage: vi.fn(async () => calls.push('update')),
+      addPageToProject: vi.fn(async () => calls.push('project')),
+      pinPage: vi.fn(async () => calls.push('pin')),
+      bulkDeletePages: vi.fn(async () => {
+        calls.push('delete');
+        return { succeeded: ['dup1'], failed: [{ id: 'dup2', error: new Error('offline') }] };
+      })
+    };
+
+    const result = await mergeDuplicateGroup(api, {
+      pages: [
+        { id: 'keep' },
+        { id: 'dup1', manual_tags: ['x'], pinned: true },
+        { id: 'dup2', project_ids: ['p1'] }
+      ]
+    });
+
+    expect(calls).toEqual(['update', 'project', 'pin', 'delete']);
+    expect(api.updatePage).toHaveBeenCalledWith('keep', { manual_tags: ['x'] });
+    expect(api.addPageToProject).toHaveBeenCalledWith('p1', 'keep');
+    expect(api.bulkDeletePages).toHaveBeenCalledWith(['dup1', 'dup2']);
+    expect(result).toMatchObject({ removed: ['dup1'], failed: ['dup2'] });
+  });
+});
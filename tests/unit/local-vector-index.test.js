@@ -0,0 +1,74 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  buildLocalVectorIndex,
+  cosineSimilarity,
+  findPagesByLabel,
+  findSimilarPages,
+  getPageVectorEntry
+} from '../../src/local-vector-index.js';
+
+const classification = (label, embedding, overrides = {}) => ({
+  type: 'topic',
+  label,
+  confidence: 0.9,
+  embedding,
+  ...overrides
+});
+
+const pages = [
+  { id: 'react', classifications: [classification('React', [1, 0, 0])] },
+  { id: 'hooks', classifications: [classification('React', [1, 0, 0]), classification('Hooks', [0.8, 0.6, 0])] },
+  { id: 'preact', classifications: [classification('Preact', [0.9, 0.44, 0])] },
+  { id: 'rust', classifications: [classification('Rust', [0, 0, 1])] },
+  { id: 'plain', classifications: [{ type: 'topic', label: 'Plain', confidence: 0.9 }] }
+];
+
+const buildIndex = () => buildLocalVectorIndex(pages.map(getPageVectorEntry).filter(Boolean));
+
+describe('local vector index', () => {
+  it('measures cosine similarity whatever the vector lengths', () => {
+    expect(cosineSimilarity([2, 0], [5, 0])).toBeCloseTo(1);
+    expect(cosineSimilarity([1, 0], [0, 3])).toBeCloseTo(0);
+    expect(cosineSimilarity([1, 0], [1, 0, 0])).toBe(0);
+    expect(cosineSimilarity([0, 0], [1, 0])).toBe(0);
+  });
+
+  it('indexes only pages whose classifications carry embeddings of one dimension', () => {
+    const index = buildLocalVectorIndex([
+      ...pages.map(getPageVectorEntry).filter(Boolean),
+      { id: 'other-model', classifications: [classification('Other', [1, 0])] }
+    ]);
+
+    expect(getPageVectorEntry(pages[4])).toBeNull();
+    expect(getPageVectorEntry({ ...pages[0], deleted: true })).toBeNull();
+    expect(Array.from(index.pages.keys())).toEqual(['react', 'hooks', 'preact', 'rust']);
+    expect(index.dimension).toBe(3);
+  });
+
+  it('ranks pages like a page, pages through them and holds them to a label', () => {
+    const index = buildIndex();
+
+    const all = findSimilarPages(index, 'react', { limit: 2 });
+    expect(all.results.map(result => result.thing_id)).toEqual(['hooks', 'preact']);
+    expect(all.results[0].similarity).toBeGreaterThan(all.results[1].similarity);
+    expect(all.pagination).toEqual({ limit: 2, offset: 0, total: 3, has_more: true });
+    expect(all.source).toEqual({ thing_id: 'react', label: 'React' });
+
+    expect(findSimilarPages(index, 'react', { limit: 2, offset: 2 }).results.map(result => result.thing_id)).toEqual(['rust']);
+    expect(findSimilarPages(index, 'preact', { classificationLabel: 'React' }).results.map(result => result.thing_id))
+      .toEqual(['hooks', 'react']);
+    expect(findSimilarPages(index, 'plain')).toBeNull();
+  });
+
+  it('sorts pages into exact, similar and related matches for a label', () => {
+    const results = findPagesByLabel(buildIndex(), 'react');
+
+    expect(results.exact_matches.map(match => match.thing_id)).toEqual(['react', 'hooks']);
+    expect(results.similar_matches).toEqual([
+      { thing_id: 'preact', similarity: expect.any(Number), matched_label: 'Preact' }
+    ]);
+    expect(results.related_matches).toEqual([]);
+    expect(findPagesByLabel(buildIndex(), 'Unknown')).toBeNull();
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import { buildLocalVectorIndex, findPagesByLabel, findSimilarPages } from '../../src/local-vector-index.js';
+import { createLocalVectorSearch } from '../../src/local-vector-search.js';
+
+const page = (id, label, embedding) => ({
+  id,
+  title: id,
+  classifications: [{ type: 'topic', label, confidence: 0.9, embedding }]
+});
+
+// Answers like local-vector-worker.js, a tick later; `fail` makes it report
+// an error instead.
+function createFakeWorker({ fail = false } = {}) {
+  const listeners = {};
+  let index = buildLocalVectorIndex([]);
+  const worker = {
+    messages: [],
+    terminate: vi.fn(),
+    addEventListener: (type, listener) => {
+      listeners[type] = listener;
+    },
+    postMessage: message => {
+      worker.messages.push(message);
+      setTimeout(() => {
+        if (fail) {
+          listeners.error({ message: 'boom', preventDefault: () => {} });
+          return;
+        }
+        const { id, type, payload } = message;
+        const result = type === 'index'
+          ? (index = buildLocalVectorIndex(payload.entries), { pages: index.pages.size })
+          : type === 'similar'
+            ? findSimilarPages(index, payload.pageId, payload.options)
+            : findPagesByLabel(index, payload.label);
+        listeners.message({ data: { id, result } });
+      }, 0);
+    }
+  };
+  return worker;
+}
+
+describe('local vector search', () => {
+  it('indexes the pages on the worker once and attaches page data to results', async () => {
+    const worker = createFakeWorker();
+    const pages = [page('a', 'React', [1, 0]), page('b', 'React', [0.9, 0.1]), { id: 'c', title: 'No vectors' }];
+    const search = createLocalVectorSearch({ getPages: () => pages, createWorker: () => worker });
+
+    const similar = await search.similarToPage('a', { limit: 5 });
+    const byLabel = await search.searchByLabel('React');
+
+    expect(similar.results).toEqual([{ thing_id: 'b', similarity: expect.any(Number), thing_data: pages[1] }]);
+    expect(byLabel.exact_matches.map(match => match.thing_data)).toEqual([pages[0], pages[1]]);
+    expect(worker.messages.map(message => message.type)).toEqual(['index', 'similar', 'label']);
+    expect(worker.messages[0].payload.entries.map(entry => entry.id)).toEqual(['a', 'b']);
+  });
+
+  it('rebuilds the index when the pages change and answers null for pages without vectors', async () => {
+    let pages = [page('a', 'React', [1, 0])];
+    const createWorker = vi.fn(() => createFakeWorker());
+    const search = createLocalVectorSearch({ getPages: () => pages, createWorker });
+
+    expect((await search.similarToPage('a')).results).toEqual([]);
+    pages = [...pages, page('b', 'Rust', [0, 1])];
+    expect((await search.similarToPage('a')).results.map(result => result.thing_id)).toEqual(['b']);
+    expect(await search.similarToPage('missing')).toBeNull();
+
+    pages = [{ id: 'c' }];
+    expect(await search.searchByLabel('React')).toBeNull();
+    expect(createWorker).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the index while the pages come back as new objects with the same embeddings', async () => {
+    const worker = createFakeWorker();
+    let pages = [page('a', 'React', [1, 0]), page('b', 'React', [0.9, 0.1])];
+    const search = createLocalVectorSearch({ getPages: () => pages, createWorker: () => worker });
+
+    await search.similarToPage('a');
+    pages = pages.map(entry => ({ ...entry, title: `${entry.id} (renamed)` }));
+    const similar = await search.similarToPage('a');
+
+    expect(similar.results[0].thing_data).toBe(pages[1]);
+    expect(worker.messages.filter(message => message.type === 'index')).toHaveLength(1);
+
+    pages = [pages[0], page('b', 'React', [0, 1])];
+    await search.similarToPage('a');
+    expect(worker.messages.filter(message => message.type === 'index')).toHaveLength(2);
+  });
+
+  it('answers null while the pages are not all loaded', async () => {
+    const createWorker = vi.fn(() => createFakeWorker());
+    const search = createLocalVectorSearch({ getPages: () => null, createWorker });
+
+    expect(await search.similarToPage('a')).toBeNull();
+    expect(await search.searchByLabel('React')).toBeNull();
+    expect(createWorker).not.toHaveBeenCalled();
+  });
+
+  it('searches in place without a worker, and after the worker fails', async () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const pages = [page('a', 'React', [1, 0]), page('b', 'React', [0.8, 0.2])];
+
+    const withoutWorker = createLocalVectorSearch({ getPages: () => pages, createWorker: () => null });
+    expect((await withoutWorker.similarToPage('a')).results.map(result => result.thing_id)).toEqual(['b']);
+
+    const failing = createFakeWorker({ fail: true });
+    const afterFailure = createLocalVectorSearch({ getPages: () => pages, createWorker: () => failing });
+    expect((await afterFailure.similarToPage('b')).results.map(result => result.thing_id)).toEqual(['a']);
+    expect(failing.terminate).toHaveBeenCalled();
+    warn.mockRestore();
+  });
+});
@@ -35,4 +35,20 @@ describe('newtab app coordination', () => {
     expect(drawerController.handleSignedIn).toHaveBeenCalled();
     expect(drawerController.handleSignedOut).toHaveBeenCalled();
   });
+
+  it('shows the save-link box only while signed in', async () => {
+    const saveLinkBox = { setVisible: vi.fn() };
+    const lifecycle = createNewtabAuthLifecycle({
+      drawerController: {
+        handleSignedIn: vi.fn().mockResolvedValue(undefined),
+        handleSignedOut: vi.fn()
+      },
+      saveLinkBox
+    });
+
+    await lifecycle.onSignedIn();
+    await lifecycle.onSignedOut();
+
+    expect(saveLinkBox.setVisible.mock.calls).toEqual([[true], [false]]);
+  });
 });
@@ -3,7 +3,8 @@ import { describe, expect, it, vi } from 'vitest';
 import {
   createNewtabApp,
   getAuthControllerElements,
-  getDrawerControllerElements
+  getDrawerControllerElements,
+  toggleNewtabTheme
 } from '../../src/newtab-app.js';
 
 describe('newtab app factory', () => {
@@ -110,7 +111,8 @@ describe('newtab app factory', () => {
     });
     expect(createSavedPagesDrawerControllerFn).toHaveBeenCalledTimes(1);
     expect(createNewtabAuthLifecycleFn).toHaveBeenCalledWith({
-      drawerController
+      drawerController,
+      saveLinkBox: expect.objectContaining({ setVisible: expect.any(Function) })
     });
     expect(createNewtabAuthControllerFn).toHaveBeenCalledTimes(1);
 
@@ -151,3 +153,23 @@ describe('newtab app factory', () => {
     expect(drawerController.refreshOpenScopes).toHaveBeenCalledTimes(1);
   });
 });
+
+describe('toggleNewtabTheme', () => {
+  it('flips the stored preference and applies it through the theme manager', () => {
+    const applyTheme = vi.fn();
+    const updateThemeButtons = vi.fn();
+    class ThemeManager {
+      applyTheme(theme) { applyTheme(theme); }
+      updateThemeButtons(theme) { updateThemeButtons(theme); }
+    }
+    localStorage.setItem('theme-preference', 'dark');
+
+    expect(toggleNewtabTheme(ThemeManager, document)).toBe('light');
+    expect(localStorage.getItem('theme-preference')).toBe('light');
+    expect(applyTheme).toHaveBeenCalledWith('light');
+    expect(updateThemeButtons).toHaveBeenCalledWith('light');
+
+    expect(toggleNewtabTheme(ThemeManager, document)).toBe('dark');
+    localStorage.removeItem('theme-preference');
+  });
+});
@@ -0,0 +1,381 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import { createDrawerBulkController } from '../../src/newtab-drawer-bulk.js';
+import { createInitialDrawerState } from '../../src/newtab-drawer-state.js';
+import { TRASH_SCOPE_ID } from '../../src/project-manager-state.js';
+
+function createHarness({ pages, api = {} } = {}) {
+  const state = createInitialDrawerState();
+  const allPages = pages || [
+    { id: 'p1', title: 'One', project_ids: [] },
+    { id: 'p2', title: 'Two', project_ids: ['proj-1'] },
+    { id: 'p3', title: 'Three', project_ids: [] },
+    { id: 'p4', title: 'Four', project_ids: [] }
+  ];
+  state.allPages = allPages;
+  state.pages = allPages;
+  state.projects = [{ id: 'proj-1', name: 'Research' }];
+
+  const notify = vi.fn();
+  // The undo window itself is covered in newtab-drawer-undo.test.js; here the
+  // scheduled entry is captured so a test can commit or undo it directly.
+  const scheduled = [];
+  const dependencies = {
+    api,
+    state,
+    projectManager: { adjustProjectCount: vi.fn(), getScopedPages: vi.fn((view, pages) => pages) },
+    savedPagesView: { persistAllPages: vi.fn().mockResolvedValue(undefined) },
+    renderDrawerResults: vi.fn(),
+    applyDrawerFilters: vi.fn(),
+    updateCachedProjectStores: vi.fn().mockResolvedValue(undefined),
+    removeFromCachedProjectStores: vi.fn().mockResolvedValue(undefined),
+    hideDrawerPages: vi.fn(async ids => {
+      const snapshots = ids.map(id => ({ id, page: state.allPages.find(page => page.id === id) }));
+      state.allPages = state.allPages.filter(page => !ids.includes(page.id));
+      return snapshots;
+    }),
+    restoreDrawerPages: vi.fn(async snapshots => {
+      state.allPages = [...state.allPages, ...snapshots.map(snapshot => snapshot.page)];
+    }),
+    releaseDrawerPages: vi.fn(),
+    applyRestoredPages: vi.fn().mockResolvedValue(undefined),
+    removeTrashPages: vi.fn().mockResolvedValue(undefined),
+    undoController: { schedule: vi.fn(async entry => { scheduled.push(entry); }) },
+    windowObj: { alert: vi.fn(), confirm: vi.fn(() => true) },
+    notify
+  };
+
+  return { controller: createDrawerBulkController(dependencies), state, notify, scheduled, ...dependencies };
+}
+
+describe('drawer selection', () => {
+  it('ignores card toggles outside selection mode', () => {
+    const { controller, state } = createHarness();
+
+    controller.toggleSelection('p1');
+
+    expect(state.selectedPageIds).toEqual([]);
+  });
+
+  it('shift-click selects the range between the anchor and the clicked card', () => {
+    const { controller, state } = createHarness();
+    controller.setSelectionMode(true);
+
+    controller.toggleSelection('p1');
+    controller.toggleSelection('p3', { range: true });
+
+    expect(state.selectedPageIds).toEqual(['p1', 'p2', 'p3']);
+  });
+
+  it('shift-click works upward from the anchor too', () => {
+    const { controller, state } = createHarness();
+    controller.setSelectionMode(true);
+
+    controller.toggleSelection('p4');
+    controller.toggleSelection('p2', { range: true });
+
+    expect(state.selectedPageIds.sort()).toEqual(['p2', 'p3', 'p4']);
+  });
+
+  it('a plain click toggles a single card and leaving selection mode clears the selection', () => {
+    const { controller, state } = createHarness();
+    controller.setSelectionMode(true);
+
+    controller.toggleSelection('p2');
+    controller.toggleSelection('p2');
+    expect(state.selectedPageIds).toEqual([]);
+
+    controller.selectAll();
+    expect(state.selectedPageIds).toEqual(['p1', 'p2', 'p3', 'p4']);
+
+    controller.setSelectionMode(false);
+    expect(state.selectedPageIds).toEqual([]);
+  });
+
+  it('selects the browse list for a query of operators alone', () => {
+    const { controller, state } = createHarness();
+    // "is:pinned site:github.com" leaves no text to search semantically, so
+    // the pane shows the locally filtered list, not the semantic results.
+    state.query = 'is:pinned site:github.com';
+    state.pages = [state.allPages[0], state.allPages[2]];
+    state.semanticResults = [];
+    controller.setSelectionMode(true);
+
+    controller.selectAll();
+
+    expect(state.selectedPageIds).toEqual(['p1', 'p3']);
+  });
+
+  it('selects the search results in their fused order, keyword-only matches included', () => {
+    const { controller, state } = createHarness();
+    // p1 matched the text locally but not by meaning; p3 only by meaning.
+    state.query = 'one';
+    state.pages = [state.allPages[0]];
+    state.semanticResults = [state.allPages[2]];
+    controller.setSelectionMode(true);
+
+    controller.toggleSelection('p1');
+    controller.toggleSelection('p3', { range: true });
+    expect(state.selectedPageIds.sort()).toEqual(['p1', 'p3']);
+
+    controller.setSelectionMode(false);
+    controller.setSelectionMode(true);
+    controller.selectAll();
+    expect(state.selectedPageIds.sort()).toEqual(['p1', 'p3']);
+  });
+
+  it('never selects an optimistic tile', () => {
+    const { controller, state } = createHarness({
+      pages: [
+        { id: 'p1', title: 'One' },
+        { id: 'optimistic:https://x.example', optimistic: true, url: 'https://x.example' }
+      ]
+    });
+    controller.setSelectionMode(true);
+
+    controller.toggleSelection('optimistic:https://x.example');
+    controller.selectAll();
+
+    expect(state.selectedPageIds).toEqual(['p1']);
+  });
+});
+
+describe('drawer bulk actions', () => {
+  it('pins the selection, reports progress, and clears the selection on success', async () => {
+    const bulkPinPages = vi.fn(async (ids, pinned, { onProgress }) => {
+      onProgress({ completed: 1, total: ids.length });
+      onProgress({ completed: 2, total: ids.length });
+      return { succeeded: ids, failed: [] };
+    });
+    const { controller, state, notify, savedPagesView } = createHarness({ api: { bulkPinPages } });
+    controller.setSelectionMode(true);
+    controller.toggleSelection('p1');
+    controller.toggleSelection('p3');
+
+    await controller.runBulkAction('pin');
+
+    expect(bulkPinPages).toHaveBeenCalledWith(['p1', 'p3'], true, expect.any(Object));
+    expect(notify).toHaveBeenCalledWith('Pinning 2 of 2…', { persist: true });
+    expect(notify).toHaveBeenLastCalledWith('Pinned 2 pages.', { type: 'success' });
+    expect(state.allPages.filter(page => page.pinned).map(page => page.id)).toEqual(['p1', 'p3']);
+    expect(savedPagesView.persistAllPages).toHaveBeenCalledTimes(1);
+    expect(state.selectedPageIds).toEqual([]);
+    expect(state.selectionMode).toBe(true);
+    expect(state.bulkActionInProgress).toBe(false);
+  });
+
+  it('keeps failed pages selected and warns on a partial failure', async () => {
+    const bulkUpdatePages = vi.fn(async () => ({
+      succeeded: ['p1'],
+      failed: [{ id: 'p2', error: new Error('Boom') }]
+    }));
+    const { controller, state, notify } = createHarness({ api: { bulkUpdatePages } });
+    controller.setSelectionMode(true);
+    controller.toggleSelection('p1');
+    controller.toggleSelection('p2');
+
+    await controller.runBulkAction('make-private');
+
+    expect(bulkUpdatePages).toHaveBeenCalledWith(['p1', 'p2'], { private: true }, expect.any(Object));
+    expect(state.allPages.find(page => page.id === 'p1').private).toBe(true);
+    expect(state.allPages.find(page => page.id === 'p2').private).toBeUndefined();
+    expect(state.selectedPageIds).toEqual(['p2']);
+    expect(notify).toHaveBeenLastCalledWith(
+      'Hid 1 page from your organisation. 1 failed and is still selected.',
+      { type: 'warning' }
+    );
+  });
+
+  it('only sends pages that are not already in the project when adding to one', async () => {
+    const bulkAddPagesToProject = vi.fn(async (projectId, ids) => ({ succeeded: ids, failed: [] }));
+    const { controller, state, projectManager } = createHarness({ api: { bulkAddPagesToProject } });
+    controller.setSelectionMode(true);
+    controller.toggleSelection('p1');
+    controller.toggleSelection('p2');
+
+    await controller.runBulkAction('add-to-project', { projectId: 'proj-1' });
+
+    expect(bulkAddPagesToProject).toHaveBeenCalledWith('proj-1', ['p1'], expect.any(Object));
+    expect(state.allPages.find(page => page.id === 'p1').project_ids).toEqual(['proj-1']);
+    expect(projectManager.adjustProjectCount).toHaveBeenCalledWith(expect.anything(), 'proj-1', 1);
+  });
+
+  it('hides deleted pages at once and only deletes them when the undo window commits', async () => {
+    const bulkDeletePages = vi.fn(async ids => ({ succeeded: ids, failed: [] }));
+    const { controller, state, scheduled, releaseDrawerPages } = createHarness({ api: { bulkDeletePages } });
+    controller.setSelectionMode(true);
+    controller.toggleSelection('p1');
+    controller.toggleSelection('p2');
+
+    await controller.runBulkAction('delete');
+
+    expect(state.allPages.map(page => page.id)).toEqual(['p3', 'p4']);
+    expect(state.selectedPageIds).toEqual([]);
+    expect(scheduled[0].message).toBe('Deleted 2 pages.');
+    expect(bulkDeletePages).not.toHaveBeenCalled();
+
+    await scheduled[0].commit();
+
+    expect(bulkDeletePages).toHaveBeenCalledWith(['p1', 'p2']);
+    expect(releaseDrawerPages).toHaveBeenCalledWith([
+      expect.objectContaining({ id: 'p1' }),
+      expect.objectContaining({ id: 'p2' })
+    ]);
+  });
+
+  it('restores and reselects the pages when the bulk delete is undone', async () => {
+    const bulkDeletePages = vi.fn();
+    const { controller, state, scheduled } = createHarness({ api: { bulkDeletePages } });
+    controller.setSelectionMode(true);
+    controller.toggleSelection('p1');
+
+    await controller.runBulkAction('delete');
+    await scheduled[0].undo();
+
+    expect(bulkDeletePages).not.toHaveBeenCalled();
+    expect(state.allPages.map(page => page.id)).toContain('p1');
+    expect(state.selectedPageIds).toEqual(['p1']);
+  });
+
+  it('puts back the pages the backend refused once the delete commits', async () => {
+    const bulkDeletePages = vi.fn(async () => ({
+      succeeded: ['p1'],
+      failed: [{ id: 'p2', error: new Error('boom') }]
+    }));
+    const { controller, state, scheduled, notify } = createHarness({ api: { bulkDeletePages } });
+    controller.setSelectionMode(true);
+    controller.toggleSelection('p1');
+    controller.toggleSelection('p2');
+
+    await controller.runBulkAction('delete');
+    await scheduled[0].commit();
+
+    expect(state.allPages.map(page => page.id)).toEqual(['p3', 'p4', 'p2']);
+    expect(notify).toHaveBeenLastCalledWith(
+      "1 of 2 pages couldn't be deleted and was put back.",
+      { type: 'warning' }
+    );
+  });
+});
+
+describe('trash bulk actions', () => {
+  function createTrashHarness(api) {
+    const harness = createHarness({ api });
+    harness.state.selectedProjectId = TRASH_SCOPE_ID;
+    harness.controller.setSelectionMode(true);
+    harness.controller.toggleSelection('p1');
+    harness.controller.toggleSelection('p2');
+    return harness;
+  }
+
+  it('restores the selection and hands the restored pages to the data controller', async () => {
+    const bulkRestorePages = vi.fn(async ids => ({ succeeded: ids, failed: [] }));
+    const { controller, state, notify, applyRestoredPages } = createTrashHarness({ bulkRestorePages });
+
+    await controller.runBulkAction('restore');
+
+    expect(bulkRestorePages).toHaveBeenCalledWith(['p1', 'p2'], expect.any(Object));
+    expect(applyRestoredPages).toHaveBeenCalledWith(['p1', 'p2']);
+    expect(notify).toHaveBeenLastCalledWith('Restored 2 pages.', { type: 'success' });
+    expect(state.selectedPageIds).toEqual([]);
+  });
+
+  it('asks before deleting forever and sends nothing when declined', async () => {
+    const bulkDeletePagesForever = vi.fn(async ids => ({ succeeded: ids, failed: [] }));
+    const { controller, windowObj, removeTrashPages } = createTrashHarness({ bulkDeletePagesForever });
+    windowObj.confirm.mockReturnValueOnce(false);
+
+    await controller.runBulkAction('delete-forever');
+    expect(bulkDeletePagesForever).not.toHaveBeenCalled();
+
+    await controller.runBulkAction('delete-forever');
+    expect(windowObj.confirm).toHaveBeenLastCalledWith('Delete 2 pages forever? This cannot be undone.');
+    expect(removeTrashPages).toHaveBeenCalledWith(['p1', 'p2']);
+  });
+
+  it('ignores the regular actions in the trash', async () => {
+    const bulkPinPages = vi.fn();
+    const { controller } = createTrashHarness({ bulkPinPages });
+
+    await controller.runBulkAction('pin');
+
+    expect(bulkPinPages).not.toHaveBeenCalled();
+  });
+});
+
+describe('read-state bulk actions', () => {
+  it('marks the selection read with one shared read_at, skipping pages already read', async () => {
+    const bulkUpdatePages = vi.fn(async ids => ({ succeeded: ids, failed: [] }));
+    const { controller, state, notify } = createHarness({
+      api: { bulkUpdatePages },
+      pages: [
+        { id: 'p1', title: 'One' },
+        { id: 'p2', title: 'Two', read_state: 'read', read_at: '2026-01-01T00:00:00.000Z' },
+        { id: 'p3', title: 'Three', read_state: 'unread' }
+      ]
+    });
+    controller.setSelectionMode(true);
+    controller.selectAll();
+
+    await controller.runBulkAction('mark-read');
+
+    const [ids, updates] = bulkUpdatePages.mock.calls[0];
+    expect(ids).toEqual(['p1', 'p3']);
+    expect(updates).toEqual({ read_state: 'read', read_at: expect.any(String) });
+    expect(state.allPages.find(page => page.id === 'p1').read_at).toBe(updates.read_at);
+    expect(state.allPages.find(page => page.id === 'p3').read_state).toBe('read');
+    expect(state.allPages.find(page => page.id === 'p2').read_at).toBe('2026-01-01T00:00:00.000Z');
+    expect(notify).toHaveBeenLastCalledWith('Marked 2 pages as read.', { type: 'success' });
+  });
+
+  it('says so instead of sending a request when every selected page is already archived', async () => {
+    const bulkUpdatePages = vi.fn();
+    const { controller, notify } = createHarness({
+      api: { bulkUpdatePages },
+      pages: [{ id: 'p1', read_state: 'archived' }]
+    });
+    controller.setSelectionMode(true);
+    controller.toggleSelection('p1');
+
+    await controller.runBulkAction('archive');
+
+    expect(bulkUpdatePages).not.toHaveBeenCalled();
+    expect(notify).toHaveBeenLastCalledWith('The selected pages are already archived.', {});
+  });
+
+  it('marks every unread page in the scope read without selection mode, after confirming', async () => {
+    const bulkUpdatePages = vi.fn(async ids => ({ succeeded: ids, failed: [] }));
+    const { controller, state, windowObj, notify } = createHarness({
+      api: { bulkUpdatePages },
+      pages: [
+        { id: 'p1', title: 'One' },
+        { id: 'p2', title: 'Two', read_state: 'read' },
+        { id: 'p3', title: 'Three', read_state: 'archived' },
+        { id: 'p4', title: 'Four', read_state: 'unread' }
+      ]
+    });
+    // The query narrows what's on screen, not what "Mark all read" covers.
+    state.pages = [state.allPages[0]];
+    windowObj.confirm.mockReturnValueOnce(false);
+
+    await controller.markAllRead();
+    expect(windowObj.confirm).toHaveBeenCalledWith('Mark 2 pages as read?');
+    expect(bulkUpdatePages).not.toHaveBeenCalled();
+
+    await controller.markAllRead();
+    expect(bulkUpdatePages).toHaveBeenCalledWith(['p1', 'p4'], expect.objectContaining({ read_state: 'read' }), expect.any(Object));
+    expect(state.allPages.filter(page => page.read_state === 'read').map(page => page.id)).toEqual(['p1', 'p2', 'p4']);
+    expect(state.selectionMode).toBe(false);
+    expect(notify).toHaveBeenLastCalledWith('Marked 2 pages as read.', { type: 'success' });
+  });
+
+  it('does nothing in the trash', async () => {
+    const bulkUpdatePages = vi.fn();
+    const { controller, state } = createHarness({ api: { bulkUpdatePages } });
+    state.selectedProjectId = TRASH_SCOPE_ID;
+
+    await controller.markAllRead();
+
+    expect(bulkUpdatePages).not.toHaveBeenCalled();
+  });
+});
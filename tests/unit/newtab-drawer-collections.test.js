@@ -0,0 +1,115 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import { createDrawerSmartCollectionsController } from '../../src/newtab-drawer-collections.js';
+import { createInitialDrawerState } from '../../src/newtab-drawer-state.js';
+import { createDefaultPageListFilters } from '../../src/page-list-filters.js';
+import { SMART_COLLECTIONS_KEY } from '../../src/smart-collections.js';
+
+const savedCollection = (id, overrides = {}) => ({
+  id,
+  name: id,
+  query: id,
+  filters: createDefaultPageListFilters(),
+  threshold: 0.58,
+  pinned: false,
+  ...overrides
+});
+
+function createHarness({ stored = {}, prompt = null, confirmed = true } = {}) {
+  const state = createInitialDrawerState();
+  const data = { ...stored };
+  const storage = {
+    get: vi.fn(async key => ({ [key]: data[key] })),
+    set: vi.fn(async values => Object.assign(data, values))
+  };
+  const dependencies = {
+    state,
+    storage,
+    selectScope: vi.fn(async () => {
+      state.selectedProjectId = null;
+    }),
+    handleDrawerListFiltersChange: vi.fn(async changes => {
+      state.listFilters = { ...state.listFilters, ...changes };
+    }),
+    loadDrawerResults: vi.fn(async query => {
+      state.query = query;
+    }),
+    renderProjectSidebar: vi.fn(),
+    notify: vi.fn(),
+    promptFn: vi.fn(() => prompt),
+    confirmFn: vi.fn(() => confirmed)
+  };
+  return { controller: createDrawerSmartCollectionsController(dependencies), data, ...dependencies };
+}
+
+describe('smart collections controller', () => {
+  it('loads stored collections into the sidebar', async () => {
+    const { controller, state, renderProjectSidebar } = createHarness({
+      stored: { [SMART_COLLECTIONS_KEY]: [savedCollection('rust')] }
+    });
+
+    await controller.load();
+
+    expect(state.smartCollections.map(collection => collection.id)).toEqual(['rust']);
+    expect(renderProjectSidebar).toHaveBeenCalledTimes(1);
+  });
+
+  it('saves the current query, filters and threshold under the typed name', async () => {
+    const { controller, state, data, promptFn, notify } = createHarness({ prompt: '  Unread Rust ' });
+    state.query = 'rust is:unread';
+    state.listFilters = { ...createDefaultPageListFilters(), hasNotes: true };
+    state.semanticThreshold = 0.7;
+
+    const collection = await controller.saveCurrent();
+
+    expect(promptFn).toHaveBeenCalledWith('Name this search', 'rust is:unread');
+    expect(collection).toMatchObject({
+      name: 'Unread Rust',
+      query: 'rust is:unread',
+      filters: { hasNotes: true },
+      threshold: 0.7
+    });
+    expect(data[SMART_COLLECTIONS_KEY]).toEqual([collection]);
+    expect(notify).toHaveBeenCalledWith('Saved “Unread Rust” to smart collections', { type: 'success' });
+  });
+
+  it('has nothing to save without a query or a filter', async () => {
+    const { controller, promptFn, notify } = createHarness({ prompt: 'Anything' });
+
+    expect(await controller.saveCurrent()).toBeNull();
+    expect(promptFn).not.toHaveBeenCalled();
+    expect(notify).toHaveBeenCalledWith('Search or filter the list first, then save it.', { type: 'warning' });
+  });
+
+  it('opens a collection on All pages with its filters, threshold and query', async () => {
+    const filters = { ...createDefaultPageListFilters(), pinned: true };
+    const { controller, state, selectScope, handleDrawerListFiltersChange, loadDrawerResults } = createHarness();
+    state.smartCollections = [savedCollection('rust', { filters, threshold: 0.5 })];
+    state.selectedProjectId = 'project-1';
+
+    await controller.open('search:rust');
+
+    expect(selectScope).toHaveBeenCalledWith('');
+    expect(state.semanticThreshold).toBe(0.5);
+    expect(handleDrawerListFiltersChange).toHaveBeenCalledWith(filters);
+    expect(loadDrawerResults).toHaveBeenCalledWith('rust');
+  });
+
+  it('renames, pins, moves and deletes from the sidebar ids', async () => {
+    const { controller, state, data, confirmFn } = createHarness({ prompt: 'Renamed' });
+    state.smartCollections = [savedCollection('a'), savedCollection('b'), savedCollection('c')];
+
+    await controller.rename('search:a');
+    expect(state.smartCollections[0].name).toBe('Renamed');
+
+    await controller.togglePin('search:c');
+    expect(state.smartCollections.find(collection => collection.id === 'c').pinned).toBe(true);
+
+    await controller.move('search:b', -1);
+    expect(state.smartCollections.map(collection => collection.id)).toEqual(['c', 'b', 'a']);
+
+    await controller.remove('search:b');
+    expect(confirmFn).toHaveBeenCalled();
+    expect(data[SMART_COLLECTIONS_KEY].map(collection => collection.id)).toEqual(['c', 'a']);
+  });
+});
@@ -15,12 +15,82 @@ function buildHarness() {
         <form class="saved-pages-drawer-edit-form" data-page-id="page-1">
           <input class="saved-pages-drawer-edit-input" name="title" type="text" value="My page">
           <textarea class="saved-pages-drawer-edit-textarea" name="ai_summary_brief">summary</textarea>
+          <div class="saved-pages-drawer-edit-tags">
+            <span class="saved-pages-drawer-edit-tag" data-tag="reading">
+              <input type="hidden" name="manual_tags" value="reading">
+              <button type="button" data-action="remove-edit-tag">×</button>
+            </span>
+            <input class="saved-pages-drawer-edit-tag-input" name="tag_draft" type="text">
+          </div>
+          <textarea class="saved-pages-drawer-edit-textarea" name="user_notes">notes</textarea>
           <button class="saved-pages-drawer-edit-save" type="submit">Save</button>
           <button class="saved-pages-drawer-edit-cancel" type="button" data-action="cancel-edit">Cancel</button>
         </form>
+        <button type="button" data-action="remove-project" data-id="page-1" data-project-id="project-1">×</button>
+        <button type="button" data-action="read" data-id="page-1">Read</button>
+        <button type="button" data-action="mark-read" data-id="page-1"></button>
+        <button type="button" data-action="related" data-id="page-1">Related</button>
+        <section class="saved-pages-related">
+          <button type="button" data-action="related-label" data-id="page-1" data-label="">Any topic</button>
+          <button type="button" data-action="related-label" data-id="page-1" data-label="React">React</button>
+          <button type="button" class="saved-pages-related-item" data-action="focus-related" data-id="page-1" data-page-id="page-2" data-url="https://related.example">Related page</button>
+          <p class="saved-pages-related-status">No related pages yet.</p>
+          <button type="button" data-action="related-more" data-id="page-1">Show more</button>
+        </section>
       </div>
+      <div class="saved-pages-drawer-card is-reorderable" data-page-id="q1" data-url="https://q1.example" draggable="true">
+        <button type="button" data-action="queue-handle" data-id="q1"></button>
+      </div>
+      <div class="saved-pages-drawer-card is-reorderable" data-page-id="q2" data-url="https://q2.example" draggable="true"></div>
+    </div>
+    <div id="bulk-bar">
+      <button type="button" data-bulk-action="toggle-unread-only">Unread only</button>
+      <button type="button" data-bulk-action="mark-all-read">Mark all read</button>
+      <button type="button" data-bulk-action="toggle-match-signals">Match signals</button>
+      <label class="saved-pages-list-sort">
+        <select class="saved-pages-list-sort-select" name="sort">
+          <option value="newest" selected>Newest</option>
+          <option value="title">Title</option>
+        </select>
+      </label>
+      <button type="button" data-bulk-action="toggle-list-filters">Filters</button>
+      <form class="saved-pages-list-filters">
+        <input type="date" name="from" value="2026-10-01">
+        <input type="date" name="to" value="">
+        <input type="checkbox" name="hasNotes" checked>
+        <input type="checkbox" name="pinned">
+        <input type="checkbox" name="private">
+        <select name="label"><option value="" selected>Any label</option></select>
+        <select name="enrichment">
+          <option value="">Enriched or pending</option>
+          <option value="pending" selected>Pending enrichment</option>
+        </select>
+        <select class="saved-pages-semantic-threshold-select" name="threshold">
+          <option value="0.58" selected>Balanced matches</option>
+          <option value="0.7">Close matches</option>
+        </select>
+        <button type="button" data-bulk-action="clear-list-filters">Clear filters</button>
+      </form>
+      <button type="button" data-bulk-action="save-smart-collection">Save search</button>
+      <form class="saved-pages-queue-budget">
+        <input name="minutes" value="25">
+        <button type="submit">Fill</button>
+      </form>
     </div>
-    <aside id="sidebar"></aside>
+    <aside id="sidebar">
+      <div class="project-nav-row" data-project-id="search:c1">
+        <button class="project-nav-item" data-project-id="search:c1">Rust</button>
+        <button class="project-nav-action project-action-collection-pin" data-project-id="search:c1"></button>
+        <button class="project-nav-action project-action-collection-up" data-project-id="search:c1"></button>
+        <button class="project-nav-action project-action-collection-down" data-project-id="search:c1"></button>
+        <button class="project-nav-action project-action-collection-rename" data-project-id="search:c1"></button>
+        <button class="project-nav-action project-action-collection-delete" data-project-id="search:c1"></button>
+      </div>
+      <div class="project-nav-row" data-project-id="topic:CS">
+        <button class="project-nav-expander" type="button" data-project-id="topic:CS" aria-expanded="false">▸</button>
+        <button class="project-nav-item" data-project-id="topic:CS">CS</button>
+      </div>
+    </aside>
     <div id="editor-backdrop" class="hidden"></div>
     <div id="editor-dialog" class="hidden"></div>
   `;
@@ -29,7 +99,32 @@ function buildHarness() {
     handleDrawerEditCancel: vi.fn(),
     handleDrawerUpdate: vi.fn(),
     handleDrawerTogglePrivacy: vi.fn(),
-    navigateDrawerCard: vi.fn()
+    handleDrawerRemoveFromProject: vi.fn(),
+    navigateDrawerCard: vi.fn(),
+    openDrawerReader: vi.fn(),
+    handleDrawerMarkRead: vi.fn(),
+    handleDrawerUnreadOnlyToggle: vi.fn(),
+    handleDrawerMatchSignalsToggle: vi.fn(),
+    handleDrawerTopicToggle: vi.fn(),
+    handleDrawerRelatedToggle: vi.fn(),
+    handleDrawerRelatedLabel: vi.fn(),
+    handleDrawerRelatedMore: vi.fn(),
+    handleDrawerRelatedFocus: vi.fn(() => false),
+    handleDrawerMarkAllRead: vi.fn(),
+    handleDrawerBulkAction: vi.fn(),
+    handleDrawerQueueReorder: vi.fn(),
+    handleDrawerQueueMove: vi.fn(),
+    handleDrawerQueueFill: vi.fn(),
+    handleDrawerListFiltersChange: vi.fn(),
+    handleDrawerListFiltersClear: vi.fn(),
+    handleDrawerListFiltersToggle: vi.fn(),
+    handleDrawerSemanticThresholdChange: vi.fn(),
+    handleDrawerSmartCollectionSave: vi.fn(),
+    handleDrawerSmartCollectionOpen: vi.fn(),
+    handleDrawerSmartCollectionRename: vi.fn(),
+    handleDrawerSmartCollectionPin: vi.fn(),
+    handleDrawerSmartCollectionMove: vi.fn(),
+    handleDrawerSmartCollectionDelete: vi.fn()
   };
 
   const noop = () => {};
@@ -38,6 +133,7 @@ function buildHarness() {
     savedPagesDrawerSearchInput: document.getElementById('search-input'),
     savedPagesDrawerClearBtn: null,
     savedPagesDrawerResults: document.getElementById('results'),
+    savedPagesBulkBar: document.getElementById('bulk-bar'),
     projectSidebar: document.getElementById('sidebar'),
     projectEditorBackdrop: document.getElementById('editor-backdrop'),
     projectEditorDialog: document.getElementById('editor-dialog'),
@@ -46,12 +142,37 @@ function buildHarness() {
     loadDrawerResults: noop,
     loadDrawerDomainPages: noop,
     navigateDrawerCard: handlers.navigateDrawerCard,
+    openDrawerReader: handlers.openDrawerReader,
     handleDrawerEditCancel: handlers.handleDrawerEditCancel,
     handleDrawerEditStart: noop,
     handleDrawerPin: noop,
     handleDrawerTogglePrivacy: handlers.handleDrawerTogglePrivacy,
     handleDrawerUpdate: handlers.handleDrawerUpdate,
     handleDrawerDelete: noop,
+    handleDrawerRemoveFromProject: handlers.handleDrawerRemoveFromProject,
+    handleDrawerMarkRead: handlers.handleDrawerMarkRead,
+    handleDrawerUnreadOnlyToggle: handlers.handleDrawerUnreadOnlyToggle,
+    handleDrawerMatchSignalsToggle: handlers.handleDrawerMatchSignalsToggle,
+    handleDrawerTopicToggle: handlers.handleDrawerTopicToggle,
+    handleDrawerRelatedToggle: handlers.handleDrawerRelatedToggle,
+    handleDrawerRelatedLabel: handlers.handleDrawerRelatedLabel,
+    handleDrawerRelatedMore: handlers.handleDrawerRelatedMore,
+    handleDrawerRelatedFocus: handlers.handleDrawerRelatedFocus,
+    handleDrawerMarkAllRead: handlers.handleDrawerMarkAllRead,
+    handleDrawerBulkAction: handlers.handleDrawerBulkAction,
+    handleDrawerQueueReorder: handlers.handleDrawerQueueReorder,
+    handleDrawerQueueMove: handlers.handleDrawerQueueMove,
+    handleDrawerQueueFill: handlers.handleDrawerQueueFill,
+    handleDrawerListFiltersChange: handlers.handleDrawerListFiltersChange,
+    handleDrawerListFiltersClear: handlers.handleDrawerListFiltersClear,
+    handleDrawerListFiltersToggle: handlers.handleDrawerListFiltersToggle,
+    handleDrawerSemanticThresholdChange: handlers.handleDrawerSemanticThresholdChange,
+    handleDrawerSmartCollectionSave: handlers.handleDrawerSmartCollectionSave,
+    handleDrawerSmartCollectionOpen: handlers.handleDrawerSmartCollectionOpen,
+    handleDrawerSmartCollectionRename: handlers.handleDrawerSmartCollectionRename,
+    handleDrawerSmartCollectionPin: handlers.handleDrawerSmartCollectionPin,
+    handleDrawerSmartCollectionMove: handlers.handleDrawerSmartCollectionMove,
+    handleDrawerSmartCollectionDelete: handlers.handleDrawerSmartCollectionDelete,
     handleDrawerScrollNearEnd: noop,
     setDrawerSearchValue: noop,
     setDrawerToggleState: noop,
@@ -62,6 +183,228 @@ function buildHarness() {
   return handlers;
 }
 
+describe('project pill removal', () => {
+  it('routes the pill × through the undoable drawer handler', () => {
+    const { handleDrawerRemoveFromProject } = buildHarness();
+
+    document.querySelector('[data-action="remove-project"]').click();
+
+    expect(handleDrawerRemoveFromProject).toHaveBeenCalledWith('page-1', 'project-1');
+  });
+});
+
+describe('related pages panel', () => {
+  it('routes the toggle, label chips and Show more without opening the card', () => {
+    const { handleDrawerRelatedToggle, handleDrawerRelatedLabel, handleDrawerRelatedMore, navigateDrawerCard } = buildHarness();
+
+    document.querySelector('[data-action="related"]').click();
+    document.querySelector('[data-action="related-label"][data-label="React"]').click();
+    document.querySelector('[data-action="related-label"][data-label=""]').click();
+    document.querySelector('[data-action="related-more"]').click();
+    document.querySelector('.saved-pages-related-status').click();
+
+    expect(handleDrawerRelatedToggle).toHaveBeenCalledWith('page-1');
+    expect(handleDrawerRelatedLabel.mock.calls).toEqual([['page-1', 'React'], ['page-1', null]]);
+    expect(handleDrawerRelatedMore).toHaveBeenCalledWith('page-1');
+    expect(navigateDrawerCard).not.toHaveBeenCalled();
+  });
+
+  it('focuses a related card, and opens the page when the drawer is not showing it', () => {
+    const { handleDrawerRelatedFocus, navigateDrawerCard } = buildHarness();
+    const item = document.querySelector('[data-action="focus-related"]');
+
+    handleDrawerRelatedFocus.mockReturnValueOnce(true);
+    item.click();
+    expect(navigateDrawerCard).not.toHaveBeenCalled();
+
+    item.click();
+    expect(handleDrawerRelatedFocus).toHaveBeenLastCalledWith('page-2');
+    expect(navigateDrawerCard).toHaveBeenCalledWith(item, expect.any(MouseEvent));
+  });
+});
+
+describe('reader action', () => {
+  it('opens the card in the reader instead of navigating to the page', () => {
+    const { openDrawerReader, navigateDrawerCard } = buildHarness();
+
+    document.querySelector('[data-action="read"]').dispatchEvent(new MouseEvent('click', { bubbles: true, metaKey: true }));
+
+    expect(openDrawerReader).toHaveBeenCalledWith(
+      document.querySelector('.saved-pages-drawer-card'),
+      expect.objectContaining({ metaKey: true })
+    );
+    expect(navigateDrawerCard).not.toHaveBeenCalled();
+  });
+});
+
+describe('read state controls', () => {
+  it('marks the card read from its unread dot without opening it', () => {
+    const { handleDrawerMarkRead, navigateDrawerCard } = buildHarness();
+
+    document.querySelector('[data-action="mark-read"]').click();
+
+    expect(handleDrawerMarkRead).toHaveBeenCalledWith('page-1');
+    expect(navigateDrawerCard).not.toHaveBeenCalled();
+  });
+
+  it('routes the unread filter, "Mark all read" and the match signals toggle past the selection bulk actions', () => {
+    const {
+      handleDrawerUnreadOnlyToggle,
+      handleDrawerMarkAllRead,
+      handleDrawerMatchSignalsToggle,
+      handleDrawerBulkAction
+    } = buildHarness();
+
+    document.querySelector('[data-bulk-action="toggle-unread-only"]').click();
+    document.querySelector('[data-bulk-action="mark-all-read"]').click();
+    document.querySelector('[data-bulk-action="toggle-match-signals"]').click();
+
+    expect(handleDrawerUnreadOnlyToggle).toHaveBeenCalledTimes(1);
+    expect(handleDrawerMarkAllRead).toHaveBeenCalledTimes(1);
+    expect(handleDrawerMatchSignalsToggle).toHaveBeenCalledTimes(1);
+    expect(handleDrawerBulkAction).not.toHaveBeenCalled();
+  });
+});
+
+describe('reading queue controls', () => {
+  function dragEvent(type, clientY = 0) {
+    const event = new Event(type, { bubbles: true, cancelable: true });
+    Object.defineProperty(event, 'clientY', { value: clientY });
+    return event;
+  }
+
+  it('drops a dragged card before or after the card under the pointer', () => {
+    const { handleDrawerQueueReorder } = buildHarness();
+    const [first, second] = document.querySelectorAll('.is-reorderable');
+    second.getBoundingClientRect = () => ({ top: 100, height: 40 });
+
+    first.dispatchEvent(dragEvent('dragstart'));
+    const over = dragEvent('dragover', 130);
+    second.dispatchEvent(over);
+    expect(over.defaultPrevented).toBe(true);
+    expect(second.classList.contains('is-drop-after')).toBe(true);
+
+    second.dispatchEvent(dragEvent('drop', 130));
+    expect(handleDrawerQueueReorder).toHaveBeenCalledWith('q1', 'q2', { after: true });
+    expect(second.classList.contains('is-drop-after')).toBe(false);
+  });
+
+  it('moves a card with the arrow keys on its handle, and a click on the handle opens nothing', () => {
+    const { handleDrawerQueueMove, navigateDrawerCard } = buildHarness();
+    const handle = document.querySelector('[data-action="queue-handle"]');
+
+    handle.dispatchEvent(new KeyboardEvent('keydown', { key: 'ArrowDown', bubbles: true }));
+    handle.click();
+
+    expect(handleDrawerQueueMove).toHaveBeenCalledWith('q1', 1);
+    expect(navigateDrawerCard).not.toHaveBeenCalled();
+  });
+
+  it('fills the queue from the budget form', () => {
+    const { handleDrawerQueueFill } = buildHarness();
+
+    document.querySelector('.saved-pages-queue-budget')
+      .dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+
+    expect(handleDrawerQueueFill).toHaveBeenCalledWith('25');
+  });
+});
+
+describe('list sort and filter controls', () => {
+  it('applies a new sort from the menu', () => {
+    const { handleDrawerListFiltersChange } = buildHarness();
+    const select = document.querySelector('.saved-pages-list-sort-select');
+
+    select.value = 'title';
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+
+    expect(handleDrawerListFiltersChange).toHaveBeenCalledWith({ sort: 'title' });
+  });
+
+  it('applies the whole facet panel when one field changes, without submitting it', () => {
+    const { handleDrawerListFiltersChange } = buildHarness();
+    const pinned = document.querySelector('.saved-pages-list-filters [name="pinned"]');
+
+    pinned.checked = true;
+    pinned.dispatchEvent(new Event('change', { bubbles: true }));
+    const submit = new Event('submit', { bubbles: true, cancelable: true });
+    document.querySelector('.saved-pages-list-filters').dispatchEvent(submit);
+
+    expect(handleDrawerListFiltersChange).toHaveBeenCalledWith({
+      from: '2026-10-01',
+      to: null,
+      hasNotes: true,
+      pinned: true,
+      private: false,
+      label: '',
+      enrichment: 'pending'
+    });
+    expect(submit.defaultPrevented).toBe(true);
+  });
+
+  it('routes the Filters toggle and Clear filters buttons', () => {
+    const { handleDrawerListFiltersToggle, handleDrawerListFiltersClear, handleDrawerBulkAction } = buildHarness();
+
+    document.querySelector('[data-bulk-action="toggle-list-filters"]').click();
+    document.querySelector('[data-bulk-action="clear-list-filters"]').click();
+
+    expect(handleDrawerListFiltersToggle).toHaveBeenCalledTimes(1);
+    expect(handleDrawerListFiltersClear).toHaveBeenCalledTimes(1);
+    expect(handleDrawerBulkAction).not.toHaveBeenCalled();
+  });
+
+  it('sends the semantic threshold on its own, not as a facet', () => {
+    const { handleDrawerSemanticThresholdChange, handleDrawerListFiltersChange } = buildHarness();
+    const select = document.querySelector('.saved-pages-semantic-threshold-select');
+
+    select.value = '0.7';
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+
+    expect(handleDrawerSemanticThresholdChange).toHaveBeenCalledWith('0.7');
+    expect(handleDrawerListFiltersChange).not.toHaveBeenCalled();
+  });
+});
+
+describe('smart collections', () => {
+  it('saves the current search from the bar', () => {
+    const { handleDrawerSmartCollectionSave, handleDrawerBulkAction } = buildHarness();
+
+    document.querySelector('[data-bulk-action="save-smart-collection"]').click();
+
+    expect(handleDrawerSmartCollectionSave).toHaveBeenCalledTimes(1);
+    expect(handleDrawerBulkAction).not.toHaveBeenCalled();
+  });
+
+  it('opens a collection row and routes each row action with its sidebar id', () => {
+    const handlers = buildHarness();
+    const click = selector => document.querySelector(`#sidebar ${selector}`).click();
+
+    click('.project-nav-item');
+    click('.project-action-collection-pin');
+    click('.project-action-collection-up');
+    click('.project-action-collection-down');
+    click('.project-action-collection-rename');
+    click('.project-action-collection-delete');
+
+    expect(handlers.handleDrawerSmartCollectionOpen).toHaveBeenCalledTimes(1);
+    expect(handlers.handleDrawerSmartCollectionOpen).toHaveBeenCalledWith('search:c1');
+    expect(handlers.handleDrawerSmartCollectionPin).toHaveBeenCalledWith('search:c1');
+    expect(handlers.handleDrawerSmartCollectionMove.mock.calls).toEqual([['search:c1', -1], ['search:c1', 1]]);
+    expect(handlers.handleDrawerSmartCollectionRename).toHaveBeenCalledWith('search:c1');
+    expect(handlers.handleDrawerSmartCollectionDelete).toHaveBeenCalledWith('search:c1');
+  });
+});
+
+describe('topic tree', () => {
+  it('routes a topic node toggle to the topic handler with its sidebar id', () => {
+    const { handleDrawerTopicToggle } = buildHarness();
+
+    document.querySelector('#sidebar .project-nav-expander').click();
+
+    expect(handleDrawerTopicToggle).toHaveBeenCalledWith('topic:CS');
+  });
+});
+
 describe('edit form keydown', () => {
   beforeEach(() => {
     document.body.innerHTML = '';
@@ -77,7 +420,9 @@ describe('edit form keydown', () => {
     // Submit handler reads FormData and calls handleDrawerUpdate.
     expect(handleDrawerUpdate).toHaveBeenCalledWith('page-1', {
       title: 'My page',
-      ai_summary_brief: 'summary'
+      ai_summary_brief: 'summary',
+      manual_tags: ['reading'],
+      user_notes: 'notes'
     });
     expect(handleDrawerEditCancel).not.toHaveBeenCalled();
   });
@@ -114,6 +459,58 @@ describe('edit form keydown', () => {
   });
 });
 
+describe('edit form tag chips', () => {
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  function tagValues() {
+    return Array.from(document.querySelectorAll('input[name="manual_tags"]')).map(input => input.value);
+  }
+
+  it('Enter in the tag input adds a chip instead of submitting', () => {
+    const { handleDrawerUpdate } = buildHarness();
+    const tagInput = document.querySelector('input[name="tag_draft"]');
+
+    tagInput.value = 'hooks, React';
+    tagInput.dispatchEvent(new KeyboardEvent('keydown', { key: 'Enter', bubbles: true }));
+
+    expect(tagValues()).toEqual(['reading', 'hooks', 'React']);
+    expect(tagInput.value).toBe('');
+    expect(handleDrawerUpdate).not.toHaveBeenCalled();
+  });
+
+  it('skips a tag the form already holds', () => {
+    buildHarness();
+    const tagInput = document.querySelector('input[name="tag_draft"]');
+
+    tagInput.value = 'Reading';
+    tagInput.dispatchEvent(new KeyboardEvent('keydown', { key: ',', bubbles: true }));
+
+    expect(tagValues()).toEqual(['reading']);
+  });
+
+  it('the chip remove button drops the tag from the submitted payload', () => {
+    const { handleDrawerUpdate } = buildHarness();
+
+    document.querySelector('[data-action="remove-edit-tag"]').click();
+    document.querySelector('.saved-pages-drawer-edit-form').requestSubmit();
+
+    expect(handleDrawerUpdate).toHaveBeenCalledWith('page-1', expect.objectContaining({ manual_tags: [] }));
+  });
+
+  it('includes text still in the tag input when the form is saved', () => {
+    const { handleDrawerUpdate } = buildHarness();
+    document.querySelector('input[name="tag_draft"]').value = 'later';
+
+    document.querySelector('.saved-pages-drawer-edit-form').requestSubmit();
+
+    expect(handleDrawerUpdate).toHaveBeenCalledWith('page-1', expect.objectContaining({
+      manual_tags: ['reading', 'later']
+    }));
+  });
+});
+
 describe('privacy toggle click delegation', () => {
   beforeEach(() => {
     document.body.innerHTML = '';
@@ -244,3 +641,279 @@ describe('pinned shelf card navigation', () => {
     expect(navigateDrawerCard.mock.calls[0][0]).toBe(card);
   });
 });
+
+describe('selection mode and the bulk bar', () => {
+  function buildSelectionHarness({ selectionMode = true } = {}) {
+    document.body.innerHTML = `
+      <div id="bulk-bar">
+        <select class="saved-pages-bulk-project-select"><option value="proj-1">Research</option></select>
+        <button type="button" data-bulk-action="enter">Select</button>
+        <button type="button" data-bulk-action="add-to-project">Add to project</button>
+        <button type="button" data-bulk-action="delete" disabled>Delete</button>
+      </div>
+      <div id="results">
+        <article class="saved-pages-drawer-card" data-page-id="page-1" data-url="https://example.com/1">
+          <button type="button" data-action="select" data-id="page-1"></button>
+          <h3>One</h3>
+        </article>
+      </div>
+    `;
+    const handlers = {
+      navigateDrawerCard: vi.fn(),
+      setDrawerSelectionMode: vi.fn(),
+      handleDrawerSelectionToggle: vi.fn(),
+      handleDrawerSelectAll: vi.fn(),
+      handleDrawerBulkAction: vi.fn()
+    };
+    const noop = () => {};
+    initSavedPagesDrawerEvents({
+      savedPagesDrawerSearchForm: null,
+      savedPagesDrawerSearchInput: null,
+      savedPagesDrawerClearBtn: null,
+      savedPagesDrawerResults: document.getElementById('results'),
+      savedPagesBulkBar: document.getElementById('bulk-bar'),
+      projectSidebar: null,
+      projectEditorBackdrop: null,
+      projectEditorDialog: null,
+      projectManager: {},
+      savedPagesView: {},
+      loadDrawerResults: noop,
+      loadDrawerDomainPages: noop,
+      navigateDrawerCard: handlers.navigateDrawerCard,
+      handleDrawerEditCancel: noop,
+      handleDrawerEditStart: noop,
+      handleDrawerPin: noop,
+      handleDrawerTogglePrivacy: noop,
+      handleDrawerUpdate: noop,
+      handleDrawerDelete: noop,
+      handleDrawerScrollNearEnd: noop,
+      isDrawerSelectionMode: () => selectionMode,
+      setDrawerSelectionMode: handlers.setDrawerSelectionMode,
+      handleDrawerSelectionToggle: handlers.handleDrawerSelectionToggle,
+      handleDrawerSelectAll: handlers.handleDrawerSelectAll,
+      handleDrawerBulkAction: handlers.handleDrawerBulkAction,
+      setDrawerSearchValue: noop,
+      setDrawerToggleState: noop,
+      windowObj: window,
+      documentObj: document
+    });
+    return handlers;
+  }
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('a card click toggles selection instead of navigating, passing shift for ranges', () => {
+    const handlers = buildSelectionHarness();
+
+    document.querySelector('h3').dispatchEvent(new MouseEvent('click', { bubbles: true, shiftKey: true }));
+
+    expect(handlers.handleDrawerSelectionToggle).toHaveBeenCalledWith('page-1', { range: true });
+    expect(handlers.navigateDrawerCard).not.toHaveBeenCalled();
+  });
+
+  it('the card checkbox routes to the selection toggle', () => {
+    const handlers = buildSelectionHarness();
+
+    document.querySelector('[data-action="select"]').click();
+
+    expect(handlers.handleDrawerSelectionToggle).toHaveBeenCalledWith('page-1', { range: false });
+  });
+
+  it('a card click still navigates outside selection mode', () => {
+    const handlers = buildSelectionHarness({ selectionMode: false });
+
+    document.querySelector('h3').dispatchEvent(new MouseEvent('click', { bubbles: true }));
+
+    expect(handlers.navigateDrawerCard).toHaveBeenCalled();
+    expect(handlers.handleDrawerSelectionToggle).not.toHaveBeenCalled();
+  });
+
+  it('bulk bar buttons enter selection mode and run actions with the chosen project', () => {
+    const handlers = buildSelectionHarness();
+
+    document.querySelector('[data-bulk-action="enter"]').click();
+    document.querySelector('[data-bulk-action="add-to-project"]').click();
+    document.querySelector('[data-bulk-action="delete"]').click();
+
+    expect(handlers.setDrawerSelectionMode).toHaveBeenCalledWith(true);
+    expect(handlers.handleDrawerBulkAction).toHaveBeenCalledTimes(1);
+    expect(handlers.handleDrawerBulkAction).toHaveBeenCalledWith('add-to-project', { projectId: 'proj-1' });
+  });
+
+  it('Escape leaves selection mode', () => {
+    const handlers = buildSelectionHarness();
+
+    document.body.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape', bubbles: true }));
+
+    expect(handlers.setDrawerSelectionMode).toHaveBeenCalledWith(false);
+  });
+});
+
+describe('keyboard card navigation', () => {
+  function buildKeyboardHarness({ selectionMode = false, trash = false } = {}) {
+    const card = (id) => `
+      <article class="saved-pages-drawer-card" data-page-id="${id}" data-url="https://example.com/${id}" tabindex="0">
+        <h3>${id}</h3>
+        ${trash ? `
+          <button type="button" data-action="restore" data-id="${id}"></button>
+          <button type="button" data-action="delete-forever" data-id="${id}"></button>
+        ` : `
+          <button type="button" data-action="edit" data-id="${id}"></button>
+          <button type="button" data-action="pin" data-id="${id}"></button>
+          <button type="button" data-action="delete" data-id="${id}"></button>
+        `}
+      </article>
+    `;
+    document.body.innerHTML = `
+      <form id="search-form"><input id="search-input"></form>
+      <div id="results">${card('page-1')}${card('page-2')}</div>
+    `;
+    const handlers = {
+      navigateDrawerCard: vi.fn(),
+      handleDrawerEditStart: vi.fn(),
+      handleDrawerPin: vi.fn().mockResolvedValue(undefined),
+      handleDrawerDelete: vi.fn().mockResolvedValue(undefined),
+      handleDrawerDeleteForever: vi.fn().mockResolvedValue(undefined),
+      setDrawerSelectionMode: vi.fn(),
+      handleDrawerSelectionToggle: vi.fn()
+    };
+    const noop = () => {};
+    const windowObj = {
+      confirm: vi.fn(() => true),
+      location: { search: '' },
+      clearTimeout: noop,
+      setTimeout: noop,
+      requestAnimationFrame: noop,
+      addEventListener: noop,
+      document
+    };
+    initSavedPagesDrawerEvents({
+      savedPagesDrawerSearchForm: document.getElementById('search-form'),
+      savedPagesDrawerSearchInput: document.getElementById('search-input'),
+      savedPagesDrawerClearBtn: null,
+      savedPagesDrawerResults: document.getElementById('results'),
+      projectSidebar: null,
+      projectEditorBackdrop: null,
+      projectEditorDialog: null,
+      projectManager: {},
+      savedPagesView: {},
+      loadDrawerResults: noop,
+      loadDrawerDomainPages: noop,
+      navigateDrawerCard: handlers.navigateDrawerCard,
+      handleDrawerEditCancel: noop,
+      handleDrawerEditStart: handlers.handleDrawerEditStart,
+      handleDrawerPin: handlers.handleDrawerPin,
+      handleDrawerTogglePrivacy: noop,
+      handleDrawerUpdate: noop,
+      handleDrawerDelete: handlers.handleDrawerDelete,
+      handleDrawerDeleteForever: handlers.handleDrawerDeleteForever,
+      handleDrawerScrollNearEnd: noop,
+      isDrawerSelectionMode: () => selectionMode,
+      setDrawerSelectionMode: handlers.setDrawerSelectionMode,
+      handleDrawerSelectionToggle: handlers.handleDrawerSelectionToggle,
+      setDrawerSearchValue: noop,
+      setDrawerToggleState: noop,
+      windowObj,
+      documentObj: document
+    });
+    return { ...handlers, windowObj };
+  }
+
+  function press(key, target = document.activeElement || document.body) {
+    target.dispatchEvent(new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true }));
+  }
+
+  beforeEach(() => {
+    document.body.innerHTML = '';
+  });
+
+  it('j and k move focus between cards and stop at the ends', () => {
+    buildKeyboardHarness();
+    const cards = document.querySelectorAll('.saved-pages-drawer-card');
+
+    press('j', document.body);
+    expect(document.activeElement).toBe(cards[0]);
+    press('j');
+    expect(document.activeElement).toBe(cards[1]);
+    press('j');
+    expect(document.activeElement).toBe(cards[1]);
+    press('k');
+    expect(document.activeElement).toBe(cards[0]);
+  });
+
+  it('o opens, p pins and e edits the focused card through its buttons', async () => {
+    const handlers = buildKeyboardHarness();
+    document.querySelectorAll('.saved-pages-drawer-card')[1].focus();
+
+    press('o');
+    press('p');
+    press('e');
+    await Promise.resolve();
+
+    expect(handlers.navigateDrawerCard).toHaveBeenCalledWith(document.querySelectorAll('.saved-pages-drawer-card')[1], expect.any(KeyboardEvent));
+    expect(handlers.handleDrawerPin).toHaveBeenCalledWith('page-2');
+    expect(handlers.handleDrawerEditStart).toHaveBeenCalledWith('page-2');
+  });
+
+  it('x enters selection mode and toggles the focused card', async () => {
+    const handlers = buildKeyboardHarness();
+    handlers.setDrawerSelectionMode.mockImplementation(() => {
+      // Selection mode re-renders the cards with their checkbox.
+      document.querySelectorAll('.saved-pages-drawer-card').forEach(card => {
+        card.insertAdjacentHTML('afterbegin', `<button type="button" data-action="select" data-id="${card.dataset.pageId}"></button>`);
+      });
+    });
+    document.querySelector('.saved-pages-drawer-card').focus();
+
+    press('x');
+    await Promise.resolve();
+
+    expect(handlers.setDrawerSelectionMode).toHaveBeenCalledWith(true);
+    expect(handlers.handleDrawerSelectionToggle).toHaveBeenCalledWith('page-1', { range: false });
+  });
+
+  it('# asks before deleting and routes to the undoable delete', async () => {
+    const handlers = buildKeyboardHarness();
+    const card = document.querySelector('.saved-pages-drawer-card');
+    card.focus();
+
+    handlers.windowObj.confirm.mockReturnValueOnce(false);
+    press('#');
+    await Promise.resolve();
+    expect(handlers.handleDrawerDelete).not.toHaveBeenCalled();
+
+    card.focus();
+    press('#');
+    await Promise.resolve();
+    expect(handlers.windowObj.confirm).toHaveBeenCalledTimes(2);
+    expect(handlers.handleDrawerDelete).toHaveBeenCalledWith('page-1');
+  });
+
+  it('# in the trash deletes forever without a second prompt, and p does nothing there', async () => {
+    const handlers = buildKeyboardHarness({ trash: true });
+    document.querySelector('.saved-pages-drawer-card').focus();
+
+    press('p');
+    press('#');
+    await Promise.resolve();
+
+    expect(handlers.handleDrawerPin).not.toHaveBeenCalled();
+    expect(handlers.handleDrawerDeleteForever).toHaveBeenCalledWith('page-1');
+    expect(handlers.windowObj.confirm).not.toHaveBeenCalled();
+  });
+
+  it('/ focuses search, and letters typed into an input are left alone', () => {
+    const handlers = buildKeyboardHarness();
+    const input = document.getElementById('search-input');
+
+    press('/', document.body);
+    expect(document.activeElement).toBe(input);
+
+    press('j', input);
+    press('p', input);
+    expect(document.activeElement).toBe(input);
+    expect(handlers.handleDrawerPin).not.toHaveBeenCalled();
+  });
+});
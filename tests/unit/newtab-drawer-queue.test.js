@@ -0,0 +1,75 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import { createDrawerQueueController } from '../../src/newtab-drawer-queue.js';
+import { createInitialDrawerState } from '../../src/newtab-drawer-state.js';
+import { READING_QUEUE_ORDER_KEY } from '../../src/reading-queue.js';
+import { READING_QUEUE_SCOPE_ID } from '../../src/project-manager-state.js';
+
+function createHarness({ stored = {} } = {}) {
+  const state = createInitialDrawerState();
+  state.selectedProjectId = READING_QUEUE_SCOPE_ID;
+  state.allPages = [
+    { id: 'p1', saved_at: '2026-10-01T00:00:00.000Z' },
+    { id: 'p2', saved_at: '2026-10-02T00:00:00.000Z' },
+    { id: 'p3', saved_at: '2026-10-03T00:00:00.000Z' }
+  ];
+  const data = { ...stored };
+  const storage = {
+    get: vi.fn(async key => ({ [key]: data[key] })),
+    set: vi.fn(async values => Object.assign(data, values))
+  };
+  const dependencies = {
+    state,
+    storage,
+    applyDrawerFilters: vi.fn(),
+    renderDrawerResults: vi.fn(),
+    notify: vi.fn()
+  };
+  return { controller: createDrawerQueueController(dependencies), data, ...dependencies };
+}
+
+describe('reading queue controller', () => {
+  it('loads the stored order and re-renders the open queue', async () => {
+    const { controller, state, renderDrawerResults } = createHarness({ stored: { [READING_QUEUE_ORDER_KEY]: ['p3'] } });
+
+    await controller.loadOrder();
+
+    expect(state.readingQueueOrder).toEqual(['p3']);
+    expect(renderDrawerResults).toHaveBeenCalledTimes(1);
+  });
+
+  it('stores the whole queue order after a drop so the other pages keep their places', async () => {
+    const { controller, state, data, applyDrawerFilters, renderDrawerResults } = createHarness();
+
+    await controller.reorder('p3', 'p1');
+
+    expect(state.readingQueueOrder).toEqual(['p3', 'p1', 'p2']);
+    expect(data[READING_QUEUE_ORDER_KEY]).toEqual(['p3', 'p1', 'p2']);
+    expect(applyDrawerFilters).toHaveBeenCalled();
+    expect(renderDrawerResults).toHaveBeenCalled();
+  });
+
+  it('moves a page one place with the arrow keys and stops at the ends', async () => {
+    const { controller, state, storage } = createHarness();
+
+    await controller.move('p1', 1);
+    expect(state.readingQueueOrder).toEqual(['p2', 'p1', 'p3']);
+
+    await controller.move('p2', -1);
+    expect(storage.set).toHaveBeenCalledTimes(1);
+  });
+
+  it('sets a budget from the typed minutes and warns on nonsense', () => {
+    const { controller, state, notify } = createHarness();
+
+    controller.fillBudget('25');
+    expect(state.queueBudgetMinutes).toBe(25);
+
+    controller.fillBudget('soon');
+    expect(state.queueBudgetMinutes).toBe(25);
+    expect(notify).toHaveBeenCalledWith('Enter how many minutes you have, e.g. 20.', { type: 'warning' });
+
+    controller.clearBudget();
+    expect(state.queueBudgetMinutes).toBeNull();
+  });
+});
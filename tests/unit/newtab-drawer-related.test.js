@@ -0,0 +1,91 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import { RELATED_PAGE_SIZE, createDrawerRelatedController } from '../../src/newtab-drawer-related.js';
+import { createInitialDrawerState } from '../../src/newtab-drawer-state.js';
+
+const similar = (ids, hasMore = false) => ({
+  results: ids.map((id, index) => ({ thing_id: id, similarity: 0.9 - index / 10, thing_data: { id, title: `Remote ${id}` } })),
+  pagination: { has_more: hasMore }
+});
+
+function createHarness(getSimilarByThingId) {
+  const state = createInitialDrawerState();
+  const dependencies = {
+    api: { getSimilarByThingId: vi.fn(getSimilarByThingId) },
+    state,
+    renderDrawerResults: vi.fn(),
+    focusDrawerCard: vi.fn(() => true)
+  };
+  return { controller: createDrawerRelatedController(dependencies), ...dependencies };
+}
+
+describe('related pages controller', () => {
+  it('opens a panel with the most similar pages, preferring the drawer copy', async () => {
+    const { controller, state, api } = createHarness(async () => similar(['page-1', 'a', 'b'], true));
+    state.allPages = [{ id: 'a', title: 'Local a' }];
+
+    await controller.toggle('page-1');
+
+    expect(api.getSimilarByThingId).toHaveBeenCalledWith('page-1', RELATED_PAGE_SIZE, 0, null);
+    expect(state.relatedPanel).toMatchObject({ pageId: 'page-1', loading: false, hasMore: true, nextOffset: 3 });
+    expect(state.relatedPanel.results.map(page => page.title)).toEqual(['Local a', 'Remote b']);
+
+    await controller.toggle('page-1');
+    expect(state.relatedPanel).toBeNull();
+  });
+
+  it('pages on from where the endpoint left off and narrows by label', async () => {
+    const { controller, state, api } = createHarness(async (_id, _limit, offset) => (
+      offset ? similar(['c']) : similar(['a', 'b'], true)
+    ));
+
+    await controller.toggle('page-1');
+    await controller.loadMore('page-1');
+
+    expect(api.getSimilarByThingId).toHaveBeenLastCalledWith('page-1', RELATED_PAGE_SIZE, 2, null);
+    expect(state.relatedPanel.results.map(page => page.id)).toEqual(['a', 'b', 'c']);
+    expect(state.relatedPanel.hasMore).toBe(false);
+
+    await controller.setLabel('page-1', 'Web Development');
+
+    expect(api.getSimilarByThingId).toHaveBeenLastCalledWith('page-1', RELATED_PAGE_SIZE, 0, 'Web Development');
+    expect(state.relatedPanel.label).toBe('Web Development');
+  });
+
+  it('drops a response for a panel that was closed while it loaded', async () => {
+    let resolve;
+    const { controller, state } = createHarness(() => new Promise(done => { resolve = done; }));
+
+    const loading = controller.toggle('page-1');
+    expect(state.relatedPanel.loading).toBe(true);
+    await controller.toggle('page-1');
+    resolve(similar(['a']));
+    await loading;
+
+    expect(state.relatedPanel).toBeNull();
+  });
+
+  it('says so when the lookup fails', async () => {
+    const error = vi.spyOn(console, 'error').mockImplementation(() => {});
+    const { controller, state } = createHarness(async () => { throw new Error('offline'); });
+
+    await controller.toggle('page-1');
+
+    expect(state.relatedPanel).toMatchObject({ loading: false, results: [] });
+    expect(state.relatedPanel.error).toContain('Couldn’t load related pages');
+    error.mockRestore();
+  });
+
+  it('renders a related card past the window before focusing it', () => {
+    const { controller, state, focusDrawerCard, renderDrawerResults } = createHarness(async () => similar([]));
+    state.pages = Array.from({ length: 15 }, (_, index) => ({ id: `p${index}` }));
+
+    expect(controller.focus('p12')).toBe(true);
+    expect(state.renderLimit).toBe(13);
+    expect(renderDrawerResults).toHaveBeenCalledTimes(1);
+    expect(focusDrawerCard).toHaveBeenCalledWith('p12');
+
+    focusDrawerCard.mockReturnValue(false);
+    expect(controller.focus('elsewhere')).toBe(false);
+  });
+});
@@ -1,6 +1,10 @@
 import { describe, expect, it, vi } from 'vitest';
 
-import { createDrawerRenderer, renderDrawerCardMarkup } from '../../src/newtab-drawer-renderer.js';
+import {
+  createDrawerRenderer,
+  renderDrawerBulkBarMarkup,
+  renderDrawerCardMarkup
+} from '../../src/newtab-drawer-renderer.js';
 
 // Minimal renderer harness: a real results container and a no-op renderChrome
 // so renderLoadingState can be exercised in isolation. The loading state is a
@@ -327,3 +331,413 @@ describe('renderDrawerCardMarkup privacy button icon', () => {
     expect(eye.innerHTML).not.toBe(eyeOff.innerHTML);
   });
 });
+
+describe('renderDrawerCardMarkup tags and notes', () => {
+  function render(page, options = {}) {
+    const container = document.createElement('div');
+    container.innerHTML = renderDrawerCardMarkup(page, {
+      getProjectPills: () => [],
+      projectsUnavailable: false,
+      ...options
+    });
+    return container;
+  }
+
+  it('renders tag chips, a suggestion list without the current tags, and a notes field in the editor', () => {
+    const container = render(
+      { id: 'p1', url: 'https://x.example', title: 'T', manual_tags: ['travel'], user_notes: 'Pack light' },
+      { editingPageId: 'p1', tagSuggestions: ['Travel', 'bikes'] }
+    );
+
+    const chipValues = Array.from(container.querySelectorAll('input[name="manual_tags"]')).map(input => input.value);
+    expect(chipValues).toEqual(['travel']);
+    const tagInput = container.querySelector('input[name="tag_draft"]');
+    const options = Array.from(container.querySelectorAll(`#${tagInput.getAttribute('list')} option`)).map(option => option.value);
+    expect(options).toEqual(['bikes']);
+    expect(container.querySelector('textarea[name="user_notes"]').value).toBe('Pack light');
+  });
+
+  it('shows the notes on a card that is not being edited', () => {
+    const container = render({ id: 'p1', url: 'https://x.example', title: 'T', user_notes: 'Pack light' });
+
+    expect(container.querySelector('.saved-pages-drawer-card-notes')?.textContent).toBe('Pack light');
+    expect(container.querySelector('input[name="tag_draft"]')).toBeNull();
+  });
+
+  it('shows the first highlights as quotes and counts the rest', () => {
+    const container = render({
+      id: 'p1',
+      url: 'https://x.example',
+      title: 'T',
+      highlights: [{ text: 'First <quote>' }, { text: 'Second' }, { text: 'Third' }, { text: '' }]
+    });
+
+    const quotes = Array.from(container.querySelectorAll('.saved-pages-drawer-card-highlight'));
+    expect(quotes.map(quote => quote.textContent)).toEqual(['First <quote>', 'Second']);
+    expect(container.querySelector('.saved-pages-drawer-card-highlights-more')?.textContent).toBe('+1 more highlight');
+    expect(render({ id: 'p2', url: 'https://y.example', title: 'U' }).querySelector('.saved-pages-drawer-card-highlights'))
+      .toBeNull();
+  });
+
+  it('offers the archived copy only when one is available', () => {
+    const page = { id: 'p1', url: 'https://gone.example', title: 'T' };
+
+    const button = render(page, { archivedCopy: true }).querySelector('[data-action="open-archive"]');
+    expect(button?.dataset.id).toBe('p1');
+    expect(button?.getAttribute('aria-label')).toBe('Open archived copy');
+    expect(render(page).querySelector('[data-action="open-archive"]')).toBeNull();
+  });
+
+  it('offers the reader for saved pages but not optimistic or trashed ones', () => {
+    const page = { id: 'p1', url: 'https://x.example', title: 'T' };
+
+    expect(render(page).querySelector('[data-action="read"]')?.dataset.id).toBe('p1');
+    expect(render({ id: 'optimistic:https://y.example', optimistic: true, url: 'https://y.example' })
+      .querySelector('[data-action="read"]')).toBeNull();
+    expect(render(page, { trash: true }).querySelector('[data-action="read"]')).toBeNull();
+  });
+});
+
+describe('selection mode markup', () => {
+  it('renders a checkbox on each card, checked when selected, and disabled on optimistic tiles', () => {
+    const container = document.createElement('div');
+    container.innerHTML = [
+      renderDrawerCardMarkup({ id: 'p1', url: 'https://x.example', title: 'T' }, {
+        getProjectPills: () => [],
+        selectionMode: true,
+        selected: true
+      }),
+      renderDrawerCardMarkup({ id: 'optimistic:https://y.example', optimistic: true, url: 'https://y.example' }, {
+        getProjectPills: () => [],
+        selectionMode: true
+      })
+    ].join('');
+
+    const [selected, optimistic] = container.querySelectorAll('[data-action="select"]');
+    expect(selected.getAttribute('aria-checked')).toBe('true');
+    expect(selected.closest('.saved-pages-drawer-card').classList.contains('is-selected')).toBe(true);
+    expect(optimistic.hasAttribute('disabled')).toBe(true);
+  });
+
+  it('the bulk bar disables actions until something is selected and lists only active projects', () => {
+    const container = document.createElement('div');
+    container.innerHTML = renderDrawerBulkBarMarkup({
+      selectionMode: true,
+      selectedCount: 0,
+      projects: [{ id: 'b', name: 'Beta' }, { id: 'a', name: 'Alpha' }, { id: 'z', name: 'Old', archived: true }]
+    });
+
+    expect(container.querySelector('[data-bulk-action="pin"]').hasAttribute('disabled')).toBe(true);
+    expect(container.querySelector('[data-bulk-action="exit"]').hasAttribute('disabled')).toBe(false);
+    expect(Array.from(container.querySelectorAll('option')).map(option => option.value)).toEqual(['a', 'b']);
+  });
+});
+
+describe('trash markup', () => {
+  it('offers only Restore and Delete forever on a trash card and shows when it was deleted', () => {
+    const container = document.createElement('div');
+    container.innerHTML = renderDrawerCardMarkup({
+      id: 'p1',
+      url: 'https://x.example',
+      title: 'T',
+      deleted: true,
+      deleted_at: '2026-04-01T12:00:00.000Z',
+      project_ids: ['a']
+    }, {
+      getProjectPills: () => [{ id: 'a', name: 'Alpha' }],
+      editingPageId: 'p1',
+      trash: true
+    });
+
+    const actions = Array.from(container.querySelectorAll('.saved-pages-drawer-card-actions [data-action]'))
+      .map(button => button.dataset.action);
+    expect(actions).toEqual(['restore', 'delete-forever']);
+    expect(container.querySelector('.saved-pages-drawer-edit-form')).toBeNull();
+    expect(container.querySelector('.project-pill-label').textContent).toBe('Alpha');
+    expect(container.querySelector('[data-action="remove-project"]')).toBeNull();
+    expect(container.querySelector('.saved-pages-drawer-card-meta').textContent).toContain('Deleted');
+  });
+
+  it('the trash bulk bar carries only the trash actions', () => {
+    const container = document.createElement('div');
+    container.innerHTML = renderDrawerBulkBarMarkup({
+      selectionMode: true,
+      selectedCount: 2,
+      projects: [{ id: 'a', name: 'Alpha' }],
+      trash: true
+    });
+
+    const actions = Array.from(container.querySelectorAll('[data-bulk-action]')).map(button => button.dataset.bulkAction);
+    expect(actions).toEqual(['select-all', 'restore', 'delete-forever', 'exit']);
+    expect(container.querySelector('.saved-pages-bulk-project-select')).toBeNull();
+  });
+});
+
+describe('read state markup', () => {
+  function render(page, options = {}) {
+    const container = document.createElement('div');
+    container.innerHTML = renderDrawerCardMarkup(page, {
+      getProjectPills: () => [],
+      projectsUnavailable: false,
+      ...options
+    });
+    return container;
+  }
+
+  it('marks unread cards with a dot that marks them read, and read ones with nothing', () => {
+    const unread = render({ id: 'p1', url: 'https://x.example', title: 'T' });
+    expect(unread.querySelector('.saved-pages-drawer-card').classList.contains('is-unread')).toBe(true);
+    expect(unread.querySelector('[data-action="mark-read"]')?.dataset.id).toBe('p1');
+
+    const read = render({ id: 'p1', url: 'https://x.example', title: 'T', read_state: 'read' });
+    expect(read.querySelector('.saved-pages-drawer-card').classList.contains('is-unread')).toBe(false);
+    expect(read.querySelector('[data-action="mark-read"]')).toBeNull();
+  });
+
+  it('leaves trash and optimistic cards unmarked and labels archived pages', () => {
+    expect(render({ id: 'p1', title: 'T' }, { trash: true }).querySelector('[data-action="mark-read"]')).toBeNull();
+    expect(render({ id: 'optimistic:https://y.example', optimistic: true, url: 'https://y.example' })
+      .querySelector('[data-action="mark-read"]')).toBeNull();
+    expect(render({ id: 'p1', title: 'T', read_state: 'archived' }).querySelector('.saved-pages-drawer-card-meta')?.textContent)
+      .toContain('Archived');
+  });
+
+  it('the bulk bar offers the unread filter and "Mark all read" outside selection mode', () => {
+    const container = document.createElement('div');
+    container.innerHTML = renderDrawerBulkBarMarkup({ unreadOnly: true, unreadCount: 0 });
+
+    const toggle = container.querySelector('[data-bulk-action="toggle-unread-only"]');
+    expect(toggle.getAttribute('aria-pressed')).toBe('true');
+    expect(container.querySelector('[data-bulk-action="mark-all-read"]').hasAttribute('disabled')).toBe(true);
+
+    container.innerHTML = renderDrawerBulkBarMarkup({ unreadCount: 3 });
+    expect(container.querySelector('[data-bulk-action="toggle-unread-only"]').getAttribute('aria-pressed')).toBe('false');
+    expect(container.querySelector('[data-bulk-action="mark-all-read"]').hasAttribute('disabled')).toBe(false);
+
+    container.innerHTML = renderDrawerBulkBarMarkup({ trash: true, unreadCount: 3 });
+    expect(container.querySelector('[data-bulk-action="mark-all-read"]')).toBeNull();
+  });
+
+  it('the bulk bar offers the match signals toggle only while search results show', () => {
+    const container = document.createElement('div');
+    container.innerHTML = renderDrawerBulkBarMarkup({ matchSignals: { shown: true } });
+    expect(container.querySelector('[data-bulk-action="toggle-match-signals"]').getAttribute('aria-pressed')).toBe('true');
+
+    container.innerHTML = renderDrawerBulkBarMarkup({});
+    expect(container.querySelector('[data-bulk-action="toggle-match-signals"]')).toBeNull();
+  });
+
+  it('the selection bar carries Mark read, Mark unread and Archive', () => {
+    const container = document.createElement('div');
+    container.innerHTML = renderDrawerBulkBarMarkup({ selectionMode: true, selectedCount: 1 });
+
+    const actions = Array.from(container.querySelectorAll('[data-bulk-action]')).map(button => button.dataset.bulkAction);
+    expect(actions).toEqual(expect.arrayContaining(['mark-read', 'mark-unread', 'archive']));
+  });
+});
+
+describe('reading queue markup', () => {
+  it('makes queue cards draggable with a handle', () => {
+    const container = document.createElement('div');
+    container.innerHTML = renderDrawerCardMarkup({ id: 'p1', url: 'https://x.example', title: 'T' }, {
+      getProjectPills: () => [],
+      reorderable: true
+    });
+
+    const card = container.querySelector('.saved-pages-drawer-card');
+    expect(card.getAttribute('draggable')).toBe('true');
+    expect(card.querySelector('[data-action="queue-handle"]')?.getAttribute('aria-label')).toBe('Move T in the queue');
+
+    container.innerHTML = renderDrawerCardMarkup({ id: 'p1', title: 'T' }, { getProjectPills: () => [] });
+    expect(container.querySelector('[draggable]')).toBeNull();
+    expect(container.querySelector('[data-action="queue-handle"]')).toBeNull();
+  });
+
+  it('offers the budget form with the queue total, and the playlist total once a budget is set', () => {
+    const container = document.createElement('div');
+    container.innerHTML = renderDrawerBulkBarMarkup({
+      queue: { totalMinutes: 42, budgetMinutes: null, defaultBudgetMinutes: 20 }
+    });
+
+    expect(container.querySelector('.saved-pages-queue-budget-input').value).toBe('20');
+    expect(container.querySelector('.saved-pages-queue-summary').textContent).toBe('42 min queued');
+    expect(container.querySelector('[data-bulk-action="clear-queue-budget"]')).toBeNull();
+
+    container.innerHTML = renderDrawerBulkBarMarkup({
+      queue: { totalMinutes: 42, budgetMinutes: 15, playlistMinutes: 14, playlistCount: 3 }
+    });
+    expect(container.querySelector('.saved-pages-queue-budget-input').value).toBe('15');
+    expect(container.querySelector('.saved-pages-queue-summary').textContent).toBe('3 pages · 14 of 15 min');
+    expect(container.querySelector('[data-bulk-action="clear-queue-budget"]')).not.toBeNull();
+
+    container.innerHTML = renderDrawerBulkBarMarkup({});
+    expect(container.querySelector('.saved-pages-queue-budget')).toBeNull();
+  });
+});
+
+describe('search match markup', () => {
+  const page = {
+    id: 'p1',
+    url: 'https://react.dev/learn',
+    domain: 'react.dev',
+    title: 'Managing React state',
+    ai_summary_brief: 'How components keep state.',
+    ai_summary_extended: 'A long guide. It explains lifting state up, reducers and context for sharing state between React components deep in a tree.',
+    manual_tags: ['react']
+  };
+  function render(options = {}) {
+    const container = document.createElement('div');
+    container.innerHTML = renderDrawerCardMarkup(page, { getProjectPills: () => [], ...options });
+    return container;
+  }
+  const marked = element => Array.from(element.querySelectorAll('mark.search-highlight')).map(mark => mark.textContent);
+
+  it('marks the search terms in the title, summary and tags, with a snippet of the long summary', () => {
+    const container = render({ highlightTerms: ['reducers', 'react'] });
+
+    expect(marked(container.querySelector('.saved-pages-drawer-card-title'))).toEqual(['React']);
+    expect(container.querySelector('.saved-pages-drawer-card-summary mark')).toBeNull();
+    expect(marked(container.querySelector('.saved-pages-drawer-card-tags'))).toEqual(['react']);
+    expect(container.querySelector('.tag-search-link').dataset.semanticSearchTag).toBe('react');
+    const snippet = container.querySelector('.saved-pages-drawer-card-snippet');
+    expect(marked(snippet)).toContain('reducers');
+  });
+
+  it('says which fields a semantic result matched on', () => {
+    expect(render({ highlightTerms: ['state'], semanticMatch: true })
+      .querySelector('.saved-pages-match-hint').textContent).toBe('Matched on: title, summary');
+    expect(render({ highlightTerms: ['hooks'], semanticMatch: true })
+      .querySelector('.saved-pages-match-hint').textContent).toBe('Matched on: meaning');
+    expect(render({ highlightTerms: ['state'] }).querySelector('.saved-pages-match-hint')).toBeNull();
+  });
+
+  it('renders the card unchanged without a search', () => {
+    const container = render();
+
+    expect(container.querySelector('mark')).toBeNull();
+    expect(container.querySelector('.saved-pages-drawer-card-snippet')).toBeNull();
+    expect(container.querySelector('.saved-pages-drawer-card-title').textContent).toBe('Managing React state');
+  });
+});
+
+describe('related pages markup', () => {
+  const page = {
+    id: 'p1',
+    url: 'https://x.example',
+    title: 'T',
+    classifications: [
+      { type: 'topic', label: 'React' },
+      { type: 'general', label: 'Computer Science' }
+    ]
+  };
+  const panel = overrides => ({
+    pageId: 'p1',
+    label: null,
+    results: [],
+    nextOffset: 0,
+    hasMore: false,
+    loading: false,
+    error: null,
+    ...overrides
+  });
+  function render(options = {}) {
+    const container = document.createElement('div');
+    container.innerHTML = renderDrawerCardMarkup(page, { getProjectPills: () => [], ...options });
+    return container;
+  }
+
+  it('offers a Related toggle that opens the panel under the card', () => {
+    expect(render().querySelector('[data-action="related"]').getAttribute('aria-expanded')).toBe('false');
+    expect(render().querySelector('.saved-pages-related')).toBeNull();
+
+    const open = render({ related: panel({ loading: true }) });
+    expect(open.querySelector('[data-action="related"]').getAttribute('aria-expanded')).toBe('true');
+    expect(open.querySelector('.saved-pages-related-status').textContent).toBe('Finding related pages…');
+  });
+
+  it('lists related pages with their similarity, label chips and Show more', () => {
+    const container = render({
+      related: panel({
+        label: 'React',
+        hasMore: true,
+        results: [{ id: 'p2', url: 'https://y.example/a', title: 'Hooks', similarity: 0.834 }]
+      })
+    });
+
+    const item = container.querySelector('[data-action="focus-related"]');
+    expect(item.dataset).toMatchObject({ id: 'p1', pageId: 'p2', url: 'https://y.example/a' });
+    expect(item.querySelector('.saved-pages-related-score').textContent).toBe('83%');
+    const chips = Array.from(container.querySelectorAll('[data-action="related-label"]'));
+    expect(chips.map(chip => chip.textContent)).toEqual(['Any topic', 'Computer Science', 'React']);
+    expect(chips.map(chip => chip.getAttribute('aria-pressed'))).toEqual(['false', 'false', 'true']);
+    expect(container.querySelector('[data-action="related-more"]')).not.toBeNull();
+  });
+
+  it('leaves the Related toggle off optimistic tiles', () => {
+    const container = document.createElement('div');
+    container.innerHTML = renderDrawerCardMarkup(
+      { id: 'optimistic:https://x.example', optimistic: true, url: 'https://x.example' },
+      { getProjectPills: () => [], related: panel({ pageId: 'optimistic:https://x.example' }) }
+    );
+
+    expect(container.querySelector('[data-action="related"]')).toBeNull();
+    expect(container.querySelector('.saved-pages-related')).toBeNull();
+  });
+});
+
+describe('list sort and filter controls', () => {
+  it('renders the sort menu and a Filters toggle that counts active facets', () => {
+    const container = document.createElement('div');
+    container.innerHTML = renderDrawerBulkBarMarkup({
+      listFilters: { filters: { sort: 'title', pinned: true, label: 'Geography' } }
+    });
+
+    expect(container.querySelector('.saved-pages-list-sort-select option[selected]').value).toBe('title');
+    const toggle = container.querySelector('[data-bulk-action="toggle-list-filters"]');
+    expect(toggle.textContent.trim()).toBe('Filters (2)');
+    expect(toggle.getAttribute('aria-expanded')).toBe('false');
+    expect(container.querySelector('.saved-pages-list-filters')).toBeNull();
+
+    container.innerHTML = renderDrawerBulkBarMarkup({
+      queue: { totalMinutes: 0 },
+      listFilters: { filters: { sort: 'newest' }, sortable: false }
+    });
+    expect(container.querySelector('.saved-pages-list-sort-select')).toBeNull();
+    expect(container.querySelector('[data-bulk-action="toggle-list-filters"]').textContent.trim()).toBe('Filters');
+  });
+
+  it('shows the facet panel with the current values when open', () => {
+    const container = document.createElement('div');
+    container.innerHTML = renderDrawerBulkBarMarkup({
+      listFilters: {
+        open: true,
+        filters: { sort: 'newest', from: '2026-10-01', hasNotes: true, label: 'Geography', enrichment: 'pending' },
+        labelOptions: ['Computer Science']
+      }
+    });
+
+    const form = container.querySelector('.saved-pages-list-filters');
+    expect(form.querySelector('[name="from"]').value).toBe('2026-10-01');
+    expect(form.querySelector('[name="hasNotes"]').checked).toBe(true);
+    expect(form.querySelector('[name="pinned"]').checked).toBe(false);
+    expect(Array.from(form.querySelectorAll('[name="label"] option')).map(option => option.value))
+      .toEqual(['', 'Geography', 'Computer Science']);
+    expect(form.querySelector('[name="label"] option[selected]').value).toBe('Geography');
+    expect(form.querySelector('[name="enrichment"] option[selected]').value).toBe('pending');
+    expect(form.querySelector('[data-bulk-action="clear-list-filters"]').disabled).toBe(false);
+    expect(form.querySelector('[name="threshold"] option[selected]').value).toBe('0.58');
+  });
+
+  it('offers "Save search" only when there is a search to save', () => {
+    const container = document.createElement('div');
+    container.innerHTML = renderDrawerBulkBarMarkup({
+      listFilters: { filters: { sort: 'newest' }, open: true, semanticThreshold: 0.7, savable: true }
+    });
+
+    expect(container.querySelector('[data-bulk-action="save-smart-collection"]')).not.toBeNull();
+    expect(container.querySelector('[name="threshold"] option[selected]').value).toBe('0.7');
+
+    container.innerHTML = renderDrawerBulkBarMarkup({ listFilters: { filters: { sort: 'newest' } } });
+    expect(container.querySelector('[data-bulk-action="save-smart-collection"]')).toBeNull();
+  });
+});
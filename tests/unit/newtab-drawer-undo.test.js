@@ -0,0 +1,89 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+
+import { DRAWER_UNDO_GRACE_MS, createDrawerUndoController } from '../../src/newtab-drawer-undo.js';
+
+function createEntry() {
+  return {
+    message: 'Page deleted.',
+    commit: vi.fn().mockResolvedValue(undefined),
+    undo: vi.fn().mockResolvedValue(undefined)
+  };
+}
+
+describe('drawer undo window', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('offers Undo for the grace period and commits when it lapses', async () => {
+    const notify = vi.fn();
+    const undoController = createDrawerUndoController({ notify, windowObj: window });
+    const entry = createEntry();
+
+    await undoController.schedule(entry);
+
+    expect(notify).toHaveBeenCalledWith('Page deleted.', expect.objectContaining({
+      durationMs: DRAWER_UNDO_GRACE_MS,
+      action: expect.objectContaining({ label: 'Undo' })
+    }));
+    await vi.advanceTimersByTimeAsync(DRAWER_UNDO_GRACE_MS - 1);
+    expect(entry.commit).not.toHaveBeenCalled();
+
+    await vi.advanceTimersByTimeAsync(1);
+    expect(entry.commit).toHaveBeenCalledTimes(1);
+    expect(undoController.hasPending()).toBe(false);
+  });
+
+  it('runs undo instead of commit when the toast action is used', async () => {
+    const notify = vi.fn();
+    const undoController = createDrawerUndoController({ notify, windowObj: window });
+    const entry = createEntry();
+
+    await undoController.schedule(entry);
+    notify.mock.calls[0][1].action.onAction();
+    await vi.advanceTimersByTimeAsync(DRAWER_UNDO_GRACE_MS);
+
+    expect(entry.undo).toHaveBeenCalledTimes(1);
+    expect(entry.commit).not.toHaveBeenCalled();
+  });
+
+  it('commits the previous action as soon as a new one replaces its toast', async () => {
+    const notify = vi.fn();
+    const undoController = createDrawerUndoController({ notify, windowObj: window });
+    const first = createEntry();
+    const second = createEntry();
+
+    await undoController.schedule(first);
+    await undoController.schedule(second);
+
+    expect(first.commit).toHaveBeenCalledTimes(1);
+    // The first toast's Undo is gone from the screen; a stale click is ignored.
+    notify.mock.calls[0][1].action.onAction();
+    expect(first.undo).not.toHaveBeenCalled();
+    expect(second.commit).not.toHaveBeenCalled();
+  });
+
+  it('flush commits whatever is pending', async () => {
+    const undoController = createDrawerUndoController({ notify: vi.fn(), windowObj: window });
+    const entry = createEntry();
+
+    await undoController.schedule(entry);
+    await undoController.flush();
+    await vi.advanceTimersByTimeAsync(DRAWER_UNDO_GRACE_MS);
+
+    expect(entry.commit).toHaveBeenCalledTimes(1);
+  });
+
+  it('commits immediately when there is no toast to offer Undo in', async () => {
+    const undoController = createDrawerUndoController({ windowObj: window });
+    const entry = createEntry();
+
+    await undoController.schedule(entry);
+
+    expect(entry.commit).toHaveBeenCalledTimes(1);
+  });
+});
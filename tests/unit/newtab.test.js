@@ -2,7 +2,9 @@ import { describe, it, expect, beforeEach, vi } from 'vitest';
 
 import {
   applyDrawerFilters as applySavedPagesDrawerFilters,
+  getDrawerManualTagSuggestions,
   getDrawerSearchableText,
+  normalizeManualTags,
   syncDrawerStateFromStore as syncSavedPagesDrawerStateFromStore
 } from '../../src/newtab-drawer-state.js';
 import {
@@ -26,8 +28,10 @@ import {
   renderDrawerCardMarkup
 } from '../../src/newtab-drawer-renderer.js';
 import { createDrawerDataController } from '../../src/newtab-drawer-data.js';
+import { TRASH_SCOPE_ID } from '../../src/project-manager-state.js';
 import { createSavedPagesView } from '../../src/newtab-drawer-view.js';
 import { getInitialDrawerUrlState } from '../../src/newtab-drawer-events.js';
+import { createDefaultPageListFilters } from '../../src/page-list-filters.js';
 import { shouldSyncDrawerStoreUpdate } from '../../src/newtab-drawer-sync.js';
 import {
   applyAuthUI,
@@ -354,6 +358,29 @@ describe('newtab modules', () => {
       expect(searchable).toContain('bookmarks');
       expect(searchable).toContain('research');
     });
+
+    it('includes the user notes', () => {
+      expect(getDrawerSearchableText({ title: 'SaveIt', user_notes: 'Read before the offsite' }))
+        .toContain('read before the offsite');
+    });
+  });
+
+  describe('manual tag helpers', () => {
+    it('trims, drops empties, and dedupes tags case-insensitively keeping the first spelling', () => {
+      expect(normalizeManualTags(['  React ', '', 'react', 'Hooks', '   '])).toEqual(['React', 'Hooks']);
+      expect(normalizeManualTags(undefined)).toEqual([]);
+    });
+
+    it('suggests tags from the loaded pages, most used first', () => {
+      const suggestions = getDrawerManualTagSuggestions([
+        { id: 'a', manual_tags: ['travel', 'Bikes'] },
+        { id: 'b', manual_tags: ['bikes'] },
+        { id: 'c', manual_tags: ['art'] },
+        { id: 'd' }
+      ]);
+
+      expect(suggestions).toEqual(['Bikes', 'art', 'travel']);
+    });
   });
 
   describe('drawer state helpers', () => {
@@ -432,6 +459,97 @@ describe('newtab modules', () => {
       expect(state.pages.map(page => page.id)).toEqual(['page-2', 'page-3']);
     });
 
+    it('keeps only unread pages in scope when the unread filter is on', () => {
+      const state = {
+        query: '',
+        currentFilter: {
+          search: '',
+          projectId: null,
+          cursor: null
+        },
+        selectedProjectId: null,
+        unreadOnly: true,
+        allPages: [
+          { id: 'page-1', title: 'Alpha note' },
+          { id: 'page-2', title: 'Alpha read', read_state: 'read' },
+          { id: 'page-3', title: 'Alpha archived', read_state: 'archived' },
+          { id: 'page-4', title: 'Beta note', read_state: 'unread' }
+        ],
+        pages: [],
+        total: null
+      };
+      const projectManager = {
+        getScopedPages: vi.fn((_dashboard, pages) => pages)
+      };
+
+      applySavedPagesDrawerFilters({
+        state,
+        projectManager,
+        savedPagesView: {},
+        query: 'alpha'
+      });
+
+      expect(state.total).toBe(2);
+      expect(state.pages.map(page => page.id)).toEqual(['page-1']);
+    });
+
+    it('applies facets and the sort, including server matches the store has not loaded', () => {
+      const state = {
+        query: '',
+        currentFilter: { search: '', projectId: null, cursor: null },
+        selectedProjectId: null,
+        listFilters: { ...createDefaultPageListFilters(), sort: 'title', hasNotes: true },
+        allPages: [
+          { id: 'page-1', title: 'Delta', user_notes: 'kept' },
+          { id: 'page-2', title: 'Bravo' },
+          { id: 'page-3', title: 'Charlie', user_notes: 'fresh' }
+        ],
+        serverFilteredPages: [
+          { id: 'page-3', title: 'Charlie', user_notes: 'stale' },
+          { id: 'page-4', title: 'Alpha', user_notes: 'older' }
+        ],
+        loadedProjectPages: null,
+        pages: [],
+        total: null
+      };
+      const projectManager = { getScopedPages: vi.fn((_dashboard, pages) => [...pages]) };
+
+      applySavedPagesDrawerFilters({ state, projectManager, savedPagesView: {}, query: '' });
+
+      expect(state.pages.map(page => page.id)).toEqual(['page-4', 'page-3', 'page-1']);
+      expect(state.pages[1].user_notes).toBe('fresh');
+    });
+
+    it('orders the reading queue and narrows it to the budget', () => {
+      const state = {
+        query: '',
+        currentFilter: { search: '', projectId: null, cursor: null },
+        selectedProjectId: '__queue__',
+        readingQueueOrder: ['page-3'],
+        queueBudgetMinutes: null,
+        allPages: [
+          { id: 'page-1', saved_at: '2026-10-01T00:00:00.000Z', reading_time_minutes: 10 },
+          { id: 'page-2', saved_at: '2026-10-02T00:00:00.000Z', reading_time_minutes: 3, read_state: 'read' },
+          { id: 'page-3', saved_at: '2026-10-03T00:00:00.000Z', reading_time_minutes: 6 },
+          { id: 'page-4', saved_at: '2026-10-04T00:00:00.000Z', reading_time_minutes: 4 }
+        ],
+        loadedProjectPages: [],
+        pages: [],
+        total: null
+      };
+      const projectManager = {
+        getScopedPages: vi.fn((_dashboard, pages) => pages.filter(page => page.read_state !== 'read'))
+      };
+
+      applySavedPagesDrawerFilters({ state, projectManager, savedPagesView: {}, query: '' });
+      expect(state.pages.map(page => page.id)).toEqual(['page-3', 'page-1', 'page-4']);
+
+      state.queueBudgetMinutes = 12;
+      applySavedPagesDrawerFilters({ state, projectManager, savedPagesView: {}, query: '' });
+      expect(state.pages.map(page => page.id)).toEqual(['page-3', 'page-4']);
+      expect(state.total).toBe(2);
+    });
+
     it('syncs store snapshots into drawer state and triggers a render', () => {
       const state = {
         query: '',
@@ -489,6 +607,15 @@ describe('newtab modules', () => {
       ).toBe('https://example.com/newtab.html?foo=bar&search=alpha');
     });
 
+    it('writes the sort and facets into the drawer URL', () => {
+      expect(
+        getSavedPagesDrawerUrl('https://example.com/newtab.html?sort=oldest&pinned=1', {
+          isOpen: true,
+          listFilters: { ...createDefaultPageListFilters(), sort: 'title', private: true }
+        }).toString()
+      ).toBe('https://example.com/newtab.html?sort=title&private=1');
+    });
+
     it('detects new-tab navigation gestures for drawer cards', () => {
       expect(shouldOpenDrawerCardInNewTab({ metaKey: true })).toBe(true);
       expect(shouldOpenDrawerCardInNewTab({ ctrlKey: true })).toBe(true);
@@ -546,6 +673,27 @@ describe('newtab modules', () => {
       });
       expect(windowObj.history.replaceState).toHaveBeenCalled();
     });
+
+    it('opens a card in the reader, in a new tab on modifier clicks', () => {
+      const windowObj = { location: { assign: vi.fn() }, open: vi.fn() };
+      const shellController = createDrawerShellController({
+        state: {},
+        getDataController: () => ({}),
+        renderDrawerResults: vi.fn(),
+        windowObj,
+        documentObj: document
+      });
+      const card = document.createElement('article');
+      card.dataset.pageId = 'page/1';
+      card.dataset.url = 'https://example.com/a?b=c';
+
+      shellController.openDrawerReader(card, {});
+      shellController.openDrawerReader(card, { metaKey: true });
+
+      const readerUrl = 'reader.html?id=page%2F1&url=https%3A%2F%2Fexample.com%2Fa%3Fb%3Dc';
+      expect(windowObj.location.assign).toHaveBeenCalledWith(readerUrl);
+      expect(windowObj.open).toHaveBeenCalledWith(readerUrl, '_blank', 'noopener');
+    });
   });
 
   describe('drawer UI helpers', () => {
@@ -555,6 +703,8 @@ describe('newtab modules', () => {
       };
 
       expect(getDrawerProjectScopeLabel(projectManager, { selectedProjectId: 'project-1' })).toBe('Reading List');
+      expect(getDrawerProjectScopeLabel(projectManager, { selectedProjectId: 'topic:Computer%20Science/Web%20Development' }))
+        .toBe('Web Development');
     });
 
     it('renders the empty state when there are no pages', () => {
@@ -666,6 +816,96 @@ describe('newtab modules', () => {
       expect(svg.closest('.saved-pages-semantic-loading-pane')).not.toBeNull();
     });
 
+    it('lists the local matches of an operator-only query, and holds semantic matches to the operators', () => {
+      document.body.innerHTML = '<div id="results"></div>';
+      const resultsContainer = document.getElementById('results');
+      const pinned = { id: 'page-1', title: 'Pinned match', url: 'https://github.com/a', pinned: true };
+      const state = {
+        query: 'is:pinned',
+        pages: [pinned],
+        allPages: [pinned],
+        selectedProjectId: null,
+        semanticResults: [],
+        semanticQuery: '',
+        semanticLoading: false,
+        renderLimit: 10
+      };
+      const savedPagesView = { projectsAvailable: true };
+      const projectManager = {
+        getSelectedProject: vi.fn(() => null),
+        getProjectPills: vi.fn(() => []),
+        renderSidebar: vi.fn(),
+        renderEditor: vi.fn()
+      };
+      const uiController = createDrawerUiController({
+        state,
+        projectManager,
+        resultsContainer,
+        getSavedPagesView: () => savedPagesView,
+        documentObj: document
+      });
+
+      uiController.renderResults();
+
+      expect(Array.from(resultsContainer.querySelectorAll('.saved-pages-drawer-card')).map(card => card.dataset.pageId))
+        .toEqual(['page-1']);
+
+      state.query = 'react site:github.com';
+      state.semanticQuery = 'react';
+      state.semanticResults = [
+        { id: 'gh', title: 'React on GitHub', url: 'https://github.com/react' },
+        { id: 'blog', title: 'React elsewhere', url: 'https://blog.example/react' }
+      ];
+      uiController.renderResults();
+
+      const semanticIds = Array.from(resultsContainer.querySelectorAll('[data-section="semantic"] [data-page-id]'))
+        .map(card => card.dataset.pageId);
+      expect(semanticIds).toEqual(['gh']);
+    });
+
+    it('ranks keyword and semantic matches as one list, one card per page, with optional signal badges', () => {
+      document.body.innerHTML = '<div id="results"></div>';
+      const resultsContainer = document.getElementById('results');
+      const both = { id: 'both', title: 'Rust ownership', url: 'https://doc.rust-lang.org/book' };
+      const keywordOnly = { id: 'keyword', title: 'Notes', url: 'https://example.com/a', user_notes: 'rust' };
+      const state = {
+        query: 'rust',
+        pages: [keywordOnly, both],
+        allPages: [keywordOnly, both],
+        selectedProjectId: null,
+        semanticResults: [{ id: 'semantic', title: 'Borrow checker' }, { ...both }],
+        semanticQuery: 'rust',
+        semanticLoading: false,
+        showMatchSignals: false,
+        renderLimit: 10
+      };
+      const uiController = createDrawerUiController({
+        state,
+        projectManager: {
+          getSelectedProject: vi.fn(() => null),
+          getProjectPills: vi.fn(() => []),
+          renderSidebar: vi.fn(),
+          renderEditor: vi.fn()
+        },
+        resultsContainer,
+        getSavedPagesView: () => ({ projectsAvailable: true }),
+        documentObj: document
+      });
+
+      uiController.renderResults();
+
+      const cards = () => Array.from(resultsContainer.querySelectorAll('[data-section="semantic"] [data-page-id]'));
+      expect(resultsContainer.querySelector('[data-section="pages"]')).toBeNull();
+      expect(cards().map(card => card.dataset.pageId)).toEqual(['both', 'semantic', 'keyword']);
+      expect(resultsContainer.querySelector('.saved-pages-match-signal')).toBeNull();
+
+      state.showMatchSignals = true;
+      uiController.renderResults();
+
+      expect(cards().map(card => card.querySelector('.saved-pages-match-signal')?.textContent))
+        .toEqual(['Keyword + semantic', 'Semantic', 'Keyword']);
+    });
+
     it('renders the semantic loading image even when no saved pages match the query', () => {
       document.body.innerHTML = '<div id="results"></div>';
       const resultsContainer = document.getElementById('results');
@@ -714,11 +954,36 @@ describe('newtab modules', () => {
       });
     });
 
+    it('says when the facets leave nothing to show', () => {
+      expect(getDrawerEmptyStateContent({ scopeLabel: 'All pages', filtered: true }).title)
+        .toBe('No pages match these filters');
+    });
+
+    it('says when a queue budget leaves nothing to show', () => {
+      expect(getDrawerEmptyStateContent({
+        scopeLabel: 'Reading queue',
+        isQueue: true,
+        queueBudgetMinutes: 5
+      }).title).toBe('Nothing fits in 5 min');
+      expect(getDrawerEmptyStateContent({ scopeLabel: 'Reading queue', isQueue: true }).title)
+        .toBe('Your reading queue is empty');
+    });
+
+    it('says when the unread filter leaves nothing to show', () => {
+      expect(getDrawerEmptyStateContent({
+        scopeLabel: 'All pages',
+        unreadOnly: true
+      }).title).toBe('No unread pages in All pages');
+    });
+
     describe('drawer event helpers', () => {
       it('extracts the initial search query from the URL search params', () => {
         expect(getInitialDrawerUrlState('?drawer=saved-pages&search=alpha')).toEqual({
-          searchQuery: 'alpha'
+          searchQuery: 'alpha',
+          listFilters: createDefaultPageListFilters()
         });
+        expect(getInitialDrawerUrlState('?sort=title&pinned=1').listFilters)
+          .toMatchObject({ sort: 'title', pinned: true });
       });
 
       describe('drawer sync helpers', () => {
@@ -750,7 +1015,8 @@ describe('newtab modules', () => {
 
       it('returns an empty search query when no search param is present', () => {
         expect(getInitialDrawerUrlState('?drawer=saved-pages')).toEqual({
-          searchQuery: ''
+          searchQuery: '',
+          listFilters: createDefaultPageListFilters()
         });
       });
     });
@@ -1030,6 +1296,62 @@ describe('newtab modules', () => {
      };
    }
 
+   it('tops up the filtered list from the server while the all-pages store is partly loaded', async () => {
+     const { controller, state, api, dependencies } = createDrawerDataHarness({
+       state: {
+         hasInitialized: true,
+         listFilters: createDefaultPageListFilters(),
+         listFilterRequestId: 0,
+         serverFilteredPages: null,
+         allPages: [{ id: 'page-1', title: 'Loaded', pinned: false }]
+       },
+       savedPagesStore: {
+         getSnapshot: vi.fn(() => ({ allPages: [], total: 40, hasNextPage: true }))
+       },
+       api: {
+         getSavedPages: vi.fn().mockResolvedValue({ pages: [{ id: 'page-9', title: 'Older match' }] })
+       },
+       dependencies: { isDrawerOpen: vi.fn(() => true) }
+     });
+
+     await controller.handleDrawerListFiltersChange({ sort: 'oldest', hasNotes: true });
+
+     expect(state.listFilters).toMatchObject({ sort: 'oldest', hasNotes: true });
+     expect(dependencies.updateDrawerUrl).toHaveBeenCalledWith(true, '');
+     expect(api.getSavedPages).toHaveBeenCalledWith(expect.objectContaining({
+       sort: 'oldest',
+       hasNotes: true,
+       pinnedFirst: false,
+       skipCache: true
+     }));
+     expect(state.serverFilteredPages.map(page => page.id)).toEqual(['page-9']);
+     expect(dependencies.renderDrawerResults).toHaveBeenCalled();
+
+     // Clearing back to the defaults needs no server and drops the matches.
+     await controller.handleDrawerListFiltersChange(createDefaultPageListFilters());
+     expect(api.getSavedPages).toHaveBeenCalledTimes(1);
+     expect(state.serverFilteredPages).toBeNull();
+   });
+
+   it('filters in memory alone once the store holds every page', async () => {
+     const { controller, state, api } = createDrawerDataHarness({
+       state: {
+         hasInitialized: true,
+         listFilters: createDefaultPageListFilters(),
+         listFilterRequestId: 0,
+         serverFilteredPages: null
+       },
+       savedPagesStore: {
+         getSnapshot: vi.fn(() => ({ allPages: [], total: 0, hasNextPage: false }))
+       }
+     });
+
+     await controller.handleDrawerListFiltersChange({ pinned: true });
+
+     expect(api.getSavedPages).not.toHaveBeenCalled();
+     expect(state.serverFilteredPages).toBeNull();
+   });
+
    it('hydrates project pages from the scoped warm-cache store and applies the trimmed query', async () => {
      const projectSnapshot = {
        allPages: [
@@ -1328,6 +1650,249 @@ describe('newtab modules', () => {
      consoleErrorSpy.mockRestore();
    });
 
+   describe('undoable deletes and project removals', () => {
+     const pinnedPage = { id: 'page-1', title: 'Pinned', pinned: true, project_ids: ['project-1', 'project-2'] };
+     const otherPage = { id: 'page-2', title: 'Other', pinned: false, project_ids: [] };
+
+     // A list store that honours hide/restore the way WarmCacheListStore does.
+     function createUndoableStore(initialPages) {
+       let allPages = [...initialPages];
+       return {
+         getSnapshot: vi.fn(() => ({ allPages: [...allPages], total: allPages.length })),
+         hidePage: vi.fn(async id => {
+           const index = allPages.findIndex(page => page.id === id);
+           if (index === -1) return null;
+           const page = allPages[index];
+           allPages = allPages.filter(entry => entry.id !== id);
+           return { page, index };
+         }),
+         restorePage: vi.fn(async (page, { index }) => {
+           allPages.splice(index, 0, page);
+         }),
+         releaseHiddenPage: vi.fn(),
+         hydrate: vi.fn(),
+         reset: vi.fn()
+       };
+     }
+
+     function createUndoHarness(overrides = {}) {
+       const scheduled = [];
+       const savedPagesStore = createUndoableStore([pinnedPage, otherPage]);
+       const harness = createDrawerDataHarness({
+         ...overrides,
+         state: {
+           pages: [pinnedPage, otherPage],
+           allPages: [pinnedPage, otherPage],
+           projects: [{ id: 'project-1', name: 'Research' }],
+           ...(overrides.state || {})
+         },
+         savedPagesStore,
+         savedPagesView: { handleProjectMembershipChange: vi.fn(), ...(overrides.savedPagesView || {}) },
+         dependencies: {
+           syncDrawerStateFromStore: vi.fn(snapshot => {
+             harness.state.allPages = snapshot.allPages;
+             harness.state.pages = snapshot.allPages;
+           }),
+           undoController: { schedule: vi.fn(async entry => { scheduled.push(entry); }) },
+           ...(overrides.dependencies || {})
+         }
+       });
+       return { ...harness, scheduled };
+     }
+
+     it('hides a deleted page at once and only deletes it when the undo window commits', async () => {
+       const { controller, state, api, savedPagesStore, projectManager, scheduled } = createUndoHarness({
+         api: { deletePage: vi.fn().mockResolvedValue({ ok: true }) }
+       });
+
+       await controller.handleDrawerDelete('page-1');
+
+       expect(state.pages.map(page => page.id)).toEqual(['page-2']);
+       expect(projectManager.adjustProjectCount).toHaveBeenCalledWith(expect.anything(), 'project-1', -1);
+       expect(scheduled[0].message).toBe('Page deleted.');
+       expect(api.deletePage).not.toHaveBeenCalled();
+
+       await scheduled[0].commit();
+
+       expect(api.deletePage).toHaveBeenCalledWith('page-1');
+       expect(savedPagesStore.releaseHiddenPage).toHaveBeenCalledWith('page-1');
+     });
+
+     it('restores the page from its snapshot, pinned state and projects included, on undo', async () => {
+       const { controller, state, api, savedPagesStore, projectManager, scheduled } = createUndoHarness();
+
+       await controller.handleDrawerDelete('page-1');
+       await scheduled[0].undo();
+
+       expect(api.deletePage).not.toHaveBeenCalled();
+       expect(savedPagesStore.restorePage).toHaveBeenCalledWith(pinnedPage, { index: 0 });
+       expect(state.pages[0]).toEqual(pinnedPage);
+       expect(projectManager.adjustProjectCount).toHaveBeenCalledWith(expect.anything(), 'project-2', 1);
+     });
+
+     it('puts the page back and reports the failure when the deferred delete fails', async () => {
+       const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+       const { controller, state, dependencies, scheduled } = createUndoHarness({
+         api: { deletePage: vi.fn().mockRejectedValue(new Error('delete failed')) }
+       });
+
+       await controller.handleDrawerDelete('page-1');
+       await scheduled[0].commit();
+
+       expect(state.pages.map(page => page.id)).toEqual(['page-1', 'page-2']);
+       expect(dependencies.windowObj.alert).toHaveBeenCalledWith('Failed to delete page. Please try again.');
+       consoleErrorSpy.mockRestore();
+     });
+
+     it('defers a project-pill removal and undo restores the original membership', async () => {
+       const { controller, state, api, projectManager, savedPagesView, scheduled } = createUndoHarness({
+         api: { removePageFromProject: vi.fn().mockResolvedValue({ ok: true }) }
+       });
+
+       await controller.handleDrawerRemoveFromProject('page-1', 'project-1');
+
+       expect(state.allPages[0].project_ids).toEqual(['project-2']);
+       expect(projectManager.adjustProjectCount).toHaveBeenCalledWith(expect.anything(), 'project-1', -1);
+       expect(savedPagesView.handleProjectMembershipChange).toHaveBeenCalledWith('page-1', 'project-1');
+       expect(scheduled[0].message).toBe('Removed from Research.');
+       expect(api.removePageFromProject).not.toHaveBeenCalled();
+
+       await scheduled[0].undo();
+
+       expect(state.allPages[0].project_ids).toEqual(['project-1', 'project-2']);
+       expect(projectManager.adjustProjectCount).toHaveBeenLastCalledWith(expect.anything(), 'project-1', 1);
+       expect(api.removePageFromProject).not.toHaveBeenCalled();
+     });
+
+     it('commits a project-pill removal through the API when the window lapses', async () => {
+       const { controller, api, scheduled } = createUndoHarness({
+         api: { removePageFromProject: vi.fn().mockResolvedValue({ ok: true }) }
+       });
+
+       await controller.handleDrawerRemoveFromProject('page-1', 'project-1');
+       await scheduled[0].commit();
+
+       expect(api.removePageFromProject).toHaveBeenCalledWith('project-1', 'page-1');
+     });
+   });
+
+   describe('trash scope', () => {
+     const trashedPage = {
+       id: 'page-9',
+       title: 'Deleted',
+       saved_at: '2026-03-02T00:00:00.000Z',
+       deleted: true,
+       deleted_at: '2026-04-01T00:00:00.000Z',
+       project_ids: ['project-1']
+     };
+     const pinnedPage = { id: 'page-1', pinned: true, saved_at: '2026-01-01T00:00:00.000Z' };
+     const newerPage = { id: 'page-2', pinned: false, saved_at: '2026-03-05T00:00:00.000Z' };
+     const olderPage = { id: 'page-3', pinned: false, saved_at: '2026-02-01T00:00:00.000Z' };
+
+     function createTrashStore(initialPages) {
+       let allPages = [...initialPages];
+       const listeners = [];
+       return {
+         getSnapshot: vi.fn(() => ({ allPages: [...allPages], total: allPages.length })),
+         hydrate: vi.fn(async () => ({ allPages: [...allPages], total: allPages.length })),
+         subscribe: vi.fn(listener => { listeners.push(listener); return () => {}; }),
+         removePage: vi.fn(async id => {
+           allPages = allPages.filter(page => page.id !== id);
+           listeners.forEach(listener => listener());
+         }),
+         reset: vi.fn()
+       };
+     }
+
+     function createTrashHarness(overrides = {}) {
+       const trashStore = createTrashStore([trashedPage]);
+       const notify = vi.fn();
+       const harness = createDrawerDataHarness({
+         ...overrides,
+         state: {
+           selectedProjectId: TRASH_SCOPE_ID,
+           hasInitialized: true,
+           allPages: [pinnedPage, newerPage, olderPage],
+           ...(overrides.state || {})
+         },
+         savedPagesStore: {
+           getSnapshot: vi.fn(() => ({ allPages: [pinnedPage, newerPage, olderPage], total: 3 })),
+           restorePage: vi.fn(),
+           ...(overrides.savedPagesStore || {})
+         },
+         dependencies: {
+           createTrashSavedPagesStoreFn: vi.fn(() => trashStore),
+           notify,
+           ...(overrides.dependencies || {})
+         }
+       });
+       return { ...harness, trashStore, notify };
+     }
+
+     it('loads deleted pages into the scope without adding them to allPages', async () => {
+       const { controller, state, trashStore, projectsStore } = createTrashHarness();
+
+       await controller.loadDrawerProjectPages(TRASH_SCOPE_ID, { syncUrl: false });
+
+       expect(trashStore.hydrate).toHaveBeenCalledTimes(1);
+       expect(projectsStore.hydrate).toHaveBeenCalled();
+       expect(state.loadedProjectPages).toEqual([trashedPage]);
+       expect(state.allPages.map(page => page.id)).toEqual(['page-1', 'page-2', 'page-3']);
+     });
+
+     it('restores a page into its newest-first slot after the pinned block', async () => {
+       const { controller, state, api, savedPagesStore, projectManager, notify } = createTrashHarness({
+         api: { restorePage: vi.fn().mockResolvedValue({ success: true }) }
+       });
+       await controller.loadDrawerProjectPages(TRASH_SCOPE_ID, { syncUrl: false });
+
+       await controller.handleDrawerRestore('page-9');
+
+       expect(api.restorePage).toHaveBeenCalledWith('page-9');
+       expect(state.loadedProjectPages).toEqual([]);
+       const [restoredPage, { index }] = savedPagesStore.restorePage.mock.calls[0];
+       expect(restoredPage).toMatchObject({ id: 'page-9', deleted: false });
+       expect(restoredPage).not.toHaveProperty('deleted_at');
+       expect(index).toBe(2);
+       expect(projectManager.adjustProjectCount).toHaveBeenCalledWith(expect.anything(), 'project-1', 1);
+       expect(notify).toHaveBeenCalledWith('Page restored.', { type: 'success' });
+     });
+
+     it('keeps the page in the trash when the restore request fails', async () => {
+       const consoleErrorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+       const { controller, state, savedPagesStore, notify } = createTrashHarness({
+         api: { restorePage: vi.fn().mockRejectedValue(new Error('nope')) }
+       });
+       await controller.loadDrawerProjectPages(TRASH_SCOPE_ID, { syncUrl: false });
+
+       await controller.handleDrawerRestore('page-9');
+
+       expect(state.loadedProjectPages).toEqual([trashedPage]);
+       expect(savedPagesStore.restorePage).not.toHaveBeenCalled();
+       expect(notify).toHaveBeenCalledWith('Failed to restore page. Please try again.', { type: 'error' });
+       consoleErrorSpy.mockRestore();
+     });
+
+     it('deletes a page forever, with its local copies, only after confirmation', async () => {
+       const archiveStore = { deleteCopies: vi.fn().mockResolvedValue(undefined) };
+       const { controller, state, api, dependencies } = createTrashHarness({
+         api: { deletePageForever: vi.fn().mockResolvedValue({ success: true }) },
+         dependencies: { archiveStore }
+       });
+       await controller.loadDrawerProjectPages(TRASH_SCOPE_ID, { syncUrl: false });
+       dependencies.windowObj.confirm.mockReturnValueOnce(false);
+
+       await controller.handleDrawerDeleteForever('page-9');
+       expect(api.deletePageForever).not.toHaveBeenCalled();
+       expect(archiveStore.deleteCopies).not.toHaveBeenCalled();
+
+       await controller.handleDrawerDeleteForever('page-9');
+       expect(api.deletePageForever).toHaveBeenCalledWith('page-9');
+       expect(state.loadedProjectPages).toEqual([]);
+       expect(archiveStore.deleteCopies).toHaveBeenCalledWith('page-9');
+     });
+   });
+
    // Regression (Sentry 7621707108): a pending-save tile's synthetic id
    // ("optimistic:https://...") contains "//", which Firestore rejects. The
    // renderer disables the buttons, but as defense-in-depth the handler must
@@ -1363,6 +1928,48 @@ describe('newtab modules', () => {
      expect(api.updatePage).not.toHaveBeenCalled();
    });
 
+   it('marks an opened page read through the background so navigating away cannot cancel it', async () => {
+     const sendMessage = vi.fn((message, callback) => callback({ success: true }));
+     const { controller, api, state, savedPagesView } = createDrawerDataHarness({
+       state: {
+         pages: [{ id: 'page-1' }],
+         allPages: [{ id: 'page-1' }]
+       },
+       api: { isExtension: true },
+       dependencies: {
+         windowObj: { alert: vi.fn(), chrome: { runtime: { sendMessage } } }
+       }
+     });
+
+     await controller.handleDrawerPageOpened('page-1');
+
+     expect(sendMessage).toHaveBeenCalledWith({ action: 'markPageRead', pageId: 'page-1' }, expect.any(Function));
+     expect(api.updatePage).not.toHaveBeenCalled();
+     expect(state.allPages[0].read_state).toBe('read');
+     expect(savedPagesView.persistAllPages).toHaveBeenCalledTimes(1);
+
+     // Already read: opening it again sends nothing.
+     await controller.handleDrawerPageOpened('page-1');
+     expect(sendMessage).toHaveBeenCalledTimes(1);
+   });
+
+   it('puts an opened page back to unread without an alert when marking it read fails', async () => {
+     const consoleWarnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+     const { controller, state, dependencies } = createDrawerDataHarness({
+       state: {
+         pages: [{ id: 'page-1' }],
+         allPages: [{ id: 'page-1' }]
+       },
+       api: { updatePage: vi.fn().mockRejectedValue(new Error('offline')) }
+     });
+
+     await controller.handleDrawerPageOpened('page-1');
+
+     expect(state.allPages[0].read_state).toBeUndefined();
+     expect(dependencies.windowObj.alert).not.toHaveBeenCalled();
+     consoleWarnSpy.mockRestore();
+   });
+
    it('handleDrawerEditStart does not open the edit form on an optimistic tile', async () => {
      const { controller, state } = createDrawerDataHarness({
        state: {
@@ -1491,6 +2098,37 @@ describe('newtab modules', () => {
     });
   });
 
+  it('saves edited manual tags and notes alongside the title and summary', async () => {
+    const { controller, state, api } = createDrawerDataHarness({
+      state: {
+        editingPageId: 'page-1',
+        pages: [{ id: 'page-1', title: 'Alpha', manual_tags: ['old'], pinned: false }],
+        allPages: [{ id: 'page-1', title: 'Alpha', manual_tags: ['old'], pinned: false }]
+      },
+      api: {
+        updatePage: vi.fn().mockResolvedValue({})
+      }
+    });
+
+    await controller.handleDrawerUpdate('page-1', {
+      title: 'Alpha',
+      ai_summary_brief: '',
+      manual_tags: [' research ', 'Research', '', 'reading'],
+      user_notes: '  Cite in the Q3 review  '
+    });
+
+    expect(api.updatePage).toHaveBeenCalledWith('page-1', {
+      title: 'Alpha',
+      ai_summary_brief: '',
+      manual_tags: ['research', 'reading'],
+      user_notes: 'Cite in the Q3 review'
+    });
+    expect(state.allPages[0]).toMatchObject({
+      manual_tags: ['research', 'reading'],
+      user_notes: 'Cite in the Q3 review'
+    });
+  });
+
   it('surfaces a toast (not a blocking alert) when notify is wired and a save fails validation', async () => {
     const notify = vi.fn();
     const { controller, dependencies } = createDrawerDataHarness({
@@ -1671,6 +2309,23 @@ describe('newtab modules', () => {
   });
 
   describe('loadSemanticResults', () => {
+    it('sends only the free text of an operator query to semantic search', async () => {
+      const searchContent = vi.fn().mockResolvedValue({ results: [] });
+      const { controller, api } = createDrawerDataHarness({
+        state: { hasInitialized: true },
+        api: { searchContent }
+      });
+
+      await controller.loadDrawerResults('react site:github.com "state hooks" -redux');
+      await Promise.resolve();
+
+      expect(api.searchContent).toHaveBeenCalledWith('react state hooks', expect.any(Object));
+
+      api.searchContent.mockClear();
+      await controller.loadDrawerResults('is:pinned tag:react');
+      expect(api.searchContent).not.toHaveBeenCalled();
+    });
+
     it('clears semantic results for an empty query', async () => {
       const { controller, state, dependencies, api } = createDrawerDataHarness({
         state: { hasInitialized: true, semanticResults: [{ id: 'old' }], semanticLoading: true },
@@ -1801,13 +2456,15 @@ describe('newtab modules', () => {
 
       const savedPagesStore = {
         getSnapshot: vi.fn(() => ({ allPages: pages, total: pages.length })),
-        removePage: vi.fn(async id => {
+        hidePage: vi.fn(async id => {
           const idx = pages.findIndex(p => p.id === id);
-          if (idx >= 0) pages.splice(idx, 1);
+          const [page] = idx >= 0 ? pages.splice(idx, 1) : [];
           // Simulate the warm-cache store notifying its subscriber, which in
           // the real extension re-enters renderDrawerResults mid-delete.
           syncFromSnapshot();
+          return page ? { page, index: idx } : null;
         }),
+        releaseHiddenPage: vi.fn(),
         hydrate: vi.fn(),
         reset: vi.fn()
       };
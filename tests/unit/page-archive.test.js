@@ -0,0 +1,123 @@
+import { afterAll, beforeAll, describe, expect, it, vi } from 'vitest';
+import { absolutizeCssUrls, buildArchiveSnapshot } from '../../src/page-archive.js';
+
+// A fetch stand-in serving fixed bodies by absolute URL; anything else 404s.
+function createFetch(resources = {}) {
+  return vi.fn(async (url) => {
+    const resource = resources[url];
+    if (!resource) {
+      return { ok: false, status: 404 };
+    }
+    return {
+      ok: true,
+      status: 200,
+      headers: { get: () => resource.type || null },
+      text: async () => resource.body,
+      arrayBuffer: async () => new TextEncoder().encode(resource.body).buffer
+    };
+  });
+}
+
+const PAGE_URL = 'https://news.example.com/2026/story/';
+
+function absolute(path) {
+  return new URL(path, PAGE_URL).href;
+}
+
+// The page's own <base> gives the parsed document the URL relative
+// references resolve against.
+function parsePage(head, body) {
+  return new DOMParser().parseFromString(
+    `<!DOCTYPE html><html><head><base href="${PAGE_URL}"><title>Archived article</title>${head}</head><body>${body}</body></html>`,
+    'text/html'
+  );
+}
+
+describe('absolutizeCssUrls', () => {
+  it('resolves url() references against the stylesheet and leaves data: URIs alone', () => {
+    const css = 'a { background: url(img/bg.png) } b { background: url("data:image/png;base64,AA") }';
+    const result = absolutizeCssUrls(css, 'https://cdn.example.com/css/site.css');
+
+    expect(result).toContain('url("https://cdn.example.com/css/img/bg.png")');
+    expect(result).toContain('url("data:image/png;base64,AA")');
+  });
+});
+
+describe('buildArchiveSnapshot', () => {
+  // happy-dom would otherwise try to load the fixtures' stylesheets itself.
+  let originalSettings;
+  beforeAll(() => {
+    const { settings } = window.happyDOM;
+    originalSettings = {
+      disableCSSFileLoading: settings.disableCSSFileLoading,
+      handleDisabledFileLoadingAsSuccess: settings.handleDisabledFileLoadingAsSuccess
+    };
+    settings.disableCSSFileLoading = true;
+    settings.handleDisabledFileLoadingAsSuccess = true;
+  });
+  afterAll(() => {
+    Object.assign(window.happyDOM.settings, originalSettings);
+  });
+
+  it('strips scripts, handlers and other active content', async () => {
+    const page = parsePage('<meta http-equiv="refresh" content="0;url=https://elsewhere.example">', `
+      <p onclick="steal()">Body text</p>
+      <script>alert(1)</script>
+      <iframe title="Advert"></iframe>
+      <a href="javascript:void(0)">Nowhere</a>
+    `);
+
+    const snapshot = await buildArchiveSnapshot(page, { fetchFn: createFetch() });
+
+    expect(snapshot.html.startsWith('<!DOCTYPE html>')).toBe(true);
+    expect(snapshot.html).toContain('Body text');
+    expect(snapshot.html).not.toContain('<script');
+    expect(snapshot.html).not.toContain('onclick');
+    expect(snapshot.html).not.toContain('<iframe');
+    expect(snapshot.html).not.toContain('javascript:');
+    expect(snapshot.html).not.toContain('http-equiv="refresh"');
+    expect(snapshot.title).toBe('Archived article');
+  });
+
+  it('inlines stylesheets and images it can fetch', async () => {
+    const page = parsePage(
+      '<link rel="stylesheet" href="site.css" media="screen">',
+      '<img src="photo.png" srcset="photo-2x.png 2x" loading="lazy" alt="Photo">'
+    );
+    const fetchFn = createFetch({
+      [absolute('site.css')]: { body: 'body { background: url(bg.png) }' },
+      [absolute('photo.png')]: { body: 'PNG', type: 'image/png' }
+    });
+
+    const snapshot = await buildArchiveSnapshot(page, { fetchFn });
+
+    expect(snapshot.html).toContain('<style media="screen">');
+    expect(snapshot.html).toContain(`url("${absolute('bg.png')}")`);
+    expect(snapshot.html).not.toContain('<link');
+    expect(snapshot.html).toContain(`src="data:image/png;base64,${btoa('PNG')}"`);
+    expect(snapshot.html).not.toContain('srcset');
+  });
+
+  it('keeps absolute URLs for resources it cannot read', async () => {
+    const page = parsePage('<link rel="stylesheet" href="missing.css">', '<img src="missing.png" alt="">');
+
+    const snapshot = await buildArchiveSnapshot(page, { fetchFn: createFetch() });
+
+    expect(snapshot.html).toContain(`href="${absolute('missing.css')}"`);
+    expect(snapshot.html).toContain(`src="${absolute('missing.png')}"`);
+  });
+
+  it('adds a base so remaining links resolve against the page and open in new tabs', async () => {
+    const page = parsePage('', '<a href="/about">About</a>');
+
+    const snapshot = await buildArchiveSnapshot(page, { fetchFn: createFetch() });
+
+    // The page's own <base> is replaced by one that keeps its URL.
+    expect(snapshot.html).toContain(`<base href="${PAGE_URL}" target="_blank">`);
+    expect(snapshot.html.match(/<base /g)).toHaveLength(1);
+  });
+
+  it('returns null without a document', async () => {
+    expect(await buildArchiveSnapshot(null)).toBeNull();
+  });
+});
@@ -135,3 +135,49 @@ describe('capturePageContent', () => {
     expect(result.capture_error).toBe('no result from injection');
   });
 });
+
+// captureArchiveSnapshot runs the same two-call injection for archive mode,
+// invoking __saveitArchive instead. An archive is optional, so every failure
+// is a null rather than a failure shape.
+describe('captureArchiveSnapshot', () => {
+  let originalBrowser;
+
+  beforeEach(() => {
+    originalBrowser = globalThis.browser;
+  });
+
+  afterEach(() => {
+    if (originalBrowser === undefined) {
+      delete globalThis.browser;
+    } else {
+      globalThis.browser = originalBrowser;
+    }
+  });
+
+  it('returns the snapshot built in the page', async () => {
+    const snapshot = { url: 'https://example.com', title: 'T', html: '<html></html>', captured_at: 'now' };
+    const executeScript = vi.fn();
+    executeScript.mockResolvedValueOnce([{ result: undefined }]);
+    executeScript.mockResolvedValueOnce([{ result: snapshot }]);
+    globalThis.browser = { scripting: { executeScript } };
+
+    const { captureArchiveSnapshot } = await import('../../src/page-capture-injector.js');
+
+    expect(await captureArchiveSnapshot(42)).toEqual(snapshot);
+    expect(executeScript).toHaveBeenNthCalledWith(1, expect.objectContaining({
+      files: ['src/bundles/capture-bundle.js']
+    }));
+  });
+
+  it('returns null when injection fails or yields no snapshot', async () => {
+    const { captureArchiveSnapshot } = await import('../../src/page-capture-injector.js');
+
+    globalThis.browser = { scripting: { executeScript: vi.fn().mockRejectedValue(new Error('Cannot access a chrome:// URL')) } };
+    expect(await captureArchiveSnapshot(1)).toBeNull();
+
+    globalThis.browser = { scripting: { executeScript: vi.fn().mockResolvedValue([{ result: null }]) } };
+    expect(await captureArchiveSnapshot(1)).toBeNull();
+
+    expect(await captureArchiveSnapshot(null)).toBeNull();
+  });
+});
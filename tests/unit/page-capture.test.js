@@ -1,5 +1,5 @@
 import { beforeAll, beforeEach, describe, expect, it, vi } from 'vitest';
-import { buildClientObject, truncateContent } from '../../src/page-capture.js';
+import { buildClientObject, captureSelectionHighlight, limitArticleHtml, truncateContent } from '../../src/page-capture.js';
 
 // In a real browser, Readability returns null on app-like pages (Google Drive,
 // Plex, dashboards) due to shadow DOM, iframes, and scoring thresholds against
@@ -47,6 +47,14 @@ describe('truncateContent', () => {
   });
 });
 
+describe('limitArticleHtml', () => {
+  it('drops article markup too large to keep', () => {
+    expect(limitArticleHtml('<p>Short</p>')).toBe('<p>Short</p>');
+    expect(limitArticleHtml(`<p>${'x'.repeat(600000)}</p>`)).toBeNull();
+    expect(limitArticleHtml('')).toBeNull();
+  });
+});
+
 describe('buildClientObject', () => {
   it('extracts title, content, and meta from a document', () => {
     // happy-dom provides a DOM in the test environment
@@ -74,6 +82,8 @@ describe('buildClientObject', () => {
     expect(client.byline).toBe('Jane Doe');
     expect(client.published_time).toBe('2026-07-01T10:00:00Z');
     expect(client.captured_at).toBeTruthy();
+    // The article markup itself, kept locally for the reader view.
+    expect(client.content_html).toContain('This is the article body.');
   });
 
   it('falls back to innerText when Readability finds no article', () => {
@@ -100,6 +110,8 @@ describe('buildClientObject', () => {
     expect(client.content).not.toContain('Copyright 2026');
     // Real content should be present
     expect(client.content).toContain('Quarterly Budget Report');
+    // Rendered text is not an article; there is nothing for the reader.
+    expect(client.content_html).toBeNull();
   });
 
   it('returns capture_method none when page has no body text at all', () => {
@@ -138,3 +150,34 @@ describe('buildClientObject', () => {
     expect(client.capture_method).toBe('readability');
   });
 });
+
+describe('captureSelectionHighlight', () => {
+  it('captures the selected text with context from its paragraph', () => {
+    document.body.innerHTML = `
+      <article>
+        <p id="first">Unrelated opening paragraph.</p>
+        <p id="quote">Some words before the   chosen passage and some words after it.</p>
+      </article>
+    `;
+    const textNode = document.getElementById('quote').firstChild;
+    const start = textNode.textContent.indexOf('chosen');
+    const range = document.createRange();
+    range.setStart(textNode, start);
+    range.setEnd(textNode, start + 'chosen passage'.length);
+    document.getSelection().removeAllRanges();
+    document.getSelection().addRange(range);
+
+    expect(captureSelectionHighlight(document)).toMatchObject({
+      text: 'chosen passage',
+      prefix: 'Some words before the',
+      suffix: 'and some words after it.'
+    });
+    expect(buildClientObject(document).highlights).toEqual([
+      expect.objectContaining({ text: 'chosen passage' })
+    ]);
+
+    document.getSelection().removeAllRanges();
+    expect(captureSelectionHighlight(document)).toBeNull();
+    expect(buildClientObject(document).highlights).toEqual([]);
+  });
+});
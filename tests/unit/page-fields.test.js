@@ -0,0 +1,31 @@
+import { describe, expect, it } from 'vitest';
+
+import { escapeRegExp, getPageSavedTime, isDateString, PAGE_SEARCH_FIELDS } from '../../src/page-fields.js';
+
+describe('page fields', () => {
+  it('accepts only real YYYY-MM-DD dates', () => {
+    expect(isDateString('2026-01-31')).toBe(true);
+    expect(isDateString('2026-13-01')).toBe(false);
+    expect(isDateString('2026-1-31')).toBe(false);
+    expect(isDateString(null)).toBe(false);
+  });
+
+  it('reads the saved time, falling back to created_at and then to the given value', () => {
+    expect(getPageSavedTime({ saved_at: '2026-03-01T00:00:00Z', created_at: '2026-01-01T00:00:00Z' }))
+      .toBe(Date.parse('2026-03-01T00:00:00Z'));
+    expect(getPageSavedTime({ created_at: '2026-01-01T00:00:00Z' })).toBe(Date.parse('2026-01-01T00:00:00Z'));
+    expect(getPageSavedTime({})).toBeNaN();
+    expect(getPageSavedTime({ saved_at: 'soon' }, Infinity)).toBe(Infinity);
+  });
+
+  it('names every search field with its weight and escapes terms for a pattern', () => {
+    expect(PAGE_SEARCH_FIELDS.map(({ label, weight }) => [label, weight])).toEqual([
+      ['title', 3],
+      ['summary', 1.5],
+      ['tags', 2],
+      ['notes', 1],
+      ['site', 1]
+    ]);
+    expect(new RegExp(escapeRegExp('c++ (intro)')).test('learn c++ (intro) today')).toBe(true);
+  });
+});
@@ -0,0 +1,52 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import {
+  PAGE_HIGHLIGHTS_KEY,
+  getStoredHighlights,
+  mergeHighlights,
+  normalizeHighlight,
+  storeHighlights
+} from '../../src/page-highlights.js';
+
+function makeStorage() {
+  let store = {};
+  return {
+    get: vi.fn(async key => (key in store ? { [key]: store[key] } : {})),
+    set: vi.fn(async (entries) => { store = { ...store, ...entries }; }),
+    dump: () => store
+  };
+}
+
+describe('page highlights', () => {
+  it('normalises whitespace and drops empty highlights', () => {
+    expect(normalizeHighlight({ text: '  a\n quote ', prefix: ' x ', created_at: 't' }))
+      .toEqual({ text: 'a quote', prefix: 'x', suffix: '', created_at: 't' });
+    expect(normalizeHighlight({ text: '   ' })).toBeNull();
+  });
+
+  it('merges new highlights after existing ones, once per passage', () => {
+    const merged = mergeHighlights(
+      [{ text: 'First quote', created_at: '1' }],
+      [{ text: 'first  QUOTE', created_at: '2' }, { text: 'Second quote', created_at: '3' }]
+    );
+
+    expect(merged.map(highlight => [highlight.text, highlight.created_at])).toEqual([
+      ['First quote', '1'],
+      ['Second quote', '3']
+    ]);
+  });
+
+  it('remembers highlights per page URL and forgets the oldest pages past the cap', async () => {
+    const storage = makeStorage();
+    await storeHighlights(storage, 'https://example.org/a/', [{ text: 'quote' }], { now: 1 });
+
+    await expect(getStoredHighlights(storage, 'https://example.org/a')).resolves.toEqual([{ text: 'quote' }]);
+    await expect(getStoredHighlights(storage, 'https://example.org/b')).resolves.toEqual([]);
+
+    for (let index = 0; index < 200; index += 1) {
+      await storeHighlights(storage, `https://example.org/page-${index}`, [{ text: 'q' }], { now: 2 + index });
+    }
+    expect(Object.keys(storage.dump()[PAGE_HIGHLIGHTS_KEY])).toHaveLength(200);
+    await expect(getStoredHighlights(storage, 'https://example.org/a')).resolves.toEqual([]);
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  countActivePageFacets,
+  createDefaultPageListFilters,
+  getPageLabelOptions,
+  getPageListFilterRequestParams,
+  isDefaultPageListFilters,
+  matchesPageFacets,
+  normalizePageListFilters,
+  readPageListFilterParams,
+  sortPages,
+  writePageListFilterParams
+} from '../../src/page-list-filters.js';
+
+const pages = [
+  {
+    id: 'a',
+    title: 'beta',
+    domain: 'zeta.example',
+    saved_at: '2026-10-03T10:00:00',
+    updated_at: '2026-10-04T10:00:00',
+    reading_time_minutes: 12,
+    user_notes: 'worth a reread',
+    pinned: true,
+    primary_classification_label: 'Computer Science',
+    ai_enriched_at: '2026-10-03T10:01:00.000Z'
+  },
+  {
+    id: 'b',
+    title: 'Alpha',
+    domain: 'alpha.example',
+    saved_at: '2026-10-02T10:00:00',
+    updated_at: '2026-10-06T10:00:00',
+    reading_time_minutes: 3,
+    private: true,
+    classifications: [{ label: 'Geography' }]
+  },
+  {
+    id: 'c',
+    url: 'https://gamma.example',
+    saved_at: '2026-10-01T10:00:00',
+    user_notes: '   '
+  }
+];
+
+const ids = list => list.map(page => page.id);
+
+describe('page list filters', () => {
+  it('normalizes unknown values to the defaults and orders a reversed date range', () => {
+    expect(normalizePageListFilters({ sort: 'random', enrichment: 'maybe', from: 'soon', hasNotes: 'yes' }))
+      .toEqual(createDefaultPageListFilters());
+    expect(normalizePageListFilters({ from: '2026-10-05', to: '2026-10-01' }))
+      .toMatchObject({ from: '2026-10-01', to: '2026-10-05' });
+  });
+
+  it('counts facets but not the sort', () => {
+    expect(isDefaultPageListFilters(createDefaultPageListFilters())).toBe(true);
+    expect(isDefaultPageListFilters({ ...createDefaultPageListFilters(), sort: 'title' })).toBe(false);
+    expect(countActivePageFacets({ sort: 'title', from: '2026-10-01', to: '2026-10-02', pinned: true })).toBe(2);
+  });
+
+  it('matches each facet', () => {
+    const match = filters => ids(pages.filter(page => matchesPageFacets(page, filters)));
+
+    expect(match({ from: '2026-10-02', to: '2026-10-02' })).toEqual(['b']);
+    expect(match({ hasNotes: true })).toEqual(['a']);
+    expect(match({ pinned: true })).toEqual(['a']);
+    expect(match({ private: true })).toEqual(['b']);
+    expect(match({ label: 'geography' })).toEqual(['b']);
+    expect(match({ enrichment: 'enriched' })).toEqual(['a']);
+    expect(match({ enrichment: 'pending' })).toEqual(['b', 'c']);
+    expect(match({ pinned: true, private: true })).toEqual([]);
+  });
+
+  it('sorts by each option and keeps the incoming order for newest', () => {
+    expect(ids(sortPages(pages, 'newest'))).toEqual(['a', 'b', 'c']);
+    expect(ids(sortPages(pages, 'oldest'))).toEqual(['c', 'b', 'a']);
+    expect(ids(sortPages(pages, 'title'))).toEqual(['b', 'a', 'c']);
+    expect(ids(sortPages(pages, 'domain'))).toEqual(['b', 'a', 'c']);
+    expect(ids(sortPages(pages, 'reading-time'))).toEqual(['b', 'a', 'c']);
+    expect(ids(sortPages(pages, 'updated'))).toEqual(['b', 'a', 'c']);
+  });
+
+  it('round-trips through URL params and leaves defaults out', () => {
+    const filters = normalizePageListFilters({
+      sort: 'title',
+      from: '2026-10-01',
+      hasNotes: true,
+      label: 'Geography',
+      enrichment: 'pending'
+    });
+    const params = writePageListFilterParams(new URLSearchParams('search=x&sort=oldest&pinned=1'), filters);
+
+    expect(params.toString()).toBe('search=x&sort=title&from=2026-10-01&notes=1&label=Geography&enrichment=pending');
+    expect(readPageListFilterParams(params)).toEqual(filters);
+    expect(writePageListFilterParams(new URLSearchParams(), createDefaultPageListFilters()).toString()).toBe('');
+  });
+
+  it('builds list request params for what is set', () => {
+    expect(getPageListFilterRequestParams({ sort: 'oldest', to: '2026-10-02', private: true, label: 'Geography' }))
+      .toEqual({ sort: 'oldest', savedBefore: '2026-10-02', private: true, label: 'Geography' });
+    expect(getPageListFilterRequestParams()).toEqual({ sort: 'newest' });
+  });
+
+  it('offers labels most used first', () => {
+    expect(getPageLabelOptions([
+      ...pages,
+      { id: 'd', primary_classification_label: 'Geography', classifications: [{ label: 'Geography' }] }
+    ])).toEqual(['Geography', 'Computer Science']);
+  });
+});
@@ -0,0 +1,43 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import {
+  getPageReadState,
+  getReadStateUpdates,
+  isPageUnread,
+  isReadStateOnlyUpdate,
+  setPageReadState
+} from '../../src/page-read-state.js';
+
+describe('page read state', () => {
+  it('treats pages without a valid read state as unread', () => {
+    expect(getPageReadState({})).toBe('unread');
+    expect(getPageReadState({ read_state: 'skimmed' })).toBe('unread');
+    expect(getPageReadState(null)).toBe('unread');
+    expect(isPageUnread({ read_state: 'read' })).toBe(false);
+    expect(isPageUnread({ read_state: 'archived' })).toBe(false);
+  });
+
+  it('stamps read_at when marking read, clears it when marking unread, and keeps it when archiving', () => {
+    const now = new Date('2026-10-19T10:00:00.000Z');
+
+    expect(getReadStateUpdates('read', { now })).toEqual({ read_state: 'read', read_at: '2026-10-19T10:00:00.000Z' });
+    expect(getReadStateUpdates('unread')).toEqual({ read_state: 'unread', read_at: null });
+    expect(getReadStateUpdates('archived')).toEqual({ read_state: 'archived' });
+    expect(() => getReadStateUpdates('skimmed')).toThrow('Unknown read state: skimmed');
+  });
+
+  it('tells read-state-only updates from real edits', () => {
+    expect(isReadStateOnlyUpdate({ read_state: 'read', read_at: null })).toBe(true);
+    expect(isReadStateOnlyUpdate({ read_state: 'read', title: 'New' })).toBe(false);
+    expect(isReadStateOnlyUpdate({})).toBe(false);
+  });
+
+  it('sends the read-state update through updatePage', async () => {
+    const api = { updatePage: vi.fn().mockResolvedValue({ id: 'p1', read_state: 'archived' }) };
+
+    const result = await setPageReadState(api, { id: 'p1' }, 'archived');
+
+    expect(api.updatePage).toHaveBeenCalledWith('p1', { read_state: 'archived' });
+    expect(result.read_state).toBe('archived');
+  });
+});
@@ -6,6 +6,7 @@ import {
   addPendingSaves,
   getPendingSaves,
   evictExpiredPendingSaves,
+  acknowledgePendingSave,
   clearPendingSave,
   buildOptimisticPage,
   isOptimisticPage
@@ -372,4 +373,55 @@ describe('evictExpiredPendingSaves', () => {
     const evicted = await evictExpiredPendingSaves(null);
     expect(evicted).toBe(0);
   });
+
+  it('never evicts a record still queued in the offline outbox', async () => {
+    const now = Date.parse('2026-07-09T12:00:00.000Z');
+    await addPendingSave(storage, {
+      url: 'https://queued.example',
+      saved_at: new Date(now - 6 * 60 * 60 * 1000).toISOString(),
+      queued: true
+    });
+
+    const evicted = await evictExpiredPendingSaves(storage, { now, ttlMs: 60 * 1000 });
+
+    expect(evicted).toBe(0);
+    expect(Object.keys(await getPendingSaves(storage))).toHaveLength(1);
+  });
+
+  it('runs the TTL from acknowledged_at once a queued save reaches the server', async () => {
+    const savedAt = Date.parse('2026-07-09T06:00:00.000Z');
+    const acknowledgedAt = Date.parse('2026-07-09T12:00:00.000Z');
+    await addPendingSave(storage, {
+      url: 'https://queued.example',
+      saved_at: new Date(savedAt).toISOString(),
+      queued: true
+    });
+    await acknowledgePendingSave(storage, 'https://queued.example', { now: acknowledgedAt });
+
+    // Hours after saved_at but seconds after acknowledgement: still live.
+    expect(await evictExpiredPendingSaves(storage, { now: acknowledgedAt + 30 * 1000, ttlMs: 60 * 1000 })).toBe(0);
+    // Past the TTL measured from acknowledgement: evicted.
+    expect(await evictExpiredPendingSaves(storage, { now: acknowledgedAt + 2 * 60 * 1000, ttlMs: 60 * 1000 })).toBe(1);
+  });
+});
+
+describe('acknowledgePendingSave', () => {
+  let storage;
+  beforeEach(() => { storage = createMemoryStorage(); });
+
+  it('drops the queued flag and stamps acknowledged_at', async () => {
+    await addPendingSave(storage, { url: 'https://a.com/1', title: 'A', queued: true });
+
+    await acknowledgePendingSave(storage, 'https://a.com/1/', { now: Date.parse('2026-07-09T12:00:00.000Z') });
+
+    const record = Object.values(await getPendingSaves(storage))[0];
+    expect(record.queued).toBeUndefined();
+    expect(record.acknowledged_at).toBe('2026-07-09T12:00:00.000Z');
+    expect(record.title).toBe('A');
+  });
+
+  it('does not resurrect a record the user cancelled while queued', async () => {
+    await acknowledgePendingSave(storage, 'https://a.com/1');
+    expect(await getPendingSaves(storage)).toEqual({});
+  });
 });
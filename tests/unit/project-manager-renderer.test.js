@@ -7,6 +7,113 @@ import {
 } from '../../src/project-manager-renderer.js';
 
 describe('project manager renderer helpers', () => {
+  it('badges the reading queue with the unread minutes queued', () => {
+    document.body.innerHTML = '<div id="project-sidebar"></div>';
+    const container = document.getElementById('project-sidebar');
+
+    renderProjectSidebar(container, {
+      dashboard: {
+        allPages: [
+          { id: 'page-1', reading_time_minutes: 12 },
+          { id: 'page-2', reading_time_minutes: 5, read_state: 'read' },
+          { id: 'page-3', reading_time_minutes: 7, read_state: 'unread' },
+          { id: 'page-4' }
+        ],
+        projectsLoading: false,
+        selectedProjectId: '__queue__',
+        getCurrentUser: () => null,
+        projects: []
+      },
+      htmlUtils: {
+        escapeHtml: value => value
+      },
+      isProjectsUnavailable: () => false,
+      getProjectsUnavailableMessage: () => '',
+      getSelectedProject: () => null
+    });
+
+    const row = container.querySelector('.project-nav-row[data-project-id="__queue__"]');
+    expect(row.classList.contains('is-active')).toBe(true);
+    expect(row.querySelector('.project-nav-count').textContent).toBe('19 min');
+    expect(row.querySelector('.project-nav-count').getAttribute('title')).toBe('19 minutes of reading queued');
+  });
+
+  it('lists smart collections with live counts, the active one in place of All pages', () => {
+    document.body.innerHTML = '<div id="project-sidebar"></div>';
+    const container = document.getElementById('project-sidebar');
+
+    renderProjectSidebar(container, {
+      dashboard: {
+        allPages: [],
+        projectsLoading: false,
+        selectedProjectId: null,
+        getCurrentUser: () => null,
+        projects: [],
+        smartCollections: [
+          { id: 'c1', name: 'Rust reading', query: 'rust is:unread', pinned: true, count: 4, isActive: true },
+          { id: 'c2', name: 'site:github.com', query: 'site:github.com', pinned: false, count: 0, isActive: false }
+        ]
+      },
+      htmlUtils: {
+        escapeHtml: value => value
+      },
+      isProjectsUnavailable: () => false,
+      getProjectsUnavailableMessage: () => '',
+      getSelectedProject: () => null
+    });
+
+    const rows = Array.from(container.querySelectorAll('.project-nav-row[data-project-id^="search:"]'));
+    expect(rows.map(row => row.dataset.projectId)).toEqual(['search:c1', 'search:c2']);
+    expect(rows[0].classList.contains('is-active')).toBe(true);
+    expect(rows[0].querySelector('.project-nav-count').textContent).toBe('4');
+    expect(rows[0].querySelector('.project-nav-subtitle').textContent).toBe('rust is:unread');
+    // A name that is just the query doesn't repeat it beneath.
+    expect(rows[1].querySelector('.project-nav-subtitle')).toBeNull();
+    expect(container.querySelector('.project-nav-row[data-project-id=""]').classList.contains('is-active')).toBe(false);
+
+    // The ends of the list can't move further.
+    expect(rows[0].querySelector('.project-action-collection-up')).toBeNull();
+    expect(rows[0].querySelector('.project-action-collection-down')).not.toBeNull();
+    expect(rows[1].querySelector('.project-action-collection-down')).toBeNull();
+    expect(rows[0].querySelector('.project-action-collection-pin').getAttribute('title')).toBe('Unpin');
+    expect(rows[1].querySelector('.project-action-collection-pin').getAttribute('title')).toBe('Pin to top');
+  });
+
+
+  it('lists the topic tree indented, with toggles on the nodes that have children', () => {
+    document.body.innerHTML = '<div id="project-sidebar"></div>';
+    const container = document.getElementById('project-sidebar');
+
+    renderProjectSidebar(container, {
+      dashboard: {
+        allPages: [],
+        projectsLoading: false,
+        selectedProjectId: 'topic:CS/Web',
+        getCurrentUser: () => null,
+        projects: [],
+        topics: [
+          { id: 'topic:CS', label: 'CS', count: 3, depth: 0, expandable: true, expanded: true, isActive: false },
+          { id: 'topic:CS/Web', label: 'Web', count: 2, depth: 1, expandable: false, expanded: false, isActive: true }
+        ]
+      },
+      htmlUtils: {
+        escapeHtml: value => value
+      },
+      isProjectsUnavailable: () => false,
+      getProjectsUnavailableMessage: () => '',
+      getSelectedProject: () => null
+    });
+
+    const rows = Array.from(container.querySelectorAll('.project-nav-row[data-project-id^="topic:"]'));
+    expect(rows.map(row => row.querySelector('.project-nav-name').textContent)).toEqual(['CS', 'Web']);
+    expect(rows[0].querySelector('.project-nav-expander').getAttribute('aria-expanded')).toBe('true');
+    expect(rows[0].querySelector('.project-nav-count').textContent).toBe('3');
+    expect(rows[1].querySelector('.project-nav-expander')).toBeNull();
+    expect(rows[1].getAttribute('style')).toContain('padding-left: 14px');
+    expect(rows[1].classList.contains('is-active')).toBe(true);
+    expect(container.querySelector('.project-nav-row[data-project-id=""]').classList.contains('is-active')).toBe(false);
+  });
+
   it('renders the sidebar unavailable state message', () => {
     document.body.innerHTML = '<div id="project-sidebar"></div>';
     const container = document.getElementById('project-sidebar');
@@ -89,6 +196,9 @@ describe('project manager renderer helpers', () => {
     const names = [...container.querySelectorAll('.project-nav-name')].map(el => el.textContent.trim());
     expect(names.indexOf('All pages')).toBeLessThan(names.indexOf('Pinned'));
     expect(names[0]).toBe('All pages');
+    // The reading queue and Trash sit with the other pseudo-scopes after
+    // Pinned, Trash last.
+    expect(names.slice(0, 4)).toEqual(['All pages', 'Pinned', 'Reading queue', 'Trash']);
 
     // No per-row visibility caption duplicates the section headers.
     expect(container.querySelector('.project-nav-visibility')).toBeNull();
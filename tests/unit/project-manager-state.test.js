@@ -9,9 +9,14 @@ import {
   getScopedPages,
   getSelectedProject,
   getStatsTotal,
+  isAllPagesView,
   isOwnedProject,
   isProjectsUnavailable,
-  refreshProjectCounts
+  isPseudoScope,
+  PINNED_PAGES_SCOPE_ID,
+  READING_QUEUE_SCOPE_ID,
+  refreshProjectCounts,
+  TRASH_SCOPE_ID
 } from '../../src/project-manager-state.js';
 
 describe('project manager state helpers', () => {
@@ -53,6 +58,50 @@ describe('project manager state helpers', () => {
     expect(getScopedPages(dashboard, pages).map(page => page.id)).toEqual(['page-2', 'page-3']);
   });
 
+  it('passes the trash list through untouched and has no selected project there', () => {
+    const dashboard = {
+      selectedProjectId: TRASH_SCOPE_ID,
+      projects: [{ id: TRASH_SCOPE_ID, name: 'Not a project' }]
+    };
+    const pages = [
+      { id: 'page-1', pinned: true, deleted: true },
+      { id: 'page-2', deleted: true }
+    ];
+
+    expect(getSelectedProject(dashboard)).toBeNull();
+    expect(getScopedPages(dashboard, pages).map(page => page.id)).toEqual(['page-1', 'page-2']);
+  });
+
+  it('scopes the reading queue to unread pages, pinned or not, from the all-pages list', () => {
+    const dashboard = { selectedProjectId: READING_QUEUE_SCOPE_ID, projects: [] };
+    const pages = [
+      { id: 'page-1', pinned: true },
+      { id: 'page-2', read_state: 'read' },
+      { id: 'page-3', read_state: 'archived' },
+      { id: 'optimistic:https://x.example', optimistic: true },
+      { id: 'page-4', read_state: 'unread' }
+    ];
+
+    expect(getSelectedProject(dashboard)).toBeNull();
+    expect(getScopedPages(dashboard, pages).map(page => page.id)).toEqual(['page-1', 'page-4']);
+    expect([null, PINNED_PAGES_SCOPE_ID, READING_QUEUE_SCOPE_ID].every(isAllPagesView)).toBe(true);
+    expect(isAllPagesView(TRASH_SCOPE_ID) || isAllPagesView('project-1')).toBe(false);
+    expect(isPseudoScope(READING_QUEUE_SCOPE_ID) && !isPseudoScope('project-1')).toBe(true);
+  });
+
+  it('scopes a topic node to the pages classified under it, pinned or not', () => {
+    const dashboard = { selectedProjectId: 'topic:Computer%20Science/Web%20Development', projects: [] };
+    const pages = [
+      { id: 'page-1', pinned: true, classifications: [{ type: 'general', label: 'Computer Science' }, { type: 'domain', label: 'Web Development' }] },
+      { id: 'page-2', classifications: [{ type: 'general', label: 'Computer Science' }] },
+      { id: 'page-3', primary_classification_label: 'Computer Science', classifications: [{ type: 'domain', label: 'Web Development' }] }
+    ];
+
+    expect(getSelectedProject(dashboard)).toBeNull();
+    expect(getScopedPages(dashboard, pages).map(page => page.id)).toEqual(['page-1', 'page-3']);
+    expect(isAllPagesView(dashboard.selectedProjectId) && isPseudoScope(dashboard.selectedProjectId)).toBe(true);
+  });
+
   it('recomputes missing counts and returns pills for assigned projects', () => {
     const dashboard = {
       allPages: [
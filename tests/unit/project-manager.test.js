@@ -111,6 +111,7 @@ describe('ProjectManager', () => {
     expect(sidebar.querySelector('.project-nav-row[data-project-id=""]')).not.toBeNull();
     expect(sidebar.querySelector('.project-action-rename[aria-label="Rename Newtab product"]')).not.toBeNull();
     expect(sidebar.querySelector('.project-action-visibility[aria-label="Share with company"]')).not.toBeNull();
+    expect(sidebar.querySelector('.project-action-open-all[aria-label="Open all pages in AI radar"]')).not.toBeNull();
   });
 
   it('selects a project and reloads the scoped dashboard data', async () => {
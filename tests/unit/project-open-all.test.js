@@ -0,0 +1,118 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import {
+  OPEN_ALL_CONFIRM_THRESHOLD,
+  openProjectPages,
+  openUrlsInNewWindow,
+  planProjectOpenAll
+} from '../../src/project-open-all.js';
+
+function makeApi(pages) {
+  return {
+    getSavedPages: vi.fn(async () => ({ pages, pagination: { hasNextPage: false } }))
+  };
+}
+
+function makeBrowserApi({ openTabs = [], groups = true } = {}) {
+  return {
+    windows: {
+      create: vi.fn(async ({ url }) => ({ id: 9, tabs: url.map((_, index) => ({ id: 100 + index })) }))
+    },
+    tabs: {
+      query: vi.fn(async () => openTabs),
+      ...(groups ? { group: vi.fn(async () => 42) } : {})
+    },
+    ...(groups ? { tabGroups: { update: vi.fn(async () => {}) } } : {})
+  };
+}
+
+const project = { id: 'project-1', name: 'Monarc' };
+
+describe('planProjectOpenAll', () => {
+  it('opens each URL once and skips pages already open in a tab', () => {
+    const plan = planProjectOpenAll(
+      [
+        { url: 'https://example.org/a' },
+        { url: 'https://example.org/b' },
+        { url: 'https://example.org/b/' },
+        { url: '' },
+        { url: 'https://example.org/c' }
+      ],
+      [{ url: 'https://EXAMPLE.org/c/' }, { url: 'chrome://newtab/' }]
+    );
+
+    expect(plan).toEqual({ urls: ['https://example.org/a', 'https://example.org/b'], alreadyOpen: 1 });
+  });
+});
+
+describe('openUrlsInNewWindow', () => {
+  it('groups the new tabs under the project name where tab groups exist', async () => {
+    const browserApi = makeBrowserApi();
+
+    await expect(openUrlsInNewWindow(['https://a.test', 'https://b.test'], { title: 'Monarc', browserApi }))
+      .resolves.toEqual({ windowId: 9, grouped: true });
+    expect(browserApi.tabs.group).toHaveBeenCalledWith({ tabIds: [100, 101], createProperties: { windowId: 9 } });
+    expect(browserApi.tabGroups.update).toHaveBeenCalledWith(42, { title: 'Monarc' });
+  });
+
+  it('falls back to a plain window without the tab groups API', async () => {
+    const browserApi = makeBrowserApi({ groups: false });
+
+    await expect(openUrlsInNewWindow(['https://a.test'], { title: 'Monarc', browserApi }))
+      .resolves.toEqual({ windowId: 9, grouped: false });
+  });
+});
+
+describe('openProjectPages', () => {
+  it('fetches the whole project, skips open pages and reports them', async () => {
+    const api = makeApi([{ url: 'https://example.org/a' }, { url: 'https://example.org/b' }]);
+    const browserApi = makeBrowserApi({ openTabs: [{ url: 'https://example.org/b' }] });
+    const notify = vi.fn();
+
+    await expect(openProjectPages({ api, project, browserApi, notify })).resolves.toBe(1);
+    expect(api.getSavedPages).toHaveBeenCalledWith(expect.objectContaining({ projectId: 'project-1' }));
+    expect(browserApi.windows.create).toHaveBeenCalledWith({ url: ['https://example.org/a'], focused: true });
+    expect(notify).toHaveBeenCalledWith('Opened 1 page; 1 already open.', { type: 'success' });
+  });
+
+  it('asks before opening a large project and does nothing when declined', async () => {
+    const pages = Array.from({ length: OPEN_ALL_CONFIRM_THRESHOLD + 1 }, (_, index) => ({
+      url: `https://example.org/${index}`
+    }));
+    const browserApi = makeBrowserApi();
+    const confirmFn = vi.fn(() => false);
+
+    await expect(openProjectPages({ api: makeApi(pages), project, browserApi, confirmFn })).resolves.toBeNull();
+    expect(confirmFn).toHaveBeenCalledWith(`Open ${pages.length} pages from "Monarc" in a new window?`);
+    expect(browserApi.windows.create).not.toHaveBeenCalled();
+  });
+
+  it('asks for the tab groups permission up front and opens a plain window when declined', async () => {
+    const browserApi = {
+      ...makeBrowserApi(),
+      permissions: { request: vi.fn(async () => false) }
+    };
+
+    const opening = openProjectPages({ api: makeApi([{ url: 'https://example.org/a' }]), project, browserApi });
+    // Inside the click: before anything is awaited.
+    expect(browserApi.permissions.request).toHaveBeenCalledWith({ permissions: ['tabGroups'] });
+
+    await expect(opening).resolves.toBe(1);
+    expect(browserApi.windows.create).toHaveBeenCalledWith({ url: ['https://example.org/a'], focused: true });
+    expect(browserApi.tabs.group).not.toHaveBeenCalled();
+  });
+
+  it('says so when every page is already open', async () => {
+    const browserApi = makeBrowserApi({ openTabs: [{ url: 'https://example.org/a' }] });
+    const notify = vi.fn();
+
+    await expect(openProjectPages({
+      api: makeApi([{ url: 'https://example.org/a' }]),
+      project,
+      browserApi,
+      notify
+    })).resolves.toBeNull();
+    expect(notify).toHaveBeenCalledWith('Every page in "Monarc" is already open.');
+    expect(browserApi.windows.create).not.toHaveBeenCalled();
+  });
+});
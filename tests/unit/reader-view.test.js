@@ -0,0 +1,239 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from 'vitest';
+import {
+  READER_FONT_SIZE_KEY,
+  READING_PROGRESS_KEY,
+  buildArticleFragment,
+  getReadingProgress,
+  initReaderView,
+  stepReaderFontSize,
+  storeReadingProgress
+} from '../../src/reader-view.js';
+
+function createStorage(initial = {}) {
+  const values = { ...initial };
+  return {
+    values,
+    get: vi.fn(async key => ({ [key]: values[key] })),
+    set: vi.fn(async (patch) => { Object.assign(values, patch); })
+  };
+}
+
+const READER_MARKUP = `
+  <div id="reader-progress-bar"></div>
+  <a id="reader-original-link" class="hidden"></a>
+  <button id="reader-font-down"></button>
+  <button id="reader-font-up"></button>
+  <div id="reader-theme-toggle-container"></div>
+  <h1 id="reader-title"></h1>
+  <p id="reader-meta"></p>
+  <aside id="reader-summary" class="hidden"><p id="reader-summary-text"></p></aside>
+  <p id="reader-empty" class="hidden"></p>
+  <article id="reader-article"></article>
+`;
+
+describe('reading progress', () => {
+  it('remembers progress per page, clamped to 0–1', async () => {
+    const storage = createStorage();
+
+    await storeReadingProgress(storage, 'p1', 0.4, { now: 1 });
+    await storeReadingProgress(storage, 'p2', 7, { now: 2 });
+
+    expect(await getReadingProgress(storage, 'p1')).toBe(0.4);
+    expect(await getReadingProgress(storage, 'p2')).toBe(1);
+    expect(await getReadingProgress(storage, 'unknown')).toBe(0);
+  });
+
+  it('drops the least recently read pages past the cap', async () => {
+    const records = {};
+    for (let index = 0; index < 500; index += 1) {
+      records[`p${index}`] = { progress: 0.5, updated_at: index + 10 };
+    }
+    const storage = createStorage({ [READING_PROGRESS_KEY]: records });
+
+    await storeReadingProgress(storage, 'new', 0.2, { now: 1000 });
+
+    const stored = storage.values[READING_PROGRESS_KEY];
+    expect(Object.keys(stored)).toHaveLength(500);
+    expect(stored.p0).toBeUndefined();
+    expect(stored.new.progress).toBe(0.2);
+  });
+});
+
+describe('stepReaderFontSize', () => {
+  it('steps along the scale and stops at the ends', () => {
+    expect(stepReaderFontSize(19, 1)).toBe(21);
+    expect(stepReaderFontSize(19, -1)).toBe(17);
+    expect(stepReaderFontSize(24, 1)).toBe(24);
+    expect(stepReaderFontSize(15, -1)).toBe(15);
+    // An unknown size starts from the default.
+    expect(stepReaderFontSize(99, 1)).toBe(21);
+  });
+});
+
+describe('buildArticleFragment', () => {
+  it('removes active content and resolves links against the original page', () => {
+    const container = document.createElement('div');
+    container.append(buildArticleFragment(`
+      <p onclick="steal()" style="color:red">Text <a href="/next">next</a> <a href="javascript:alert(1)">bad</a></p>
+      <img src="img/a.png" onerror="steal()">
+      <script>steal()</script>
+      <iframe title="Advert"></iframe>
+      <form><input name="q"></form>
+    `, { baseUrl: 'https://example.com/post/1', documentObj: document }));
+
+    const paragraph = container.querySelector('p');
+    expect(paragraph.hasAttribute('onclick')).toBe(false);
+    expect(paragraph.hasAttribute('style')).toBe(false);
+    const [next, bad] = container.querySelectorAll('a');
+    expect(next.getAttribute('href')).toBe('https://example.com/next');
+    expect(next.getAttribute('target')).toBe('_blank');
+    expect(next.getAttribute('rel')).toBe('noopener noreferrer');
+    expect(bad.hasAttribute('href')).toBe(false);
+    expect(container.querySelector('img').getAttribute('src')).toBe('https://example.com/post/img/a.png');
+    expect(container.querySelector('img').hasAttribute('onerror')).toBe(false);
+    expect(container.querySelector('script, iframe, form, input')).toBeNull();
+  });
+
+  it('keeps only allowed attributes and http(s) URLs', () => {
+    const container = document.createElement('div');
+    container.append(buildArticleFragment(`
+      <h2 id="x" class="y" onmouseover="steal()" title="Heading">Heading</h2>
+      <a href="data:text/html,<script>steal()</script>" onfocus="steal()">data</a>
+      <a href=" JaVaScRiPt:steal()">spaced</a>
+      <a href="mailto:me@example.com">mail</a>
+      <img src="data:image/svg+xml,<svg onload='steal()'>" srcset="x.png 2x" alt="pic">
+      <img src="chrome-extension://abc/page.html">
+      <div srcdoc="<script>steal()</script>" data-x="1">Div</div>
+    `, { baseUrl: 'https://example.com/post', documentObj: document }));
+
+    const heading = container.querySelector('h2');
+    expect(Array.from(heading.attributes).map(attribute => attribute.name)).toEqual(['title']);
+    const [dataLink, spacedLink, mailLink] = container.querySelectorAll('a');
+    expect(dataLink.hasAttribute('href')).toBe(false);
+    expect(dataLink.hasAttribute('onfocus')).toBe(false);
+    expect(spacedLink.hasAttribute('href')).toBe(false);
+    expect(mailLink.getAttribute('href')).toBe('mailto:me@example.com');
+    const [dataImage, extensionImage] = container.querySelectorAll('img');
+    expect(Array.from(dataImage.attributes).map(attribute => attribute.name)).toEqual(['alt']);
+    expect(extensionImage.hasAttribute('src')).toBe(false);
+    const div = container.querySelector('div');
+    expect(div.attributes).toHaveLength(0);
+    expect(div.textContent).toBe('Div');
+  });
+
+  it('drops svg and math payloads and unwraps unknown elements to their text', () => {
+    const container = document.createElement('div');
+    container.append(buildArticleFragment(`
+      <p><font color="red">kept <blink>text</blink></font></p>
+      <math><mtext><img src=x onerror="steal()"></mtext></math>
+      <svg><script>steal()</script><a href="javascript:steal()"><text>svg</text></a></svg>
+    `, { baseUrl: 'https://example.com/post', documentObj: document }));
+
+    expect(container.querySelector('svg, math, script, font, blink, a, img')).toBeNull();
+    expect(container.querySelector('p').textContent).toBe('kept text');
+    expect(container.textContent).not.toContain('svg');
+  });
+});
+
+describe('initReaderView', () => {
+  const article = {
+    url: 'https://example.com/post',
+    title: 'Captured title',
+    byline: 'Jane Doe',
+    site_name: 'Example',
+    lang: 'en',
+    content_html: '<p>Long article body</p>'
+  };
+
+  let windowObj;
+
+  beforeEach(() => {
+    document.body.innerHTML = READER_MARKUP;
+    windowObj = {
+      innerHeight: 500,
+      scrollY: 0,
+      scrollTo: vi.fn(),
+      addEventListener: vi.fn(),
+      setTimeout: vi.fn(),
+      clearTimeout: vi.fn()
+    };
+    Object.defineProperty(document.documentElement, 'scrollHeight', { configurable: true, value: 2500 });
+  });
+
+  afterEach(() => {
+    delete document.documentElement.scrollHeight;
+    document.documentElement.style.removeProperty('--reader-font-size');
+  });
+
+  function init({ storage = createStorage(), page = null, storedArticle = article, themeManager = null } = {}) {
+    const archiveStore = { getArticle: vi.fn(async () => storedArticle) };
+    const findPage = vi.fn(async () => page);
+    const pending = initReaderView({
+      documentObj: document,
+      windowObj,
+      storage,
+      archiveStore,
+      findPage,
+      themeManager,
+      locationSearch: '?id=p1&url=https%3A%2F%2Fexample.com%2Fpost'
+    });
+    return { pending, archiveStore, findPage, storage };
+  }
+
+  it('shows the summary above the article and resumes where reading stopped', async () => {
+    const storage = createStorage({
+      [READING_PROGRESS_KEY]: { p1: { progress: 0.5, updated_at: 1 } }
+    });
+    const themeManager = { init: vi.fn() };
+    const page = { id: 'p1', url: 'https://example.com/post', title: 'Saved title', ai_summary_brief: 'The gist.' };
+    const { pending, archiveStore } = init({ storage, page, themeManager });
+    await pending;
+
+    expect(archiveStore.getArticle).toHaveBeenCalledWith({ id: 'p1', url: 'https://example.com/post' });
+    expect(themeManager.init).toHaveBeenCalledWith('reader-theme-toggle-container');
+    expect(document.getElementById('reader-title').textContent).toBe('Saved title');
+    expect(document.getElementById('reader-meta').textContent).toBe('Example · Jane Doe');
+    expect(document.getElementById('reader-summary').classList.contains('hidden')).toBe(false);
+    expect(document.getElementById('reader-summary-text').textContent).toBe('The gist.');
+    expect(document.getElementById('reader-article').textContent).toContain('Long article body');
+    expect(document.getElementById('reader-article').getAttribute('lang')).toBe('en');
+    expect(document.getElementById('reader-empty').classList.contains('hidden')).toBe(true);
+    // Half of the 2000px scrollable distance.
+    expect(windowObj.scrollTo).toHaveBeenCalledWith(0, 1000);
+  });
+
+  it('saves progress as the page scrolls', async () => {
+    const { pending, storage } = init();
+    await pending;
+
+    const onScroll = windowObj.addEventListener.mock.calls.find(([type]) => type === 'scroll')[1];
+    windowObj.scrollY = 1500;
+    onScroll();
+    windowObj.setTimeout.mock.calls.at(-1)[0]();
+    await new Promise(resolve => setTimeout(resolve, 0));
+
+    expect(document.getElementById('reader-progress-bar').style.width).toBe('75%');
+    expect(storage.values[READING_PROGRESS_KEY].p1.progress).toBe(0.75);
+  });
+
+  it('steps and remembers the font size', async () => {
+    const { pending, storage } = init({ storage: createStorage({ [READER_FONT_SIZE_KEY]: 21 }) });
+    await pending;
+
+    expect(document.documentElement.style.getPropertyValue('--reader-font-size')).toBe('21px');
+    document.getElementById('reader-font-up').click();
+    expect(document.documentElement.style.getPropertyValue('--reader-font-size')).toBe('24px');
+    expect(document.getElementById('reader-font-up').disabled).toBe(true);
+    expect(storage.values[READER_FONT_SIZE_KEY]).toBe(24);
+  });
+
+  it('links to the original when no article was captured in this browser', async () => {
+    const { pending } = init({ storedArticle: null });
+    await pending;
+
+    expect(document.getElementById('reader-empty').classList.contains('hidden')).toBe(false);
+    expect(document.getElementById('reader-original-link').getAttribute('href')).toBe('https://example.com/post');
+    expect(document.getElementById('reader-title').textContent).toBe('example.com');
+    expect(windowObj.addEventListener).not.toHaveBeenCalled();
+  });
+});
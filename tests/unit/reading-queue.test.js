@@ -0,0 +1,79 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import {
+  fillReadingBudget,
+  getReadingQueueMinutes,
+  loadReadingQueueOrder,
+  moveInReadingQueue,
+  normalizeQueueBudget,
+  orderReadingQueue,
+  READING_QUEUE_ORDER_KEY,
+  saveReadingQueueOrder
+} from '../../src/reading-queue.js';
+
+const pages = [
+  { id: 'new', saved_at: '2026-10-03T00:00:00.000Z', reading_time_minutes: 4 },
+  { id: 'read', saved_at: '2026-10-01T00:00:00.000Z', reading_time_minutes: 9, read_state: 'read' },
+  { id: 'old', saved_at: '2026-10-01T00:00:00.000Z', reading_time_minutes: 15 },
+  { id: 'mid', saved_at: '2026-10-02T00:00:00.000Z', reading_time_minutes: 8 },
+  { id: 'untimed', saved_at: '2026-10-02T12:00:00.000Z' }
+];
+
+describe('reading queue order', () => {
+  it('queues unread pages oldest-saved first after the ones the user placed', () => {
+    expect(orderReadingQueue(pages).map(page => page.id)).toEqual(['old', 'mid', 'untimed', 'new']);
+    expect(orderReadingQueue(pages, ['new', 'gone', 'mid']).map(page => page.id))
+      .toEqual(['new', 'mid', 'old', 'untimed']);
+  });
+
+  it('moves a page before or after another and leaves unknown ids alone', () => {
+    const ids = ['a', 'b', 'c', 'd'];
+
+    expect(moveInReadingQueue(ids, 'd', 'b')).toEqual(['a', 'd', 'b', 'c']);
+    expect(moveInReadingQueue(ids, 'a', 'c', { after: true })).toEqual(['b', 'c', 'a', 'd']);
+    expect(moveInReadingQueue(ids, 'x', 'b')).toBe(ids);
+    expect(moveInReadingQueue(ids, 'b', 'b')).toBe(ids);
+  });
+
+  it('sums the minutes of unread pages only', () => {
+    expect(getReadingQueueMinutes(pages)).toBe(27);
+  });
+});
+
+describe('reading budget', () => {
+  it('takes pages in queue order while they fit, skipping ones too long or untimed', () => {
+    const queue = orderReadingQueue(pages);
+
+    const playlist = fillReadingBudget(queue, 20);
+
+    expect(playlist.pages.map(page => page.id)).toEqual(['old', 'new']);
+    expect(playlist.minutes).toBe(19);
+    expect(fillReadingBudget(queue, 0).pages).toEqual([]);
+  });
+
+  it('normalizes typed budgets', () => {
+    expect(normalizeQueueBudget('20')).toBe(20);
+    expect(normalizeQueueBudget('12.6')).toBe(13);
+    expect(normalizeQueueBudget('5000')).toBe(600);
+    expect(normalizeQueueBudget('')).toBeNull();
+    expect(normalizeQueueBudget('-3')).toBeNull();
+  });
+});
+
+describe('reading queue storage', () => {
+  it('round-trips the order and ignores malformed entries', async () => {
+    const data = {};
+    const storage = {
+      get: vi.fn(async key => ({ [key]: data[key] })),
+      set: vi.fn(async values => Object.assign(data, values))
+    };
+
+    await saveReadingQueueOrder(storage, ['a', 'b']);
+    expect(data).toEqual({ saveit_reading_queue_order: ['a', 'b'] });
+    expect(await loadReadingQueueOrder(storage)).toEqual(['a', 'b']);
+
+    data[READING_QUEUE_ORDER_KEY] = ['a', 7, '', null];
+    expect(await loadReadingQueueOrder(storage)).toEqual(['a']);
+    expect(await loadReadingQueueOrder(null)).toEqual([]);
+  });
+});
@@ -0,0 +1,83 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import { createSaveLinkBox, parseSaveLinkInput } from '../../src/save-link.js';
+
+function setupForm() {
+  document.body.innerHTML = `
+    <form id="save-link-form" class="hidden">
+      <input id="save-link-input" type="text">
+    </form>
+  `;
+  return {
+    form: document.getElementById('save-link-form'),
+    input: document.getElementById('save-link-input')
+  };
+}
+
+function submit(form) {
+  form.dispatchEvent(new Event('submit', { cancelable: true }));
+}
+
+describe('parseSaveLinkInput', () => {
+  it('normalises pasted links and rejects anything that is not a web URL', () => {
+    expect(parseSaveLinkInput('  https://example.org/post  ')).toBe('https://example.org/post');
+    expect(parseSaveLinkInput('<https://example.org/a>')).toBe('https://example.org/a');
+    expect(parseSaveLinkInput('example.org/post?x=1')).toBe('https://example.org/post?x=1');
+    expect(parseSaveLinkInput('//example.org')).toBe('https://example.org');
+
+    expect(parseSaveLinkInput('notes')).toBeNull();
+    expect(parseSaveLinkInput('two words.com')).toBeNull();
+    expect(parseSaveLinkInput('ftp://example.org/file')).toBeNull();
+    expect(parseSaveLinkInput('javascript:alert(1)')).toBeNull();
+    expect(parseSaveLinkInput('')).toBeNull();
+  });
+});
+
+describe('save-link paste box', () => {
+  it('sends the normalised URL with the selected project and clears the box', async () => {
+    const { form, input } = setupForm();
+    const sendMessage = vi.fn(async () => ({ success: true }));
+    const notify = vi.fn();
+    const box = createSaveLinkBox({
+      form,
+      input,
+      runtime: { sendMessage },
+      notify,
+      getProjectId: () => 'project-1'
+    });
+
+    box.setVisible(true);
+    expect(form.classList.contains('hidden')).toBe(false);
+
+    input.value = 'example.org/long-read';
+    submit(form);
+
+    await vi.waitFor(() => expect(input.value).toBe(''));
+    expect(sendMessage.mock.calls[0][0]).toEqual({
+      action: 'saveLink',
+      url: 'https://example.org/long-read',
+      projectId: 'project-1'
+    });
+    expect(notify).toHaveBeenCalledWith('Link saved.', { type: 'success' });
+  });
+
+  it('keeps invalid input local and surfaces background failures', async () => {
+    const { form, input } = setupForm();
+    const sendMessage = vi.fn(async () => ({ success: false, error: 'Authentication failed.' }));
+    const notify = vi.fn();
+    createSaveLinkBox({ form, input, runtime: { sendMessage }, notify });
+
+    input.value = 'notes';
+    submit(form);
+    await Promise.resolve();
+    expect(sendMessage).not.toHaveBeenCalled();
+    expect(notify).toHaveBeenCalledWith("That doesn't look like a web link.", { type: 'error' });
+
+    input.value = 'https://example.org';
+    submit(form);
+    await vi.waitFor(() => expect(notify).toHaveBeenCalledWith('Authentication failed.', { type: 'error' }));
+    expect(sendMessage.mock.calls[0][0]).toEqual({ action: 'saveLink', url: 'https://example.org' });
+    expect(input.value).toBe('https://example.org');
+    expect(input.disabled).toBe(false);
+  });
+});
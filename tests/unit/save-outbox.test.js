@@ -0,0 +1,145 @@
+import { beforeEach, describe, expect, it, vi } from 'vitest';
+
+import {
+  OUTBOX_INITIAL_RETRY_MS,
+  OUTBOX_MAX_RETRY_MS,
+  SAVE_OUTBOX_KEY,
+  enqueueOutboxSave,
+  getDueOutboxSaves,
+  getNextOutboxAttemptAt,
+  getOutboxRetryDelayMs,
+  getOutboxSaves,
+  isRetryableSaveError,
+  recordOutboxFailure,
+  removeOutboxSave
+} from '../../src/save-outbox.js';
+
+// Minimal storage.local mock. Each test gets a fresh store.
+function createMemoryStorage() {
+  let store = {};
+  return {
+    get store() {
+      return store;
+    },
+    get: vi.fn(async (key) => (key in store ? { [key]: store[key] } : {})),
+    set: vi.fn(async (entries) => {
+      store = { ...store, ...entries };
+    }),
+    remove: vi.fn(async (key) => {
+      const next = { ...store };
+      delete next[key];
+      store = next;
+    })
+  };
+}
+
+const NOW = Date.parse('2026-07-09T12:00:00.000Z');
+
+function payloadFor(url, extra = {}) {
+  return { url, title: 'Page', saved_at: new Date(NOW).toISOString(), source: 'client', client: {}, ...extra };
+}
+
+describe('save-outbox storage', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = createMemoryStorage();
+  });
+
+  it('queues a payload keyed by normalized url, scheduled one backoff step out', async () => {
+    const record = await enqueueOutboxSave(storage, payloadFor('https://example.com/a'), { now: NOW });
+
+    expect(record.attempts).toBe(0);
+    expect(record.next_attempt_at).toBe(NOW + OUTBOX_INITIAL_RETRY_MS);
+    const records = await getOutboxSaves(storage);
+    expect(Object.keys(records)).toEqual(['https://example.com/a']);
+    expect(records['https://example.com/a'].payload.title).toBe('Page');
+  });
+
+  it('replaces a queued save when the same url is saved again', async () => {
+    await enqueueOutboxSave(storage, payloadFor('https://example.com/a', { title: 'First' }), { now: NOW });
+    await enqueueOutboxSave(storage, payloadFor('https://example.com/a/', { title: 'Second' }), { now: NOW });
+
+    const records = Object.values(await getOutboxSaves(storage));
+    expect(records).toHaveLength(1);
+    expect(records[0].payload.title).toBe('Second');
+  });
+
+  it('ignores payloads without a url', async () => {
+    expect(await enqueueOutboxSave(storage, { title: 'No url' })).toBeNull();
+    expect(storage.set).not.toHaveBeenCalled();
+  });
+
+  it('records a failure with exponential backoff and the last error', async () => {
+    await enqueueOutboxSave(storage, payloadFor('https://example.com/a'), { now: NOW });
+
+    const first = await recordOutboxFailure(storage, 'https://example.com/a', new Error('Failed to fetch'), { now: NOW });
+    const second = await recordOutboxFailure(storage, 'https://example.com/a', new Error('Failed to fetch'), { now: NOW });
+
+    expect(first.attempts).toBe(1);
+    expect(first.next_attempt_at).toBe(NOW + OUTBOX_INITIAL_RETRY_MS);
+    expect(second.attempts).toBe(2);
+    expect(second.next_attempt_at).toBe(NOW + 2 * OUTBOX_INITIAL_RETRY_MS);
+    expect(second.last_error).toBe('Failed to fetch');
+  });
+
+  it('does not recreate a record that was removed before the failure was recorded', async () => {
+    expect(await recordOutboxFailure(storage, 'https://example.com/a', new Error('x'))).toBeNull();
+    expect(await getOutboxSaves(storage)).toEqual({});
+  });
+
+  it('removes the outbox key entirely once the last record is delivered', async () => {
+    await enqueueOutboxSave(storage, payloadFor('https://example.com/a'), { now: NOW });
+
+    await removeOutboxSave(storage, 'https://example.com/a');
+
+    expect(SAVE_OUTBOX_KEY in storage.store).toBe(false);
+  });
+
+  it('returns due records oldest first and reports the earliest next attempt', async () => {
+    await enqueueOutboxSave(storage, payloadFor('https://example.com/later'), { now: NOW + 1000 });
+    await enqueueOutboxSave(storage, payloadFor('https://example.com/earlier'), { now: NOW });
+
+    expect(await getDueOutboxSaves(storage, { now: NOW })).toEqual([]);
+    expect(await getNextOutboxAttemptAt(storage)).toBe(NOW + OUTBOX_INITIAL_RETRY_MS);
+
+    const due = await getDueOutboxSaves(storage, { now: NOW + 10 * OUTBOX_INITIAL_RETRY_MS });
+    expect(due.map(record => record.url)).toEqual([
+      'https://example.com/earlier',
+      'https://example.com/later'
+    ]);
+  });
+
+  it('reports no next attempt when the outbox is empty', async () => {
+    expect(await getNextOutboxAttemptAt(storage)).toBeNull();
+  });
+});
+
+describe('getOutboxRetryDelayMs', () => {
+  it('doubles per attempt and caps at the maximum', () => {
+    expect(getOutboxRetryDelayMs(1)).toBe(OUTBOX_INITIAL_RETRY_MS);
+    expect(getOutboxRetryDelayMs(3)).toBe(4 * OUTBOX_INITIAL_RETRY_MS);
+    expect(getOutboxRetryDelayMs(50)).toBe(OUTBOX_MAX_RETRY_MS);
+  });
+});
+
+describe('isRetryableSaveError', () => {
+  it('retries network failures and transient server statuses', () => {
+    expect(isRetryableSaveError(new TypeError('Failed to fetch'))).toBe(true);
+    expect(isRetryableSaveError(Object.assign(new Error('busy'), { status: 503 }))).toBe(true);
+    expect(isRetryableSaveError(Object.assign(new Error('slow down'), { status: 429 }))).toBe(true);
+  });
+
+  it('does not retry a request the server rejected', () => {
+    expect(isRetryableSaveError(Object.assign(new Error('Invalid URL'), { status: 400 }))).toBe(false);
+    expect(isRetryableSaveError(Object.assign(new Error('Unauthorized'), { status: 401 }))).toBe(false);
+  });
+
+  it('does not retry a failed sign-in, which carries no HTTP status', () => {
+    expect(isRetryableSaveError(new Error('The user did not approve access.'))).toBe(false);
+    expect(isRetryableSaveError(new Error('No ID token received from OAuth'))).toBe(false);
+    expect(isRetryableSaveError(Object.assign(new Error('Invalid token'), {
+      telemetryContext: { httpStatus: 401 }
+    }))).toBe(false);
+  });
+});
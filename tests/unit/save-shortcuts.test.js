@@ -0,0 +1,77 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import {
+  LAST_USED_PROJECT_KEY,
+  buildSaveContextMenus,
+  getLastUsedProjectId,
+  resolveSaveContextMenuClick,
+  setLastUsedProjectId
+} from '../../src/save-shortcuts.js';
+
+describe('save context menus', () => {
+  it('offers page and link saves, with a project submenu per context', () => {
+    const menus = buildSaveContextMenus([
+      { id: 'p1', name: 'Research' },
+      { id: 'p2', name: 'Old', archived: true }
+    ]);
+
+    expect(menus.map(menu => menu.id)).toEqual([
+      'save-page',
+      'save-link',
+      'highlight-save',
+      'save-page-to-project',
+      'save-page-to-project:p1',
+      'save-link-to-project',
+      'save-link-to-project:p1'
+    ]);
+    expect(menus.find(menu => menu.id === 'save-link-to-project:p1')).toEqual({
+      id: 'save-link-to-project:p1',
+      parentId: 'save-link-to-project',
+      title: 'Research',
+      contexts: ['link']
+    });
+  });
+
+  it('leaves the project submenus out when there are no projects', () => {
+    expect(buildSaveContextMenus([]).map(menu => menu.id)).toEqual(['save-page', 'save-link', 'highlight-save']);
+  });
+
+  it('decodes clicks into page and link saves', () => {
+    expect(resolveSaveContextMenuClick({ menuItemId: 'save-page' })).toEqual({ target: 'page', projectId: null });
+    expect(resolveSaveContextMenuClick({ menuItemId: 'highlight-save', selectionText: 'quote' }))
+      .toEqual({ target: 'page', projectId: null });
+    expect(resolveSaveContextMenuClick({ menuItemId: 'save-page-to-project:p1' })).toEqual({ target: 'page', projectId: 'p1' });
+    expect(resolveSaveContextMenuClick({
+      menuItemId: 'save-link-to-project:p1',
+      linkUrl: 'https://example.org/a',
+      linkText: ' An article '
+    })).toEqual({ target: 'link', url: 'https://example.org/a', title: 'An article', projectId: 'p1' });
+    // Chrome has no link text: fall back to the URL.
+    expect(resolveSaveContextMenuClick({ menuItemId: 'save-link', linkUrl: 'https://example.org/b' }))
+      .toEqual({ target: 'link', url: 'https://example.org/b', title: 'https://example.org/b', projectId: null });
+  });
+
+  it('ignores submenu parents and foreign menu items', () => {
+    expect(resolveSaveContextMenuClick({ menuItemId: 'save-link-to-project' })).toBeNull();
+    expect(resolveSaveContextMenuClick({ menuItemId: 'something-else' })).toBeNull();
+    expect(resolveSaveContextMenuClick({ menuItemId: 'save-link' })).toBeNull();
+  });
+});
+
+describe('last-used project', () => {
+  it('round-trips through storage and ignores empty ids', async () => {
+    let store = {};
+    const storage = {
+      get: vi.fn(async key => (key in store ? { [key]: store[key] } : {})),
+      set: vi.fn(async entries => { store = { ...store, ...entries }; })
+    };
+
+    expect(await getLastUsedProjectId(storage)).toBeNull();
+    await setLastUsedProjectId(storage, '');
+    expect(storage.set).not.toHaveBeenCalled();
+
+    await setLastUsedProjectId(storage, 'p1');
+    expect(store[LAST_USED_PROJECT_KEY]).toBe('p1');
+    expect(await getLastUsedProjectId(storage)).toBe('p1');
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, expect, it } from 'vitest';
+
+import { buildSessionProjectName, collectWindowTabBookmarks } from '../../src/save-window-tabs.js';
+
+describe('collectWindowTabBookmarks', () => {
+  it('keeps web tabs once each, in tab order, and drops internal pages', () => {
+    const bookmarks = collectWindowTabBookmarks([
+      { url: 'chrome://newtab/', title: 'New Tab' },
+      { url: 'https://example.org/a', title: 'A' },
+      { url: 'about:blank', title: '' },
+      { url: 'https://example.org/a/', title: 'A again' },
+      { url: 'http://example.com/b' },
+      { title: 'Discarded tab without a url' },
+      { url: 'moz-extension://abc/src/newtab.html', title: 'Newtab' }
+    ]);
+
+    expect(bookmarks).toEqual([
+      { url: 'https://example.org/a', title: 'A' },
+      { url: 'http://example.com/b', title: 'http://example.com/b' }
+    ]);
+  });
+
+  it('names a new session project after the day and time', () => {
+    expect(buildSessionProjectName(new Date(2026, 9, 19, 14, 5))).toBe('Session Oct 19, 14:05');
+  });
+});
@@ -1,6 +1,7 @@
 import { describe, expect, it } from 'vitest';
 
 import {
+  findCachedSavedPage,
   getSavedPagesCacheKeys,
   invalidateSavedPagesCacheStorage,
   isSavedPagesCacheInvalidation,
@@ -246,3 +247,25 @@ describe('saved-pages cache sync', () => {
     });
   });
 });
+
+describe('findCachedSavedPage', () => {
+  it('finds a page in any cached list, stale or not', async () => {
+    const stored = {
+      'savedPages_cache_user123_surface%3Ddashboard': {
+        response: { pages: [{ id: 'p1', title: 'First' }] },
+        timestamp: 0
+      },
+      'savedPages_cache_user123_surface%3Dsaved-pages-drawer': {
+        response: { pages: [{ id: 'p2', title: 'Second', ai_summary_brief: 'Brief' }] },
+        timestamp: Date.now()
+      },
+      unrelated: { response: { pages: [{ id: 'p3' }] } }
+    };
+    const storage = { get: async () => ({ ...stored }) };
+
+    expect(await findCachedSavedPage(storage, 'p2')).toEqual(expect.objectContaining({ title: 'Second' }));
+    expect(await findCachedSavedPage(storage, 'p1')).toEqual(expect.objectContaining({ title: 'First' }));
+    expect(await findCachedSavedPage(storage, 'p3')).toBeNull();
+    expect(await findCachedSavedPage(null, 'p1')).toBeNull();
+  });
+});
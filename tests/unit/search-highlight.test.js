@@ -0,0 +1,44 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  getMatchSnippet,
+  getMatchedFields,
+  getSearchHighlightTerms,
+  highlightText
+} from '../../src/search-highlight.js';
+
+describe('search highlighting', () => {
+  it('takes the positive text terms from a query, longest first', () => {
+    expect(getSearchHighlightTerms('React "state management" -vue site:github.com is:pinned react'))
+      .toEqual(['state management', 'react']);
+    expect(getSearchHighlightTerms('')).toEqual([]);
+  });
+
+  it('marks every term case-insensitively and escapes the rest', () => {
+    expect(highlightText('React <b>state</b> for react', ['react']))
+      .toBe('<mark class="search-highlight">React</mark> &lt;b&gt;state&lt;/b&gt; for <mark class="search-highlight">react</mark>');
+    expect(highlightText('a.b and axb', ['a.b'])).toBe('<mark class="search-highlight">a.b</mark> and axb');
+    expect(highlightText('<i>', [])).toBe('&lt;i&gt;');
+  });
+
+  it('cuts a snippet around the first match at word breaks', () => {
+    const text = 'One two three four five six seven eight nine ten eleven twelve thirteen';
+
+    expect(getMatchSnippet(text, ['seven'], { radius: 10 })).toBe('…five six seven eight…');
+    expect(getMatchSnippet(text, ['one'], { radius: 4 })).toBe('One two…');
+    expect(getMatchSnippet(text, ['missing'])).toBe('');
+  });
+
+  it('names the fields the terms appear in', () => {
+    const page = {
+      title: 'Hooks guide',
+      ai_summary_extended: 'All about React state.',
+      classifications: [{ type: 'topic', label: 'React' }],
+      domain: 'react.dev'
+    };
+
+    expect(getMatchedFields(page, ['react'])).toEqual(['summary', 'tags', 'site']);
+    expect(getMatchedFields(page, ['hooks'])).toEqual(['title']);
+    expect(getMatchedFields(page, ['vector'])).toEqual([]);
+  });
+});
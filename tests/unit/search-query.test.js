@@ -0,0 +1,99 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  getSearchQueryText,
+  hasSearchOperators,
+  matchesSearchQuery,
+  parseSearchQuery
+} from '../../src/search-query.js';
+import { getDrawerSearchableText } from '../../src/newtab-drawer-state.js';
+
+const projects = [{ id: 'project-1', name: 'Research' }];
+const pages = [
+  {
+    id: 'gh',
+    title: 'Deep learning notes',
+    url: 'https://gist.github.com/someone/1',
+    saved_at: '2025-12-20T10:00:00',
+    manual_tags: ['Machine Learning'],
+    project_ids: ['project-1'],
+    pinned: true
+  },
+  {
+    id: 'blog',
+    title: 'Learning to bake',
+    url: 'https://www.bakery.example/learning',
+    domain: 'bakery.example',
+    saved_at: '2026-01-05T10:00:00',
+    private: true,
+    read_state: 'read',
+    classifications: [{ label: 'Cooking' }]
+  }
+];
+
+function search(query) {
+  const clauses = parseSearchQuery(query);
+  return pages
+    .filter(page => matchesSearchQuery(page, clauses, { searchableText: getDrawerSearchableText(page), projects }))
+    .map(page => page.id);
+}
+
+describe('search query operators', () => {
+  it('parses operators, negations and quoted phrases', () => {
+    expect(parseSearchQuery('site:github.com tag:"machine learning" -is:Pinned "deep learning" -bake')).toEqual([
+      { field: 'site', value: 'github.com', negated: false },
+      { field: 'tag', value: 'machine learning', negated: false },
+      { field: 'is', value: 'pinned', negated: true },
+      { field: 'text', value: 'deep learning', negated: false },
+      { field: 'text', value: 'bake', negated: true }
+    ]);
+  });
+
+  it('treats unknown or malformed operators as text', () => {
+    expect(parseSearchQuery('foo:bar before:someday is:weird')).toEqual([
+      { field: 'text', value: 'foo:bar', negated: false },
+      { field: 'text', value: 'before:someday', negated: false },
+      { field: 'text', value: 'is:weird', negated: false }
+    ]);
+  });
+
+  it('keeps only the positive free text for semantic search', () => {
+    const clauses = parseSearchQuery('react site:github.com "state hooks" -redux');
+    expect(getSearchQueryText(clauses)).toBe('react state hooks');
+    expect(hasSearchOperators(clauses)).toBe(true);
+    expect(hasSearchOperators(parseSearchQuery('just words'))).toBe(false);
+  });
+
+  it('filters pages by each operator', () => {
+    expect(search('site:github.com')).toEqual(['gh']);
+    expect(search('site:bakery.example')).toEqual(['blog']);
+    expect(search('tag:"machine learning"')).toEqual(['gh']);
+    expect(search('tag:cooking')).toEqual(['blog']);
+    expect(search('project:research')).toEqual(['gh']);
+    expect(search('is:pinned')).toEqual(['gh']);
+    expect(search('is:private')).toEqual(['blog']);
+    expect(search('is:unread')).toEqual(['gh']);
+    expect(search('before:2026-01-01')).toEqual(['gh']);
+    expect(search('after:2025-12-20')).toEqual(['blog']);
+  });
+
+  it('combines text, phrases and negation', () => {
+    expect(search('learning')).toEqual(['gh', 'blog']);
+    expect(search('learning -site:github.com')).toEqual(['blog']);
+    expect(search('"deep learning"')).toEqual(['gh']);
+    expect(search('"learning deep"')).toEqual([]);
+    expect(search('learning -bake')).toEqual(['gh']);
+  });
+
+  it('skips positive text for semantic matches but keeps operators and negations', () => {
+    const clauses = parseSearchQuery('pastry site:bakery.example -deep');
+    expect(matchesSearchQuery(pages[1], clauses, {
+      searchableText: getDrawerSearchableText(pages[1]),
+      operatorsOnly: true
+    })).toBe(true);
+    expect(matchesSearchQuery(pages[0], clauses, {
+      searchableText: getDrawerSearchableText(pages[0]),
+      operatorsOnly: true
+    })).toBe(false);
+  });
+});
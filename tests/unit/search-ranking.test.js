@@ -0,0 +1,48 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  fuseSearchResults,
+  getMatchSignal,
+  rankKeywordMatches,
+  scoreKeywordMatch
+} from '../../src/search-ranking.js';
+
+const ids = list => list.map(item => item.id ?? item.page.id);
+
+describe('search ranking', () => {
+  it('weighs a term by the field it is found in, more at the start of a word', () => {
+    const inTitle = { id: 't', title: 'Rust ownership' };
+    const inUrl = { id: 'u', title: 'Notes', url: 'https://rust.example' };
+    const insideWord = { id: 'w', title: 'Trusty tools' };
+
+    expect(scoreKeywordMatch(inTitle, ['rust'])).toBe(4.5);
+    expect(scoreKeywordMatch(inUrl, ['rust'])).toBe(1.5);
+    expect(scoreKeywordMatch(insideWord, ['rust'])).toBe(3);
+    expect(scoreKeywordMatch(inTitle, [])).toBe(0);
+  });
+
+  it('ranks matching pages best first and drops the rest', () => {
+    const pages = [
+      { id: 'notes', title: 'Notes', user_notes: 'rust' },
+      { id: 'none', title: 'Go' },
+      { id: 'tagged', title: 'Rust book', manual_tags: ['rust'] },
+      { id: 'title', title: 'Rust' }
+    ];
+
+    expect(ids(rankKeywordMatches(pages, ['Rust']))).toEqual(['tagged', 'title', 'notes']);
+  });
+
+  it('fuses the rankings by reciprocal rank, one entry per page', () => {
+    const keywordCopy = { id: 'b', title: 'Local copy' };
+    const fused = fuseSearchResults({
+      keyword: [{ id: 'a' }, keywordCopy],
+      semantic: [{ id: 'c' }, { id: 'b', title: 'Remote copy' }, { id: 'a' }]
+    }, { k: 60 });
+
+    expect(ids(fused)).toEqual(['a', 'b', 'c']);
+    expect(fused[1].page).toBe(keywordCopy);
+    expect(fused[0]).toMatchObject({ keywordRank: 1, semanticRank: 3, score: 1 / 61 + 1 / 63 });
+    expect(fused.map(getMatchSignal)).toEqual(['both', 'both', 'semantic']);
+    expect(getMatchSignal({ keywordRank: 4, semanticRank: null })).toBe('keyword');
+  });
+});
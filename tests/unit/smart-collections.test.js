@@ -0,0 +1,115 @@
+import { describe, expect, it, vi } from 'vitest';
+
+import {
+  SMART_COLLECTIONS_KEY,
+  countSmartCollectionPages,
+  createSmartCollection,
+  findActiveSmartCollection,
+  getSmartCollectionIdFromScope,
+  getSmartCollectionScopeId,
+  loadSmartCollections,
+  mergeSmartCollections,
+  moveSmartCollection,
+  normalizeSmartCollections,
+  orderSmartCollections
+} from '../../src/smart-collections.js';
+import { createDefaultPageListFilters } from '../../src/page-list-filters.js';
+import { DEFAULT_SEMANTIC_THRESHOLD } from '../../src/search-query.js';
+
+const collection = (id, overrides = {}) => ({
+  id,
+  name: id.toUpperCase(),
+  query: id,
+  filters: createDefaultPageListFilters(),
+  threshold: DEFAULT_SEMANTIC_THRESHOLD,
+  pinned: false,
+  ...overrides
+});
+
+const ids = list => list.map(item => item.id);
+
+describe('smart collections', () => {
+  it('normalizes stored collections and drops ones with nothing to search', () => {
+    expect(normalizeSmartCollections([
+      { id: 'a', query: '  rust  ', threshold: 7, filters: { pinned: true, sort: 'random' } },
+      { id: 'a', query: 'duplicate' },
+      { id: 'b', query: '' },
+      { query: 'no id' },
+      null
+    ])).toEqual([{
+      id: 'a',
+      name: 'rust',
+      query: 'rust',
+      filters: { ...createDefaultPageListFilters(), pinned: true },
+      threshold: DEFAULT_SEMANTIC_THRESHOLD,
+      pinned: false
+    }]);
+  });
+
+  it('creates a collection from the current search', () => {
+    const created = createSmartCollection(
+      { name: 'Unread Rust', query: 'rust is:unread', threshold: 0.7 },
+      { createId: () => 'new-id' }
+    );
+
+    expect(created).toMatchObject({ id: 'new-id', name: 'Unread Rust', query: 'rust is:unread', threshold: 0.7 });
+    expect(getSmartCollectionScopeId(created.id)).toBe('search:new-id');
+    expect(getSmartCollectionIdFromScope('search:new-id')).toBe('new-id');
+    expect(getSmartCollectionIdFromScope('domain:example.com')).toBeNull();
+  });
+
+  it('lists pinned collections first and moves within that order', () => {
+    const collections = [collection('a'), collection('b', { pinned: true }), collection('c')];
+
+    expect(ids(orderSmartCollections(collections))).toEqual(['b', 'a', 'c']);
+    expect(ids(moveSmartCollection(collections, 'c', -1))).toEqual(['b', 'c', 'a']);
+    expect(moveSmartCollection(collections, 'b', -1)).toBe(collections);
+  });
+
+  it('keeps local copies when merging an import', () => {
+    const merged = mergeSmartCollections(
+      [collection('a')],
+      [collection('a', { name: 'Imported A' }), collection('b')]
+    );
+
+    expect(merged.map(item => item.name)).toEqual(['A', 'B']);
+  });
+
+  it('finds the collection on screen only when everything matches on All pages', () => {
+    const filters = { ...createDefaultPageListFilters(), hasNotes: true };
+    const collections = [collection('a'), collection('b', { query: 'rust', filters, threshold: 0.7 })];
+    const view = { query: ' rust ', listFilters: filters, semanticThreshold: 0.7 };
+
+    expect(findActiveSmartCollection(collections, view)?.id).toBe('b');
+    expect(findActiveSmartCollection(collections, { ...view, semanticThreshold: 0.5 })).toBeNull();
+    expect(findActiveSmartCollection(collections, { ...view, listFilters: createDefaultPageListFilters() })).toBeNull();
+    expect(findActiveSmartCollection(collections, { ...view, scoped: true })).toBeNull();
+  });
+
+  it('counts the loaded pages its query and filters match', () => {
+    const pages = [
+      { id: 'p1', title: 'Rust ownership', domain: 'github.com', user_notes: 'good' },
+      { id: 'p2', title: 'Rust lifetimes', domain: 'example.com', user_notes: 'ok' },
+      { id: 'p3', title: 'Rust macros', domain: 'github.com' }
+    ];
+    const saved = collection('rust', {
+      query: 'rust site:github.com',
+      filters: { ...createDefaultPageListFilters(), hasNotes: true }
+    });
+
+    expect(countSmartCollectionPages(pages, saved, {
+      getSearchableText: page => page.title.toLowerCase()
+    })).toBe(1);
+  });
+
+  it('loads from storage and tolerates a failing read', async () => {
+    const stored = { get: vi.fn(async () => ({ [SMART_COLLECTIONS_KEY]: [collection('a'), { id: '' }] })) };
+    expect(ids(await loadSmartCollections(stored))).toEqual(['a']);
+
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const broken = { get: vi.fn(async () => { throw new Error('quota'); }) };
+    expect(await loadSmartCollections(broken)).toEqual([]);
+    expect(await loadSmartCollections(null)).toEqual([]);
+    warn.mockRestore();
+  });
+});
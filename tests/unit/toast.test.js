@@ -64,6 +64,43 @@ describe('toast region', () => {
     expect(container.querySelector('.toast').textContent).toBe('Second message');
   });
 
+  it('keeps a persist toast up until replaced, and swaps visible toasts in place', () => {
+    const container = document.getElementById('toast-region');
+    const region = createToastRegion({ container, documentObj: document, durationMs: 3000 });
+
+    region.show('Pinning 1 of 4…', { persist: true });
+    vi.advanceTimersByTime(10_000);
+    expect(container.querySelector('.toast')?.textContent).toBe('Pinning 1 of 4…');
+
+    region.show('Pinning 2 of 4…', { persist: true });
+    // Already on screen, so the replacement is visible immediately (no re-slide).
+    expect(container.querySelector('.toast').classList.contains('toast--visible')).toBe(true);
+
+    region.show('Pinned 4 pages.', { type: 'success' });
+    vi.advanceTimersByTime(3001);
+    expect(container.querySelector('.toast')).toBeNull();
+  });
+
+  it('renders an action button that dismisses the toast and runs the callback', () => {
+    const container = document.getElementById('toast-region');
+    const region = createToastRegion({ container, documentObj: document, durationMs: 3000 });
+    const onAction = vi.fn();
+
+    region.show('Page deleted.', { action: { label: 'Undo', onAction }, durationMs: 6000 });
+
+    const button = container.querySelector('.toast-action');
+    expect(button.textContent).toBe('Undo');
+    expect(container.querySelector('.toast span').textContent).toBe('Page deleted.');
+
+    // The per-toast duration overrides the region default.
+    vi.advanceTimersByTime(3001);
+    expect(container.querySelector('.toast')).not.toBeNull();
+
+    button.click();
+    expect(onAction).toHaveBeenCalledTimes(1);
+    expect(container.querySelector('.toast')).toBeNull();
+  });
+
   it('no-ops gracefully when the region is not mounted', () => {
     const region = createToastRegion({ container: null, documentObj: document });
     // Should not throw.
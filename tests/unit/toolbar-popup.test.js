@@ -9,6 +9,15 @@ describe('toolbar popup', () => {
         <div id="toolbar-project-list" aria-busy="true">
           <p class="toolbar-popup-empty">Loading projects...</p>
         </div>
+        <form id="toolbar-link-form">
+          <input id="toolbar-link-input" type="text">
+          <button id="toolbar-link-btn" type="submit">Save</button>
+        </form>
+        <form id="toolbar-window-form">
+          <select id="toolbar-window-project"><option value="">New project</option></select>
+          <input id="toolbar-window-name" type="text">
+          <button id="toolbar-window-btn" type="submit">Save every tab in this window</button>
+        </form>
         <p id="toolbar-popup-status"></p>
       </main>
     `;
@@ -100,4 +109,111 @@ describe('toolbar popup', () => {
 
     closeSpy.mockRestore();
   });
+
+  it('saves a pasted link and shows the background error when it is rejected', async () => {
+    const closeSpy = vi.spyOn(window, 'close').mockImplementation(() => {});
+    const sendMessage = vi.fn(async (message) => {
+      if (message.action === 'getToolbarProjects') {
+        return { success: true, projects: [] };
+      }
+      if (message.url === 'notes') {
+        return { success: false, error: "Sorry, can't save this page. Invalid URL" };
+      }
+      return { success: true };
+    });
+
+    globalThis.browser = {
+      runtime: {
+        sendMessage
+      }
+    };
+
+    await import('../../src/toolbar-popup.js?save-link');
+    await Promise.resolve();
+
+    const input = document.getElementById('toolbar-link-input');
+    const form = document.getElementById('toolbar-link-form');
+
+    input.value = ' notes ';
+    form.dispatchEvent(new Event('submit', { cancelable: true }));
+    await vi.waitFor(() => {
+      expect(document.getElementById('toolbar-popup-status')?.textContent).toContain('Invalid URL');
+    });
+    expect(closeSpy).not.toHaveBeenCalled();
+
+    input.value = 'https://example.org/essay';
+    form.dispatchEvent(new Event('submit', { cancelable: true }));
+    await vi.waitFor(() => {
+      expect(sendMessage.mock.calls.at(-1)?.[0]).toEqual({ action: 'saveLink', url: 'https://example.org/essay' });
+      expect(closeSpy).toHaveBeenCalled();
+    });
+
+    closeSpy.mockRestore();
+  });
+
+  it('saves the window into an existing project picked from the same project list', async () => {
+    const closeSpy = vi.spyOn(window, 'close').mockImplementation(() => {});
+    const sendMessage = vi.fn(async (message) => {
+      if (message.action === 'getToolbarProjects') {
+        return { success: true, projects: [{ id: 'project-1', name: 'Newtab product' }] };
+      }
+      return { success: true, imported: 3, skipped: 0, projectId: 'project-1' };
+    });
+    const request = vi.fn(async () => true);
+
+    globalThis.browser = {
+      runtime: {
+        sendMessage
+      },
+      permissions: { request }
+    };
+
+    await import('../../src/toolbar-popup.js?save-window');
+    await Promise.resolve();
+
+    const select = document.getElementById('toolbar-window-project');
+    expect([...select.options].map(option => option.textContent)).toEqual(['New project', 'Newtab product']);
+
+    select.value = 'project-1';
+    select.dispatchEvent(new Event('change'));
+    expect(document.getElementById('toolbar-window-name').classList.contains('hidden')).toBe(true);
+
+    document.getElementById('toolbar-window-form').dispatchEvent(new Event('submit', { cancelable: true }));
+    await vi.waitFor(() => {
+      expect(sendMessage.mock.calls.at(-1)?.[0]).toEqual({ action: 'saveWindowTabs', projectId: 'project-1' });
+      expect(closeSpy).toHaveBeenCalled();
+    });
+    expect(request).toHaveBeenCalledWith({ permissions: ['tabs'] });
+
+    closeSpy.mockRestore();
+  });
+
+  it('asks for the tabs permission on Save all tabs and stops when it is declined', async () => {
+    const closeSpy = vi.spyOn(window, 'close').mockImplementation(() => {});
+    const sendMessage = vi.fn(async () => ({ success: true, projects: [] }));
+    const request = vi.fn(async () => false);
+
+    globalThis.browser = {
+      runtime: {
+        sendMessage
+      },
+      permissions: { request }
+    };
+
+    await import('../../src/toolbar-popup.js?save-window-declined');
+    await Promise.resolve();
+
+    document.getElementById('toolbar-window-form').dispatchEvent(new Event('submit', { cancelable: true }));
+    // The prompt is requested synchronously, inside the click.
+    expect(request).toHaveBeenCalledWith({ permissions: ['tabs'] });
+    await vi.waitFor(() => {
+      expect(document.getElementById('toolbar-popup-status')?.textContent)
+        .toBe('Saving all tabs needs permission to read your tabs.');
+    });
+    expect(sendMessage.mock.calls.map(call => call[0].action)).not.toContain('saveWindowTabs');
+    expect(document.getElementById('toolbar-window-btn').disabled).toBe(false);
+    expect(closeSpy).not.toHaveBeenCalled();
+
+    closeSpy.mockRestore();
+  });
 });
@@ -0,0 +1,80 @@
+import { describe, expect, it } from 'vitest';
+
+import {
+  buildTopicTree,
+  flattenTopicTree,
+  getTopicPathFromScope,
+  getTopicScopeId,
+  pageMatchesTopicPath
+} from '../../src/topic-tree.js';
+
+const classified = (id, general, domains = [], topics = []) => ({
+  id,
+  classifications: [
+    ...general.map(label => ({ type: 'general', label })),
+    ...domains.map(label => ({ type: 'domain', label })),
+    ...topics.map(label => ({ type: 'topic', label }))
+  ]
+});
+
+const pages = [
+  classified('p1', ['Computer Science'], ['Web Development'], ['React']),
+  classified('p2', ['Computer Science'], ['Web Development', 'Software Engineering']),
+  classified('p3', ['Computer Science', 'Design'], ['User Interfaces']),
+  classified('p4', ['Geography']),
+  { id: 'p5', classifications: [] }
+];
+
+describe('topic tree', () => {
+  it('round-trips a path through its scope id, slashes and all', () => {
+    const id = getTopicScopeId(['Computer Science', 'CI/CD']);
+
+    expect(id).toBe('topic:Computer%20Science/CI%2FCD');
+    expect(getTopicPathFromScope(id)).toEqual(['Computer Science', 'CI/CD']);
+    expect(getTopicPathFromScope('domain:example.com')).toBeNull();
+    expect(getTopicPathFromScope('topic:')).toBeNull();
+  });
+
+  it('nests domains under generals and topics under domains, counting distinct pages', () => {
+    const tree = buildTopicTree(pages);
+
+    expect(tree.map(node => [node.label, node.count])).toEqual([
+      ['Computer Science', 3],
+      ['Design', 1],
+      ['Geography', 1]
+    ]);
+    expect(tree[0].children.map(node => [node.label, node.count])).toEqual([
+      ['Web Development', 2],
+      ['Software Engineering', 1],
+      ['User Interfaces', 1]
+    ]);
+    expect(tree[0].children[0].children).toEqual([expect.objectContaining({
+      id: 'topic:Computer%20Science/Web%20Development/React',
+      path: ['Computer Science', 'Web Development', 'React'],
+      count: 1
+    })]);
+  });
+
+  it('shows the children of expanded nodes only', () => {
+    const tree = buildTopicTree(pages);
+    const rows = flattenTopicTree(tree, [getTopicScopeId(['Computer Science']), getTopicScopeId(['Geography'])]);
+
+    expect(rows.map(row => `${row.depth}:${row.label}`)).toEqual([
+      '0:Computer Science',
+      '1:Web Development',
+      '1:Software Engineering',
+      '1:User Interfaces',
+      '0:Design',
+      '0:Geography'
+    ]);
+    expect(rows[0]).toMatchObject({ expandable: true, expanded: true });
+    // Geography has nothing beneath it, so there is nothing to expand.
+    expect(rows[5]).toMatchObject({ expandable: false, expanded: false });
+  });
+
+  it('matches a page against every level of a path', () => {
+    expect(pageMatchesTopicPath(pages[1], ['Computer Science', 'Software Engineering'])).toBe(true);
+    expect(pageMatchesTopicPath(pages[1], ['Computer Science', 'Web Development', 'React'])).toBe(false);
+    expect(pageMatchesTopicPath(pages[0], [])).toBe(false);
+  });
+});
@@ -155,6 +155,33 @@ describe('PageSchema ID validation', () => {
       expect(result.project_ids).toEqual(['project-saveit-product']);
     });
 
+    it('should accept highlights saved with the page', () => {
+      const data = {
+        id: 'user123_abc1234567890def',
+        thing_type: 'bookmark',
+        user_email: 'test@example.com',
+        highlights: [{ text: 'A quote', prefix: 'Before ', suffix: ' after', created_at: '2026-10-19T10:00:00.000Z' }]
+      };
+
+      const result = validatePage(data);
+      expect(result).not.toBeNull();
+      expect(result.highlights).toEqual(data.highlights);
+      expect(validatePage({ ...data, highlights: undefined }).highlights).toEqual([]);
+    });
+
+    it('should default a page without read state to unread', () => {
+      const data = {
+        id: 'user123_abc1234567890def',
+        thing_type: 'bookmark',
+        user_email: 'test@example.com'
+      };
+
+      expect(validatePage(data).read_state).toBe('unread');
+      expect(validatePage({ ...data, read_state: 'read', read_at: '2026-10-19T10:00:00.000Z' }).read_at)
+        .toBe('2026-10-19T10:00:00.000Z');
+      expect(validatePage({ ...data, read_state: 'skimmed' })).toBeNull();
+    });
+
     it('should return null for invalid ID', () => {
       const data = {
         id: 'invalid id with spaces',
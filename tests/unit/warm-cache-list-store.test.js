@@ -1,6 +1,6 @@
 import { describe, it, expect, vi } from 'vitest';
 
-import { WarmCacheListStore, buildListCachePayload } from '../../src/warm-cache-list-store.js';
+import { WarmCacheListStore, buildListCachePayload, hasLoadedEveryPage } from '../../src/warm-cache-list-store.js';
 
 function makePages(count, start = 1) {
   return Array.from({ length: count }, (_, index) => ({
@@ -519,6 +519,40 @@ describe('WarmCacheListStore', () => {
     expect(api.setCachedPages).toHaveBeenCalled();
   });
 
+  it('keeps a hidden page out of refreshes until it is restored at its old position', async () => {
+    const pages = makePages(3);
+    const getList = vi.fn(async () => ({
+      pages,
+      pagination: { total: 3, hasNextPage: false, nextCursor: null },
+      meta: { fromCache: false }
+    }));
+    const { store } = createStore({ getList });
+
+    await store.hydrate();
+    const hidden = await store.hidePage('page-2');
+    expect(hidden).toEqual({ page: pages[1], index: 1 });
+
+    // The backend still returns the page during the undo grace period.
+    store.applyResponse({ pages, pagination: { total: 3, hasNextPage: false } });
+    expect(store.getSnapshot().allPages.map(page => page.id)).toEqual(['page-1', 'page-3']);
+    expect(store.getSnapshot().total).toBe(2);
+
+    await store.restorePage(hidden.page, { index: hidden.index });
+    expect(store.getSnapshot().allPages.map(page => page.id)).toEqual(['page-1', 'page-2', 'page-3']);
+    expect(store.getSnapshot().total).toBe(3);
+  });
+
+  it('stops filtering a hidden page once the delete is released', async () => {
+    const { store } = createStore();
+
+    await store.setPages(makePages(2), { total: 2 });
+    await store.hidePage('page-1');
+    store.releaseHiddenPage('page-1');
+    store.applyResponse({ pages: makePages(2), pagination: { total: 2 } });
+
+    expect(store.getSnapshot().allPages.map(page => page.id)).toEqual(['page-1', 'page-2']);
+  });
+
   it('keeps stale cache state visible when the background refresh fails', async () => {
     const cachedPages = makePages(2);
     const refreshError = new Error('Network refresh failed');
@@ -848,3 +882,12 @@ describe('WarmCacheListStore refresh truncation guarantee', () => {
     expect(store.refreshSession).toBeNull();
   });
 });
+
+describe('hasLoadedEveryPage', () => {
+  it('is true only once nothing is left to page in and no page was capped off', () => {
+    expect(hasLoadedEveryPage({ allPages: makePages(2), total: 2, hasNextPage: false })).toBe(true);
+    expect(hasLoadedEveryPage({ allPages: makePages(2), total: 5, hasNextPage: true })).toBe(false);
+    // Stopped at maxItems: hasNextPage is cleared but the total says more exist.
+    expect(hasLoadedEveryPage({ allPages: makePages(2), total: 5, hasNextPage: false })).toBe(false);
+  });
+});